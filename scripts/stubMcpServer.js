@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * 本地MCP桩服务器
+ * 通过stdio提供 list_directory / search_files / get_file_info 三个工具，
+ * 返回格式与 @modelcontextprotocol/server-filesystem 一致，用于在没有网络或npx时调试MCP传输
+ *
+ * 用法: 在 config/mcp-config.json 中添加
+ *   "stub": { "transport": "stdio", "command": "node", "args": ["scripts/stubMcpServer.js"] }
+ *
+ * 以下环境变量（逗号分隔的工具名）用于测试客户端的路由和故障切换：
+ *   STUB_MCP_TOOLS - 只声明这些工具
+ *   STUB_MCP_FAIL  - 调用这些工具时返回协议错误（而不是工具错误），客户端会重试并切换服务器
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+
+const pathSchema = {
+  type: 'object',
+  properties: { path: { type: 'string' } },
+  required: ['path']
+};
+
+/**
+ * 读取逗号分隔的工具名环境变量
+ * @param {string} name - 环境变量名
+ * @returns {Array|null} 工具名列表，未设置时返回null
+ */
+function readToolList(name) {
+  const value = process.env[name];
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
+}
+
+const declaredTools = readToolList('STUB_MCP_TOOLS');
+const failingTools = readToolList('STUB_MCP_FAIL') || [];
+
+const allTools = [
+  {
+    name: 'list_directory',
+    description: '列出目录内容，以 [FILE] / [DIR] 前缀区分文件和目录',
+    inputSchema: pathSchema
+  },
+  {
+    name: 'search_files',
+    description: '搜索文件，pattern 为 "*" 时只搜索当前目录，其余情况递归返回全部条目',
+    inputSchema: {
+      type: 'object',
+      properties: { path: { type: 'string' }, pattern: { type: 'string' } },
+      required: ['path', 'pattern']
+    }
+  },
+  {
+    name: 'get_file_info',
+    description: '获取文件或目录的元数据',
+    inputSchema: pathSchema
+  }
+];
+
+const tools = declaredTools ? allTools.filter(tool => declaredTools.includes(tool.name)) : allTools;
+
+/**
+ * 递归收集目录下的所有条目
+ * @param {string} rootPath - 起始目录
+ * @param {boolean} recursive - 是否递归
+ * @returns {Array} 完整路径列表
+ */
+async function collectEntries(rootPath, recursive) {
+  const results = [];
+  const entries = await fs.readdir(rootPath, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const fullPath = path.join(rootPath, entry.name);
+    results.push(fullPath);
+    if (recursive && entry.isDirectory()) {
+      results.push(...await collectEntries(fullPath, recursive));
+    }
+  }
+
+  return results;
+}
+
+const handlers = {
+  async list_directory({ path: dirPath }) {
+    const entries = await fs.readdir(dirPath, { withFileTypes: true });
+    return entries
+      .map(entry => `${entry.isDirectory() ? '[DIR]' : '[FILE]'} ${entry.name}`)
+      .join('\n');
+  },
+
+  async search_files({ path: rootPath, pattern }) {
+    const results = await collectEntries(rootPath, pattern !== '*');
+    return results.length > 0 ? results.join('\n') : 'No matches found';
+  },
+
+  async get_file_info({ path: filePath }) {
+    const stats = await fs.stat(filePath);
+    const info = {
+      size: stats.size,
+      created: stats.birthtime,
+      modified: stats.mtime,
+      accessed: stats.atime,
+      isDirectory: stats.isDirectory(),
+      isFile: stats.isFile(),
+      permissions: stats.mode.toString(8).slice(-3)
+    };
+    return Object.entries(info).map(([key, value]) => `${key}: ${value}`).join('\n');
+  }
+};
+
+const server = new Server(
+  { name: 'file-auto-arrange-stub', version: '1.0.0' },
+  { capabilities: { tools: {} } }
+);
+
+server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools }));
+
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  if (failingTools.includes(request.params.name)) {
+    throw new Error(`桩服务器模拟故障: ${request.params.name}`);
+  }
+
+  const handler = handlers[request.params.name];
+  if (!handler) {
+    return { content: [{ type: 'text', text: `Unknown tool: ${request.params.name}` }], isError: true };
+  }
+
+  try {
+    const text = await handler(request.params.arguments || {});
+    return { content: [{ type: 'text', text }] };
+  } catch (error) {
+    return { content: [{ type: 'text', text: `Error: ${error.message}` }], isError: true };
+  }
+});
+
+await server.connect(new StdioServerTransport());
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+/**
+ * MCP客户端检查脚本（npm run test:mcp）
+ * 启动两个桩服务器（scripts/stubMcpServer.js），验证 initialize 握手、按 tools/list 路由、
+ * [FILE]/[DIR] 列表与 get_file_info 文本的解析，以及协议错误时的重试和服务器切换
+ *
+ * 配置只写入临时目录中的项目配置，不读取也不修改用户配置
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import os from 'os';
+import path from 'path';
+import assert from 'assert/strict';
+import fs from 'fs-extra';
+import chalk from 'chalk';
+import { fileURLToPath } from 'url';
+import { MCPClient } from '../src/mcpClient.js';
+import { ConfigLoader } from '../src/configLoader.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const STUB_SERVER = path.join(__dirname, 'stubMcpServer.js');
+
+/**
+ * 创建测试数据和项目配置
+ * @param {string} rootDir - 临时目录
+ * @returns {string} 测试数据目录
+ */
+async function createFixture(rootDir) {
+  const dataDir = path.join(rootDir, 'data');
+  await fs.outputFile(path.join(dataDir, 'report.txt'), 'hello');
+  await fs.outputFile(path.join(dataDir, 'photo.jpg'), 'jpeg-bytes');
+  await fs.outputFile(path.join(dataDir, '.hidden'), 'secret');
+  await fs.outputFile(path.join(dataDir, 'sub', 'nested.txt'), 'nested');
+
+  const stub = { transport: 'stdio', command: process.execPath, args: [STUB_SERVER] };
+  await fs.outputJson(path.join(rootDir, 'project', '.file-auto-arrange', 'mcp-config.json'), {
+    defaultServer: 'flaky',
+    timeout: 10000,
+    retryAttempts: 1,
+    allowedDirectories: [dataDir],
+    mcpServers: {
+      filesystem: { enabled: false },
+      'python-filesystem': { enabled: false },
+      local: { enabled: false },
+      // 默认服务器：不提供 search_files，list_directory 总是返回协议错误
+      flaky: {
+        ...stub,
+        env: { STUB_MCP_TOOLS: 'list_directory,get_file_info', STUB_MCP_FAIL: 'list_directory' }
+      },
+      stub
+    }
+  }, { spaces: 2 });
+
+  return dataDir;
+}
+
+/**
+ * 创建只读取临时目录中配置的MCP客户端
+ * @param {string} rootDir - 临时目录
+ * @returns {MCPClient} 客户端
+ */
+function createClient(rootDir) {
+  const client = new MCPClient();
+  const userConfigDir = path.join(rootDir, 'user-config');
+  client.configLoader = new ConfigLoader({
+    cwd: path.join(rootDir, 'project'),
+    env: { ...process.env, XDG_CONFIG_HOME: userConfigDir, APPDATA: userConfigDir }
+  });
+  return client;
+}
+
+/**
+ * 按名称获取服务器状态
+ * @param {MCPClient} client - 客户端
+ * @param {string} name - 服务器名称
+ * @returns {Object} 服务器状态
+ */
+function getServer(client, name) {
+  return client.getServers().find(server => server.name === name);
+}
+
+const checks = [
+  ['握手并通过 tools/list 发现工具', async (client) => {
+    for (const name of ['flaky', 'stub']) {
+      const server = getServer(client, name);
+      assert.ok(server?.connected, `${name} 未连接`);
+      assert.equal(server.transport, 'stdio');
+      assert.equal(server.serverInfo?.name, 'file-auto-arrange-stub');
+    }
+    assert.deepEqual(getServer(client, 'flaky').capabilities, ['list_directory', 'get_file_info']);
+    assert.deepEqual(getServer(client, 'stub').capabilities, ['list_directory', 'search_files', 'get_file_info']);
+  }],
+
+  ['get_file_info 由默认服务器处理并解析文本结果', async (client, dataDir) => {
+    const info = await client.getFileInfo(path.join(dataDir, 'report.txt'));
+    assert.equal(info.name, 'report.txt');
+    assert.equal(info.size, 5);
+    assert.equal(info.isFile, true);
+    assert.equal(info.isDirectory, false);
+    assert.equal(info.extension, '.txt');
+    assert.ok(!Number.isNaN(info.modifiedTime.getTime()), '修改时间解析失败');
+    assert.equal(getServer(client, 'flaky').health.successCount, 1);
+    assert.equal(getServer(client, 'stub').health.successCount, 0);
+  }],
+
+  ['search_files 只路由到声明了该工具的服务器', async (client, dataDir) => {
+    const results = await client.searchFiles(dataDir, { extensions: ['.txt'], recursive: true });
+    assert.deepEqual(results.map(file => file.name).sort(), ['nested.txt', 'report.txt']);
+    assert.equal(getServer(client, 'stub').health.successCount, 1);
+    assert.equal(getServer(client, 'flaky').health.failureCount, 0);
+  }],
+
+  ['list_directory 协议错误时重试并切换服务器，解析 [FILE]/[DIR] 列表', async (client, dataDir) => {
+    const entries = await client.listDirectory(dataDir);
+    const byName = Object.fromEntries(entries.map(entry => [entry.name, entry]));
+
+    assert.deepEqual(Object.keys(byName).sort(), ['photo.jpg', 'report.txt', 'sub']);
+    assert.equal(byName.sub.isDirectory, true);
+    assert.equal(byName['photo.jpg'].isFile, true);
+    assert.equal(byName['photo.jpg'].size, 10);
+
+    const flaky = getServer(client, 'flaky');
+    assert.equal(flaky.health.failureCount, 2, '默认服务器应失败 1 + retryAttempts 次');
+    assert.equal(flaky.health.status, 'degraded');
+    assert.equal(getServer(client, 'stub').health.successCount, 2);
+  }]
+];
+
+async function main() {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-auto-arrange-mcp-'));
+  const client = createClient(rootDir);
+  let failed = 0;
+
+  try {
+    const dataDir = await createFixture(rootDir);
+    await client.connect();
+
+    for (const [name, check] of checks) {
+      try {
+        await check(client, dataDir);
+        console.log(chalk.green(`✅ ${name}`));
+      } catch (error) {
+        failed++;
+        console.log(chalk.red(`❌ ${name}`));
+        console.log(chalk.red(`   ${error.message}`));
+      }
+    }
+  } finally {
+    await client.disconnect();
+    await fs.remove(rootDir);
+  }
+
+  if (failed > 0) {
+    console.log(chalk.red(`\n${failed}/${checks.length} 项检查失败`));
+    process.exit(1);
+  }
+  console.log(chalk.green(`\n全部 ${checks.length} 项检查通过`));
+}
+
+main().catch(error => {
+  console.error(chalk.red('MCP客户端检查失败:'), error.message);
+  process.exit(1);
+});
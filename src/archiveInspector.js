@@ -0,0 +1,359 @@
+/**
+ * 压缩包检查模块
+ * 列出 zip、tar、tar.gz 压缩包中的文件，按分类规则对其中的文件分类，
+ * 并检查压缩包旁边是否已有解压出的目录，供清理已解压的压缩包
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import yauzl from 'yauzl';
+import { list as listTar } from 'tar';
+import { Logger } from './logger.js';
+import { ConfigLoader } from './configLoader.js';
+import { WorkerPool } from './workerPool.js';
+
+/**
+ * 默认压缩包检查设置（配置文件中缺省时使用）
+ */
+const DEFAULT_ARCHIVE_SETTINGS = {
+  enabled: false,
+  maxArchiveSizeMB: 500,
+  maxEntries: 5000,
+  detectExtracted: true,
+  concurrency: 4
+};
+
+/**
+ * 支持的压缩包格式及其文件名后缀（按后缀长度优先匹配，.tar.gz 先于 .gz）
+ */
+export const ARCHIVE_FORMATS = [
+  { format: 'tar.gz', suffixes: ['.tar.gz', '.tgz'] },
+  { format: 'tar', suffixes: ['.tar'] },
+  { format: 'zip', suffixes: ['.zip'] }
+];
+
+/**
+ * 压缩包检查器类
+ */
+export class ArchiveInspector {
+  /**
+   * @param {Object} components - 依赖的组件
+   * @param {FileClassifier} components.classifier - 文件分类器，用于对压缩包中的文件分类
+   * @param {FileScanner} components.scanner - 文件扫描器，用于计算压缩包中文件的大小分类
+   */
+  constructor({ classifier, scanner }) {
+    this.classifier = classifier;
+    this.scanner = scanner;
+    this.logger = new Logger();
+    this.configLoader = new ConfigLoader();
+    this.config = null;
+    this.configPromise = this.loadConfig();
+  }
+
+  /**
+   * 加载分类配置
+   */
+  async loadConfig() {
+    try {
+      this.config = await this.configLoader.load('classification.json');
+      return this.config;
+    } catch (error) {
+      await this.logger.logError('加载压缩包检查配置失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 确保配置已加载
+   */
+  async ensureConfigLoaded() {
+    if (!this.config) {
+      await this.configPromise;
+    }
+  }
+
+  /**
+   * 获取压缩包检查设置（命令行选项优先于配置文件）
+   * @param {Object} options - 命令行选项 { archives }
+   * @returns {Object} 检查设置
+   */
+  getArchiveSettings(options = {}) {
+    const settings = {
+      ...DEFAULT_ARCHIVE_SETTINGS,
+      ...(this.config?.archiveSettings || {})
+    };
+
+    if (options.archives !== undefined) settings.enabled = Boolean(options.archives);
+
+    if (!(settings.maxArchiveSizeMB > 0)) {
+      throw new Error(`压缩包大小上限必须大于0: ${settings.maxArchiveSizeMB}`);
+    }
+    if (!Number.isInteger(settings.maxEntries) || settings.maxEntries < 1) {
+      throw new Error(`压缩包中记录的文件数上限必须是正整数: ${settings.maxEntries}`);
+    }
+
+    return settings;
+  }
+
+  /**
+   * 根据文件名判断压缩包格式
+   * @param {string} fileName - 文件名
+   * @returns {string|null} 格式（zip | tar | tar.gz），不支持时返回null
+   */
+  getArchiveFormat(fileName) {
+    const lowerName = (fileName || '').toLowerCase();
+    for (const { format, suffixes } of ARCHIVE_FORMATS) {
+      if (suffixes.some(suffix => lowerName.endsWith(suffix))) {
+        return format;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 检查分类结果中所有支持的压缩包，结果记录在各压缩包文件的 archive 字段，
+   * 汇总记录在分类结果的 archives 字段
+   * @param {Object} classificationResult - 分类结果
+   * @param {Object} options - 命令行选项
+   * @returns {Object} 汇总 { inspected, failed, extracted, reclaimableSize }
+   */
+  async inspectArchives(classificationResult, options = {}) {
+    try {
+      await this.ensureConfigLoaded();
+      const settings = this.getArchiveSettings(options);
+
+      const archiveFiles = Object.values(classificationResult.categories)
+        .flat()
+        .filter(file => this.getArchiveFormat(file.name));
+
+      await this.logger.logTaskStart('压缩包检查', { archives: archiveFiles.length, ...settings });
+
+      await WorkerPool.map(archiveFiles, settings.concurrency, async file => {
+        file.archive = await this.inspectArchive(file, settings);
+      });
+
+      const summary = {
+        inspected: archiveFiles.filter(file => !file.archive.error).length,
+        failed: archiveFiles.filter(file => file.archive.error).length,
+        extracted: archiveFiles.filter(file => file.archive.extracted?.complete).length,
+        reclaimableSize: archiveFiles
+          .filter(file => file.archive.extracted?.complete)
+          .reduce((sum, file) => sum + (file.size || 0), 0),
+        files: archiveFiles
+      };
+      classificationResult.archives = summary;
+
+      await this.logger.logTaskComplete('压缩包检查', {
+        inspected: summary.inspected,
+        failed: summary.failed,
+        extracted: summary.extracted,
+        reclaimableSize: summary.reclaimableSize
+      });
+
+      return summary;
+    } catch (error) {
+      await this.logger.logTaskError('压缩包检查', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 检查单个压缩包：列出其中的文件并分类，再检查是否已解压
+   * @param {Object} file - 压缩包文件信息
+   * @param {Object} settings - 检查设置
+   * @returns {Object} { format, entryCount, fileCount, uncompressedSize, truncated, categories, entries, extracted, error }
+   */
+  async inspectArchive(file, settings) {
+    const format = this.getArchiveFormat(file.name);
+    const result = {
+      format,
+      entryCount: 0,
+      fileCount: 0,
+      uncompressedSize: 0,
+      truncated: false,
+      categories: {},
+      entries: [],
+      extracted: null,
+      error: null
+    };
+
+    try {
+      // tar 没有目录区，需要读取整个文件；zip 只读取末尾的中央目录
+      if (format !== 'zip' && file.size > settings.maxArchiveSizeMB * 1024 * 1024) {
+        throw new Error(`压缩包超过大小上限 ${settings.maxArchiveSizeMB} MB`);
+      }
+
+      const now = new Date();
+      const onEntry = entry => {
+        result.entryCount++;
+        if (entry.isDirectory) return;
+
+        result.fileCount++;
+        result.uncompressedSize += entry.size;
+        if (result.entries.length >= settings.maxEntries) {
+          result.truncated = true;
+          return;
+        }
+
+        const { category, matchedRule } = this.classifier.matchFile(this.toFileInfo(file, entry), now);
+        result.entries.push({ ...entry, category, matchedRule });
+
+        const stats = result.categories[category] || (result.categories[category] = { count: 0, size: 0 });
+        stats.count++;
+        stats.size += entry.size;
+      };
+
+      if (format === 'zip') {
+        await this.listZipEntries(file.path, onEntry);
+      } else {
+        await this.listTarEntries(file.path, onEntry);
+      }
+
+      if (settings.detectExtracted) {
+        result.extracted = await this.findExtractedDirectory(file, result.entries);
+        // 只记录了部分文件时无法确认其余文件已解压
+        if (result.extracted && result.truncated) {
+          result.extracted.complete = false;
+        }
+      }
+    } catch (error) {
+      result.error = error.message;
+      await this.logger.logWarning(`读取压缩包失败: ${file.path}`, { message: error.message });
+    }
+
+    return result;
+  }
+
+  /**
+   * 列出 zip 压缩包中的条目
+   * @param {string} filePath - 压缩包路径
+   * @param {Function} onEntry - 每个条目调用一次 ({ path, name, size, compressedSize, modifiedTime, isDirectory }) => void
+   */
+  async listZipEntries(filePath, onEntry) {
+    const zipfile = await yauzl.openPromise(filePath, { autoClose: false, strictFileNames: false });
+
+    try {
+      await new Promise((resolve, reject) => {
+        zipfile.on('entry', entry => {
+          const entryPath = entry.fileName.replace(/\\/g, '/');
+          const isDirectory = entryPath.endsWith('/');
+          onEntry({
+            path: entryPath.replace(/\/$/, ''),
+            name: path.posix.basename(entryPath),
+            size: entry.uncompressedSize,
+            compressedSize: entry.compressedSize,
+            modifiedTime: entry.getLastModDate().toISOString(),
+            isDirectory
+          });
+          zipfile.readEntry();
+        });
+        zipfile.once('end', resolve);
+        zipfile.once('error', reject);
+        zipfile.readEntry();
+      });
+    } finally {
+      zipfile.close();
+    }
+  }
+
+  /**
+   * 列出 tar 或 tar.gz 压缩包中的条目（压缩方式根据文件头自动识别）
+   * @param {string} filePath - 压缩包路径
+   * @param {Function} onEntry - 每个条目调用一次 ({ path, name, size, compressedSize, modifiedTime, isDirectory }) => void
+   */
+  async listTarEntries(filePath, onEntry) {
+    await listTar({
+      file: filePath,
+      strict: true,
+      onReadEntry: entry => {
+        // 只统计普通文件和目录，链接等其他类型跳过
+        if (entry.type !== 'File' && entry.type !== 'OldFile' && entry.type !== 'Directory') {
+          return;
+        }
+
+        const entryPath = entry.path.replace(/\/$/, '');
+        onEntry({
+          path: entryPath,
+          name: path.posix.basename(entryPath),
+          size: entry.size || 0,
+          compressedSize: null,
+          modifiedTime: entry.mtime ? entry.mtime.toISOString() : null,
+          isDirectory: entry.type === 'Directory'
+        });
+      }
+    });
+  }
+
+  /**
+   * 将压缩包中的条目转换为分类器使用的文件信息，路径位于压缩包路径之下
+   * @param {Object} archiveFile - 压缩包文件信息
+   * @param {Object} entry - 条目
+   * @returns {Object} 文件信息
+   */
+  toFileInfo(archiveFile, entry) {
+    const extension = path.posix.extname(entry.name);
+    return {
+      name: entry.name,
+      path: path.join(archiveFile.path, ...entry.path.split('/')),
+      extension,
+      size: entry.size,
+      createdTime: entry.modifiedTime || archiveFile.modifiedTime,
+      modifiedTime: entry.modifiedTime || archiveFile.modifiedTime,
+      mimeType: null,
+      sizeCategory: this.scanner.getSizeCategory(entry.size)
+    };
+  }
+
+  /**
+   * 检查压缩包是否已解压在其旁边：依次查找与压缩包同名（去掉后缀）的目录，
+   * 以及压缩包中所有文件位于同一顶层目录时该目录在压缩包所在目录中的位置，
+   * 其中存在相同相对路径且大小一致的文件时视为已解压
+   * @param {Object} file - 压缩包文件信息
+   * @param {Array} entries - 压缩包中的文件条目
+   * @returns {Object|null} { directory, matchedFiles, totalFiles, complete }，未找到时返回null
+   */
+  async findExtractedDirectory(file, entries) {
+    // 含 .. 或绝对路径的条目解压后不在目标目录中，不参与比较
+    const candidates = entries.filter(entry => !entry.path.startsWith('/') && !entry.path.split('/').includes('..'));
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const directory = path.dirname(file.path);
+    const format = ARCHIVE_FORMATS.find(item => item.format === this.getArchiveFormat(file.name));
+    const suffix = format.suffixes.find(item => file.name.toLowerCase().endsWith(item));
+    const bases = [path.join(directory, file.name.slice(0, -suffix.length))];
+
+    const topLevel = new Set(candidates.map(entry => entry.path.split('/')[0]));
+    if (topLevel.size === 1 && candidates.every(entry => entry.path.includes('/'))) {
+      bases.push(directory);
+    }
+
+    for (const base of bases) {
+      const matches = await WorkerPool.map(candidates, 8, async entry => {
+        try {
+          const stats = await fs.stat(path.join(base, ...entry.path.split('/')));
+          return stats.isFile() && stats.size === entry.size;
+        } catch {
+          return false;
+        }
+      });
+
+      const matchedFiles = matches.filter(Boolean).length;
+      if (matchedFiles > 0) {
+        const extractedDirectory = base === directory ? path.join(directory, [...topLevel][0]) : base;
+        return {
+          directory: extractedDirectory,
+          matchedFiles,
+          totalFiles: candidates.length,
+          complete: matchedFiles === candidates.length
+        };
+      }
+    }
+
+    return null;
+  }
+}
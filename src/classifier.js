@@ -7,12 +7,9 @@
  */
 
 import path from 'path';
-import fs from 'fs-extra';
-import { fileURLToPath } from 'url';
 import { Logger } from './logger.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { ConfigLoader } from './configLoader.js';
+import { RuleEngine } from './ruleEngine.js';
 
 /**
  * 文件分类器类
@@ -20,8 +17,10 @@ const __dirname = path.dirname(__filename);
 export class FileClassifier {
   constructor() {
     this.logger = new Logger();
+    this.configLoader = new ConfigLoader();
     this.config = null;
-    this.loadConfig();
+    this.ruleEngine = null;
+    this.configPromise = this.loadConfig();
   }
 
   /**
@@ -29,57 +28,119 @@ export class FileClassifier {
    */
   async loadConfig() {
     try {
-      const configPath = path.join(__dirname, '../config/classification.json');
-      const configContent = await fs.readFile(configPath, 'utf8');
-      this.config = JSON.parse(configContent);
+      this.config = await this.configLoader.load('classification.json');
+      this.ruleEngine = new RuleEngine(this.config.rules || [], {
+        expandPath: value => this.configLoader.expandPath(value)
+      });
+      this.ruleEngine.rules = await this.getUsableRules(this.ruleEngine.rules);
       
-      await this.logger.logInfo('文件分类配置加载成功');
+      await this.logger.logInfo('文件分类配置加载成功', { rules: this.ruleEngine.rules.length });
+      return this.config;
     } catch (error) {
       await this.logger.logError('加载分类配置失败', error);
       throw error;
     }
   }
 
+  /**
+   * 确保配置已加载
+   */
+  async ensureConfigLoaded() {
+    if (!this.config) {
+      await this.configPromise;
+    }
+  }
+
+  /**
+   * 过滤掉指向不存在分类的规则
+   * @param {Array} rules - 编译后的规则
+   * @returns {Array} 可用规则
+   */
+  async getUsableRules(rules) {
+    const usableRules = [];
+
+    for (const rule of rules) {
+      if (!this.config.fileCategories[rule.category]) {
+        await this.logger.logWarning(`规则 rules[${rule.index}]「${rule.name}」的分类「${rule.category}」不存在，已忽略`);
+        continue;
+      }
+      usableRules.push(rule);
+    }
+
+    return usableRules;
+  }
+
   /**
    * 对文件列表进行分类
    * @param {Array} files - 文件列表
    * @returns {Object} 分类结果
    */
   async classifyFiles(files) {
+    const classificationResult = await this.createClassification();
+    for (const file of files) {
+      this.addFile(classificationResult, file);
+    }
+    return this.finishClassification(classificationResult);
+  }
+
+  /**
+   * 创建空的分类结果，之后可以用 addFile() 逐个加入扫描到的文件（扫描与分类同时进行）
+   * @returns {Object} 分类结果
+   */
+  async createClassification() {
+    await this.ensureConfigLoaded();
+    await this.logger.logTaskStart('文件分类');
+
+    const classificationResult = {
+      categories: {},
+      summary: {},
+      totalFiles: 0,
+      totalSize: 0,
+      classificationTime: new Date(),
+      statistics: {}
+    };
+
+    // 初始化分类结果
+    for (const categoryName of Object.keys(this.config.fileCategories)) {
+      classificationResult.categories[categoryName] = [];
+    }
+
+    return classificationResult;
+  }
+
+  /**
+   * 对一个文件进行分类并加入分类结果
+   * @param {Object} classificationResult - createClassification() 创建的分类结果
+   * @param {Object} file - 文件信息
+   */
+  addFile(classificationResult, file) {
     try {
-      await this.logger.logTaskStart('文件分类', { fileCount: files.length });
-
-      const classificationResult = {
-        categories: {},
-        summary: {},
-        totalFiles: files.length,
-        totalSize: 0,
-        classificationTime: new Date(),
-        statistics: {}
-      };
+      const { category, matchedRule, tags, destinationTemplate } = this.matchFile(file, classificationResult.classificationTime);
+      file.category = category;
+      file.matchedRule = matchedRule;
+      file.tags = tags;
+      file.destinationTemplate = destinationTemplate;
 
-      // 初始化分类结果
-      for (const categoryName of Object.keys(this.config.fileCategories)) {
-        classificationResult.categories[categoryName] = [];
-      }
+      classificationResult.categories[category].push(file);
+    } catch (error) {
+      this.logger.logWarning(`文件分类失败: ${file.path}`, error);
+      // 分类失败的文件归入"其他类"
+      file.category = '其他类';
+      file.matchedRule = { type: 'default', name: '其他类', description: '分类出错，归入默认分类' };
+      classificationResult.categories['其他类'].push(file);
+    }
 
-      // 对每个文件进行分类
-      for (const file of files) {
-        try {
-          const category = this.classifyFile(file);
-          file.category = category;
-          
-          classificationResult.categories[category].push(file);
-          classificationResult.totalSize += file.size || 0;
-        } catch (error) {
-          await this.logger.logWarning(`文件分类失败: ${file.path}`, error);
-          // 分类失败的文件归入"其他类"
-          file.category = '其他类';
-          classificationResult.categories['其他类'].push(file);
-        }
-      }
+    classificationResult.totalFiles++;
+    classificationResult.totalSize += file.size || 0;
+  }
 
-      // 生成统计信息
+  /**
+   * 完成分类：生成摘要和统计信息（重复文件统计依赖内容哈希，需在计算哈希之后调用）
+   * @param {Object} classificationResult - 分类结果
+   * @returns {Object} 分类结果
+   */
+  async finishClassification(classificationResult) {
+    try {
       classificationResult.summary = this.generateSummary(classificationResult);
       classificationResult.statistics = this.generateStatistics(classificationResult);
 
@@ -103,22 +164,76 @@ export class FileClassifier {
    * @returns {string} 分类名称
    */
   classifyFile(file) {
-    if (!file.extension) {
-      return '其他类';
+    return this.matchFile(file).category;
+  }
+
+  /**
+   * 匹配文件的分类及分类依据
+   * 依次尝试：rules 中的规则、分类扩展名列表、检测到的内容类型
+   * @param {Object} file - 文件信息
+   * @param {Date} now - 计算文件年龄的基准时间
+   * @returns {Object} { category, matchedRule, tags, destinationTemplate }
+   */
+  matchFile(file, now = new Date()) {
+    const rule = this.ruleEngine?.match(file, now);
+    if (rule) {
+      return {
+        category: rule.category,
+        matchedRule: { type: 'rule', name: rule.name, description: `规则「${rule.name}」(rules[${rule.index}])` },
+        tags: rule.tags,
+        destinationTemplate: rule.destination
+      };
     }
 
-    const extension = file.extension.toLowerCase();
-    const fileCategories = this.config.fileCategories;
+    const result = { tags: [], destinationTemplate: null };
+    const extension = this.getEffectiveExtension(file);
 
     // 遍历所有分类，查找匹配的扩展名
-    for (const [categoryName, categoryConfig] of Object.entries(fileCategories)) {
-      if (categoryConfig.extensions.includes(extension)) {
-        return categoryName;
+    if (extension) {
+      for (const [categoryName, categoryConfig] of Object.entries(this.config.fileCategories)) {
+        if (categoryConfig.extensions.includes(extension)) {
+          const detected = extension !== (file.extension || '').toLowerCase() ? '（按检测类型）' : '';
+          return {
+            ...result,
+            category: categoryName,
+            matchedRule: { type: 'extension', name: categoryName, description: `fileCategories.${categoryName}.extensions: ${extension}${detected}` }
+          };
+        }
+      }
+    }
+
+    // 扩展名缺失或未收录时，参考检测到的内容类型
+    if (file.detectedMimeType) {
+      const category = this.classifyByMimeType(file.detectedMimeType);
+      if (category !== '其他类') {
+        return {
+          ...result,
+          category,
+          matchedRule: { type: 'mime', name: category, description: `检测类型: ${file.detectedMimeType}` }
+        };
       }
     }
 
     // 如果没有找到匹配的分类，归入"其他类"
-    return '其他类';
+    return {
+      ...result,
+      category: '其他类',
+      matchedRule: { type: 'default', name: '其他类', description: '未匹配任何规则，归入默认分类' }
+    };
+  }
+
+  /**
+   * 获取用于分类的扩展名
+   * 扩展名与文件内容不符或缺少扩展名时，使用文件头检测出的扩展名
+   * @param {Object} file - 文件信息
+   * @returns {string} 小写扩展名，可能为空字符串
+   */
+  getEffectiveExtension(file) {
+    if (file.detectedExtension && (file.typeMismatch || !file.extension)) {
+      return file.detectedExtension.toLowerCase();
+    }
+
+    return (file.extension || '').toLowerCase();
   }
 
   /**
@@ -171,7 +286,16 @@ export class FileClassifier {
       'application/zip': '压缩包',
       'application/x-rar': '压缩包',
       'application/x-7z': '压缩包',
-      'application/x-msdownload': '程序类'
+      'application/vnd.rar': '压缩包',
+      'application/gzip': '压缩包',
+      'application/x-bzip2': '压缩包',
+      'application/x-xz': '压缩包',
+      'application/x-tar': '压缩包',
+      'application/vnd.sqlite3': '数据库',
+      'application/x-msdownload': '程序类',
+      'application/x-executable': '程序类',
+      'application/x-mach-binary': '程序类',
+      'application/vnd.android.package-archive': '程序类'
     };
 
     for (const [mimePrefix, category] of Object.entries(mimeCategories)) {
@@ -245,6 +369,7 @@ export class FileClassifier {
       timeDistribution: this.analyzeTimeDistribution(classificationResult),
       extensionStats: this.analyzeExtensions(classificationResult),
       duplicateFiles: this.findDuplicateFiles(classificationResult),
+      typeMismatches: this.findTypeMismatches(classificationResult),
       largestFiles: this.findLargestFiles(classificationResult),
       oldestFiles: this.findOldestFiles(classificationResult),
       newestFiles: this.findNewestFiles(classificationResult)
@@ -356,10 +481,22 @@ export class FileClassifier {
       }
     }
 
-    // 返回有重复的文件组
+    // 返回有重复的文件组，可回收空间最大的在前
+    const wastedBytes = group => (group[0].size || 0) * (group.length - 1);
     return Object.values(hashGroups)
       .filter(group => group.length > 1)
-      .slice(0, 10); // 最多返回10组重复文件
+      .sort((a, b) => wastedBytes(b) - wastedBytes(a));
+  }
+
+  /**
+   * 查找扩展名与文件内容不符的文件
+   * @param {Object} classificationResult - 分类结果
+   * @returns {Array} 类型不符的文件列表
+   */
+  findTypeMismatches(classificationResult) {
+    return this.getAllFiles(classificationResult)
+      .filter(file => file.typeMismatch)
+      .sort((a, b) => a.path.localeCompare(b.path));
   }
 
   /**
@@ -419,6 +556,7 @@ export class FileClassifier {
     return {
       fileCategories: this.config.fileCategories,
       sizeCategories: this.config.sizeCategories,
+      rules: this.config.rules || [],
       exportTime: new Date().toISOString()
     };
   }
@@ -429,12 +567,27 @@ export class FileClassifier {
    * @param {Object} categoryConfig - 分类配置
    */
   addCustomCategory(categoryName, categoryConfig) {
-    if (!this.config.fileCategories[categoryName]) {
-      this.config.fileCategories[categoryName] = {
-        extensions: categoryConfig.extensions || [],
-        color: categoryConfig.color || '#B2B2B2',
-        description: categoryConfig.description || '自定义分类'
-      };
+    if (this.config.fileCategories[categoryName]) {
+      throw new Error(`分类「${categoryName}」已存在`);
+    }
+
+    // 同一扩展名只能属于一个分类，否则后添加的分类永远不会命中
+    const extensions = categoryConfig.extensions || [];
+    for (const [existingName, existingConfig] of Object.entries(this.config.fileCategories)) {
+      const overlap = extensions.filter(ext => existingConfig.extensions.includes(ext));
+      if (overlap.length > 0) {
+        throw new Error(`扩展名 ${overlap.join(', ')} 已属于分类「${existingName}」`);
+      }
+    }
+
+    this.config.fileCategories[categoryName] = {
+      extensions,
+      color: categoryConfig.color || '#B2B2B2',
+      description: categoryConfig.description || '自定义分类'
+    };
+
+    if (categoryConfig.pathTemplate) {
+      this.config.fileCategories[categoryName].pathTemplate = categoryConfig.pathTemplate;
     }
   }
 
@@ -0,0 +1,282 @@
+/**
+ * 配置加载模块
+ * 按层合并配置文件，并负责跨平台的路径与环境变量展开
+ *
+ * 合并顺序（后者覆盖前者）：
+ *   1. 程序自带的 config/<文件>
+ *   2. 用户配置 ~/.config/file-auto-arrange/<文件>（Windows 为 %APPDATA%\file-auto-arrange）
+ *   3. 项目配置 <当前目录>/.file-auto-arrange/<文件>
+ *   4. 命令行参数（由各命令自行覆盖）
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { Logger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const APP_DIR_NAME = 'file-auto-arrange';
+
+/**
+ * 按平台区分取值的配置键，如 { "win32": [...], "linux": [...], "default": [...] }
+ */
+const PLATFORM_KEYS = ['win32', 'darwin', 'linux', 'default'];
+
+/**
+ * XDG 用户目录及其缺省值（~/.config/user-dirs.dirs 不存在时使用）
+ */
+const XDG_USER_DIRS = {
+  XDG_DESKTOP_DIR: 'Desktop',
+  XDG_DOWNLOAD_DIR: 'Downloads',
+  XDG_DOCUMENTS_DIR: 'Documents',
+  XDG_PICTURES_DIR: 'Pictures',
+  XDG_VIDEOS_DIR: 'Videos',
+  XDG_MUSIC_DIR: 'Music'
+};
+
+/**
+ * 配置完全缺失时各平台的默认扫描路径
+ */
+const DEFAULT_SCAN_PATHS = {
+  win32: ['%USERPROFILE%\\Desktop', '%USERPROFILE%\\Downloads', '%USERPROFILE%\\Documents'],
+  darwin: ['~/Desktop', '~/Downloads', '~/Documents'],
+  default: ['$XDG_DESKTOP_DIR', '$XDG_DOWNLOAD_DIR', '$XDG_DOCUMENTS_DIR']
+};
+
+let cachedXdgDirs = null;
+
+/**
+ * 配置加载器类
+ */
+export class ConfigLoader {
+  constructor(options = {}) {
+    this.logger = new Logger();
+    this.platform = options.platform || process.platform;
+    this.env = options.env || process.env;
+    this.cwd = options.cwd || process.cwd();
+    this.shippedDir = options.shippedDir || path.join(__dirname, '../config');
+  }
+
+  /**
+   * 获取各配置层所在的目录（按合并顺序）
+   * @returns {Array} [{ layer, dir }]
+   */
+  getLayerDirectories() {
+    const userConfigBase = this.platform === 'win32' && this.env.APPDATA
+      ? this.env.APPDATA
+      : (this.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'));
+
+    return [
+      { layer: 'shipped', dir: this.shippedDir },
+      { layer: 'user', dir: path.join(userConfigBase, APP_DIR_NAME) },
+      { layer: 'project', dir: path.join(this.cwd, `.${APP_DIR_NAME}`) }
+    ];
+  }
+
+  /**
+   * 加载并合并指定配置文件的所有层
+   * @param {string} fileName - 配置文件名，如 classification.json
+   * @returns {Object} 合并并解析平台取值后的配置
+   */
+  async load(fileName) {
+    const { merged, loadedLayers } = await this.mergeLayers(fileName);
+
+    await this.logger.logDebug(`配置已加载: ${fileName}`, { layers: loadedLayers });
+    return this.resolvePlatformValues(merged);
+  }
+
+  /**
+   * 按顺序合并指定的配置层，不解析平台取值
+   * @param {string} fileName - 配置文件名
+   * @param {Array} layerNames - 要合并的配置层，省略时合并全部
+   * @returns {Object} { merged, loadedLayers }
+   */
+  async mergeLayers(fileName, layerNames = null) {
+    let merged = null;
+    const loadedLayers = [];
+
+    for (const { layer, dir } of this.getLayerDirectories()) {
+      if (layerNames && !layerNames.includes(layer)) continue;
+
+      const filePath = path.join(dir, fileName);
+      if (!(await fs.pathExists(filePath))) {
+        if (layer === 'shipped') {
+          throw new Error(`找不到配置文件: ${filePath}`);
+        }
+        continue;
+      }
+
+      let layerConfig;
+      try {
+        layerConfig = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      } catch (error) {
+        throw new Error(`配置文件格式错误: ${filePath} - ${error.message}`);
+      }
+
+      merged = merged ? this.mergeConfig(merged, layerConfig) : layerConfig;
+      loadedLayers.push(filePath);
+    }
+
+    return { merged, loadedLayers };
+  }
+
+  /**
+   * 深度合并配置：对象逐键合并，数组和其他值整体替换
+   * @param {Object} base - 底层配置
+   * @param {Object} override - 上层配置
+   * @returns {Object} 合并结果
+   */
+  mergeConfig(base, override) {
+    if (!this.isPlainObject(base) || !this.isPlainObject(override)) {
+      return override;
+    }
+
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+      result[key] = key in base ? this.mergeConfig(base[key], value) : value;
+    }
+    return result;
+  }
+
+  /**
+   * 将按平台区分的取值替换为当前平台的值
+   * @param {*} value - 配置值
+   * @returns {*} 解析后的值
+   */
+  resolvePlatformValues(value) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.resolvePlatformValues(item));
+    }
+    if (!this.isPlainObject(value)) {
+      return value;
+    }
+
+    if (this.isPlatformMap(value)) {
+      const selected = this.platform in value ? value[this.platform] : value.default;
+      return this.resolvePlatformValues(selected ?? []);
+    }
+
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      result[key] = this.resolvePlatformValues(child);
+    }
+    return result;
+  }
+
+  /**
+   * 判断对象是否为按平台区分的取值
+   * @param {Object} value - 配置值
+   * @returns {boolean} 是否为平台映射
+   */
+  isPlatformMap(value) {
+    const keys = Object.keys(value);
+    return keys.length > 0 && keys.every(key => PLATFORM_KEYS.includes(key));
+  }
+
+  /**
+   * 判断是否为普通对象
+   * @param {*} value - 值
+   * @returns {boolean} 是否为普通对象
+   */
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * 获取当前平台的默认扫描路径
+   * @returns {Array} 扫描路径列表
+   */
+  getDefaultScanPaths() {
+    return DEFAULT_SCAN_PATHS[this.platform] || DEFAULT_SCAN_PATHS.default;
+  }
+
+  /**
+   * 展开路径中的 ~、$VAR、${VAR} 和 %VAR%
+   * 未定义的变量保持原样（例如 $Recycle.Bin）
+   * @param {string} pathStr - 路径字符串
+   * @returns {string} 展开后的路径
+   */
+  expandPath(pathStr) {
+    if (typeof pathStr !== 'string') {
+      return pathStr;
+    }
+
+    const lookup = (name, original) => {
+      const value = this.getVariable(name);
+      return value === undefined ? original : value;
+    };
+
+    let expanded = pathStr
+      .replace(/\$\{(\w+)\}/g, (match, name) => lookup(name, match))
+      .replace(/\$(\w+)/g, (match, name) => lookup(name, match))
+      .replace(/%(\w+)%/g, (match, name) => lookup(name, match));
+
+    if (expanded === '~' || /^~[\\/]/.test(expanded)) {
+      expanded = path.join(os.homedir(), expanded.slice(1));
+    }
+
+    return expanded;
+  }
+
+  /**
+   * 获取变量值：环境变量优先，其次是 XDG 用户目录和跨平台的常用别名
+   * @param {string} name - 变量名
+   * @returns {string|undefined} 变量值
+   */
+  getVariable(name) {
+    if (this.env[name] !== undefined) {
+      return this.env[name];
+    }
+
+    if (name in XDG_USER_DIRS) {
+      return this.getXdgUserDirs()[name];
+    }
+
+    // Windows 风格的变量在其他平台上的对应值
+    const aliases = {
+      USERNAME: this.env.USER || os.userInfo().username,
+      USER: this.env.USERNAME || os.userInfo().username,
+      USERPROFILE: os.homedir(),
+      HOME: os.homedir()
+    };
+    return aliases[name];
+  }
+
+  /**
+   * 读取 XDG 用户目录（~/.config/user-dirs.dirs），结果会被缓存
+   * @returns {Object} 变量名到目录的映射
+   */
+  getXdgUserDirs() {
+    if (cachedXdgDirs) {
+      return cachedXdgDirs;
+    }
+
+    const home = os.homedir();
+    const dirs = {};
+    for (const [name, folder] of Object.entries(XDG_USER_DIRS)) {
+      dirs[name] = path.join(home, folder);
+    }
+
+    const configHome = this.env.XDG_CONFIG_HOME || path.join(home, '.config');
+    try {
+      const content = fs.readFileSync(path.join(configHome, 'user-dirs.dirs'), 'utf8');
+      for (const line of content.split('\n')) {
+        const match = line.match(/^\s*(XDG_\w+_DIR)\s*=\s*"(.*)"\s*$/);
+        if (match) {
+          dirs[match[1]] = match[2].replace(/^\$HOME/, home);
+        }
+      }
+    } catch {
+      // 没有 user-dirs.dirs 时使用缺省目录
+    }
+
+    cachedXdgDirs = dirs;
+    return dirs;
+  }
+}
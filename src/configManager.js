@@ -0,0 +1,506 @@
+/**
+ * 配置管理模块
+ * 负责配置文件的读取、校验、修改、备份和重置
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import jsonMap from 'json-source-map';
+import { Logger } from './logger.js';
+import { ConfigLoader } from './configLoader.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_DIR = path.join(__dirname, '../config');
+
+/**
+ * 受管理的配置文件
+ */
+const CONFIG_FILES = {
+  classification: { file: 'classification.json', schema: 'classification.schema.json' },
+  mcp: { file: 'mcp-config.json', schema: 'mcp-config.schema.json' }
+};
+
+/**
+ * 配置层的显示名称（层的顺序和目录见 ConfigLoader）
+ */
+const LAYER_LABELS = {
+  shipped: '程序自带配置',
+  user: '用户配置',
+  project: '项目配置'
+};
+
+/**
+ * 配置管理器类
+ */
+export class ConfigManager {
+  constructor(configDir = CONFIG_DIR) {
+    this.logger = new Logger();
+    this.configDir = configDir;
+    this.configLoader = new ConfigLoader({ shippedDir: configDir });
+    this.ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+    this.validators = {};
+  }
+
+  /**
+   * 获取受管理的配置名称列表
+   * @returns {Array} 配置名称
+   */
+  getConfigNames() {
+    return Object.keys(CONFIG_FILES);
+  }
+
+  /**
+   * 获取配置层名称列表（按合并顺序）
+   * @returns {Array} 配置层名称
+   */
+  getLayerNames() {
+    return this.configLoader.getLayerDirectories().map(({ layer }) => layer);
+  }
+
+  /**
+   * 获取配置层的显示名称
+   * @param {string} layer - 配置层（shipped | user | project）
+   * @returns {string} 显示名称
+   */
+  getLayerLabel(layer) {
+    return LAYER_LABELS[layer] || layer;
+  }
+
+  /**
+   * 获取配置文件的各个路径
+   * @param {string} name - 配置名称（classification | mcp）
+   * @param {string} layer - 配置层（shipped | user | project），schema 和默认配置始终来自程序自带的配置目录
+   * @returns {Object} { configPath, schemaPath, defaultsPath }
+   */
+  getPaths(name, layer = 'shipped') {
+    const entry = CONFIG_FILES[name];
+    if (!entry) {
+      throw new Error(`未知的配置: ${name}（可选: ${this.getConfigNames().join(', ')}）`);
+    }
+
+    const layerEntry = this.configLoader.getLayerDirectories().find(item => item.layer === layer);
+    if (!layerEntry) {
+      throw new Error(`未知的配置层: ${layer}（可选: ${this.getLayerNames().join(', ')}）`);
+    }
+
+    return {
+      configPath: path.join(layerEntry.dir, entry.file),
+      schemaPath: path.join(this.configDir, 'schemas', entry.schema),
+      defaultsPath: path.join(this.configDir, 'defaults', entry.file)
+    };
+  }
+
+  /**
+   * 读取配置
+   * @param {string} name - 配置名称
+   * @param {string} layer - 配置层，用户配置和项目配置不存在时返回空对象
+   * @returns {Object} 配置内容
+   */
+  async read(name, layer = 'shipped') {
+    const { configPath } = this.getPaths(name, layer);
+    if (layer !== 'shipped' && !(await fs.pathExists(configPath))) {
+      return {};
+    }
+    return JSON.parse(await fs.readFile(configPath, 'utf8'));
+  }
+
+  /**
+   * 校验后写入配置，校验失败时不修改文件
+   * @param {string} name - 配置名称
+   * @param {Object} data - 配置内容
+   * @param {string} layer - 配置层
+   */
+  async write(name, data, layer = 'shipped') {
+    await this.writeText(name, JSON.stringify(data, null, 2) + '\n', layer);
+  }
+
+  /**
+   * 校验后写入配置文本，校验失败时不修改文件
+   * @param {string} name - 配置名称
+   * @param {string} text - 配置文本
+   * @param {string} layer - 配置层
+   */
+  async writeText(name, text, layer = 'shipped') {
+    const { configPath } = this.getPaths(name, layer);
+
+    const errors = await this.validateText(name, text, layer);
+    if (errors.length > 0) {
+      const error = new Error(`配置校验失败，未写入 ${path.basename(configPath)}`);
+      // 行列号对应的是尚未写入的文本，对用户没有意义，只保留配置路径
+      error.validationErrors = errors.map(({ pointer, message }) => ({ pointer, message }));
+      throw error;
+    }
+
+    await fs.ensureDir(path.dirname(configPath));
+    await fs.writeFile(configPath, text, 'utf8');
+    await this.logger.logInfo(`配置已更新: ${configPath}`);
+  }
+
+  /**
+   * 校验配置文件
+   * @param {string} name - 配置名称
+   * @param {string} layer - 配置层
+   * @returns {Object|null} { name, layer, configPath, valid, errors }，用户配置或项目配置不存在时返回null
+   */
+  async validate(name, layer = 'shipped') {
+    const { configPath } = this.getPaths(name, layer);
+    if (layer !== 'shipped' && !(await fs.pathExists(configPath))) {
+      return null;
+    }
+
+    const text = await fs.readFile(configPath, 'utf8');
+    const errors = await this.validateText(name, text, layer);
+
+    return { name, layer, configPath, valid: errors.length === 0, errors };
+  }
+
+  /**
+   * 校验配置文本，错误中包含行号和列号（从1开始）
+   * 用户配置和项目配置只写出要覆盖的部分，因此校验它与下层配置合并后的结果
+   * @param {string} name - 配置名称
+   * @param {string} text - 配置文本
+   * @param {string} layer - 配置层
+   * @returns {Array} 错误列表 [{ pointer, line, column, message }]
+   */
+  async validateText(name, text, layer = 'shipped') {
+    let parsed;
+    try {
+      parsed = jsonMap.parse(text);
+    } catch (error) {
+      const position = Number(error.message.match(/position (\d+)/)?.[1] ?? 0);
+      return [{ pointer: '', ...this.getLineColumn(text, position), message: `JSON格式错误: ${error.message}` }];
+    }
+
+    if (layer === 'shipped') {
+      return this.collectErrors(name, parsed.data, parsed.pointers);
+    }
+
+    const lower = await this.mergeLowerLayers(name, layer);
+    const errors = await this.collectErrors(name, this.configLoader.mergeConfig(lower, parsed.data), parsed.pointers);
+    const lowerErrors = new Set(
+      (await this.collectErrors(name, lower, parsed.pointers)).map(({ pointer, message }) => `${pointer}\n${message}`)
+    );
+
+    // 下层已有的错误由下层的校验报告，这里只保留这一层引入的错误和这一层写出的配置项上的错误
+    return errors.filter(({ pointer, message }) =>
+      !lowerErrors.has(`${pointer}\n${message}`) || (pointer !== '' && pointer in parsed.pointers));
+  }
+
+  /**
+   * 按 schema 和跨字段约束校验配置内容
+   * @param {string} name - 配置名称
+   * @param {Object} data - 配置内容
+   * @param {Object} pointers - json-source-map 生成的位置表，用于定位错误
+   * @returns {Array} 错误列表 [{ pointer, line, column, message }]
+   */
+  async collectErrors(name, data, pointers) {
+    const validator = await this.getValidator(name);
+    const errors = [];
+
+    if (!validator(data)) {
+      for (const error of validator.errors) {
+        errors.push(this.formatSchemaError(error, pointers));
+      }
+    }
+
+    // JSON Schema 无法表达的跨字段约束
+    for (const { pointer, message } of this.checkReferences(name, data)) {
+      errors.push({ pointer, ...this.locate(pointers, pointer), message });
+    }
+
+    return errors;
+  }
+
+  /**
+   * 合并指定配置层之下的各层
+   * @param {string} name - 配置名称
+   * @param {string} layer - 配置层
+   * @returns {Object} 合并结果
+   */
+  async mergeLowerLayers(name, layer) {
+    const layerNames = this.getLayerNames();
+    const { configPath } = this.getPaths(name);
+    const { merged } = await this.configLoader.mergeLayers(
+      path.basename(configPath),
+      layerNames.slice(0, layerNames.indexOf(layer))
+    );
+    return merged;
+  }
+
+  /**
+   * 获取（并缓存）配置对应的 schema 校验函数
+   * @param {string} name - 配置名称
+   * @returns {Function} ajv 校验函数
+   */
+  async getValidator(name) {
+    if (!this.validators[name]) {
+      const { schemaPath } = this.getPaths(name);
+      const schema = await fs.readJson(schemaPath);
+      this.validators[name] = this.ajv.compile(schema);
+    }
+    return this.validators[name];
+  }
+
+  /**
+   * 检查配置内部的引用关系
+   * @param {string} name - 配置名称
+   * @param {Object} data - 配置内容
+   * @returns {Array} 错误列表 [{ pointer, message }]
+   */
+  checkReferences(name, data) {
+    const errors = [];
+    if (!data || typeof data !== 'object') return errors;
+
+    if (name === 'classification' && Array.isArray(data.rules)) {
+      const categories = Object.keys(data.fileCategories || {});
+      data.rules.forEach((rule, index) => {
+        if (rule?.category && !categories.includes(rule.category)) {
+          errors.push({ pointer: `/rules/${index}/category`, message: `分类「${rule.category}」不存在于 fileCategories` });
+        }
+      });
+    }
+
+    if (name === 'mcp' && data.defaultServer && !(data.defaultServer in (data.mcpServers || {}))) {
+      errors.push({ pointer: '/defaultServer', message: `默认服务器「${data.defaultServer}」不存在于 mcpServers` });
+    }
+
+    return errors;
+  }
+
+  /**
+   * 将 ajv 错误转换为带位置的错误
+   * @param {Object} error - ajv 错误
+   * @param {Object} pointers - json-source-map 生成的位置表
+   * @returns {Object} { pointer, line, column, message }
+   */
+  formatSchemaError(error, pointers) {
+    let pointer = error.instancePath;
+    let message = error.message;
+
+    if (error.keyword === 'additionalProperties') {
+      // 指向多余的属性名本身
+      pointer = `${pointer}/${this.escapePointer(error.params.additionalProperty)}`;
+      message = `不支持的属性 "${error.params.additionalProperty}"`;
+    } else if (error.keyword === 'enum') {
+      message = `${message}: ${error.params.allowedValues.join(', ')}`;
+    }
+
+    return { pointer, ...this.locate(pointers, pointer, error.keyword === 'additionalProperties'), message };
+  }
+
+  /**
+   * 查找 JSON 指针在文本中的位置
+   * @param {Object} pointers - json-source-map 生成的位置表
+   * @param {string} pointer - JSON 指针
+   * @param {boolean} preferKey - 是否定位到属性名而不是属性值
+   * @returns {Object} { line, column }
+   */
+  locate(pointers, pointer, preferKey = false) {
+    let current = pointer;
+
+    // 属性不存在时（如缺少必填项）回退到最近的父级
+    while (!(current in pointers) && current) {
+      current = current.slice(0, current.lastIndexOf('/'));
+    }
+
+    const entry = pointers[current] || pointers[''];
+    const position = (preferKey && entry.key) || entry.value;
+    return { line: position.line + 1, column: position.column + 1 };
+  }
+
+  /**
+   * 根据字符位置计算行列号
+   * @param {string} text - 文本
+   * @param {number} position - 字符位置
+   * @returns {Object} { line, column }
+   */
+  getLineColumn(text, position) {
+    const lines = text.slice(0, position).split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+  }
+
+  /**
+   * 转义 JSON 指针中的特殊字符
+   * @param {string} segment - 路径片段
+   * @returns {string} 转义后的片段
+   */
+  escapePointer(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  /**
+   * 按点号路径修改配置项
+   * @param {string} name - 配置名称
+   * @param {string} dottedPath - 点号路径，如 arrangeSettings.conflictStrategy
+   * @param {string} rawValue - 新值，能按 JSON 解析时按 JSON 处理，否则视为字符串
+   * @param {string} layer - 写入的配置层
+   * @returns {Object} { previous, value, overriddenBy }，overriddenBy 为覆盖该配置项的上层配置（没有时为null）
+   */
+  async set(name, dottedPath, rawValue, layer = 'shipped') {
+    const keys = dottedPath.split('.').filter(Boolean);
+    if (keys.length === 0) {
+      throw new Error('配置路径不能为空');
+    }
+
+    const data = await this.read(name, layer);
+    const value = this.parseValue(rawValue);
+
+    let target = data;
+    for (const key of keys.slice(0, -1)) {
+      if (target[key] === undefined) {
+        target[key] = {};
+      } else if (typeof target[key] !== 'object' || target[key] === null) {
+        throw new Error(`无法在非对象值上设置属性: ${key}`);
+      }
+      target = target[key];
+    }
+
+    const lastKey = keys[keys.length - 1];
+    const previous = target[lastKey];
+    target[lastKey] = value;
+
+    await this.write(name, data, layer);
+    const overriddenBy = await this.findOverride(name, keys, layer);
+    return { previous, value, overriddenBy };
+  }
+
+  /**
+   * 查找在指定配置层之上覆盖了某个配置项的配置层（取最上层）
+   * @param {string} name - 配置名称
+   * @param {Array} keys - 配置项路径
+   * @param {string} layer - 配置层
+   * @returns {Object|null} { layer, label, configPath, value }
+   */
+  async findOverride(name, keys, layer) {
+    const layerNames = this.getLayerNames();
+    let override = null;
+
+    for (const upperLayer of layerNames.slice(layerNames.indexOf(layer) + 1)) {
+      const value = keys.reduce((target, key) => target?.[key], await this.read(name, upperLayer));
+      if (value !== undefined) {
+        const { configPath } = this.getPaths(name, upperLayer);
+        override = { layer: upperLayer, label: this.getLayerLabel(upperLayer), configPath, value };
+      }
+    }
+
+    return override;
+  }
+
+  /**
+   * 在配置文件的某个对象末尾添加属性，只插入新属性的文本，文件其余部分保持原样
+   * @param {string} name - 配置名称
+   * @param {string} parentPointer - 父对象的 JSON 指针，如 /fileCategories
+   * @param {string} key - 属性名
+   * @param {*} value - 属性值
+   */
+  async addProperty(name, parentPointer, key, value) {
+    const { configPath } = this.getPaths(name);
+    const text = await fs.readFile(configPath, 'utf8');
+    const { data, pointers } = jsonMap.parse(text);
+
+    const parent = parentPointer.split('/').slice(1).reduce((target, segment) => target?.[segment], data);
+    if (!parent || typeof parent !== 'object' || Array.isArray(parent)) {
+      throw new Error(`配置中不存在对象: ${parentPointer}`);
+    }
+    if (key in parent) {
+      throw new Error(`配置项已存在: ${parentPointer}/${key}`);
+    }
+
+    // 新属性与父对象的闭合括号相比多缩进一级，插在最后一个属性之后
+    const { valueEnd } = pointers[parentPointer];
+    const closingIndent = ' '.repeat(valueEnd.column - 1);
+    const indent = `${closingIndent}  `;
+    const property = `${indent}${JSON.stringify(key)}: ${this.formatValue(value, indent)}`;
+
+    const closingPosition = valueEnd.pos - 1;
+    const before = text.slice(0, closingPosition).replace(/\s*$/, '');
+    const separator = Object.keys(parent).length > 0 ? ',' : '';
+    const newText = `${before}${separator}\n${property}\n${closingIndent}${text.slice(closingPosition)}`;
+
+    await this.writeText(name, newText);
+  }
+
+  /**
+   * 按配置文件的排版格式化值：对象每个属性一行，只含简单值的数组写在一行
+   * @param {*} value - 值
+   * @param {string} indent - 当前缩进
+   * @returns {string} JSON 文本
+   */
+  formatValue(value, indent) {
+    if (Array.isArray(value)) {
+      if (value.every(item => item === null || typeof item !== 'object')) {
+        return `[${value.map(item => JSON.stringify(item)).join(', ')}]`;
+      }
+      const inner = `${indent}  `;
+      return `[\n${value.map(item => inner + this.formatValue(item, inner)).join(',\n')}\n${indent}]`;
+    }
+
+    if (value && typeof value === 'object') {
+      const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+      if (entries.length === 0) return '{}';
+      const inner = `${indent}  `;
+      const lines = entries.map(([key, item]) => `${inner}${JSON.stringify(key)}: ${this.formatValue(item, inner)}`);
+      return `{\n${lines.join(',\n')}\n${indent}}`;
+    }
+
+    return JSON.stringify(value);
+  }
+
+  /**
+   * 解析命令行传入的值
+   * @param {string} rawValue - 原始值
+   * @returns {*} 解析后的值
+   */
+  parseValue(rawValue) {
+    try {
+      return JSON.parse(rawValue);
+    } catch {
+      return rawValue;
+    }
+  }
+
+  /**
+   * 备份当前配置文件
+   * @param {string} name - 配置名称
+   * @returns {string|null} 备份文件路径，配置文件不存在时返回null
+   */
+  async backup(name) {
+    const { configPath } = this.getPaths(name);
+    if (!(await fs.pathExists(configPath))) {
+      return null;
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(this.configDir, 'backups', `${path.basename(configPath, '.json')}.${timestamp}.json`);
+    await fs.ensureDir(path.dirname(backupPath));
+    await fs.copy(configPath, backupPath);
+
+    await this.logger.logInfo(`配置已备份: ${backupPath}`);
+    return backupPath;
+  }
+
+  /**
+   * 备份后恢复随程序发布的默认配置
+   * @param {string} name - 配置名称
+   * @returns {Object} { configPath, backupPath }
+   */
+  async reset(name) {
+    const { configPath, defaultsPath } = this.getPaths(name);
+    if (!(await fs.pathExists(defaultsPath))) {
+      throw new Error(`找不到默认配置: ${defaultsPath}`);
+    }
+
+    const backupPath = await this.backup(name);
+    await fs.copy(defaultsPath, configPath, { overwrite: true });
+
+    await this.logger.logInfo(`配置已重置为默认值: ${configPath}`, { backupPath });
+    return { configPath, backupPath };
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * 重复文件处理模块
+ * 负责根据保留策略为重复文件组生成处理计划（删除、移入隔离区或替换为硬链接）
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { Logger } from './logger.js';
+import { ConfigLoader } from './configLoader.js';
+
+/**
+ * 默认重复文件处理设置（配置文件中缺省时使用）
+ */
+const DEFAULT_DEDUPE_SETTINGS = {
+  keepPolicy: 'oldest',
+  action: 'quarantine',
+  quarantineDir: './output/quarantine',
+  preferredDirs: []
+};
+
+const KEEP_POLICIES = ['oldest', 'newest', 'shortest-path', 'preferred-dir'];
+const DEDUPE_ACTIONS = ['delete', 'quarantine', 'hardlink'];
+
+/**
+ * 重复文件处理器类
+ */
+export class DuplicateResolver {
+  constructor(mcpClient) {
+    this.mcpClient = mcpClient;
+    this.logger = new Logger();
+    this.configLoader = new ConfigLoader();
+    this.config = null;
+    this.configPromise = this.loadConfig();
+  }
+
+  /**
+   * 加载分类配置
+   */
+  async loadConfig() {
+    try {
+      this.config = await this.configLoader.load('classification.json');
+      return this.config;
+    } catch (error) {
+      await this.logger.logError('加载重复文件处理配置失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 确保配置已加载
+   */
+  async ensureConfigLoaded() {
+    if (!this.config) {
+      await this.configPromise;
+    }
+  }
+
+  /**
+   * 获取处理设置（命令行选项优先于配置文件）
+   * @param {Object} options - 命令行选项
+   * @returns {Object} 处理设置
+   */
+  getDedupeSettings(options = {}) {
+    const settings = {
+      ...DEFAULT_DEDUPE_SETTINGS,
+      ...(this.config?.dedupeSettings || {})
+    };
+
+    if (options.keep) settings.keepPolicy = options.keep;
+    if (options.action) settings.action = options.action;
+    if (options.quarantineDir) settings.quarantineDir = options.quarantineDir;
+    if (options.preferredDir) settings.preferredDirs = options.preferredDir;
+
+    if (!KEEP_POLICIES.includes(settings.keepPolicy)) {
+      throw new Error(`不支持的保留策略: ${settings.keepPolicy}（可选: ${KEEP_POLICIES.join(', ')}）`);
+    }
+    if (!DEDUPE_ACTIONS.includes(settings.action)) {
+      throw new Error(`不支持的处理方式: ${settings.action}（可选: ${DEDUPE_ACTIONS.join(', ')}）`);
+    }
+    if (settings.keepPolicy === 'preferred-dir' && settings.preferredDirs.length === 0) {
+      throw new Error('保留策略 preferred-dir 需要指定 --preferred-dir');
+    }
+
+    settings.quarantineDir = path.resolve(this.configLoader.expandPath(settings.quarantineDir));
+    settings.preferredDirs = settings.preferredDirs.map(dir => path.resolve(this.configLoader.expandPath(dir)));
+    return settings;
+  }
+
+  /**
+   * 为重复文件组生成处理计划，计划格式与 FileArranger 的整理计划一致
+   * @param {Array} duplicateGroups - FileClassifier.findDuplicateFiles() 的结果
+   * @param {Object} options - 处理选项
+   * @returns {Object} 处理计划，附带 groups（每组保留的文件）和 reclaimableBytes
+   */
+  async createPlan(duplicateGroups, options = {}) {
+    try {
+      await this.ensureConfigLoaded();
+
+      const settings = this.getDedupeSettings(options);
+      await this.logger.logTaskStart('生成重复文件处理计划', {
+        groups: duplicateGroups.length,
+        keepPolicy: settings.keepPolicy,
+        action: settings.action
+      });
+
+      const plan = {
+        version: 1,
+        createdAt: new Date().toISOString(),
+        destination: settings.action === 'quarantine' ? settings.quarantineDir : null,
+        settings: { conflictStrategy: 'rename' },
+        entries: [],
+        skipped: [],
+        groups: [],
+        reclaimableBytes: 0
+      };
+
+      for (const group of duplicateGroups) {
+        const files = await this.excludeExistingLinks(group);
+        if (files.length < 2) continue;
+
+        const keep = this.selectKeeper(files, settings);
+        const duplicates = files.filter(file => file !== keep);
+
+        plan.groups.push({ hash: keep.hash, size: keep.size, keep: keep.path, duplicates: duplicates.map(file => file.path) });
+        plan.reclaimableBytes += keep.size * duplicates.length;
+
+        for (const file of duplicates) {
+          const entry = this.createEntry(file, keep, settings);
+          try {
+            const fileInfo = await this.mcpClient.getFileInfo(file.path);
+            entry.expected = {
+              size: fileInfo.size,
+              modifiedTime: new Date(fileInfo.modifiedTime).toISOString()
+            };
+            plan.entries.push({ id: plan.entries.length + 1, ...entry });
+          } catch (error) {
+            plan.skipped.push({ ...entry, skipReason: `无法读取文件信息: ${error.message}` });
+          }
+        }
+      }
+
+      await this.logger.logTaskComplete('生成重复文件处理计划', {
+        groups: plan.groups.length,
+        entries: plan.entries.length,
+        reclaimableBytes: plan.reclaimableBytes
+      });
+
+      return plan;
+    } catch (error) {
+      await this.logger.logTaskError('生成重复文件处理计划', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 生成单个重复文件的计划条目
+   * @param {Object} file - 重复的文件
+   * @param {Object} keep - 保留的文件
+   * @param {Object} settings - 处理设置
+   * @returns {Object} 计划条目
+   */
+  createEntry(file, keep, settings) {
+    const entry = {
+      action: 'delete',
+      source: file.path,
+      destination: null,
+      keep: keep.path,
+      hash: keep.hash,
+      category: file.category,
+      size: file.size || 0,
+      reason: `与 ${keep.path} 内容相同（保留策略: ${settings.keepPolicy}）`,
+      rule: `duplicate:${keep.hash}`
+    };
+
+    if (settings.action === 'quarantine') {
+      // 隔离区内保留原始目录结构，便于人工核对
+      const { root } = path.parse(file.path);
+      const relativePath = path.relative(root, file.path);
+      entry.action = 'move';
+      entry.destination = path.join(settings.quarantineDir, relativePath.replace(/:/g, ''));
+    } else if (settings.action === 'hardlink') {
+      entry.action = 'hardlink';
+    }
+
+    return entry;
+  }
+
+  /**
+   * 排除已经是同一文件硬链接的路径（无法再回收空间）
+   * @param {Array} group - 重复文件组
+   * @returns {Array} 过滤后的文件列表
+   */
+  async excludeExistingLinks(group) {
+    const seen = new Set();
+    const files = [];
+
+    for (const file of group) {
+      try {
+        const stats = await fs.stat(file.path);
+        const key = `${stats.dev}:${stats.ino}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        files.push(file);
+      } catch (error) {
+        await this.logger.logWarning(`无法读取重复文件: ${file.path}`, { message: error.message });
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * 按保留策略选出每组中保留的文件
+   * @param {Array} files - 重复文件组
+   * @param {Object} settings - 处理设置
+   * @returns {Object} 保留的文件
+   */
+  selectKeeper(files, settings) {
+    const byTime = (a, b) => new Date(a.modifiedTime) - new Date(b.modifiedTime);
+    const byPath = (a, b) => a.path.length - b.path.length || a.path.localeCompare(b.path);
+    const sorted = [...files];
+
+    switch (settings.keepPolicy) {
+      case 'newest':
+        sorted.sort((a, b) => byTime(b, a) || byPath(a, b));
+        break;
+      case 'shortest-path':
+        sorted.sort(byPath);
+        break;
+      case 'preferred-dir': {
+        // 优先保留位于靠前的首选目录中的文件，同级时保留最旧的
+        const rank = (file) => {
+          const index = settings.preferredDirs.findIndex(dir => this.isInside(file.path, dir));
+          return index === -1 ? settings.preferredDirs.length : index;
+        };
+        sorted.sort((a, b) => rank(a) - rank(b) || byTime(a, b) || byPath(a, b));
+        break;
+      }
+      default:
+        sorted.sort((a, b) => byTime(a, b) || byPath(a, b));
+    }
+
+    return sorted[0];
+  }
+
+  /**
+   * 判断路径是否位于目录内
+   * @param {string} filePath - 文件路径
+   * @param {string} dir - 目录
+   * @returns {boolean} 是否位于目录内
+   */
+  isInside(filePath, dir) {
+    const relative = path.relative(dir, path.resolve(filePath));
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+}
@@ -0,0 +1,370 @@
+/**
+ * Excel图表写入模块
+ * ExcelJS 不支持创建图表，这里在工作簿保存后直接修改 xlsx 压缩包，
+ * 写入 DrawingML 图表部件（xl/charts）和绘图部件（xl/drawings），并挂到指定工作表上
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import fs from 'fs-extra';
+import JSZip from 'jszip';
+import { Logger } from './logger.js';
+
+const NS = {
+  chart: 'http://schemas.openxmlformats.org/drawingml/2006/chart',
+  drawingml: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+  spreadsheetDrawing: 'http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing',
+  relationships: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+  packageRelationships: 'http://schemas.openxmlformats.org/package/2006/relationships'
+};
+
+const REL_TYPE = {
+  drawing: `${NS.relationships}/drawing`,
+  chart: `${NS.relationships}/chart`
+};
+
+const CONTENT_TYPE = {
+  drawing: 'application/vnd.openxmlformats-officedocument.drawing+xml',
+  chart: 'application/vnd.openxmlformats-officedocument.drawingml.chart+xml'
+};
+
+/**
+ * 工作表中 <drawing> 之后的元素，<drawing> 必须插在它们之前
+ */
+const ELEMENTS_AFTER_DRAWING = [
+  'legacyDrawing', 'legacyDrawingHF', 'drawingHF', 'picture', 'oleObjects',
+  'controls', 'webPublishItems', 'tableParts', 'extLst'
+];
+
+/**
+ * Excel图表写入类
+ */
+export class ExcelChartWriter {
+  constructor() {
+    this.logger = new Logger();
+  }
+
+  /**
+   * 向已保存的 xlsx 文件的工作表中添加图表
+   * @param {string} xlsxPath - xlsx 文件路径
+   * @param {string} sheetName - 工作表名称
+   * @param {Array} charts - 图表定义
+   *   [{ type: 'pie'|'bar'|'line', title, seriesName, categories: { ref, values }, values: { ref, values },
+   *      colors, from: { col, row }, to: { col, row } }]
+   *   ref 为单元格区域（如 $A$2:$A$5，不含工作表名），values 为缓存值，colors 为每个数据点的颜色（饼图和柱形图）
+   */
+  async addCharts(xlsxPath, sheetName, charts) {
+    if (charts.length === 0) return;
+
+    const zip = await JSZip.loadAsync(await fs.readFile(xlsxPath));
+    const sheetPath = await this.findSheetPath(zip, sheetName);
+
+    const sheetXml = await zip.file(sheetPath).async('string');
+    if (sheetXml.includes('<drawing ')) {
+      throw new Error(`工作表已包含绘图，无法添加图表: ${sheetName}`);
+    }
+
+    const drawingNumber = this.nextPartNumber(zip, /^xl\/drawings\/drawing(\d+)\.xml$/);
+    const firstChartNumber = this.nextPartNumber(zip, /^xl\/charts\/chart(\d+)\.xml$/);
+    const drawingPath = `xl/drawings/drawing${drawingNumber}.xml`;
+    const overrides = [{ partName: `/${drawingPath}`, contentType: CONTENT_TYPE.drawing }];
+    const drawingRelationships = [];
+
+    charts.forEach((chart, index) => {
+      const chartPath = `xl/charts/chart${firstChartNumber + index}.xml`;
+      zip.file(chartPath, this.buildChartXml(chart, sheetName));
+      overrides.push({ partName: `/${chartPath}`, contentType: CONTENT_TYPE.chart });
+      drawingRelationships.push({ id: `rId${index + 1}`, type: REL_TYPE.chart, target: `../charts/chart${firstChartNumber + index}.xml` });
+    });
+
+    zip.file(drawingPath, this.buildDrawingXml(charts));
+    zip.file(this.getRelsPath(drawingPath), this.buildRelationshipsXml(drawingRelationships));
+
+    // 工作表关系中登记绘图部件，并在工作表中引用
+    const sheetRelsPath = this.getRelsPath(sheetPath);
+    const sheetRelsFile = zip.file(sheetRelsPath);
+    const sheetRelsXml = sheetRelsFile
+      ? await sheetRelsFile.async('string')
+      : this.buildRelationshipsXml([]);
+    const drawingRelId = this.nextRelationshipId(sheetRelsXml);
+    zip.file(sheetRelsPath, sheetRelsXml.replace(
+      '</Relationships>',
+      `<Relationship Id="${drawingRelId}" Type="${REL_TYPE.drawing}" Target="../drawings/drawing${drawingNumber}.xml"/></Relationships>`
+    ));
+    zip.file(sheetPath, this.insertDrawingElement(sheetXml, drawingRelId));
+
+    const contentTypesXml = await zip.file('[Content_Types].xml').async('string');
+    zip.file('[Content_Types].xml', contentTypesXml.replace(
+      '</Types>',
+      overrides.map(item => `<Override PartName="${item.partName}" ContentType="${item.contentType}"/>`).join('') + '</Types>'
+    ));
+
+    const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    await fs.writeFile(xlsxPath, buffer);
+
+    await this.logger.logDebug(`已向工作表 ${sheetName} 添加 ${charts.length} 个图表`);
+  }
+
+  /**
+   * 查找工作表在压缩包中的路径
+   * @param {JSZip} zip - xlsx 压缩包
+   * @param {string} sheetName - 工作表名称
+   * @returns {string} 工作表路径，如 xl/worksheets/sheet5.xml
+   */
+  async findSheetPath(zip, sheetName) {
+    const workbookXml = await zip.file('xl/workbook.xml').async('string');
+    const sheetMatch = [...workbookXml.matchAll(/<sheet\b[^>]*>/g)]
+      .map(match => match[0])
+      .find(tag => this.getAttribute(tag, 'name') === this.escapeXml(sheetName));
+    if (!sheetMatch) {
+      throw new Error(`工作簿中没有工作表: ${sheetName}`);
+    }
+
+    const relId = this.getAttribute(sheetMatch, 'r:id');
+    const relsXml = await zip.file('xl/_rels/workbook.xml.rels').async('string');
+    const relationship = [...relsXml.matchAll(/<Relationship\b[^>]*>/g)]
+      .map(match => match[0])
+      .find(tag => this.getAttribute(tag, 'Id') === relId);
+    if (!relationship) {
+      throw new Error(`找不到工作表的关系: ${sheetName}`);
+    }
+
+    const target = this.getAttribute(relationship, 'Target');
+    return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+
+  /**
+   * 在工作表XML中按元素顺序插入 <drawing>
+   * @param {string} sheetXml - 工作表XML
+   * @param {string} relId - 绘图关系ID
+   * @returns {string} 修改后的XML
+   */
+  insertDrawingElement(sheetXml, relId) {
+    let xml = sheetXml;
+    if (!/<worksheet\b[^>]*xmlns:r=/.test(xml)) {
+      xml = xml.replace('<worksheet ', `<worksheet xmlns:r="${NS.relationships}" `);
+    }
+
+    const element = `<drawing r:id="${relId}"/>`;
+    const positions = ELEMENTS_AFTER_DRAWING
+      .map(name => xml.search(new RegExp(`<${name}[\\s/>]`)))
+      .filter(position => position !== -1);
+    const position = positions.length > 0 ? Math.min(...positions) : xml.lastIndexOf('</worksheet>');
+
+    return xml.slice(0, position) + element + xml.slice(position);
+  }
+
+  /**
+   * 生成绘图部件XML，每个图表一个锚定在单元格区域上的图形框
+   * @param {Array} charts - 图表定义
+   * @returns {string} XML
+   */
+  buildDrawingXml(charts) {
+    const anchors = charts.map((chart, index) => `<xdr:twoCellAnchor editAs="oneCell">` +
+      `<xdr:from><xdr:col>${chart.from.col}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${chart.from.row}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:from>` +
+      `<xdr:to><xdr:col>${chart.to.col}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${chart.to.row}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:to>` +
+      `<xdr:graphicFrame macro="">` +
+      `<xdr:nvGraphicFramePr><xdr:cNvPr id="${index + 2}" name="${this.escapeXml(chart.title)}"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr>` +
+      `<xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm>` +
+      `<a:graphic><a:graphicData uri="${NS.chart}"><c:chart xmlns:c="${NS.chart}" xmlns:r="${NS.relationships}" r:id="rId${index + 1}"/></a:graphicData></a:graphic>` +
+      `</xdr:graphicFrame><xdr:clientData/></xdr:twoCellAnchor>`
+    ).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+      `<xdr:wsDr xmlns:xdr="${NS.spreadsheetDrawing}" xmlns:a="${NS.drawingml}">${anchors}</xdr:wsDr>`;
+  }
+
+  /**
+   * 生成图表部件XML
+   * @param {Object} chart - 图表定义
+   * @param {string} sheetName - 数据所在的工作表
+   * @returns {string} XML
+   */
+  buildChartXml(chart, sheetName) {
+    const series = this.buildSeriesXml(chart, sheetName);
+    let plot;
+
+    if (chart.type === 'pie') {
+      plot = `<c:pieChart><c:varyColors val="1"/>${series}<c:firstSliceAng val="0"/></c:pieChart>`;
+    } else if (chart.type === 'bar') {
+      plot = `<c:barChart><c:barDir val="col"/><c:grouping val="clustered"/><c:varyColors val="0"/>${series}` +
+        `<c:gapWidth val="80"/><c:axId val="1001"/><c:axId val="1002"/></c:barChart>` +
+        this.buildAxesXml(chart);
+    } else if (chart.type === 'line') {
+      plot = `<c:lineChart><c:grouping val="standard"/><c:varyColors val="0"/>${series}` +
+        `<c:marker val="1"/><c:axId val="1001"/><c:axId val="1002"/></c:lineChart>` +
+        this.buildAxesXml(chart);
+    } else {
+      throw new Error(`不支持的图表类型: ${chart.type}`);
+    }
+
+    // 饼图用图例区分分类，单系列柱形图和折线图不需要图例
+    const legend = chart.type === 'pie'
+      ? '<c:legend><c:legendPos val="r"/><c:overlay val="0"/></c:legend>'
+      : '';
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+      `<c:chartSpace xmlns:c="${NS.chart}" xmlns:a="${NS.drawingml}" xmlns:r="${NS.relationships}">` +
+      `<c:roundedCorners val="0"/>` +
+      `<c:chart>${this.buildTitleXml(chart.title)}<c:autoTitleDeleted val="0"/>` +
+      `<c:plotArea><c:layout/>${plot}</c:plotArea>${legend}` +
+      `<c:plotVisOnly val="1"/><c:dispBlanksAs val="gap"/></c:chart>` +
+      `</c:chartSpace>`;
+  }
+
+  /**
+   * 生成数据系列XML（包含引用和缓存值，未重新计算时也能显示）
+   * @param {Object} chart - 图表定义
+   * @param {string} sheetName - 数据所在的工作表
+   * @returns {string} XML
+   */
+  buildSeriesXml(chart, sheetName) {
+    const sheetRef = `'${sheetName.replace(/'/g, "''")}'!`;
+    const categoryPoints = chart.categories.values
+      .map((value, index) => `<c:pt idx="${index}"><c:v>${this.escapeXml(value)}</c:v></c:pt>`)
+      .join('');
+    const valuePoints = chart.values.values
+      .map((value, index) => `<c:pt idx="${index}"><c:v>${Number(value) || 0}</c:v></c:pt>`)
+      .join('');
+    const count = chart.values.values.length;
+
+    const dataPoints = (chart.colors || []).map((color, index) =>
+      `<c:dPt><c:idx val="${index}"/>${chart.type === 'bar' ? '<c:invertIfNegative val="0"/>' : ''}<c:bubble3D val="0"/>` +
+      `<c:spPr>${this.buildFillXml(color)}</c:spPr></c:dPt>`
+    ).join('');
+
+    let seriesStyle = '';
+    if (chart.type === 'line') {
+      seriesStyle = `<c:spPr><a:ln w="28575" cap="rnd"><a:solidFill><a:srgbClr val="4472C4"/></a:solidFill></a:ln></c:spPr>` +
+        `<c:marker><c:symbol val="circle"/><c:size val="5"/></c:marker>`;
+    } else if (chart.type === 'bar') {
+      seriesStyle = `<c:spPr>${this.buildFillXml('#4472C4')}</c:spPr><c:invertIfNegative val="0"/>`;
+    }
+
+    const labels = chart.type === 'pie'
+      ? '<c:dLbls><c:showLegendKey val="0"/><c:showVal val="0"/><c:showCatName val="0"/><c:showSerName val="0"/><c:showPercent val="1"/><c:showBubbleSize val="0"/><c:showLeaderLines val="1"/></c:dLbls>'
+      : '';
+
+    return `<c:ser><c:idx val="0"/><c:order val="0"/>` +
+      `<c:tx><c:v>${this.escapeXml(chart.seriesName)}</c:v></c:tx>` +
+      seriesStyle + dataPoints + labels +
+      `<c:cat><c:strRef><c:f>${this.escapeXml(sheetRef + chart.categories.ref)}</c:f>` +
+      `<c:strCache><c:ptCount val="${count}"/>${categoryPoints}</c:strCache></c:strRef></c:cat>` +
+      `<c:val><c:numRef><c:f>${this.escapeXml(sheetRef + chart.values.ref)}</c:f>` +
+      `<c:numCache><c:formatCode>General</c:formatCode><c:ptCount val="${count}"/>${valuePoints}</c:numCache></c:numRef></c:val>` +
+      (chart.type === 'line' ? '<c:smooth val="0"/>' : '') +
+      `</c:ser>`;
+  }
+
+  /**
+   * 生成分类轴和数值轴XML
+   * @param {Object} chart - 图表定义
+   * @returns {string} XML
+   */
+  buildAxesXml(chart) {
+    const axisTitle = text => text ? this.buildTitleXml(text, 1000) : '';
+
+    return `<c:catAx><c:axId val="1001"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>` +
+      `<c:axPos val="b"/>${axisTitle(chart.categoryAxisTitle)}<c:numFmt formatCode="General" sourceLinked="1"/>` +
+      `<c:majorTickMark val="out"/><c:minorTickMark val="none"/><c:tickLblPos val="nextTo"/>` +
+      `<c:crossAx val="1002"/><c:crosses val="autoZero"/><c:auto val="1"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/><c:noMultiLvlLbl val="0"/></c:catAx>` +
+      `<c:valAx><c:axId val="1002"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/>` +
+      `<c:axPos val="l"/><c:majorGridlines/>${axisTitle(chart.valueAxisTitle)}<c:numFmt formatCode="General" sourceLinked="1"/>` +
+      `<c:majorTickMark val="out"/><c:minorTickMark val="none"/><c:tickLblPos val="nextTo"/>` +
+      `<c:crossAx val="1001"/><c:crosses val="autoZero"/><c:crossBetween val="between"/></c:valAx>`;
+  }
+
+  /**
+   * 生成标题XML
+   * @param {string} text - 标题文字
+   * @param {number} size - 字号（百分之一磅）
+   * @returns {string} XML
+   */
+  buildTitleXml(text, size = 1400) {
+    return `<c:title><c:tx><c:rich><a:bodyPr/><a:lstStyle/><a:p><a:pPr><a:defRPr sz="${size}" b="1"/></a:pPr>` +
+      `<a:r><a:rPr lang="zh-CN" sz="${size}" b="1"/><a:t>${this.escapeXml(text)}</a:t></a:r></a:p></c:rich></c:tx>` +
+      `<c:overlay val="0"/></c:title>`;
+  }
+
+  /**
+   * 生成纯色填充XML
+   * @param {string} color - 颜色，如 #4472C4
+   * @returns {string} XML
+   */
+  buildFillXml(color) {
+    return `<a:solidFill><a:srgbClr val="${color.replace('#', '').toUpperCase()}"/></a:solidFill>`;
+  }
+
+  /**
+   * 生成关系部件XML
+   * @param {Array} relationships - [{ id, type, target }]
+   * @returns {string} XML
+   */
+  buildRelationshipsXml(relationships) {
+    const items = relationships
+      .map(item => `<Relationship Id="${item.id}" Type="${item.type}" Target="${item.target}"/>`)
+      .join('');
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n` +
+      `<Relationships xmlns="${NS.packageRelationships}">${items}</Relationships>`;
+  }
+
+  /**
+   * 获取部件对应的关系部件路径
+   * @param {string} partPath - 部件路径，如 xl/worksheets/sheet1.xml
+   * @returns {string} 关系部件路径，如 xl/worksheets/_rels/sheet1.xml.rels
+   */
+  getRelsPath(partPath) {
+    const index = partPath.lastIndexOf('/');
+    return `${partPath.slice(0, index)}/_rels/${partPath.slice(index + 1)}.rels`;
+  }
+
+  /**
+   * 获取下一个可用的部件编号
+   * @param {JSZip} zip - xlsx 压缩包
+   * @param {RegExp} pattern - 部件路径模式（第一个分组为编号）
+   * @returns {number} 编号
+   */
+  nextPartNumber(zip, pattern) {
+    const numbers = Object.keys(zip.files)
+      .map(name => name.match(pattern))
+      .filter(Boolean)
+      .map(match => parseInt(match[1], 10));
+    return numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+  }
+
+  /**
+   * 获取下一个可用的关系ID
+   * @param {string} relsXml - 关系部件XML
+   * @returns {string} 关系ID
+   */
+  nextRelationshipId(relsXml) {
+    const ids = [...relsXml.matchAll(/Id="rId(\d+)"/g)].map(match => parseInt(match[1], 10));
+    return `rId${ids.length > 0 ? Math.max(...ids) + 1 : 1}`;
+  }
+
+  /**
+   * 读取XML标签的属性值
+   * @param {string} tag - 标签文本
+   * @param {string} name - 属性名
+   * @returns {string|null} 属性值
+   */
+  getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * 转义XML特殊字符
+   * @param {*} value - 文本
+   * @returns {string} 转义后的文本
+   */
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+}
@@ -9,19 +9,131 @@
 import ExcelJS from 'exceljs';
 import path from 'path';
 import fs from 'fs-extra';
+import moment from 'moment';
+import iconv from 'iconv-lite';
 import { fileURLToPath } from 'url';
 import { Logger } from './logger.js';
+import { ConfigLoader } from './configLoader.js';
+import { ExcelChartWriter } from './excelChartWriter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * 每日文件数折线图最多显示的天数
+ */
+const CHART_MAX_DAYS = 90;
+
+const CHARTS_SHEET_NAME = '图表分析';
+
+/**
+ * CSV可选列：列名 → { 表头, 取值函数 }
+ */
+const CSV_COLUMNS = {
+  name: { header: '文件名', value: file => file.name },
+  category: { header: '分类', value: (file, category) => category },
+  path: { header: '路径', value: file => file.path },
+  directory: { header: '所在目录', value: file => path.dirname(file.path) },
+  size: { header: '大小(字节)', value: file => file.size || 0 },
+  sizeText: { header: '大小', value: (file, category, reporter) => reporter.formatFileSize(file.size || 0) },
+  sizeCategory: { header: '大小分类', value: file => file.sizeCategory || '' },
+  extension: { header: '扩展名', value: file => file.extension || '' },
+  createdTime: { header: '创建时间', value: (file, category, reporter, settings) => reporter.formatCsvDate(file.createdTime, settings) },
+  modifiedTime: { header: '修改时间', value: (file, category, reporter, settings) => reporter.formatCsvDate(file.modifiedTime, settings) },
+  accessedTime: { header: '访问时间', value: (file, category, reporter, settings) => reporter.formatCsvDate(file.accessedTime, settings) },
+  relativeAge: { header: '相对时间', value: file => file.relativeAge || '' },
+  mimeType: { header: 'MIME类型', value: file => file.mimeType || '' },
+  detectedMimeType: { header: '检测类型', value: file => file.detectedMimeType || '' },
+  typeMismatch: { header: '类型不符', value: file => file.typeMismatch ? '是' : '' },
+  hash: { header: 'SHA-256', value: file => file.hash || '' },
+  matchedRule: { header: '分类依据', value: file => file.matchedRule?.description || '' }
+};
+
+/**
+ * 分类详情表中的元数据列：列名 → { 表头, 宽度, 取值函数, 数字格式 }，
+ * 只显示该分类中至少一个文件有值的列；时间和时长写为Excel日期/时间值，便于排序和筛选
+ */
+const METADATA_COLUMNS = {
+  takenAt: { header: '拍摄时间', width: 20, value: meta => toExcelDate(meta.takenAt), numFmt: 'yyyy-mm-dd hh:mm:ss' },
+  camera: { header: '相机', width: 25, value: meta => [meta.cameraMake, meta.cameraModel].filter(Boolean).join(' ') || null },
+  dimensions: { header: '尺寸', width: 14, value: meta => (meta.width && meta.height ? `${meta.width}×${meta.height}` : null) },
+  location: { header: '拍摄位置', width: 24, value: meta => (meta.gpsLatitude != null && meta.gpsLongitude != null ? `${meta.gpsLatitude}, ${meta.gpsLongitude}` : null) },
+  duration: { header: '时长', width: 12, value: meta => (meta.durationSeconds ? meta.durationSeconds / 86400 : null), numFmt: '[h]:mm:ss' },
+  title: { header: '标题', width: 30, value: meta => meta.title },
+  artist: { header: '艺术家', width: 20, value: meta => meta.artist },
+  album: { header: '专辑', width: 25, value: meta => meta.album },
+  year: { header: '年份', width: 8, value: meta => meta.year },
+  track: { header: '音轨', width: 8, value: meta => meta.track },
+  genre: { header: '流派', width: 12, value: meta => meta.genre },
+  author: { header: '作者', width: 18, value: meta => meta.author },
+  subject: { header: '主题', width: 25, value: meta => meta.subject },
+  keywords: { header: '关键词', width: 25, value: meta => meta.keywords },
+  application: { header: '创建程序', width: 25, value: meta => meta.application },
+  lastModifiedBy: { header: '最后修改者', width: 15, value: meta => meta.lastModifiedBy },
+  contentCreatedAt: { header: '内容创建时间', width: 20, value: meta => toExcelDate(meta.createdAt), numFmt: 'yyyy-mm-dd hh:mm:ss' },
+  contentModifiedAt: { header: '内容修改时间', width: 20, value: meta => toExcelDate(meta.modifiedAt), numFmt: 'yyyy-mm-dd hh:mm:ss' }
+};
+
+/**
+ * 转换为Excel日期值：ExcelJS 按 UTC 写入日期，先平移时区使单元格显示本地时间
+ * @param {string} time - ISO 8601 时间
+ * @returns {Date|null} 日期
+ */
+function toExcelDate(time) {
+  const date = time ? new Date(time) : null;
+  if (!date || isNaN(date.getTime())) return null;
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+}
+
+/**
+ * CSV编码：utf8（无BOM）、utf8-bom（带BOM，Excel可直接识别中文）、gbk（旧版中文Excel）
+ */
+const CSV_ENCODINGS = ['utf8', 'utf8-bom', 'gbk'];
+
+/**
+ * 默认CSV设置（配置文件中缺省时使用）
+ */
+const DEFAULT_CSV_SETTINGS = {
+  columns: ['name', 'category', 'path', 'size', 'extension', 'createdTime', 'modifiedTime', 'mimeType'],
+  delimiter: ',',
+  encoding: 'utf8-bom',
+  dateFormat: 'YYYY-MM-DD HH:mm:ss',
+  perCategory: false
+};
+
 /**
  * Excel报告生成器类
  */
 export class ExcelReporter {
   constructor() {
     this.logger = new Logger();
+    this.configLoader = new ConfigLoader();
+    this.config = null;
     this.workbook = null;
+    this.pendingCharts = [];
+    this.configPromise = this.loadConfig();
+  }
+
+  /**
+   * 加载分类配置（CSV设置）
+   */
+  async loadConfig() {
+    try {
+      this.config = await this.configLoader.load('classification.json');
+      return this.config;
+    } catch (error) {
+      await this.logger.logError('加载报告配置失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 确保配置已加载
+   */
+  async ensureConfigLoaded() {
+    if (!this.config) {
+      await this.configPromise;
+    }
   }
 
   /**
@@ -40,12 +152,17 @@ export class ExcelReporter {
       this.workbook.lastModifiedBy = 'FileAutoArrange';
       this.workbook.created = new Date();
       this.workbook.modified = new Date();
+      this.pendingCharts = [];
 
       // 生成各个工作表
       await this.createSummarySheet(classificationResult, options);
+      await this.createChartsSheet(classificationResult);
       await this.createCategoryDetailSheets(classificationResult);
       await this.createStatisticsSheet(classificationResult);
       await this.createAllFilesSheet(classificationResult);
+      if (classificationResult.archives) {
+        await this.createArchiveSheets(classificationResult.archives);
+      }
 
       // 保存报告
       const reportPath = await this.saveReport(options);
@@ -104,6 +221,7 @@ export class ExcelReporter {
       ['总文件数', classificationResult.totalFiles, '扫描到的文件总数'],
       ['总文件大小', this.formatFileSize(classificationResult.totalSize), '所有文件的总大小'],
       ['分类数量', Object.keys(classificationResult.summary).length, '使用的分类数量'],
+      ['类型不符文件', classificationResult.statistics.typeMismatches?.length || 0, '扩展名与文件内容不一致的文件数'],
       ['', '', ''], // 空行
     ];
 
@@ -158,6 +276,10 @@ export class ExcelReporter {
       if (files.length === 0) continue;
 
       const worksheet = this.workbook.addWorksheet(`${category}详情`);
+
+      // 该分类中提取到的元数据字段
+      const metadataColumns = Object.entries(METADATA_COLUMNS)
+        .filter(([, column]) => files.some(file => file.metadata && column.value(file.metadata) != null));
       
       // 设置列定义
       worksheet.columns = [
@@ -167,7 +289,14 @@ export class ExcelReporter {
         { header: '扩展名', key: 'extension', width: 12 },
         { header: '创建时间', key: 'createdTime', width: 20 },
         { header: '修改时间', key: 'modifiedTime', width: 20 },
-        { header: '相对时间', key: 'relativeAge', width: 15 }
+        { header: '相对时间', key: 'relativeAge', width: 15 },
+        { header: '分类依据', key: 'matchedRule', width: 40 },
+        ...metadataColumns.map(([key, column]) => ({
+          header: column.header,
+          key,
+          width: column.width,
+          style: column.numFmt ? { numFmt: column.numFmt } : undefined
+        }))
       ];
 
       // 设置表头样式
@@ -188,17 +317,20 @@ export class ExcelReporter {
           extension: file.extension || '',
           createdTime: new Date(file.createdTime).toLocaleString('zh-CN'),
           modifiedTime: new Date(file.modifiedTime).toLocaleString('zh-CN'),
-          relativeAge: file.relativeAge || ''
+          relativeAge: file.relativeAge || '',
+          matchedRule: file.matchedRule?.description || '',
+          ...Object.fromEntries(metadataColumns.map(([key, column]) => [key, file.metadata ? column.value(file.metadata) ?? null : null]))
         });
       });
 
       // 应用边框和格式
-      this.applyBorders(worksheet, 1, files.length + 1, 7);
+      const columnCount = worksheet.columns.length;
+      this.applyBorders(worksheet, 1, files.length + 1, columnCount);
       
       // 添加筛选器
       worksheet.autoFilter = {
         from: 'A1',
-        to: `G${files.length + 1}`
+        to: `${worksheet.getColumn(columnCount).letter}${files.length + 1}`
       };
     }
   }
@@ -322,6 +454,26 @@ export class ExcelReporter {
       });
     }
 
+    // 扩展名与内容不符的文件
+    const typeMismatches = classificationResult.statistics.typeMismatches || [];
+    if (typeMismatches.length > 0) {
+      worksheet.addRow({ category: '', details: '', count: '' }); // 空行
+      rowIndex++;
+
+      worksheet.addRow({ category: '类型不符文件', details: '', count: '' });
+      worksheet.getRow(rowIndex).font = { bold: true, color: { argb: 'FFC00000' } };
+      rowIndex++;
+
+      typeMismatches.forEach(file => {
+        worksheet.addRow({
+          category: `  ${file.name}`,
+          details: file.path,
+          count: `${file.extension || '无扩展名'} → ${file.detectedMimeType}`
+        });
+        rowIndex++;
+      });
+    }
+
     // 应用边框
     this.applyBorders(worksheet, 1, rowIndex - 1, 3);
   }
@@ -342,6 +494,10 @@ export class ExcelReporter {
       { header: '大小分类', key: 'sizeCategory', width: 12 },
       { header: '扩展名', key: 'extension', width: 12 },
       { header: 'MIME类型', key: 'mimeType', width: 30 },
+      { header: '检测类型', key: 'detectedMimeType', width: 30 },
+      { header: '类型不符', key: 'typeMismatch', width: 10 },
+      { header: '分类依据', key: 'matchedRule', width: 40 },
+      { header: '标签', key: 'tags', width: 20 },
       { header: '创建时间', key: 'createdTime', width: 20 },
       { header: '修改时间', key: 'modifiedTime', width: 20 },
       { header: '相对时间', key: 'relativeAge', width: 15 }
@@ -369,7 +525,7 @@ export class ExcelReporter {
 
     // 添加文件数据
     allFiles.forEach(file => {
-      worksheet.addRow({
+      const row = worksheet.addRow({
         name: file.name,
         category: file.category,
         path: file.path,
@@ -377,19 +533,28 @@ export class ExcelReporter {
         sizeCategory: file.sizeCategory || '',
         extension: file.extension || '',
         mimeType: file.mimeType || '',
+        detectedMimeType: file.detectedMimeType || '',
+        typeMismatch: file.typeMismatch ? '⚠️ 是' : '',
+        matchedRule: file.matchedRule?.description || '',
+        tags: (file.tags || []).join(', '),
         createdTime: new Date(file.createdTime).toLocaleString('zh-CN'),
         modifiedTime: new Date(file.modifiedTime).toLocaleString('zh-CN'),
         relativeAge: file.relativeAge || ''
       });
+
+      // 标出扩展名与内容不符的文件
+      if (file.typeMismatch) {
+        row.font = { color: { argb: 'FFC00000' } };
+      }
     });
 
     // 应用边框
-    this.applyBorders(worksheet, 1, allFiles.length + 1, 10);
+    this.applyBorders(worksheet, 1, allFiles.length + 1, 14);
     
     // 添加筛选器
     worksheet.autoFilter = {
       from: 'A1',
-      to: `J${allFiles.length + 1}`
+      to: `N${allFiles.length + 1}`
     };
 
     // 冻结首行
@@ -398,12 +563,211 @@ export class ExcelReporter {
     ];
   }
 
+  /**
+   * 创建压缩包工作表：每个压缩包的内容构成和解压状态，以及压缩包中的文件清单
+   * @param {Object} archives - ArchiveInspector.inspectArchives() 的结果
+   */
+  async createArchiveSheets(archives) {
+    const headerStyle = {
+      font: { bold: true, color: { argb: 'FFFFFFFF' } },
+      fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } }
+    };
+
+    const worksheet = this.workbook.addWorksheet('压缩包内容');
+    worksheet.columns = [
+      { header: '压缩包', key: 'name', width: 35 },
+      { header: '路径', key: 'path', width: 60 },
+      { header: '格式', key: 'format', width: 10 },
+      { header: '大小', key: 'size', width: 15 },
+      { header: '文件数', key: 'fileCount', width: 10 },
+      { header: '解压后大小', key: 'uncompressedSize', width: 15 },
+      { header: '内容构成', key: 'categories', width: 50 },
+      { header: '已解压到', key: 'extractedTo', width: 50 },
+      { header: '状态', key: 'status', width: 30 }
+    ];
+    worksheet.getRow(1).font = headerStyle.font;
+    worksheet.getRow(1).fill = headerStyle.fill;
+
+    for (const file of archives.files) {
+      const { archive } = file;
+      const categories = Object.entries(archive.categories)
+        .sort(([, a], [, b]) => b.count - a.count)
+        .map(([category, stats]) => `${category} ${stats.count} 个 (${this.formatFileSize(stats.size)})`)
+        .join('；');
+
+      let status = '未解压';
+      if (archive.error) {
+        status = `读取失败: ${archive.error}`;
+      } else if (archive.extracted?.complete) {
+        status = '已解压，可清理';
+      } else if (archive.extracted) {
+        status = `部分解压 (${archive.extracted.matchedFiles}/${archive.extracted.totalFiles})`;
+      }
+
+      const row = worksheet.addRow({
+        name: file.name,
+        path: file.path,
+        format: archive.format,
+        size: this.formatFileSize(file.size || 0),
+        fileCount: archive.fileCount,
+        uncompressedSize: this.formatFileSize(archive.uncompressedSize),
+        categories: archive.truncated ? `${categories}（仅统计前 ${archive.entries.length} 个文件）` : categories,
+        extractedTo: archive.extracted?.directory || '',
+        status
+      });
+
+      if (archive.error) {
+        row.font = { color: { argb: 'FFC00000' } };
+      } else if (archive.extracted?.complete) {
+        row.getCell('status').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFEB9C' } };
+      }
+    }
+
+    this.applyBorders(worksheet, 1, archives.files.length + 1, 9);
+    worksheet.autoFilter = { from: 'A1', to: `I${archives.files.length + 1}` };
+    worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+    const entriesSheet = this.workbook.addWorksheet('压缩包文件');
+    entriesSheet.columns = [
+      { header: '压缩包', key: 'archive', width: 35 },
+      { header: '文件路径', key: 'path', width: 60 },
+      { header: '分类', key: 'category', width: 15 },
+      { header: '大小', key: 'size', width: 15 },
+      { header: '修改时间', key: 'modifiedTime', width: 20 },
+      { header: '分类依据', key: 'matchedRule', width: 40 }
+    ];
+    entriesSheet.getRow(1).font = headerStyle.font;
+    entriesSheet.getRow(1).fill = headerStyle.fill;
+
+    let rowCount = 1;
+    for (const file of archives.files) {
+      for (const entry of file.archive.entries) {
+        entriesSheet.addRow({
+          archive: file.name,
+          path: entry.path,
+          category: entry.category,
+          size: this.formatFileSize(entry.size || 0),
+          modifiedTime: entry.modifiedTime ? new Date(entry.modifiedTime).toLocaleString('zh-CN') : '',
+          matchedRule: entry.matchedRule?.description || ''
+        });
+        rowCount++;
+      }
+    }
+
+    this.applyBorders(entriesSheet, 1, rowCount, 6);
+    entriesSheet.autoFilter = { from: 'A1', to: `F${rowCount}` };
+    entriesSheet.views = [{ state: 'frozen', ySplit: 1 }];
+  }
+
+  /**
+   * 生成快照对比报告
+   * @param {Object} diff - SnapshotStore.diff() 的结果
+   * @param {Object} options - 报告选项
+   * @returns {string} 报告文件路径
+   */
+  async generateDiffReport(diff, options = {}) {
+    try {
+      await this.logger.logTaskStart('快照对比Excel报告生成', { before: diff.before.id, after: diff.after.id });
+
+      this.workbook = new ExcelJS.Workbook();
+      this.workbook.creator = 'FileAutoArrange';
+      this.workbook.lastModifiedBy = 'FileAutoArrange';
+      this.workbook.created = new Date();
+      this.workbook.modified = new Date();
+      this.pendingCharts = [];
+
+      await this.createSnapshotDiffSheet(diff);
+
+      const reportPath = await this.saveReport(options, `快照对比_${diff.before.id}_${diff.after.id}`);
+
+      await this.logger.logTaskComplete('快照对比Excel报告生成', { reportPath });
+      return reportPath;
+    } catch (error) {
+      await this.logger.logTaskError('快照对比Excel报告生成', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 创建快照对比工作表，每行一个变化
+   * @param {Object} diff - SnapshotStore.diff() 的结果
+   */
+  async createSnapshotDiffSheet(diff) {
+    const worksheet = this.workbook.addWorksheet('快照对比');
+
+    worksheet.columns = [
+      { header: '变化', key: 'change', width: 12 },
+      { header: '文件名', key: 'name', width: 35 },
+      { header: '原路径', key: 'beforePath', width: 60 },
+      { header: '新路径', key: 'afterPath', width: 60 },
+      { header: '原分类', key: 'beforeCategory', width: 12 },
+      { header: '新分类', key: 'afterCategory', width: 12 },
+      { header: '原大小', key: 'beforeSize', width: 12 },
+      { header: '新大小', key: 'afterSize', width: 12 },
+      { header: '原修改时间', key: 'beforeModified', width: 20 },
+      { header: '新修改时间', key: 'afterModified', width: 20 }
+    ];
+
+    const headerRow = worksheet.getRow(1);
+    headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    headerRow.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: 'FF4472C4' }
+    };
+
+    const changeColors = {
+      新增: 'FFE2EFDA',
+      删除: 'FFFCE4D6',
+      修改: 'FFFFF2CC',
+      移动: 'FFDDEBF7',
+      重命名: 'FFDDEBF7',
+      重新分类: 'FFEDE2F6'
+    };
+
+    const rows = [
+      ...diff.added.map(file => ['新增', null, file]),
+      ...diff.removed.map(file => ['删除', file, null]),
+      ...diff.modified.map(item => ['修改', item.before, item.after]),
+      ...diff.moved.map(item => [item.renamed ? '重命名' : '移动', item.before, item.after]),
+      ...diff.recategorized.map(item => ['重新分类', item.before, item.after])
+    ];
+
+    for (const [change, before, after] of rows) {
+      const row = worksheet.addRow({
+        change,
+        name: (after || before).name,
+        beforePath: before?.path || '',
+        afterPath: after?.path || '',
+        beforeCategory: before?.category || '',
+        afterCategory: after?.category || '',
+        beforeSize: before ? this.formatFileSize(before.size || 0) : '',
+        afterSize: after ? this.formatFileSize(after.size || 0) : '',
+        beforeModified: before ? new Date(before.modifiedTime).toLocaleString('zh-CN') : '',
+        afterModified: after ? new Date(after.modifiedTime).toLocaleString('zh-CN') : ''
+      });
+      row.getCell('change').fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: changeColors[change] } };
+    }
+
+    this.applyBorders(worksheet, 1, rows.length + 1, 10);
+
+    worksheet.autoFilter = {
+      from: 'A1',
+      to: `J${rows.length + 1}`
+    };
+
+    worksheet.views = [
+      { state: 'frozen', ySplit: 1 }
+    ];
+  }
+
   /**
    * 保存Excel报告
    * @param {Object} options - 保存选项
+   * @param {string} baseName - 文件名前缀
    * @returns {string} 保存路径
    */
-  async saveReport(options) {
+  async saveReport(options, baseName = '文件整理报告') {
     try {
       // 确保输出目录存在
       const outputDir = options.output || path.join(__dirname, '../output/reports');
@@ -411,12 +775,17 @@ export class ExcelReporter {
 
       // 生成文件名
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-').split('T')[0];
-      const filename = `文件整理报告_${timestamp}_${Date.now()}.xlsx`;
+      const filename = `${baseName}_${timestamp}_${Date.now()}.xlsx`;
       const reportPath = path.join(outputDir, filename);
 
       // 保存文件
       await this.workbook.xlsx.writeFile(reportPath);
 
+      // ExcelJS 不支持图表，保存后再写入图表部件
+      if (this.pendingCharts.length > 0) {
+        await new ExcelChartWriter().addCharts(reportPath, CHARTS_SHEET_NAME, this.pendingCharts);
+      }
+
       return reportPath;
     } catch (error) {
       await this.logger.logError('保存Excel报告失败', error);
@@ -467,80 +836,266 @@ export class ExcelReporter {
   }
 
   /**
-   * 创建图表工作表
+   * 创建图表工作表：写入图表数据，并登记分类饼图、分类大小柱形图和每日文件数折线图，
+   * 图表在 saveReport() 保存工作簿后由 ExcelChartWriter 写入
    * @param {Object} classificationResult - 分类结果
    */
   async createChartsSheet(classificationResult) {
-    const worksheet = this.workbook.addWorksheet('图表分析');
-    
-    // 准备图表数据
-    const chartData = [];
-    for (const [category, summary] of Object.entries(classificationResult.summary)) {
-      chartData.push({
-        category: category,
-        count: summary.count,
-        percentage: parseFloat(summary.percentage)
-      });
-    }
+    const worksheet = this.workbook.addWorksheet(CHARTS_SHEET_NAME);
+    const categories = Object.entries(classificationResult.summary).filter(([, summary]) => summary.count > 0);
+
+    // 总大小选用适合最大分类的单位，避免柱形图数值全为0
+    const maxSize = Math.max(0, ...categories.map(([, summary]) => summary.totalSize));
+    const units = ['B', 'KB', 'MB', 'GB'];
+    const unitIndex = maxSize > 0 ? Math.min(Math.floor(Math.log(maxSize) / Math.log(1024)), units.length - 1) : 0;
+    const sizeUnit = units[unitIndex];
+
+    const days = this.getFilesPerDay(classificationResult);
 
-    // 添加数据表格
     worksheet.columns = [
       { header: '分类', key: 'category', width: 20 },
-      { header: '文件数量', key: 'count', width: 15 },
-      { header: '百分比', key: 'percentage', width: 15 }
+      { header: '文件数量', key: 'count', width: 12 },
+      { header: '百分比', key: 'percentage', width: 10 },
+      { header: `总大小(${sizeUnit})`, key: 'size', width: 14 },
+      { header: '', key: 'spacer', width: 3 },
+      { header: '日期', key: 'day', width: 14 },
+      { header: '文件数量', key: 'dayCount', width: 12 }
     ];
 
-    chartData.forEach(data => {
-      worksheet.addRow(data);
+    const headerStyle = {
+      font: { bold: true, color: { argb: 'FFFFFFFF' } },
+      fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4472C4' } }
+    };
+    for (const column of [1, 2, 3, 4, 6, 7]) {
+      worksheet.getRow(1).getCell(column).style = headerStyle;
+    }
+
+    categories.forEach(([category, summary], index) => {
+      const row = worksheet.getRow(index + 2);
+      row.getCell(1).value = category;
+      row.getCell(2).value = summary.count;
+      row.getCell(3).value = parseFloat(summary.percentage) / 100;
+      row.getCell(3).numFmt = '0.00%';
+      row.getCell(4).value = Math.round((summary.totalSize / 1024 ** unitIndex) * 100) / 100;
+    });
+    days.forEach(({ day, count }, index) => {
+      const row = worksheet.getRow(index + 2);
+      row.getCell(6).value = day;
+      row.getCell(7).value = count;
     });
 
-    // 注意：ExcelJS不直接支持图表创建，这里只提供数据
-    // 实际应用中可以考虑使用其他库或手动在Excel中创建图表
+    this.applyBorders(worksheet, 1, categories.length + 1, 4);
+
+    const categoryNames = categories.map(([category]) => category);
+    const categoryColors = categories.map(([, summary]) => summary.color || '#B2B2B2');
+    const lastCategoryRow = categories.length + 1;
+
+    if (categories.length > 0) {
+      this.pendingCharts.push({
+        type: 'pie',
+        title: '文件分类占比',
+        seriesName: '文件数量',
+        categories: { ref: `$A$2:$A$${lastCategoryRow}`, values: categoryNames },
+        values: { ref: `$B$2:$B$${lastCategoryRow}`, values: categories.map(([, summary]) => summary.count) },
+        colors: categoryColors,
+        from: { col: 8, row: 0 },
+        to: { col: 16, row: 18 }
+      }, {
+        type: 'bar',
+        title: '各分类文件大小',
+        seriesName: `总大小(${sizeUnit})`,
+        valueAxisTitle: sizeUnit,
+        categories: { ref: `$A$2:$A$${lastCategoryRow}`, values: categoryNames },
+        values: { ref: `$D$2:$D$${lastCategoryRow}`, values: categories.map((_, index) => worksheet.getCell(index + 2, 4).value) },
+        colors: categoryColors,
+        from: { col: 8, row: 19 },
+        to: { col: 16, row: 37 }
+      });
+    }
+
+    if (days.length > 0) {
+      this.pendingCharts.push({
+        type: 'line',
+        title: `每日文件数（按修改时间，最近${CHART_MAX_DAYS}天内）`,
+        seriesName: '文件数量',
+        valueAxisTitle: '文件数量',
+        categories: { ref: `$F$2:$F$${days.length + 1}`, values: days.map(item => item.day) },
+        values: { ref: `$G$2:$G$${days.length + 1}`, values: days.map(item => item.count) },
+        from: { col: 8, row: 38 },
+        to: { col: 20, row: 58 }
+      });
+    }
   }
 
   /**
-   * 生成简化的CSV报告
+   * 按修改日期统计文件数量，补齐没有文件的日期，最多保留最近 CHART_MAX_DAYS 天
    * @param {Object} classificationResult - 分类结果
-   * @param {string} outputPath - 输出路径
+   * @returns {Array} [{ day: 'YYYY-MM-DD', count }]
    */
-  async generateCSVReport(classificationResult, outputPath) {
+  getFilesPerDay(classificationResult) {
+    const counts = new Map();
+    for (const files of Object.values(classificationResult.categories)) {
+      for (const file of files) {
+        const date = new Date(file.modifiedTime);
+        if (isNaN(date.getTime())) continue;
+        const day = this.toDayKey(date);
+        counts.set(day, (counts.get(day) || 0) + 1);
+      }
+    }
+    if (counts.size === 0) return [];
+
+    const sortedDays = [...counts.keys()].sort();
+    const last = new Date(`${sortedDays[sortedDays.length - 1]}T00:00:00`);
+    const current = new Date(`${sortedDays[0]}T00:00:00`);
+    const earliest = new Date(last);
+    earliest.setDate(earliest.getDate() - (CHART_MAX_DAYS - 1));
+    if (current < earliest) {
+      current.setTime(earliest.getTime());
+    }
+
+    const days = [];
+    while (current <= last) {
+      const day = this.toDayKey(current);
+      days.push({ day, count: counts.get(day) || 0 });
+      current.setDate(current.getDate() + 1);
+    }
+    return days;
+  }
+
+  /**
+   * 转换为本地日期 YYYY-MM-DD
+   * @param {Date} date - 日期
+   * @returns {string} 日期
+   */
+  toDayKey(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * 获取CSV设置（命令行选项优先于配置文件）
+   * @param {Object} options - 命令行选项
+   * @returns {Object} CSV设置
+   */
+  getCsvSettings(options = {}) {
+    const settings = {
+      ...DEFAULT_CSV_SETTINGS,
+      ...(this.config?.csvSettings || {})
+    };
+
+    if (options.csvColumns) settings.columns = options.csvColumns.split(',').map(column => column.trim()).filter(Boolean);
+    if (options.csvDelimiter) settings.delimiter = options.csvDelimiter;
+    if (options.csvEncoding) settings.encoding = options.csvEncoding;
+    if (options.dateFormat) settings.dateFormat = options.dateFormat;
+    if (options.csvPerCategory) settings.perCategory = true;
+
+    // 命令行中不便输入制表符，允许使用 tab 或 \t
+    if (settings.delimiter === 'tab' || settings.delimiter === '\\t') settings.delimiter = '\t';
+
+    const unknownColumns = settings.columns.filter(column => !CSV_COLUMNS[column]);
+    if (unknownColumns.length > 0) {
+      throw new Error(`不支持的CSV列: ${unknownColumns.join(', ')}（可选: ${Object.keys(CSV_COLUMNS).join(', ')}）`);
+    }
+    if (settings.columns.length === 0) {
+      throw new Error('CSV至少需要一列');
+    }
+    if (!CSV_ENCODINGS.includes(settings.encoding)) {
+      throw new Error(`不支持的CSV编码: ${settings.encoding}（可选: ${CSV_ENCODINGS.join(', ')}）`);
+    }
+    if (!settings.delimiter || /["\r\n]/.test(settings.delimiter)) {
+      throw new Error(`无效的CSV分隔符: ${JSON.stringify(settings.delimiter)}`);
+    }
+
+    return settings;
+  }
+
+  /**
+   * 生成CSV报告
+   * @param {Object} classificationResult - 分类结果
+   * @param {Object} options - 选项（output 输出目录，以及 getCsvSettings() 支持的命令行选项）
+   * @returns {Array} 生成的CSV文件路径（按分类拆分时每个分类一个文件）
+   */
+  async generateCSVReport(classificationResult, options = {}) {
     try {
-      const csvData = [];
-      
-      // CSV表头
-      csvData.push([
-        '文件名', '分类', '路径', '大小(字节)', '扩展名', 
-        '创建时间', '修改时间', 'MIME类型'
-      ]);
+      await this.ensureConfigLoaded();
+      const settings = this.getCsvSettings(options);
+      await this.logger.logTaskStart('CSV报告生成', settings);
 
-      // 添加文件数据
-      for (const [category, files] of Object.entries(classificationResult.categories)) {
-        files.forEach(file => {
-          csvData.push([
-            file.name,
-            category,
-            file.path,
-            file.size || 0,
-            file.extension || '',
-            file.createdTime,
-            file.modifiedTime,
-            file.mimeType || ''
-          ]);
+      const outputDir = options.output || path.join(__dirname, '../output/reports');
+      await fs.ensureDir(outputDir);
+      const timestamp = new Date().toISOString().split('T')[0];
+      const baseName = `文件清单_${timestamp}_${Date.now()}`;
+
+      const outputs = [];
+      if (settings.perCategory) {
+        for (const [category, files] of Object.entries(classificationResult.categories)) {
+          if (files.length === 0) continue;
+          outputs.push({
+            filePath: path.join(outputDir, `${baseName}_${category.replace(/[\\/:*?"<>|]/g, '_')}.csv`),
+            entries: files.map(file => [file, category])
+          });
+        }
+      } else {
+        outputs.push({
+          filePath: path.join(outputDir, `${baseName}.csv`),
+          entries: Object.entries(classificationResult.categories)
+            .flatMap(([category, files]) => files.map(file => [file, category]))
         });
       }
 
-      // 转换为CSV格式
-      const csvContent = csvData.map(row => 
-        row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(',')
-      ).join('\n');
-
-      // 保存CSV文件
-      await fs.writeFile(outputPath, '\uFEFF' + csvContent, 'utf8'); // 添加BOM以支持中文
+      for (const { filePath, entries } of outputs) {
+        const rows = [settings.columns.map(column => CSV_COLUMNS[column].header)];
+        for (const [file, category] of entries) {
+          rows.push(settings.columns.map(column => CSV_COLUMNS[column].value(file, category, this, settings)));
+        }
+        await fs.writeFile(filePath, this.encodeCsv(this.toCsv(rows, settings.delimiter), settings.encoding));
+      }
 
-      await this.logger.logInfo(`CSV报告已生成: ${outputPath}`);
+      const reportPaths = outputs.map(output => output.filePath);
+      await this.logger.logTaskComplete('CSV报告生成', { reportPaths, fileCount: classificationResult.totalFiles });
+      return reportPaths;
     } catch (error) {
-      await this.logger.logError('生成CSV报告失败', error);
+      await this.logger.logTaskError('CSV报告生成', error);
       throw error;
     }
   }
+
+  /**
+   * 转换为CSV文本（所有字段加引号，行尾使用 CRLF）
+   * @param {Array} rows - 行数据
+   * @param {string} delimiter - 分隔符
+   * @returns {string} CSV文本
+   */
+  toCsv(rows, delimiter) {
+    return rows.map(row =>
+      row.map(cell => `"${String(cell ?? '').replace(/"/g, '""')}"`).join(delimiter)
+    ).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * 按设置的编码转换CSV文本
+   * @param {string} content - CSV文本
+   * @param {string} encoding - utf8 | utf8-bom | gbk
+   * @returns {Buffer} 文件内容
+   */
+  encodeCsv(content, encoding) {
+    if (encoding === 'gbk') {
+      // GBK无法表示的字符会被替换为问号
+      return iconv.encode(content, 'gbk');
+    }
+    return Buffer.from((encoding === 'utf8-bom' ? '\uFEFF' : '') + content, 'utf8');
+  }
+
+  /**
+   * 按设置的日期格式格式化时间
+   * @param {Date|string} time - 时间
+   * @param {Object} settings - CSV设置（dateFormat 为 moment 格式，iso 表示 ISO 8601）
+   * @returns {string} 格式化后的时间，无效时为空字符串
+   */
+  formatCsvDate(time, settings) {
+    if (!time) return '';
+    const date = moment(new Date(time));
+    if (!date.isValid()) return '';
+    return settings.dateFormat === 'iso' ? date.toISOString() : date.format(settings.dateFormat);
+  }
 } 
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * 排除规则模块
+ * 按 .gitignore 语义判断扫描时应跳过的文件和目录：支持通配符、**、以 ! 开头的取反规则、
+ * 以 / 结尾的仅匹配目录的规则，以及各目录下的 .arrangeignore 文件
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import ignore from 'ignore';
+
+/**
+ * 每个目录下可选的排除规则文件名，规则相对该目录，作用于该目录及其子目录
+ */
+export const IGNORE_FILE_NAME = '.arrangeignore';
+
+/**
+ * 排除规则匹配器类
+ * 规则按以下顺序生效，后面的规则可以覆盖前面的规则（包括用 ! 重新包含）：
+ * 配置 excludePaths 中的模式 → 从扫描路径到当前目录逐层的 .arrangeignore → 命令行 --exclude
+ * 与 .gitignore 相同，已被排除的目录不会再进入，其中的文件无法被重新包含
+ */
+export class ExcludeMatcher {
+  /**
+   * @param {Object} options - 选项
+   * @param {Array} options.excludePaths - 配置中的排除项：绝对路径（展开 ~ 和环境变量后）排除该路径及其下所有内容，
+   *   其他条目按 .gitignore 模式相对每个扫描路径匹配
+   * @param {Array} options.exclude - 命令行排除模式，相对扫描路径匹配
+   * @param {Array} options.include - 命令行包含模式，指定后只保留匹配的文件
+   * @param {Function} options.expandPath - 展开路径中的 ~ 和环境变量
+   */
+  constructor({ excludePaths = [], exclude = [], include = [], expandPath = value => value } = {}) {
+    this.absolutePaths = [];
+    const patterns = [];
+
+    for (const entry of excludePaths) {
+      const expanded = expandPath(entry);
+      if (path.isAbsolute(expanded)) {
+        this.absolutePaths.push(path.resolve(expanded).toLowerCase());
+      } else {
+        patterns.push(expanded);
+      }
+    }
+
+    this.configRules = ignore().add(patterns);
+    this.cliRules = ignore().add(exclude);
+    this.includeRules = include.length > 0 ? ignore().add(include) : null;
+  }
+
+  /**
+   * 创建扫描路径的匹配范围
+   * @param {string} root - 扫描路径
+   * @returns {Object} 匹配范围 { root, layers }
+   */
+  createScope(root) {
+    const resolvedRoot = path.resolve(root);
+    return { root: resolvedRoot, layers: [{ base: resolvedRoot, rules: this.configRules }] };
+  }
+
+  /**
+   * 进入目录：目录中有 .arrangeignore 时返回加入其规则的新范围，否则返回原范围
+   * @param {Object} scope - 上级目录的匹配范围
+   * @param {string} directoryPath - 目录路径
+   * @returns {Object} 该目录内容使用的匹配范围
+   */
+  async enterDirectory(scope, directoryPath) {
+    let content;
+    try {
+      content = await fs.readFile(path.join(directoryPath, IGNORE_FILE_NAME), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        return scope;
+      }
+      throw error;
+    }
+
+    return {
+      root: scope.root,
+      layers: [...scope.layers, { base: path.resolve(directoryPath), rules: ignore().add(content) }]
+    };
+  }
+
+  /**
+   * 判断文件或目录是否被排除
+   * @param {string} targetPath - 文件或目录路径
+   * @param {boolean} isDirectory - 是否为目录（以 / 结尾的模式只匹配目录）
+   * @param {Object} scope - 所在目录的匹配范围
+   * @returns {boolean} 是否排除
+   */
+  isExcluded(targetPath, isDirectory, scope) {
+    const resolvedPath = path.resolve(targetPath);
+    if (this.isUnderAbsolutePath(resolvedPath)) {
+      return true;
+    }
+
+    let excluded = false;
+    for (const layer of [...scope.layers, { base: scope.root, rules: this.cliRules }]) {
+      const relativePath = this.toRelativePath(layer.base, resolvedPath);
+      if (relativePath === null) continue;
+
+      const result = layer.rules.test(isDirectory ? `${relativePath}/` : relativePath);
+      if (result.ignored) {
+        excluded = true;
+      } else if (result.unignored) {
+        excluded = false;
+      }
+    }
+
+    return excluded;
+  }
+
+  /**
+   * 判断文件是否符合命令行包含模式（未指定包含模式时总是符合）
+   * @param {string} filePath - 文件路径
+   * @param {Object} scope - 所在目录的匹配范围
+   * @returns {boolean} 是否包含
+   */
+  isIncluded(filePath, scope) {
+    if (!this.includeRules) {
+      return true;
+    }
+
+    const relativePath = this.toRelativePath(scope.root, path.resolve(filePath));
+    return relativePath !== null && this.includeRules.ignores(relativePath);
+  }
+
+  /**
+   * 判断路径是否为配置中的绝对排除路径或位于其下（不区分大小写）
+   * @param {string} resolvedPath - 绝对路径
+   * @returns {boolean} 是否排除
+   */
+  isUnderAbsolutePath(resolvedPath) {
+    const lowerPath = resolvedPath.toLowerCase();
+    return this.absolutePaths.some(excludePath => lowerPath === excludePath ||
+      lowerPath.startsWith(excludePath.endsWith(path.sep) ? excludePath : excludePath + path.sep));
+  }
+
+  /**
+   * 转换为以 / 分隔的相对路径，路径不在基准目录下时返回null
+   * @param {string} base - 基准目录
+   * @param {string} targetPath - 绝对路径
+   * @returns {string|null} 相对路径
+   */
+  toRelativePath(base, targetPath) {
+    const relativePath = path.relative(base, targetPath);
+    if (!relativePath || relativePath === '..' || relativePath.startsWith(`..${path.sep}`) || path.isAbsolute(relativePath)) {
+      return null;
+    }
+    return relativePath.split(path.sep).join('/');
+  }
+}
@@ -0,0 +1,721 @@
+/**
+ * 文件整理模块
+ * 负责根据分类结果将文件移动到对应的分类目录中
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { Logger } from './logger.js';
+import { ConfigLoader } from './configLoader.js';
+import { FileHasher } from './fileHasher.js';
+import { OperationJournal } from './operationJournal.js';
+
+/**
+ * 默认整理设置（配置文件中缺省时使用）
+ */
+const DEFAULT_ARRANGE_SETTINGS = {
+  destination: './output/arranged',
+  pathTemplate: '{category}/{YYYY}-{MM}',
+  conflictStrategy: 'rename',
+  dateSource: 'modifiedTime'
+};
+
+const CONFLICT_STRATEGIES = ['rename', 'skip', 'overwrite'];
+
+const PLAN_VERSION = 1;
+const PLAN_ACTIONS = ['move', 'rename', 'delete', 'hardlink'];
+
+/**
+ * 文件整理器类
+ */
+export class FileArranger {
+  constructor(mcpClient) {
+    this.mcpClient = mcpClient;
+    this.logger = new Logger();
+    this.hasher = new FileHasher();
+    this.journal = new OperationJournal();
+    this.configLoader = new ConfigLoader();
+    this.config = null;
+    this.configPromise = this.loadConfig();
+  }
+
+  /**
+   * 加载分类配置
+   */
+  async loadConfig() {
+    try {
+      this.config = await this.configLoader.load('classification.json');
+      await this.logger.logDebug('整理配置加载成功');
+      return this.config;
+    } catch (error) {
+      await this.logger.logError('加载整理配置失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 确保配置已加载
+   */
+  async ensureConfigLoaded() {
+    if (!this.config) {
+      await this.configPromise;
+    }
+  }
+
+  /**
+   * 获取整理设置（命令行选项优先于配置文件）
+   * @param {Object} options - 命令行选项
+   * @returns {Object} 整理设置
+   */
+  getArrangeSettings(options = {}) {
+    const settings = {
+      ...DEFAULT_ARRANGE_SETTINGS,
+      ...(this.config?.arrangeSettings || {})
+    };
+
+    if (options.target) settings.destination = options.target;
+    if (options.template) settings.pathTemplate = options.template;
+    if (options.conflict) settings.conflictStrategy = options.conflict;
+
+    if (!CONFLICT_STRATEGIES.includes(settings.conflictStrategy)) {
+      throw new Error(`不支持的冲突处理策略: ${settings.conflictStrategy}（可选: ${CONFLICT_STRATEGIES.join(', ')}）`);
+    }
+
+    settings.destination = path.resolve(this.configLoader.expandPath(settings.destination));
+    return settings;
+  }
+
+  /**
+   * 根据分类结果整理文件（生成计划后立即执行）
+   * @param {Object} classificationResult - FileClassifier.classifyFiles() 的结果
+   * @param {Object} options - 整理选项
+   * @returns {Object} 整理结果
+   */
+  async arrangeFiles(classificationResult, options = {}) {
+    const plan = await this.createPlan(classificationResult, options);
+    return this.applyPlan(plan);
+  }
+
+  /**
+   * 生成整理计划，记录每个操作及源文件在计划时的状态
+   * @param {Object} classificationResult - 分类结果
+   * @param {Object} options - 整理选项
+   * @returns {Object} 整理计划
+   */
+  async createPlan(classificationResult, options = {}) {
+    try {
+      await this.ensureConfigLoaded();
+
+      const settings = this.getArrangeSettings(options);
+      await this.logger.logTaskStart('生成整理计划', {
+        destination: settings.destination,
+        pathTemplate: settings.pathTemplate,
+        conflictStrategy: settings.conflictStrategy
+      });
+
+      const operations = await this.planOperations(classificationResult, settings);
+      const plan = {
+        version: PLAN_VERSION,
+        createdAt: new Date().toISOString(),
+        destination: settings.destination,
+        settings: {
+          pathTemplate: settings.pathTemplate,
+          conflictStrategy: settings.conflictStrategy,
+          dateSource: settings.dateSource
+        },
+        entries: [],
+        skipped: []
+      };
+
+      for (const operation of operations) {
+        if (operation.skipReason) {
+          plan.skipped.push(operation);
+          continue;
+        }
+
+        // 记录计划时的文件状态，执行前据此判断文件是否被改动
+        try {
+          const fileInfo = await this.mcpClient.getFileInfo(operation.source);
+          operation.expected = {
+            size: fileInfo.size,
+            modifiedTime: new Date(fileInfo.modifiedTime).toISOString()
+          };
+          plan.entries.push({ id: plan.entries.length + 1, ...operation });
+        } catch (error) {
+          plan.skipped.push({ ...operation, skipReason: `无法读取文件信息: ${error.message}` });
+        }
+      }
+
+      await this.logger.logTaskComplete('生成整理计划', {
+        entries: plan.entries.length,
+        skipped: plan.skipped.length
+      });
+
+      return plan;
+    } catch (error) {
+      await this.logger.logTaskError('生成整理计划', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 保存整理计划到JSON文件
+   * @param {Object} plan - 整理计划
+   * @param {string} planPath - 计划文件路径
+   * @returns {string} 计划文件的绝对路径
+   */
+  async savePlan(plan, planPath) {
+    const resolvedPath = path.resolve(planPath);
+    await fs.ensureDir(path.dirname(resolvedPath));
+    await fs.writeJson(resolvedPath, plan, { spaces: 2 });
+    await this.logger.logInfo(`整理计划已保存: ${resolvedPath}`, { entries: plan.entries.length });
+    return resolvedPath;
+  }
+
+  /**
+   * 读取整理计划文件
+   * @param {string} planPath - 计划文件路径
+   * @returns {Object} 整理计划
+   */
+  async loadPlan(planPath) {
+    const resolvedPath = path.resolve(planPath);
+    const plan = await fs.readJson(resolvedPath);
+
+    if (plan.version !== PLAN_VERSION || !Array.isArray(plan.entries)) {
+      throw new Error(`无效的整理计划文件: ${resolvedPath}`);
+    }
+
+    for (const entry of plan.entries) {
+      if (!PLAN_ACTIONS.includes(entry.action)) {
+        throw new Error(`计划条目 ${entry.id} 包含不支持的操作: ${entry.action}`);
+      }
+    }
+
+    return plan;
+  }
+
+  /**
+   * 按计划执行文件操作，只执行计划中列出的条目
+   * @param {Object} plan - 整理计划
+   * @returns {Object} 执行结果
+   */
+  async applyPlan(plan) {
+    try {
+      const settings = {
+        ...DEFAULT_ARRANGE_SETTINGS,
+        ...plan.settings
+      };
+
+      const runId = Logger.getRunId() || OperationJournal.createRunId();
+      await this.logger.logTaskStart('执行整理计划', {
+        runId,
+        createdAt: plan.createdAt,
+        entries: plan.entries.length
+      });
+
+      const result = {
+        runId,
+        destination: plan.destination,
+        totalFiles: plan.entries.length + (plan.skipped || []).length,
+        applied: [],
+        skipped: [...(plan.skipped || [])],
+        failed: []
+      };
+
+      // 逐个执行，单个文件失败不影响整体
+      for (const entry of plan.entries) {
+        try {
+          const changeReason = await this.verifySource(entry);
+          if (changeReason) {
+            result.skipped.push({ ...entry, skipReason: changeReason });
+            continue;
+          }
+
+          const destination = await this.executeEntry(entry, settings, runId);
+          if (destination === null) {
+            result.skipped.push({ ...entry, skipReason: '目标文件已存在' });
+          } else {
+            result.applied.push({ ...entry, destination });
+          }
+        } catch (error) {
+          result.failed.push({ ...entry, error: error.message });
+          await this.logger.logWarning(`执行文件操作失败: ${entry.source}`, {
+            action: entry.action,
+            destination: entry.destination,
+            message: error.message,
+            code: error.code
+          });
+        }
+      }
+
+      await this.logger.logTaskComplete('执行整理计划', {
+        runId,
+        applied: result.applied.length,
+        skipped: result.skipped.length,
+        failed: result.failed.length
+      });
+
+      return result;
+    } catch (error) {
+      await this.logger.logTaskError('执行整理计划', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 校验源文件自计划生成后是否发生变化
+   * @param {Object} entry - 计划条目
+   * @returns {string|null} 变化原因，未变化时返回null
+   */
+  async verifySource(entry) {
+    let fileInfo;
+    try {
+      fileInfo = await this.mcpClient.getFileInfo(entry.source);
+    } catch (error) {
+      return `源文件不可访问: ${error.message}`;
+    }
+
+    if (!entry.expected) {
+      return null;
+    }
+    if (fileInfo.size !== entry.expected.size) {
+      return `文件大小已变化 (${entry.expected.size} → ${fileInfo.size})`;
+    }
+    if (new Date(fileInfo.modifiedTime).getTime() !== new Date(entry.expected.modifiedTime).getTime()) {
+      return '文件修改时间已变化';
+    }
+
+    // 重复文件操作依赖保留的副本，副本缺失或内容变化时不能删除/链接
+    if (entry.keep) {
+      if (!(await fs.pathExists(entry.keep))) {
+        return `保留的文件已不存在: ${entry.keep}`;
+      }
+      if (entry.hash && await this.hasher.hashFile(entry.keep) !== entry.hash) {
+        return `保留的文件内容已变化: ${entry.keep}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 执行单个计划条目，并写入操作日志
+   * @param {Object} entry - 计划条目
+   * @param {Object} settings - 整理设置
+   * @param {string} runId - 运行ID
+   * @returns {string|null} 实际目标路径（删除操作返回空字符串），跳过时返回null
+   */
+  async executeEntry(entry, settings, runId) {
+    // 操作前记录内容哈希，撤销时据此判断文件是否被改动
+    const hash = await this.hasher.hashFile(entry.source);
+    if (entry.hash && hash !== entry.hash) {
+      throw new Error('文件内容与计划记录的哈希不一致');
+    }
+    let destination = '';
+
+    if (entry.action === 'delete') {
+      await fs.remove(entry.source);
+      await this.logger.logInfo(`文件已删除: ${entry.source}`, { reason: entry.reason });
+    } else if (entry.action === 'hardlink') {
+      await this.replaceWithHardLink(entry.source, entry.keep);
+      await this.logger.logInfo(`文件已替换为硬链接: ${entry.source}`, { target: entry.keep });
+    } else {
+      destination = await this.executeMove(entry, settings);
+      if (destination === null) {
+        return null;
+      }
+    }
+
+    await this.journal.append({
+      runId,
+      type: entry.action,
+      source: entry.source,
+      destination: destination || null,
+      linkTarget: entry.action === 'hardlink' ? entry.keep : undefined,
+      hash,
+      size: entry.size
+    });
+
+    return entry.action === 'hardlink' ? entry.keep : destination;
+  }
+
+  /**
+   * 用指向目标文件的硬链接替换文件
+   * 先在同目录创建临时链接再重命名覆盖，保证任何时刻原路径都有完整内容
+   * @param {string} filePath - 被替换的文件
+   * @param {string} targetPath - 硬链接指向的文件
+   */
+  async replaceWithHardLink(filePath, targetPath) {
+    const tempPath = `${filePath}.${process.pid}.link.tmp`;
+    await fs.link(targetPath, tempPath);
+    try {
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.remove(tempPath);
+      throw error;
+    }
+  }
+
+  /**
+   * 将硬链接恢复为独立文件（复制内容后重命名覆盖）
+   * @param {string} filePath - 硬链接路径
+   */
+  async breakHardLink(filePath) {
+    const tempPath = `${filePath}.${process.pid}.copy.tmp`;
+    await fs.copy(filePath, tempPath, { preserveTimestamps: true });
+    try {
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.remove(tempPath);
+      throw error;
+    }
+  }
+
+  /**
+   * 撤销某次运行的文件操作（按操作日志逆序恢复）
+   * @param {string|null} runId - 运行ID，为空时撤销最近一次运行
+   * @returns {Object} 撤销结果
+   */
+  async undoRun(runId = null) {
+    try {
+      const targetRunId = runId || await this.journal.getLatestRevertibleRunId();
+      if (!targetRunId) {
+        throw new Error('没有可撤销的操作记录');
+      }
+
+      const operations = await this.journal.getRevertibleOperations(targetRunId);
+      const undoRunId = Logger.getRunId() || OperationJournal.createRunId();
+      await this.logger.logTaskStart('撤销文件操作', {
+        runId: targetRunId,
+        undoRunId,
+        operations: operations.length
+      });
+
+      const result = {
+        runId: targetRunId,
+        undoRunId,
+        restored: [],
+        failed: []
+      };
+
+      for (const operation of operations.reverse()) {
+        try {
+          const blockReason = await this.checkRevertible(operation);
+          if (blockReason) {
+            result.failed.push({ ...operation, error: blockReason });
+            continue;
+          }
+
+          if (operation.type === 'hardlink') {
+            await this.breakHardLink(operation.source);
+          } else {
+            await this.moveFile(operation.destination, operation.source);
+          }
+          await this.journal.append({
+            runId: undoRunId,
+            type: 'undo',
+            revertsOperationId: operation.operationId,
+            source: operation.destination || operation.source,
+            destination: operation.source,
+            hash: operation.hash,
+            size: operation.size
+          });
+          result.restored.push(operation);
+        } catch (error) {
+          result.failed.push({ ...operation, error: error.message });
+          await this.logger.logWarning(`撤销文件操作失败: ${operation.destination}`, {
+            operationId: operation.operationId,
+            message: error.message
+          });
+        }
+      }
+
+      await this.logger.logTaskComplete('撤销文件操作', {
+        runId: targetRunId,
+        restored: result.restored.length,
+        failed: result.failed.length
+      });
+
+      return result;
+    } catch (error) {
+      await this.logger.logTaskError('撤销文件操作', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 检查一条操作记录是否仍可撤销
+   * @param {Object} operation - 操作记录
+   * @returns {string|null} 无法撤销的原因，可撤销时返回null
+   */
+  async checkRevertible(operation) {
+    if (operation.type === 'delete') {
+      return '删除操作无法撤销';
+    }
+    if (operation.type === 'hardlink') {
+      if (!(await fs.pathExists(operation.source))) {
+        return '硬链接文件已被移除';
+      }
+      if (operation.hash && await this.hasher.hashFile(operation.source) !== operation.hash) {
+        return '硬链接文件内容已被修改';
+      }
+      return null;
+    }
+    if (!(await fs.pathExists(operation.destination))) {
+      return '目标文件已被移除';
+    }
+    if (operation.hash && await this.hasher.hashFile(operation.destination) !== operation.hash) {
+      return '目标文件内容已被修改';
+    }
+    if (await fs.pathExists(operation.source)) {
+      return '原位置已存在同名文件';
+    }
+    return null;
+  }
+
+  /**
+   * 为所有文件规划移动操作
+   * @param {Object} classificationResult - 分类结果
+   * @param {Object} settings - 整理设置
+   * @returns {Array} 操作列表
+   */
+  async planOperations(classificationResult, settings) {
+    const operations = [];
+    // 记录本次运行中已被占用的目标路径，避免同名文件互相覆盖
+    const reservedPaths = new Set();
+
+    for (const [category, files] of Object.entries(classificationResult.categories)) {
+      for (const file of files) {
+        const targetDir = this.resolveTargetDirectory(file, category, settings);
+        let destination = path.join(targetDir, file.name);
+
+        const operation = {
+          action: 'move',
+          source: file.path,
+          destination,
+          category,
+          size: file.size || 0,
+          reason: `归入分类「${category}」`,
+          rule: this.describeMatchedRule(file, category)
+        };
+
+        if (file.tags?.length > 0) {
+          operation.tags = file.tags;
+        }
+
+        if (this.isSamePath(file.path, destination)) {
+          operation.skipReason = '文件已在目标位置';
+        } else if (reservedPaths.has(this.normalizeKey(destination))) {
+          if (settings.conflictStrategy === 'rename') {
+            destination = await this.findAvailablePath(destination, reservedPaths);
+            operation.destination = destination;
+            operation.reason += '，目标重名已自动改名';
+          } else {
+            operation.skipReason = '与本次整理的其他文件重名';
+          }
+        } else if (settings.conflictStrategy === 'rename' && await fs.pathExists(destination)) {
+          destination = await this.findAvailablePath(destination, reservedPaths);
+          operation.destination = destination;
+          operation.reason += '，目标重名已自动改名';
+        }
+
+        // 目录不变仅文件名变化时视为重命名
+        if (this.isSamePath(path.dirname(file.path), path.dirname(destination))) {
+          operation.action = 'rename';
+        }
+
+        if (!operation.skipReason) {
+          reservedPaths.add(this.normalizeKey(destination));
+        }
+        operations.push(operation);
+      }
+    }
+
+    return operations;
+  }
+
+  /**
+   * 描述文件命中的分类规则
+   * @param {Object} file - 文件信息
+   * @param {string} category - 分类名称
+   * @returns {string} 规则描述
+   */
+  describeMatchedRule(file, category) {
+    if (file.matchedRule) {
+      return file.matchedRule.description;
+    }
+
+    const extension = (file.extension || '').toLowerCase();
+    const extensions = this.config?.fileCategories?.[category]?.extensions || [];
+
+    if (extension && extensions.includes(extension)) {
+      return `fileCategories.${category}.extensions: ${extension}`;
+    }
+    return `未匹配任何规则，归入默认分类 ${category}`;
+  }
+
+  /**
+   * 根据模板计算文件的目标目录
+   * @param {Object} file - 文件信息
+   * @param {string} category - 分类名称
+   * @param {Object} settings - 整理设置
+   * @returns {string} 目标目录
+   */
+  resolveTargetDirectory(file, category, settings) {
+    // 规则指定的目标模板优先于分类模板
+    const categoryConfig = this.config?.fileCategories?.[category] || {};
+    const template = file.destinationTemplate || categoryConfig.pathTemplate || settings.pathTemplate;
+    const relativeDir = this.renderTemplate(template, file, category, settings);
+
+    return path.join(settings.destination, relativeDir);
+  }
+
+  /**
+   * 渲染目录模板
+   * 支持的占位符: {category} {YYYY} {MM} {DD} {ext} {sizeCategory}
+   * @param {string} template - 模板字符串
+   * @param {Object} file - 文件信息
+   * @param {string} category - 分类名称
+   * @param {Object} settings - 整理设置
+   * @returns {string} 相对目录
+   */
+  renderTemplate(template, file, category, settings) {
+    const date = new Date(file[settings.dateSource] || file.modifiedTime);
+    const validDate = isNaN(date.getTime()) ? new Date() : date;
+    const pad = (value) => String(value).padStart(2, '0');
+
+    const values = {
+      category,
+      YYYY: String(validDate.getFullYear()),
+      MM: pad(validDate.getMonth() + 1),
+      DD: pad(validDate.getDate()),
+      ext: (file.extension || '').replace(/^\./, '') || '无扩展名',
+      sizeCategory: file.sizeCategory || '未知'
+    };
+
+    const rendered = template.replace(/\{(\w+)\}/g, (match, key) => {
+      return key in values ? this.sanitizeSegment(values[key]) : match;
+    });
+
+    // 统一分隔符，并禁止模板跳出目标目录
+    return rendered
+      .split(/[\\/]+/)
+      .filter(segment => segment && segment !== '.' && segment !== '..')
+      .join(path.sep);
+  }
+
+  /**
+   * 清理路径片段中的非法字符
+   * @param {string} segment - 路径片段
+   * @returns {string} 清理后的片段
+   */
+  sanitizeSegment(segment) {
+    return String(segment).replace(/[<>:"/\\|?*\x00-\x1f]/g, '_');
+  }
+
+  /**
+   * 执行单个移动操作
+   * @param {Object} operation - 移动操作
+   * @param {Object} settings - 整理设置
+   * @returns {string|null} 实际目标路径，跳过时返回null
+   */
+  async executeMove(operation, settings) {
+    let destination = operation.destination;
+
+    // 执行时再次检查冲突，目标目录中可能已有同名文件
+    if (await fs.pathExists(destination)) {
+      if (settings.conflictStrategy === 'skip') {
+        return null;
+      }
+      if (settings.conflictStrategy === 'rename') {
+        destination = await this.findAvailablePath(destination);
+      }
+    }
+
+    await this.moveFile(operation.source, destination, {
+      overwrite: settings.conflictStrategy === 'overwrite'
+    });
+
+    await this.logger.logInfo(`文件已移动: ${operation.source}`, { destination });
+    return destination;
+  }
+
+  /**
+   * 移动文件，跨设备时回退为复制后删除
+   * @param {string} source - 源路径
+   * @param {string} destination - 目标路径
+   * @param {Object} options - 选项
+   */
+  async moveFile(source, destination, options = {}) {
+    await fs.ensureDir(path.dirname(destination));
+
+    if (!options.overwrite && await fs.pathExists(destination)) {
+      throw new Error(`目标文件已存在: ${destination}`);
+    }
+
+    try {
+      await fs.rename(source, destination);
+    } catch (error) {
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+
+      // 跨设备移动：先复制并校验大小，再删除源文件
+      await fs.copy(source, destination, {
+        overwrite: Boolean(options.overwrite),
+        errorOnExist: !options.overwrite,
+        preserveTimestamps: true
+      });
+
+      const [sourceStats, destinationStats] = await Promise.all([
+        fs.stat(source),
+        fs.stat(destination)
+      ]);
+      if (sourceStats.size !== destinationStats.size) {
+        await fs.remove(destination);
+        throw new Error(`跨设备复制校验失败: ${source}`);
+      }
+
+      await fs.remove(source);
+    }
+  }
+
+  /**
+   * 查找可用的文件名，形如 "name (1).ext"
+   * @param {string} destination - 期望的目标路径
+   * @param {Set} reservedPaths - 本次运行已占用的路径
+   * @returns {string} 可用的目标路径
+   */
+  async findAvailablePath(destination, reservedPaths = new Set()) {
+    const { dir, name, ext } = path.parse(destination);
+    for (let index = 1; ; index++) {
+      const candidate = path.join(dir, `${name} (${index})${ext}`);
+      if (!reservedPaths.has(this.normalizeKey(candidate)) && !(await fs.pathExists(candidate))) {
+        return candidate;
+      }
+    }
+  }
+
+  /**
+   * 判断两个路径是否指向同一位置
+   * @param {string} a - 路径A
+   * @param {string} b - 路径B
+   * @returns {boolean} 是否相同
+   */
+  isSamePath(a, b) {
+    return this.normalizeKey(a) === this.normalizeKey(b);
+  }
+
+  /**
+   * 生成路径比较用的键（Windows下不区分大小写）
+   * @param {string} pathStr - 路径
+   * @returns {string} 比较键
+   */
+  normalizeKey(pathStr) {
+    const resolved = path.resolve(pathStr);
+    return process.platform === 'win32' ? resolved.toLowerCase() : resolved;
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * 文件哈希模块
+ * 负责以流式方式计算文件内容哈希，并为重复文件检测提供分阶段哈希
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import fs from 'fs-extra';
+
+/**
+ * 超过该大小的文件先计算部分哈希，再对部分哈希相同的文件计算完整哈希
+ */
+const PARTIAL_HASH_THRESHOLD = 1024 * 1024;
+
+/**
+ * 部分哈希读取的头部和尾部字节数
+ */
+const PARTIAL_HASH_BYTES = 64 * 1024;
+
+/**
+ * 文件哈希计算器类
+ */
+export class FileHasher {
+  constructor(algorithm = 'sha256') {
+    this.algorithm = algorithm;
+  }
+
+  /**
+   * 流式计算文件内容哈希，避免将大文件整体读入内存
+   * @param {string} filePath - 文件路径
+   * @returns {Promise<string>} 十六进制哈希值
+   */
+  hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash(this.algorithm);
+      const stream = fs.createReadStream(filePath);
+
+      stream.on('data', chunk => hash.update(chunk));
+      stream.on('error', reject);
+      stream.on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  /**
+   * 计算文件头部和尾部的部分哈希，用于快速排除内容不同的大文件
+   * @param {string} filePath - 文件路径
+   * @param {number} size - 文件大小
+   * @returns {Promise<string>} 十六进制哈希值
+   */
+  async hashPartial(filePath, size) {
+    const hash = crypto.createHash(this.algorithm);
+    const handle = await fs.promises.open(filePath, 'r');
+
+    try {
+      const length = Math.min(PARTIAL_HASH_BYTES, size);
+      const buffer = Buffer.alloc(length);
+
+      await handle.read(buffer, 0, length, 0);
+      hash.update(buffer);
+
+      if (size > length) {
+        await handle.read(buffer, 0, length, size - length);
+        hash.update(buffer);
+      }
+    } finally {
+      await handle.close();
+    }
+
+    return hash.digest('hex');
+  }
+
+  /**
+   * 为可能重复的文件计算完整内容哈希
+   * 第一步按大小分组，只有大小相同的文件才可能重复；
+   * 第二步对大文件计算部分哈希继续分组；最后对剩余候选计算完整哈希。
+   * 计算结果写入 file.hash，大小唯一的文件 hash 为 null。
+   * @param {Array} files - 文件列表
+   * @param {Object} options - 选项
+   * @param {Function} options.getCachedHash - 返回文件未变化时缓存的哈希，有缓存时不再读取文件
+   * @returns {Object} 统计信息 { hashedFiles, cachedFiles, failedFiles }
+   */
+  async computeDuplicateHashes(files, options = {}) {
+    const { getCachedHash = () => null } = options;
+    const stats = { hashedFiles: 0, cachedFiles: 0, failedFiles: [] };
+
+    const bySize = this.groupBy(files.filter(file => file.size > 0), file => file.size);
+    for (const file of files) {
+      file.hash = null;
+    }
+
+    for (const [size, sameSizeFiles] of bySize) {
+      if (sameSizeFiles.length < 2) continue;
+
+      let candidateGroups = [sameSizeFiles];
+      if (size > PARTIAL_HASH_THRESHOLD) {
+        const partialHashes = new Map();
+        for (const file of sameSizeFiles) {
+          try {
+            partialHashes.set(file, await this.hashPartial(file.path, size));
+          } catch (error) {
+            stats.failedFiles.push({ path: file.path, error: error.message });
+          }
+        }
+        candidateGroups = Array.from(
+          this.groupBy(Array.from(partialHashes.keys()), file => partialHashes.get(file)).values()
+        );
+      }
+
+      for (const group of candidateGroups) {
+        if (group.length < 2) continue;
+
+        for (const file of group) {
+          const cachedHash = getCachedHash(file);
+          if (cachedHash) {
+            file.hash = cachedHash;
+            stats.cachedFiles++;
+            continue;
+          }
+
+          try {
+            file.hash = await this.hashFile(file.path);
+            stats.hashedFiles++;
+          } catch (error) {
+            stats.failedFiles.push({ path: file.path, error: error.message });
+          }
+        }
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * 为所有非空文件计算完整内容哈希（快照需要按内容识别移动和重命名的文件）
+   * @param {Array} files - 文件列表
+   * @param {Object} options - 选项
+   * @param {Function} options.getCachedHash - 返回文件未变化时缓存的哈希，有缓存时不再读取文件
+   * @returns {Object} 统计信息 { hashedFiles, cachedFiles, failedFiles }
+   */
+  async computeAllHashes(files, options = {}) {
+    const { getCachedHash = () => null } = options;
+    const stats = { hashedFiles: 0, cachedFiles: 0, failedFiles: [] };
+
+    for (const file of files) {
+      file.hash = null;
+      // 空文件的哈希都相同，对识别重复或移动没有意义
+      if (!(file.size > 0)) continue;
+
+      const cachedHash = getCachedHash(file);
+      if (cachedHash) {
+        file.hash = cachedHash;
+        stats.cachedFiles++;
+        continue;
+      }
+
+      try {
+        file.hash = await this.hashFile(file.path);
+        stats.hashedFiles++;
+      } catch (error) {
+        stats.failedFiles.push({ path: file.path, error: error.message });
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * 按键分组
+   * @param {Array} items - 元素列表
+   * @param {Function} keyFn - 取键函数
+   * @returns {Map} 分组结果
+   */
+  groupBy(items, keyFn) {
+    const groups = new Map();
+    for (const item of items) {
+      const key = keyFn(item);
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(item);
+    }
+    return groups;
+  }
+}
@@ -8,11 +8,38 @@
 
 import path from 'path';
 import fs from 'fs-extra';
-import { fileURLToPath } from 'url';
 import { Logger } from './logger.js';
+import { ConfigLoader } from './configLoader.js';
+import { FileHasher } from './fileHasher.js';
+import { FileTypeDetector } from './fileTypeDetector.js';
+import { MetadataExtractor, METADATA_KINDS } from './metadataExtractor.js';
+import { ScanIndex } from './scanIndex.js';
+import { WorkerPool } from './workerPool.js';
+import { ExcludeMatcher, IGNORE_FILE_NAME } from './excludeMatcher.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+/**
+ * 默认扫描设置（配置文件中缺省时使用）
+ */
+const DEFAULT_SCAN_SETTINGS = {
+  concurrency: 8,
+  includeHidden: false,
+  maxDepth: 10,
+  symlinks: 'skip',
+  maxFilesPerDirectory: 10000
+};
+
+/**
+ * 默认元数据提取设置（配置文件中缺省时使用）
+ */
+const DEFAULT_METADATA_SETTINGS = {
+  enabled: true,
+  kinds: METADATA_KINDS
+};
+
+/**
+ * 符号链接处理方式：跳过、跟随（检测循环）、只报告不跟随
+ */
+export const SYMLINK_POLICIES = ['skip', 'follow', 'report-only'];
 
 /**
  * 文件扫描器类
@@ -21,7 +48,14 @@ export class FileScanner {
   constructor(mcpClient) {
     this.mcpClient = mcpClient;
     this.logger = new Logger();
+    this.hasher = new FileHasher();
+    this.typeDetector = new FileTypeDetector();
+    this.metadataExtractor = new MetadataExtractor();
+    this.configLoader = new ConfigLoader();
     this.config = null;
+    this.lastScanChanges = null; // 最近一次扫描与扫描索引对比的结果
+    this.lastScanReport = null; // 最近一次扫描中的符号链接、循环和超出上限的目录
+    this.excludeMatcher = null; // shouldExcludePath() 使用的匹配器，首次使用时创建
     this.configPromise = this.loadConfig();
   }
 
@@ -30,10 +64,8 @@ export class FileScanner {
    */
   async loadConfig() {
     try {
-      const configPath = path.join(__dirname, '../config/classification.json');
-      const configContent = await fs.readFile(configPath, 'utf8');
-      this.config = JSON.parse(configContent);
-      await this.logger.logDebug('配置文件加载成功', { configPath });
+      this.config = await this.configLoader.load('classification.json');
+      await this.logger.logDebug('配置文件加载成功');
       return this.config;
     } catch (error) {
       await this.logger.logError('加载分类配置失败', error);
@@ -52,130 +84,322 @@ export class FileScanner {
 
   /**
    * 扫描近期文件
+   * 目录由并发任务池并行遍历，发现的近期文件可以通过 onFile 立即交给调用方（如分类器），
+   * 不必等待整个扫描完成
    * @param {number} days - 扫描最近几天的文件
    * @param {Array} customPaths - 自定义扫描路径
+   * @param {Object} options - 扫描选项
+   * @param {boolean} options.fullRescan - 不复用扫描索引中的目录缓存，重新列出所有目录
+   * @param {boolean} options.hashAll - 为所有文件计算内容哈希（默认只为可能重复的文件计算）
+   * @param {number} options.concurrency - 同时处理的目录和文件数（默认读取配置 scanSettings.concurrency）
+   * @param {boolean} options.includeHidden - 包括隐藏文件和目录（默认读取配置，下同）
+   * @param {number} options.maxDepth - 最大目录深度
+   * @param {string} options.symlinks - 符号链接处理方式: skip | follow | report-only
+   * @param {number} options.maxFilesPerDirectory - 每个目录最多处理的文件数，超出时只处理最新的文件
+   * @param {boolean} options.metadata - 是否提取图片、音频、视频和文档的元数据（默认读取配置 metadataSettings.enabled）
+   * @param {Array} options.exclude - 额外的排除模式（.gitignore 语义，相对扫描路径）
+   * @param {Array} options.include - 包含模式，指定后只保留匹配的文件
+   * @param {Function} options.onFile - 每发现一个近期文件时调用 (fileInfo) => void，此时尚未计算内容哈希
+   * @param {Function} options.getFiles - 与 onFile 一起使用，表示文件由调用方保存（如分类结果），扫描过程中不再另外保存文件列表；
+   *   扫描结束后调用 () => Array 取得全部文件，用于计算内容哈希和更新扫描索引
+   * @param {Function} options.onProgress - 每列出一个目录后调用 ({ directories, files, matched, elapsedMs }) => void
    * @returns {Array} 文件列表
    */
-  async scanRecentFiles(days = 7, customPaths = null) {
+  async scanRecentFiles(days = 7, customPaths = null, options = {}) {
     try {
       // 确保配置已加载
       await this.ensureConfigLoaded();
-      
-      await this.logger.logTaskStart('文件扫描', { days, customPaths });
+      const settings = this.getScanSettings(options);
+      const metadataSettings = this.getMetadataSettings(options);
+
+      await this.logger.logTaskStart('文件扫描', {
+        days,
+        customPaths,
+        fullRescan: Boolean(options.fullRescan),
+        ...settings,
+        exclude: options.exclude,
+        include: options.include
+      });
 
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - days);
 
       const scanPaths = customPaths || this.getScanPaths();
-      const allFiles = [];
+      const expandedPaths = scanPaths.map(scanPath => this.expandPath(scanPath));
 
       await this.logger.logInfo('开始扫描路径', { scanPaths });
 
-      for (const scanPath of scanPaths) {
-        try {
-          const expandedPath = this.expandPath(scanPath);
-          
-          // 检查路径是否存在
-          if (!(await fs.pathExists(expandedPath))) {
-            await this.logger.logWarning(`扫描路径不存在: ${expandedPath}`);
-            continue;
+      const index = await this.openScanIndex();
+      if (index) {
+        index.beginScan(expandedPaths, options);
+      }
+
+      // 扫描路径互相包含时同一文件会被发现多次，按路径去重；内容相同但路径不同的文件交给重复文件检测处理
+      const files = options.onFile && options.getFiles ? null : [];
+      const seenPaths = new Set();
+      const matcher = this.createExcludeMatcher(options);
+      const context = {
+        cutoffDate,
+        index,
+        settings,
+        metadataSettings,
+        matcher,
+        pool: new WorkerPool(settings.concurrency),
+        progress: { directories: 0, files: 0, matched: 0, excluded: 0, startTime: Date.now() },
+        report: { symlinks: [], followedSymlinks: 0, symlinkLoops: [], cappedDirectories: [], depthLimitedDirectories: 0 },
+        visitedDirectories: new Map(),
+        onProgress: options.onProgress || null,
+        onFile: fileInfo => {
+          const key = path.resolve(fileInfo.path);
+          if (seenPaths.has(key)) return;
+          seenPaths.add(key);
+
+          if (files) files.push(fileInfo);
+          context.progress.matched++;
+          if (options.onFile) {
+            options.onFile(fileInfo);
           }
+        }
+      };
 
-          await this.logger.logDebug(`开始扫描路径: ${expandedPath}`);
-          
-          const files = await this.scanDirectory(expandedPath, cutoffDate);
-          allFiles.push(...files);
-          
-          await this.logger.logDebug(`扫描完成: ${expandedPath}`, { 
-            fileCount: files.length 
-          });
-        } catch (error) {
-          await this.logger.logError(`扫描路径失败: ${scanPath}`, error);
+      for (const [pathIndex, scanPath] of scanPaths.entries()) {
+        const expandedPath = expandedPaths[pathIndex];
+
+        // 检查路径是否存在
+        if (!(await fs.pathExists(expandedPath))) {
+          await this.logger.logWarning(`扫描路径不存在: ${expandedPath}`);
+          continue;
+        }
+
+        // 扫描路径本身位于配置的排除路径下
+        if (matcher.isUnderAbsolutePath(path.resolve(expandedPath))) {
+          await this.logger.logWarning(`扫描路径已被排除: ${expandedPath}`);
+          continue;
         }
+
+        await this.logger.logDebug(`开始扫描路径: ${expandedPath}`);
+        context.pool.add(() => this.scanDirectory(expandedPath, context, 0, matcher.createScope(expandedPath)));
+      }
+      await context.pool.onIdle();
+      const scannedFiles = files || options.getFiles();
+
+      // 计算内容哈希（默认仅针对可能重复的文件），文件未变化时复用索引中的哈希
+      const hashOptions = { getCachedHash: file => (index ? index.getCachedHash(file) : null) };
+      const hashStats = options.hashAll
+        ? await this.hasher.computeAllHashes(scannedFiles, hashOptions)
+        : await this.hasher.computeDuplicateHashes(scannedFiles, hashOptions);
+      for (const failed of hashStats.failedFiles) {
+        await this.logger.logWarning(`计算文件哈希失败: ${failed.path}`, { message: failed.error });
       }
 
-      // 去重处理
-      const uniqueFiles = this.removeDuplicates(allFiles);
+      this.lastScanReport = context.report;
+      this.lastScanChanges = null;
+      if (index) {
+        index.updateHashes(scannedFiles);
+        try {
+          this.lastScanChanges = await index.finishScan();
+        } catch (error) {
+          await this.logger.logWarning(`保存扫描索引失败: ${index.indexFile}`, error);
+        }
+      }
       
       await this.logger.logTaskComplete('文件扫描', { 
-        totalFiles: uniqueFiles.length,
-        scanPaths: scanPaths.length
+        totalFiles: scannedFiles.length,
+        hashedFiles: hashStats.hashedFiles,
+        cachedHashes: hashStats.cachedFiles,
+        scanPaths: scanPaths.length,
+        directories: context.progress.directories,
+        listedFiles: context.progress.files,
+        excludedEntries: context.progress.excluded,
+        symlinks: context.report.symlinks.length,
+        followedSymlinks: context.report.followedSymlinks,
+        symlinkLoops: context.report.symlinkLoops.length,
+        cappedDirectories: context.report.cappedDirectories.length,
+        depthLimitedDirectories: context.report.depthLimitedDirectories,
+        durationMs: Date.now() - context.progress.startTime
       });
 
-      return uniqueFiles;
+      return scannedFiles;
     } catch (error) {
       await this.logger.logTaskError('文件扫描', error);
       throw error;
     }
   }
 
+  /**
+   * 获取扫描设置：命令行选项优先，其次是配置 scanSettings
+   * @param {Object} options - 命令行选项 { concurrency, includeHidden, maxDepth, symlinks, maxFilesPerDirectory }
+   * @returns {Object} 扫描设置
+   */
+  getScanSettings(options = {}) {
+    const settings = {
+      ...DEFAULT_SCAN_SETTINGS,
+      ...(this.config?.scanSettings || {})
+    };
+    for (const key of Object.keys(DEFAULT_SCAN_SETTINGS)) {
+      if (options[key] !== undefined && options[key] !== null) {
+        settings[key] = options[key];
+      }
+    }
+
+    if (!Number.isInteger(settings.concurrency) || settings.concurrency < 1) {
+      throw new Error(`扫描并发数必须是正整数: ${settings.concurrency}`);
+    }
+    if (!Number.isInteger(settings.maxDepth) || settings.maxDepth < 0) {
+      throw new Error(`最大目录深度必须是非负整数: ${settings.maxDepth}`);
+    }
+    if (!SYMLINK_POLICIES.includes(settings.symlinks)) {
+      throw new Error(`不支持的符号链接处理方式: ${settings.symlinks}（可选: ${SYMLINK_POLICIES.join(', ')}）`);
+    }
+    if (settings.maxFilesPerDirectory !== null &&
+      (!Number.isInteger(settings.maxFilesPerDirectory) || settings.maxFilesPerDirectory < 1)) {
+      throw new Error(`每个目录的文件数上限必须是正整数: ${settings.maxFilesPerDirectory}`);
+    }
+    settings.includeHidden = Boolean(settings.includeHidden);
+
+    return settings;
+  }
+
+  /**
+   * 获取元数据提取设置：命令行选项优先，其次是配置 metadataSettings
+   * @param {Object} options - 命令行选项 { metadata }
+   * @returns {Object} { enabled, kinds }
+   */
+  getMetadataSettings(options = {}) {
+    const settings = {
+      ...DEFAULT_METADATA_SETTINGS,
+      ...(this.config?.metadataSettings || {})
+    };
+    if (options.metadata !== undefined) settings.enabled = Boolean(options.metadata);
+
+    const unknown = settings.kinds.filter(kind => !METADATA_KINDS.includes(kind));
+    if (unknown.length > 0) {
+      throw new Error(`不支持的元数据种类: ${unknown.join(', ')}（可选: ${METADATA_KINDS.join(', ')}）`);
+    }
+
+    return settings;
+  }
+
+  /**
+   * 打开扫描索引，配置中禁用索引时返回null
+   * @returns {ScanIndex|null} 扫描索引
+   */
+  async openScanIndex() {
+    const settings = this.config.indexSettings || {};
+    if (settings.enabled === false) {
+      return null;
+    }
+
+    const index = new ScanIndex(this.expandPath(settings.indexFile || './output/index/scan-index.jsonl'));
+    try {
+      await index.load();
+    } catch (error) {
+      await this.logger.logWarning(`读取扫描索引失败，将重新建立: ${index.indexFile}`, error);
+    }
+    return index;
+  }
+
   /**
    * 获取默认扫描路径
    * @returns {Array} 扫描路径列表
    */
   getScanPaths() {
-    if (!this.config) {
-      // 如果配置未加载，使用默认路径
-      const username = process.env.USERNAME || process.env.USER || 'User';
-      return [
-        `C:\\Users\\${username}\\Desktop`,
-        `C:\\Users\\${username}\\Downloads`,
-        `C:\\Users\\${username}\\Documents`
-      ];
+    if (!this.config || !this.config.scanPaths) {
+      // 如果配置未加载，使用当前平台的默认路径
+      return this.configLoader.getDefaultScanPaths();
     }
 
-    return this.config.scanPaths || [];
+    return this.config.scanPaths;
   }
 
   /**
-   * 展开路径中的环境变量
+   * 展开路径中的 ~ 和环境变量（$VAR、${VAR}、%VAR%）
    * @param {string} pathStr - 路径字符串
    * @returns {string} 展开后的路径
    */
   expandPath(pathStr) {
-    const username = process.env.USERNAME || process.env.USER || 'User';
-    return pathStr.replace(/%USERNAME%/g, username);
+    return this.configLoader.expandPath(pathStr);
   }
 
   /**
-   * 扫描单个目录
+   * 扫描单个目录：近期文件和子目录作为新任务加入任务池，由其他任务并行处理
    * @param {string} directoryPath - 目录路径
-   * @param {Date} cutoffDate - 截止日期
+   * @param {Object} context - 扫描上下文 { cutoffDate, index, settings, metadataSettings, matcher, pool, progress, report, visitedDirectories, onProgress, onFile }
    * @param {number} depth - 递归深度
-   * @returns {Array} 文件列表
+   * @param {Object} scope - 排除规则的匹配范围（ExcludeMatcher.createScope()）
    */
-  async scanDirectory(directoryPath, cutoffDate, depth = 0) {
-    const files = [];
-    const maxDepth = 10; // 最大递归深度
+  async scanDirectory(directoryPath, context, depth, scope) {
+    const { cutoffDate, index, settings, matcher, pool, progress, report } = context;
 
     try {
-      // 检查是否应该排除此路径
-      if (this.shouldExcludePath(directoryPath)) {
-        return files;
+      if (settings.symlinks === 'follow' && await this.isVisitedDirectory(directoryPath, context)) {
+        return;
       }
 
-      // 使用MCP客户端列出目录内容
-      const directoryContents = await this.mcpClient.listDirectory(directoryPath, {
-        includeHidden: false
+      // 读取该目录的 .arrangeignore，其规则作用于该目录及其子目录
+      const directoryScope = await matcher.enterDirectory(scope, directoryPath);
+
+      const listOptions = {
+        includeHidden: settings.includeHidden,
+        symlinks: settings.symlinks,
+        concurrency: settings.concurrency
+      };
+      const directoryContents = index
+        ? await this.listDirectoryWithIndex(directoryPath, index, listOptions)
+        : await this.mcpClient.listDirectory(directoryPath, listOptions);
+
+      // 被排除的文件不记录到扫描索引，被排除的目录不再进入；.arrangeignore 本身不参与整理
+      const items = directoryContents.filter(item => {
+        const excluded = item.name === IGNORE_FILE_NAME ||
+          matcher.isExcluded(item.path, Boolean(item.isDirectory), directoryScope);
+        if (excluded) progress.excluded++;
+        return !excluded;
       });
 
-      for (const item of directoryContents) {
+      for (const item of await this.applyFileLimit(directoryPath, items, settings, report)) {
         try {
+          if (item.isSymbolicLink) {
+            if (!item.isFile && !item.isDirectory) {
+              // report-only：只记录链接，不处理链接目标
+              report.symlinks.push({ path: item.path, target: item.linkTarget });
+              continue;
+            }
+            report.followedSymlinks++;
+          }
+
           if (item.isFile) {
+            progress.files++;
+            if (index) {
+              item.indexStatus = index.recordFile(item);
+            }
+
             // 检查文件的创建/修改时间
-            if (this.isRecentFile(item, cutoffDate)) {
-              const fileInfo = await this.getDetailedFileInfo(item);
-              files.push(fileInfo);
+            if (this.isRecentFile(item, cutoffDate) && matcher.isIncluded(item.path, directoryScope)) {
+              pool.add(async () => context.onFile(await this.getDetailedFileInfo(item, context.metadataSettings)));
             }
-          } else if (item.isDirectory && depth < maxDepth) {
-            // 递归扫描子目录
-            const subFiles = await this.scanDirectory(item.path, cutoffDate, depth + 1);
-            files.push(...subFiles);
+          } else if (item.isDirectory) {
+            if (depth >= settings.maxDepth) {
+              report.depthLimitedDirectories++;
+              await this.logger.logDebug(`超过最大目录深度 ${settings.maxDepth}，未扫描: ${item.path}`);
+              continue;
+            }
+            // 子目录交给任务池并行扫描
+            pool.add(() => this.scanDirectory(item.path, context, depth + 1, directoryScope));
           }
         } catch (itemError) {
           await this.logger.logWarning(`处理项目失败: ${item.path}`, itemError);
         }
       }
+
+      progress.directories++;
+      if (context.onProgress) {
+        context.onProgress({
+          directories: progress.directories,
+          files: progress.files,
+          matched: progress.matched,
+          elapsedMs: Date.now() - progress.startTime
+        });
+      }
     } catch (error) {
       if (error.message.includes('权限') || error.message.includes('access')) {
         await this.logger.logWarning(`无权限访问目录: ${directoryPath}`);
@@ -183,25 +407,125 @@ export class FileScanner {
         await this.logger.logError(`扫描目录失败: ${directoryPath}`, error);
       }
     }
+  }
+
+  /**
+   * 跟随符号链接时检测循环：按设备号和inode识别目录，同一目录（经由链接或扫描路径互相包含）只扫描一次
+   * @param {string} directoryPath - 目录路径
+   * @param {Object} context - 扫描上下文
+   * @returns {boolean} 是否已扫描过
+   */
+  async isVisitedDirectory(directoryPath, context) {
+    let stats;
+    try {
+      stats = await fs.stat(directoryPath);
+    } catch {
+      return false;
+    }
+    // 部分文件系统不提供inode，无法识别
+    if (!stats.ino) {
+      return false;
+    }
+
+    const key = `${stats.dev}:${stats.ino}`;
+    const firstPath = context.visitedDirectories.get(key);
+    if (firstPath) {
+      context.report.symlinkLoops.push({ path: directoryPath, target: firstPath });
+      await this.logger.logWarning(`目录已扫描过（符号链接循环或重复链接），跳过: ${directoryPath} -> ${firstPath}`);
+      return true;
+    }
+
+    context.visitedDirectories.set(key, directoryPath);
+    return false;
+  }
+
+  /**
+   * 限制每个目录处理的文件数：超出上限时只保留最近修改的文件，并记录警告
+   * @param {string} directoryPath - 目录路径
+   * @param {Array} items - 目录内容
+   * @param {Object} settings - 扫描设置
+   * @param {Object} report - 扫描报告
+   * @returns {Array} 要处理的目录内容
+   */
+  async applyFileLimit(directoryPath, items, settings, report) {
+    const limit = settings.maxFilesPerDirectory;
+    const fileItems = items.filter(item => item.isFile);
+    if (!limit || fileItems.length <= limit) {
+      return items;
+    }
+
+    const kept = new Set(fileItems
+      .sort((a, b) => new Date(b.modifiedTime) - new Date(a.modifiedTime))
+      .slice(0, limit));
+    report.cappedDirectories.push({ path: directoryPath, files: fileItems.length, limit });
+    await this.logger.logWarning(`目录中的文件数超过上限，只处理最近修改的 ${limit} 个: ${directoryPath}`, {
+      files: fileItems.length,
+      limit
+    });
 
-    return files;
+    return items.filter(item => !item.isFile || kept.has(item));
   }
 
   /**
-   * 检查路径是否应该被排除
+   * 列出目录内容：目录修改时间与索引一致时直接使用索引中记录的条目（包括文件的大小和修改时间），
+   * 不再列出目录，也不再读取其中每个文件的信息，每个目录只需读取一次目录本身的修改时间。
+   * 目录修改时间只在增删或重命名条目时变化，文件内容被原地修改时不会变化，
+   * 这类修改要到目录发生其他变化或使用 --full-rescan 时才会被发现
+   * @param {string} directoryPath - 目录路径
+   * @param {ScanIndex} index - 扫描索引
+   * @param {Object} listOptions - 列出目录的选项 { includeHidden, symlinks, concurrency }
+   * @returns {Array} 目录内容
+   */
+  async listDirectoryWithIndex(directoryPath, index, listOptions) {
+    // 隐藏文件和符号链接设置不同时列出的内容不同，不能复用
+    const listing = `${listOptions.includeHidden ? 'hidden' : 'visible'}:${listOptions.symlinks}`;
+
+    // 先读取目录修改时间再列出内容，列出期间目录发生变化时下次扫描会重新列出
+    const directoryInfo = await this.mcpClient.getFileInfo(directoryPath);
+    const cached = index.getReusableDirectory(directoryPath, directoryInfo.modifiedTime, listing);
+
+    let directoryContents = cached ? index.getDirectoryItems(cached) : null;
+    if (!directoryContents) {
+      directoryContents = await this.mcpClient.listDirectory(directoryPath, listOptions);
+    }
+
+    index.recordDirectory(directoryPath, directoryInfo.modifiedTime, directoryContents, listing);
+    return directoryContents;
+  }
+
+  /**
+   * 根据配置 excludePaths 和命令行选项创建排除规则匹配器
+   * @param {Object} options - { exclude, include }
+   * @returns {ExcludeMatcher} 匹配器
+   */
+  createExcludeMatcher(options = {}) {
+    return new ExcludeMatcher({
+      excludePaths: this.config?.excludePaths || [],
+      exclude: options.exclude || [],
+      include: options.include || [],
+      expandPath: value => this.expandPath(value)
+    });
+  }
+
+  /**
+   * 检查路径是否应该被排除（按配置 excludePaths，不读取 .arrangeignore）
    * @param {string} pathStr - 路径字符串
+   * @param {Array} roots - 模式匹配的基准目录，路径位于其中某个目录下时相对该目录匹配；默认为扫描路径
    * @returns {boolean} 是否应该排除
    */
-  shouldExcludePath(pathStr) {
+  shouldExcludePath(pathStr, roots = null) {
     if (!this.config) return false;
 
-    const excludePaths = this.config.excludePaths || [];
-    const normalizedPath = path.normalize(pathStr).toLowerCase();
+    if (!this.excludeMatcher) {
+      this.excludeMatcher = this.createExcludeMatcher();
+    }
 
-    return excludePaths.some(excludePath => {
-      const normalizedExcludePath = path.normalize(excludePath).toLowerCase();
-      return normalizedPath.includes(normalizedExcludePath);
-    });
+    const resolvedPath = path.resolve(pathStr);
+    const root = (roots || this.getScanPaths().map(scanPath => this.expandPath(scanPath)))
+      .map(candidate => path.resolve(candidate))
+      .find(candidate => this.excludeMatcher.toRelativePath(candidate, resolvedPath) !== null);
+
+    return this.excludeMatcher.isExcluded(resolvedPath, false, this.excludeMatcher.createScope(root || path.dirname(resolvedPath)));
   }
 
   /**
@@ -221,26 +545,36 @@ export class FileScanner {
   /**
    * 获取详细的文件信息
    * @param {Object} basicFileInfo - 基本文件信息
+   * @param {Object} metadataSettings - 元数据提取设置（默认读取配置）
    * @returns {Object} 详细文件信息
    */
-  async getDetailedFileInfo(basicFileInfo) {
+  async getDetailedFileInfo(basicFileInfo, metadataSettings = this.getMetadataSettings()) {
     try {
-      // 获取MIME类型
-      const mimeType = await this.getMimeType(basicFileInfo.path);
-      
-      // 计算文件哈希（用于去重）
-      const hash = await this.calculateFileHash(basicFileInfo.path);
+      // 读取文件头识别真实类型，识别失败时回退到扩展名
+      const detection = await this.detectFileType(basicFileInfo.path);
+      const mimeType = detection ? detection.mimeType : await this.getMimeType(basicFileInfo.path);
+      const typeMismatch = Boolean(detection && basicFileInfo.extension &&
+        !this.typeDetector.isExtensionCompatible(basicFileInfo.extension, detection));
+
+      // 扩展名与内容不符或缺少扩展名时，以检测到的类型为准
+      const effectiveExtension = detection && (typeMismatch || !basicFileInfo.extension)
+        ? detection.extension
+        : basicFileInfo.extension;
 
       return {
         ...basicFileInfo,
         mimeType,
-        hash,
+        detectedMimeType: detection ? detection.mimeType : null,
+        detectedExtension: detection ? detection.extension : null,
+        typeMismatch,
+        hash: null, // 扫描结束后仅为可能重复的文件计算内容哈希
         category: null, // 将在分类阶段设置
         sizeCategory: this.getSizeCategory(basicFileInfo.size),
         relativeAge: this.getRelativeAge(basicFileInfo.createdTime),
-        isExecutable: this.isExecutableFile(basicFileInfo.extension),
-        isArchive: this.isArchiveFile(basicFileInfo.extension),
-        isMedia: this.isMediaFile(basicFileInfo.extension)
+        isExecutable: this.isExecutableFile(effectiveExtension) || detection?.type === 'elf' || detection?.type === 'macho',
+        isArchive: this.isArchiveFile(effectiveExtension),
+        isMedia: this.isMediaFile(effectiveExtension),
+        metadata: await this.extractMetadata(basicFileInfo.path, detection, metadataSettings)
       };
     } catch (error) {
       await this.logger.logWarning(`获取详细文件信息失败: ${basicFileInfo.path}`, error);
@@ -248,6 +582,40 @@ export class FileScanner {
     }
   }
 
+  /**
+   * 按检测到的文件类型提取元数据（拍摄时间、艺术家、时长、作者等）
+   * @param {string} filePath - 文件路径
+   * @param {Object|null} detection - 文件类型检测结果
+   * @param {Object} metadataSettings - 元数据提取设置
+   * @returns {Object|null} 元数据，类型不支持、已关闭或没有可用信息时返回null
+   */
+  async extractMetadata(filePath, detection, metadataSettings) {
+    if (!detection || !metadataSettings.enabled) {
+      return null;
+    }
+
+    const kind = this.metadataExtractor.getKind(detection.type);
+    if (!kind || !metadataSettings.kinds.includes(kind)) {
+      return null;
+    }
+
+    return this.metadataExtractor.extract(filePath, detection.type);
+  }
+
+  /**
+   * 通过文件头魔数检测文件类型
+   * @param {string} filePath - 文件路径
+   * @returns {Object|null} 检测结果，无法识别或读取失败时返回null
+   */
+  async detectFileType(filePath) {
+    try {
+      return await this.typeDetector.detect(filePath);
+    } catch (error) {
+      await this.logger.logDebug(`文件类型检测失败: ${filePath} - ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * 获取文件的MIME类型
    * @param {string} filePath - 文件路径
@@ -279,27 +647,16 @@ export class FileScanner {
   }
 
   /**
-   * 计算文件哈希（简化版本）
+   * 计算文件内容哈希（SHA-256）
    * @param {string} filePath - 文件路径
-   * @returns {string} 文件哈希
+   * @returns {string|null} 文件哈希，读取失败时返回null
    */
   async calculateFileHash(filePath) {
     try {
-      // 使用文件路径、大小和修改时间创建简单哈希
-      const stats = await fs.stat(filePath);
-      const hashInput = `${filePath}:${stats.size}:${stats.mtime.getTime()}`;
-      
-      // 简单的哈希函数
-      let hash = 0;
-      for (let i = 0; i < hashInput.length; i++) {
-        const char = hashInput.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // 转换为32位整数
-      }
-      
-      return hash.toString(36);
+      return await this.hasher.hashFile(filePath);
     } catch (error) {
-      return Math.random().toString(36);
+      await this.logger.logWarning(`计算文件哈希失败: ${filePath}`, error);
+      return null;
     }
   }
 
@@ -354,7 +711,7 @@ export class FileScanner {
    * @returns {boolean} 是否为压缩文件
    */
   isArchiveFile(extension) {
-    const archiveExts = ['.zip', '.rar', '.7z', '.tar', '.gz', '.bz2'];
+    const archiveExts = ['.zip', '.rar', '.7z', '.tar', '.gz', '.tgz', '.bz2'];
     return archiveExts.includes(extension.toLowerCase());
   }
 
@@ -369,7 +726,8 @@ export class FileScanner {
   }
 
   /**
-   * 去除重复文件
+   * 去除重复扫描到的文件（扫描路径互相包含时同一文件会出现多次）
+   * 按路径去重，内容相同但路径不同的文件会保留，交给重复文件检测处理
    * @param {Array} files - 文件列表
    * @returns {Array} 去重后的文件列表
    */
@@ -377,7 +735,7 @@ export class FileScanner {
     const uniqueFiles = new Map();
 
     for (const file of files) {
-      const key = file.hash || file.path;
+      const key = path.resolve(file.path);
       if (!uniqueFiles.has(key)) {
         uniqueFiles.set(key, file);
       }
@@ -0,0 +1,211 @@
+/**
+ * 文件类型检测模块
+ * 通过读取文件头部的魔数（magic bytes）识别文件的真实类型
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import fs from 'fs-extra';
+
+/**
+ * 读取的文件头部字节数（tar 的 ustar 标记位于偏移 257）
+ */
+const SNIFF_BYTES = 4100;
+
+/**
+ * 基于 ZIP 容器的格式都可能以 PK 开头
+ */
+const ZIP_BASED_EXTENSIONS = [
+  '.zip', '.docx', '.docm', '.dotx', '.xlsx', '.xlsm', '.xltx', '.pptx', '.pptm', '.potx',
+  '.odt', '.ods', '.odp', '.epub', '.jar', '.apk', '.aab', '.ipa', '.xpi', '.vsix', '.whl',
+  '.nupkg', '.crx', '.kmz', '.3mf', '.sketch', '.appx', '.msix'
+];
+
+/**
+ * 类型定义：mimeType、标准扩展名、与该内容相符的扩展名
+ */
+const TYPES = {
+  pdf: { mimeType: 'application/pdf', extension: '.pdf', compatible: ['.pdf', '.ai'] },
+  zip: { mimeType: 'application/zip', extension: '.zip', compatible: ZIP_BASED_EXTENSIONS },
+  docx: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: '.docx', compatible: ['.docx', '.docm', '.dotx', '.dotm'] },
+  xlsx: { mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: '.xlsx', compatible: ['.xlsx', '.xlsm', '.xltx', '.xltm'] },
+  pptx: { mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extension: '.pptx', compatible: ['.pptx', '.pptm', '.potx', '.ppsx'] },
+  epub: { mimeType: 'application/epub+zip', extension: '.epub', compatible: ['.epub'] },
+  odt: { mimeType: 'application/vnd.oasis.opendocument.text', extension: '.odt', compatible: ['.odt', '.ott'] },
+  ods: { mimeType: 'application/vnd.oasis.opendocument.spreadsheet', extension: '.ods', compatible: ['.ods', '.ots'] },
+  odp: { mimeType: 'application/vnd.oasis.opendocument.presentation', extension: '.odp', compatible: ['.odp', '.otp'] },
+  jar: { mimeType: 'application/java-archive', extension: '.jar', compatible: ['.jar', '.war', '.ear', '.zip'] },
+  apk: { mimeType: 'application/vnd.android.package-archive', extension: '.apk', compatible: ['.apk', '.aab', '.zip'] },
+  ole: { mimeType: 'application/x-ole-storage', extension: '.doc', compatible: ['.doc', '.dot', '.xls', '.xlt', '.ppt', '.pps', '.msi', '.msg', '.vsd', '.pub', '.db'] },
+  rtf: { mimeType: 'application/rtf', extension: '.rtf', compatible: ['.rtf', '.doc'] },
+  png: { mimeType: 'image/png', extension: '.png', compatible: ['.png', '.apng'] },
+  jpeg: { mimeType: 'image/jpeg', extension: '.jpg', compatible: ['.jpg', '.jpeg', '.jpe', '.jfif'] },
+  gif: { mimeType: 'image/gif', extension: '.gif', compatible: ['.gif'] },
+  webp: { mimeType: 'image/webp', extension: '.webp', compatible: ['.webp'] },
+  bmp: { mimeType: 'image/bmp', extension: '.bmp', compatible: ['.bmp', '.dib'] },
+  tiff: { mimeType: 'image/tiff', extension: '.tiff', compatible: ['.tif', '.tiff', '.dng', '.nef', '.cr2', '.arw'] },
+  ico: { mimeType: 'image/x-icon', extension: '.ico', compatible: ['.ico', '.cur'] },
+  heic: { mimeType: 'image/heic', extension: '.heic', compatible: ['.heic', '.heif'] },
+  mp4: { mimeType: 'video/mp4', extension: '.mp4', compatible: ['.mp4', '.m4v', '.m4a', '.m4b', '.3gp', '.mov', '.f4v'] },
+  mov: { mimeType: 'video/quicktime', extension: '.mov', compatible: ['.mov', '.qt', '.mp4'] },
+  m4a: { mimeType: 'audio/mp4', extension: '.m4a', compatible: ['.m4a', '.m4b', '.m4p', '.mp4', '.aac'] },
+  mkv: { mimeType: 'video/x-matroska', extension: '.mkv', compatible: ['.mkv', '.mka', '.mks', '.webm'] },
+  webm: { mimeType: 'video/webm', extension: '.webm', compatible: ['.webm', '.mkv'] },
+  avi: { mimeType: 'video/x-msvideo', extension: '.avi', compatible: ['.avi'] },
+  flv: { mimeType: 'video/x-flv', extension: '.flv', compatible: ['.flv'] },
+  wav: { mimeType: 'audio/wav', extension: '.wav', compatible: ['.wav'] },
+  mp3: { mimeType: 'audio/mpeg', extension: '.mp3', compatible: ['.mp3'] },
+  flac: { mimeType: 'audio/flac', extension: '.flac', compatible: ['.flac'] },
+  ogg: { mimeType: 'audio/ogg', extension: '.ogg', compatible: ['.ogg', '.oga', '.ogv', '.opus'] },
+  exe: { mimeType: 'application/x-msdownload', extension: '.exe', compatible: ['.exe', '.dll', '.sys', '.scr', '.com', '.cpl', '.ocx', '.efi', '.mui'] },
+  elf: { mimeType: 'application/x-executable', extension: '', compatible: ['', '.so', '.o', '.elf', '.bin', '.run', '.out'] },
+  macho: { mimeType: 'application/x-mach-binary', extension: '', compatible: ['', '.dylib', '.bundle', '.o'] },
+  sqlite: { mimeType: 'application/vnd.sqlite3', extension: '.sqlite', compatible: ['.sqlite', '.sqlite3', '.db', '.db3', '.sdb'] },
+  sevenZip: { mimeType: 'application/x-7z-compressed', extension: '.7z', compatible: ['.7z'] },
+  rar: { mimeType: 'application/vnd.rar', extension: '.rar', compatible: ['.rar'] },
+  gzip: { mimeType: 'application/gzip', extension: '.gz', compatible: ['.gz', '.tgz'] },
+  bzip2: { mimeType: 'application/x-bzip2', extension: '.bz2', compatible: ['.bz2', '.tbz2'] },
+  xz: { mimeType: 'application/x-xz', extension: '.xz', compatible: ['.xz', '.txz'] },
+  tar: { mimeType: 'application/x-tar', extension: '.tar', compatible: ['.tar'] }
+};
+
+/**
+ * 文件类型检测器类
+ */
+export class FileTypeDetector {
+  /**
+   * 读取文件头部并识别类型
+   * @param {string} filePath - 文件路径
+   * @returns {Object|null} { type, mimeType, extension, compatible }，无法识别时返回null
+   */
+  async detect(filePath) {
+    const buffer = await this.readHeader(filePath);
+    const type = this.detectFromBuffer(buffer);
+    return type ? { type, ...TYPES[type] } : null;
+  }
+
+  /**
+   * 读取文件头部字节
+   * @param {string} filePath - 文件路径
+   * @returns {Buffer} 头部字节
+   */
+  async readHeader(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const buffer = Buffer.alloc(SNIFF_BYTES);
+      const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * 根据头部字节识别类型
+   * @param {Buffer} buffer - 文件头部字节
+   * @returns {string|null} 类型标识
+   */
+  detectFromBuffer(buffer) {
+    const startsWith = (bytes, offset = 0) => bytes.every((byte, index) => buffer[offset + index] === byte);
+    const ascii = (text, offset = 0) => buffer.toString('latin1', offset, offset + text.length) === text;
+
+    if (buffer.length < 4) return null;
+
+    if (ascii('%PDF')) return 'pdf';
+    if (startsWith([0x50, 0x4B, 0x03, 0x04]) || startsWith([0x50, 0x4B, 0x05, 0x06])) return this.detectZipFlavor(buffer);
+    if (startsWith([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) return 'ole';
+    if (ascii('{\\rtf')) return 'rtf';
+
+    if (startsWith([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'png';
+    if (startsWith([0xFF, 0xD8, 0xFF])) return 'jpeg';
+    if (ascii('GIF87a') || ascii('GIF89a')) return 'gif';
+    if (ascii('RIFF') && ascii('WEBP', 8)) return 'webp';
+    if (ascii('RIFF') && ascii('WAVE', 8)) return 'wav';
+    if (ascii('RIFF') && ascii('AVI ', 8)) return 'avi';
+    if (ascii('II*\0') || ascii('MM\0*')) return 'tiff';
+    if (startsWith([0x00, 0x00, 0x01, 0x00]) && buffer[4] > 0 && buffer[5] === 0) return 'ico';
+    if (ascii('BM') && buffer.length >= 14 && buffer.readUInt32LE(2) > 0 && buffer[6] === 0 && buffer[7] === 0) return 'bmp';
+
+    if (ascii('ftyp', 4)) return this.detectIsoBrand(buffer.toString('latin1', 8, 12));
+    if (startsWith([0x1A, 0x45, 0xDF, 0xA3])) return buffer.includes('webm') ? 'webm' : 'mkv';
+    if (ascii('FLV\x01')) return 'flv';
+    if (ascii('fLaC')) return 'flac';
+    if (ascii('OggS')) return 'ogg';
+    if (ascii('ID3') || (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0 && (buffer[1] & 0x06) !== 0)) return 'mp3';
+
+    if (ascii('MZ') && this.hasPeHeader(buffer)) return 'exe';
+    if (startsWith([0x7F, 0x45, 0x4C, 0x46])) return 'elf';
+    if ([0xFEEDFACE, 0xFEEDFACF, 0xCEFAEDFE, 0xCFFAEDFE].includes(buffer.readUInt32BE(0))) return 'macho';
+
+    if (ascii('SQLite format 3\0')) return 'sqlite';
+    if (startsWith([0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C])) return 'sevenZip';
+    if (ascii('Rar!\x1A\x07')) return 'rar';
+    if (startsWith([0x1F, 0x8B])) return 'gzip';
+    if (ascii('BZh')) return 'bzip2';
+    if (startsWith([0xFD, 0x37, 0x7A, 0x58, 0x5A, 0x00])) return 'xz';
+    if (buffer.length >= 262 && ascii('ustar', 257)) return 'tar';
+
+    return null;
+  }
+
+  /**
+   * 检查 DOS 头指向的位置是否为 PE 签名，避免把以 "MZ" 开头的文本误判为可执行文件
+   * @param {Buffer} buffer - 文件头部字节
+   * @returns {boolean} 是否为PE文件
+   */
+  hasPeHeader(buffer) {
+    if (buffer.length < 64) return false;
+    const peOffset = buffer.readUInt32LE(0x3C);
+    return peOffset + 4 <= buffer.length && buffer.toString('latin1', peOffset, peOffset + 4) === 'PE\0\0';
+  }
+
+  /**
+   * 根据ZIP中前几个条目的文件名区分具体格式
+   * @param {Buffer} buffer - 文件头部字节
+   * @returns {string} 类型标识
+   */
+  detectZipFlavor(buffer) {
+    const content = buffer.toString('latin1');
+
+    // ODF 和 EPUB 规定第一个条目是未压缩的 mimetype 文件
+    const mimetypeMatch = content.match(/^PK\x03\x04[\s\S]{26}mimetype(application\/[\w.+-]+)/);
+    if (mimetypeMatch) {
+      const mimeType = mimetypeMatch[1];
+      if (mimeType === 'application/epub+zip') return 'epub';
+      if (mimeType.endsWith('opendocument.text')) return 'odt';
+      if (mimeType.endsWith('opendocument.spreadsheet')) return 'ods';
+      if (mimeType.endsWith('opendocument.presentation')) return 'odp';
+    }
+
+    if (content.includes('word/')) return 'docx';
+    if (content.includes('xl/')) return 'xlsx';
+    if (content.includes('ppt/')) return 'pptx';
+    if (content.includes('AndroidManifest.xml')) return 'apk';
+    if (content.includes('META-INF/MANIFEST.MF')) return 'jar';
+
+    return 'zip';
+  }
+
+  /**
+   * 根据ISO媒体文件（MP4/MOV/HEIC）的 major brand 区分格式
+   * @param {string} brand - ftyp 中的 major brand
+   * @returns {string} 类型标识
+   */
+  detectIsoBrand(brand) {
+    if (brand === 'qt  ') return 'mov';
+    if (['M4A ', 'M4B ', 'M4P '].includes(brand)) return 'm4a';
+    if (['heic', 'heix', 'heim', 'heis', 'mif1', 'msf1'].includes(brand)) return 'heic';
+    return 'mp4';
+  }
+
+  /**
+   * 判断文件扩展名是否与检测到的内容类型相符
+   * @param {string} extension - 文件扩展名（含点号）
+   * @param {Object} detection - detect() 的结果
+   * @returns {boolean} 是否相符
+   */
+  isExtensionCompatible(extension, detection) {
+    return detection.compatible.includes((extension || '').toLowerCase());
+  }
+}
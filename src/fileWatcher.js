@@ -0,0 +1,416 @@
+/**
+ * 文件监视模块
+ * 持续监视扫描路径，新文件写入完成后自动分类并整理到分类目录
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import chokidar from 'chokidar';
+import { Logger } from './logger.js';
+import { OperationJournal } from './operationJournal.js';
+import { IGNORE_FILE_NAME } from './excludeMatcher.js';
+
+/**
+ * 默认监视设置（配置文件中缺省时使用）
+ */
+const DEFAULT_WATCH_SETTINGS = {
+  stableSeconds: 5,
+  debounceMs: 2000,
+  ignoreSuffixes: ['.crdownload', '.part', '.partial', '.download', '.opdownload', '.tmp', '.temp', '.!ut'],
+  includeHidden: false
+};
+
+/**
+ * 文件监视器类
+ */
+export class FileWatcher {
+  /**
+   * @param {Object} components - 依赖的组件
+   * @param {FileScanner} components.scanner - 文件扫描器
+   * @param {FileClassifier} components.classifier - 文件分类器
+   * @param {FileArranger} components.arranger - 文件整理器
+   * @param {MarkdownReporter} components.markdownReporter - Markdown报告生成器
+   * @param {MCPClient} components.mcpClient - MCP客户端
+   */
+  constructor({ scanner, classifier, arranger, markdownReporter, mcpClient }) {
+    this.scanner = scanner;
+    this.classifier = classifier;
+    this.arranger = arranger;
+    this.markdownReporter = markdownReporter;
+    this.mcpClient = mcpClient;
+    this.logger = new Logger();
+
+    this.watcher = null;
+    this.settings = null;
+    this.arrangeOptions = {};
+    this.pending = new Set();
+    this.debounceTimer = null;
+    this.processing = null;
+    this.stats = { arranged: 0, skipped: 0, failed: 0 };
+
+    // 排除规则与扫描一致：配置 excludePaths 加上逐层的 .arrangeignore，各目录的匹配范围按目录缓存
+    this.excludeMatcher = null;
+    this.watchPaths = [];
+    this.directoryScopes = new Map();
+
+    // 每批事件处理完成后的回调，供命令行输出进度
+    this.onEvents = null;
+  }
+
+  /**
+   * 获取监视设置（命令行选项优先于配置文件）
+   * @param {Object} options - 命令行选项
+   * @returns {Object} 监视设置
+   */
+  getWatchSettings(options = {}) {
+    const settings = {
+      ...DEFAULT_WATCH_SETTINGS,
+      ...(this.scanner.config?.watchSettings || {})
+    };
+
+    if (options.stable !== undefined) settings.stableSeconds = options.stable;
+    if (options.debounce !== undefined) settings.debounceMs = options.debounce;
+    if (options.includeHidden) settings.includeHidden = true;
+
+    if (!(settings.stableSeconds > 0)) {
+      throw new Error(`文件稳定等待时间必须大于0: ${settings.stableSeconds}`);
+    }
+
+    settings.ignoreSuffixes = settings.ignoreSuffixes.map(suffix => suffix.toLowerCase());
+    return settings;
+  }
+
+  /**
+   * 开始监视
+   * @param {Object} options - 监视选项（paths、target、template、conflict、stable、dryRun、output）
+   * @returns {Array} 实际监视的路径
+   */
+  async start(options = {}) {
+    await this.scanner.ensureConfigLoaded();
+    await this.classifier.ensureConfigLoaded();
+    await this.arranger.ensureConfigLoaded();
+
+    this.settings = this.getWatchSettings(options);
+    this.arrangeOptions = options;
+    this.outputDir = options.output || './output/reports';
+
+    // 整理目标目录位于监视路径中时必须忽略，否则移动后的文件会被再次处理
+    const destination = this.arranger.getArrangeSettings(options).destination;
+
+    const watchPaths = [];
+    for (const scanPath of options.paths || this.scanner.getScanPaths()) {
+      const expandedPath = path.resolve(this.scanner.expandPath(scanPath));
+      if (await fs.pathExists(expandedPath)) {
+        watchPaths.push(expandedPath);
+      } else {
+        await this.logger.logWarning(`监视路径不存在: ${expandedPath}`);
+      }
+    }
+
+    if (watchPaths.length === 0) {
+      throw new Error('没有可监视的路径');
+    }
+
+    this.excludeMatcher = this.scanner.createExcludeMatcher();
+    this.watchPaths = watchPaths;
+    this.directoryScopes.clear();
+
+    this.watcher = chokidar.watch(watchPaths, {
+      ignoreInitial: true,
+      ignorePermissionErrors: true,
+      // 监视深度与扫描时的最大目录深度（scanSettings.maxDepth）一致
+      depth: this.scanner.getScanSettings().maxDepth,
+      ignored: (filePath, stats) => this.shouldIgnore(filePath, destination, watchPaths, stats),
+      // 文件大小在 stableSeconds 内不再变化才视为写入完成
+      awaitWriteFinish: {
+        stabilityThreshold: this.settings.stableSeconds * 1000,
+        pollInterval: Math.min(1000, this.settings.stableSeconds * 250)
+      }
+    });
+
+    this.watcher.on('add', filePath => this.enqueue(filePath));
+    // .arrangeignore 变化后重新读取其所在目录及子目录的规则
+    this.watcher.on('change', filePath => this.onIgnoreFileChanged(filePath));
+    this.watcher.on('unlink', filePath => this.onIgnoreFileChanged(filePath));
+    this.watcher.on('error', error => this.logger.logError('文件监视出错', error));
+
+    await new Promise(resolve => this.watcher.once('ready', resolve));
+
+    await this.logger.logTaskStart('文件监视', {
+      paths: watchPaths,
+      destination,
+      stableSeconds: this.settings.stableSeconds,
+      dryRun: Boolean(options.dryRun)
+    });
+
+    return watchPaths;
+  }
+
+  /**
+   * 判断路径是否应忽略（chokidar 同步调用）。排除规则只能用已读取的目录匹配范围判断，
+   * 尚未读取 .arrangeignore 的目录中的文件在处理前由 isExcluded() 再检查
+   * @param {string} filePath - 文件或目录路径
+   * @param {string} destination - 整理目标目录
+   * @param {Array} watchPaths - 监视路径，排除模式相对所在的监视路径匹配
+   * @param {Object} stats - chokidar 提供的文件信息（可能为空）
+   * @returns {boolean} 是否忽略
+   */
+  shouldIgnore(filePath, destination, watchPaths, stats) {
+    const resolvedPath = path.resolve(filePath);
+    const name = path.basename(resolvedPath);
+    const lowerName = name.toLowerCase();
+
+    // .arrangeignore 本身需要监视，以便规则变化时生效
+    if (name === IGNORE_FILE_NAME) {
+      return false;
+    }
+    if (!this.settings.includeHidden && name.startsWith('.')) {
+      return true;
+    }
+    if (this.settings.ignoreSuffixes.some(suffix => lowerName.endsWith(suffix))) {
+      return true;
+    }
+
+    const relative = path.relative(destination, resolvedPath);
+    if (!relative || (!relative.startsWith('..') && !path.isAbsolute(relative))) {
+      return true;
+    }
+
+    if (this.excludeMatcher.isUnderAbsolutePath(resolvedPath)) {
+      return true;
+    }
+    if (watchPaths.includes(resolvedPath)) {
+      return false;
+    }
+
+    const parentScope = this.directoryScopes.get(path.dirname(resolvedPath));
+    if (parentScope && !(parentScope instanceof Promise)) {
+      return parentScope.excluded ||
+        this.excludeMatcher.isExcluded(resolvedPath, Boolean(stats?.isDirectory()), parentScope.scope);
+    }
+    return false;
+  }
+
+  /**
+   * 按扫描的规则判断文件是否被排除：所在目录或其上级目录被排除，或文件本身匹配排除规则
+   * @param {string} filePath - 文件路径
+   * @returns {boolean} 是否排除
+   */
+  async isExcluded(filePath) {
+    const { excluded, scope } = await this.getDirectoryScope(path.dirname(filePath));
+    return excluded || this.excludeMatcher.isExcluded(filePath, false, scope);
+  }
+
+  /**
+   * 获取目录内容使用的匹配范围，从监视路径开始逐层读取 .arrangeignore，结果按目录缓存
+   * @param {string} directoryPath - 目录路径
+   * @returns {Object} { excluded, scope }，excluded 表示该目录或其上级目录已被排除
+   */
+  async getDirectoryScope(directoryPath) {
+    const cached = this.directoryScopes.get(directoryPath);
+    if (cached) {
+      return cached;
+    }
+
+    const promise = (async () => {
+      const root = this.watchPaths.find(watchPath => watchPath === directoryPath);
+      if (root) {
+        return { excluded: false, scope: await this.excludeMatcher.enterDirectory(this.excludeMatcher.createScope(root), root) };
+      }
+
+      const parentPath = path.dirname(directoryPath);
+      const isWatched = this.watchPaths.some(watchPath =>
+        this.excludeMatcher.toRelativePath(watchPath, directoryPath) !== null);
+      if (!isWatched || parentPath === directoryPath) {
+        // 不在任何监视路径下（不应出现），只按配置规则判断
+        return { excluded: false, scope: this.excludeMatcher.createScope(directoryPath) };
+      }
+
+      const parent = await this.getDirectoryScope(parentPath);
+      if (parent.excluded || this.excludeMatcher.isExcluded(directoryPath, true, parent.scope)) {
+        return { excluded: true, scope: parent.scope };
+      }
+      return { excluded: false, scope: await this.excludeMatcher.enterDirectory(parent.scope, directoryPath) };
+    })();
+
+    this.directoryScopes.set(directoryPath, promise);
+    try {
+      const result = await promise;
+      this.directoryScopes.set(directoryPath, result);
+      return result;
+    } catch (error) {
+      this.directoryScopes.delete(directoryPath);
+      throw error;
+    }
+  }
+
+  /**
+   * .arrangeignore 新增、修改或删除后，清除其所在目录及子目录缓存的匹配范围
+   * @param {string} filePath - 变化的文件路径
+   */
+  onIgnoreFileChanged(filePath) {
+    if (path.basename(filePath) !== IGNORE_FILE_NAME) {
+      return;
+    }
+
+    const directoryPath = path.dirname(path.resolve(filePath));
+    for (const cachedPath of this.directoryScopes.keys()) {
+      if (cachedPath === directoryPath || this.excludeMatcher.toRelativePath(directoryPath, cachedPath) !== null) {
+        this.directoryScopes.delete(cachedPath);
+      }
+    }
+  }
+
+  /**
+   * 将新文件加入待处理队列，一段时间内没有新文件后批量处理
+   * @param {string} filePath - 文件路径
+   */
+  enqueue(filePath) {
+    if (path.basename(filePath) === IGNORE_FILE_NAME) {
+      this.onIgnoreFileChanged(filePath);
+      return;
+    }
+
+    this.pending.add(path.resolve(filePath));
+
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.flush(), this.settings.debounceMs);
+  }
+
+  /**
+   * 处理队列中的文件，同一时间只处理一批
+   */
+  async flush() {
+    while (this.processing) {
+      // 上一批仍在处理，完成后再处理新加入的文件
+      await this.processing;
+    }
+    if (this.pending.size === 0) {
+      return;
+    }
+
+    const batch = [...this.pending];
+    this.pending.clear();
+
+    // 每批使用新的运行ID，批内的整理操作和日志关联到该ID
+    this.processing = Logger.runWithContext(OperationJournal.createRunId(), () => this.processBatch(batch))
+      .catch(error => this.logger.logError('处理监视事件失败', error))
+      .finally(() => {
+        this.processing = null;
+      });
+    await this.processing;
+  }
+
+  /**
+   * 分类并整理一批文件，并把事件追加到Markdown变化记录
+   * @param {Array} filePaths - 文件路径列表
+   * @returns {Array} 事件列表
+   */
+  async processBatch(filePaths) {
+    const events = [];
+    const classificationResult = { categories: {} };
+    const now = new Date();
+
+    for (const filePath of filePaths) {
+      try {
+        // 文件可能在等待期间已被移走或删除
+        if (!(await fs.pathExists(filePath))) {
+          continue;
+        }
+        if (await this.isExcluded(filePath)) {
+          continue;
+        }
+
+        const basicInfo = await this.mcpClient.getFileInfo(filePath);
+        const file = await this.scanner.getDetailedFileInfo(basicInfo);
+        const { category, matchedRule, tags, destinationTemplate } = this.classifier.matchFile(file, now);
+        Object.assign(file, { category, matchedRule, tags, destinationTemplate });
+
+        if (!classificationResult.categories[category]) {
+          classificationResult.categories[category] = [];
+        }
+        classificationResult.categories[category].push(file);
+      } catch (error) {
+        events.push(this.createEvent('failed', { source: filePath }, error.message));
+      }
+    }
+
+    if (Object.keys(classificationResult.categories).length > 0) {
+      events.push(...await this.arrangeBatch(classificationResult));
+    }
+
+    for (const event of events) {
+      this.stats[event.type] += 1;
+    }
+
+    if (events.length > 0) {
+      await this.markdownReporter.appendWatchEvents(events, { outputDir: this.outputDir });
+      if (this.onEvents) {
+        this.onEvents(events);
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * 整理一批已分类的文件
+   * @param {Object} classificationResult - 分类结果
+   * @returns {Array} 事件列表
+   */
+  async arrangeBatch(classificationResult) {
+    const plan = await this.arranger.createPlan(classificationResult, this.arrangeOptions);
+    const events = plan.skipped.map(entry => this.createEvent('skipped', entry, entry.skipReason));
+
+    if (this.arrangeOptions.dryRun) {
+      events.push(...plan.entries.map(entry => this.createEvent('skipped', entry, '预览模式，未移动')));
+      return events;
+    }
+
+    const result = await this.arranger.applyPlan({ ...plan, skipped: [] });
+    events.push(...result.applied.map(entry => this.createEvent('arranged', entry, null, result.runId)));
+    events.push(...result.skipped.map(entry => this.createEvent('skipped', entry, entry.skipReason)));
+    events.push(...result.failed.map(entry => this.createEvent('failed', entry, entry.error)));
+    return events;
+  }
+
+  /**
+   * 创建监视事件
+   * @param {string} type - 事件类型（arranged | skipped | failed）
+   * @param {Object} entry - 计划条目
+   * @param {string|null} reason - 跳过或失败原因
+   * @param {string|null} runId - 运行ID
+   * @returns {Object} 事件
+   */
+  createEvent(type, entry, reason = null, runId = null) {
+    return {
+      type,
+      time: new Date().toISOString(),
+      source: entry.source,
+      destination: type === 'arranged' ? entry.destination : null,
+      category: entry.category || null,
+      rule: entry.rule || null,
+      reason,
+      runId
+    };
+  }
+
+  /**
+   * 停止监视，处理完队列中剩余的文件
+   * @returns {Object} 统计信息
+   */
+  async stop() {
+    clearTimeout(this.debounceTimer);
+    if (this.watcher) {
+      await this.watcher.close();
+      this.watcher = null;
+    }
+
+    await this.flush();
+    await this.logger.logTaskComplete('文件监视', this.stats);
+    return this.stats;
+  }
+}
@@ -0,0 +1,735 @@
+/**
+ * HTML报告生成模块
+ * 生成单个可离线打开的HTML报告：分类饼图、大小分布直方图、按天时间线、目录矩形树图和可排序/筛选的文件表
+ * 图表在生成时绘制为内联SVG，表格交互使用内联脚本，不依赖任何外部资源
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { Logger } from './logger.js';
+
+/**
+ * 大小直方图的区间（按数量级划分）
+ */
+const SIZE_BUCKETS = [
+  { label: '< 1 KB', max: 1024 },
+  { label: '1–10 KB', max: 10 * 1024 },
+  { label: '10–100 KB', max: 100 * 1024 },
+  { label: '100 KB–1 MB', max: 1024 ** 2 },
+  { label: '1–10 MB', max: 10 * 1024 ** 2 },
+  { label: '10–100 MB', max: 100 * 1024 ** 2 },
+  { label: '100 MB–1 GB', max: 1024 ** 3 },
+  { label: '≥ 1 GB', max: Infinity }
+];
+
+/**
+ * 矩形树图最多单独显示的目录数，其余合并为「其他目录」
+ */
+const TREEMAP_MAX_DIRECTORIES = 30;
+
+/**
+ * 文件表最多同时渲染的行数，超出时提示使用筛选
+ */
+const TABLE_MAX_ROWS = 1000;
+
+/**
+ * 时间线最多显示的天数，更早的文件合并为「更早」
+ */
+const TIMELINE_MAX_DAYS = 90;
+
+const DEFAULT_COLOR = '#B2B2B2';
+
+/**
+ * HTML报告生成器类
+ */
+export class HtmlReporter {
+  constructor() {
+    this.logger = new Logger();
+  }
+
+  /**
+   * 生成HTML报告
+   * @param {Object} classificationResult - 分类结果
+   * @param {Object} options - 报告选项
+   * @param {string} options.title - 报告标题
+   * @param {string} options.timeRange - 时间范围描述
+   * @param {string} options.output - 输出目录
+   * @returns {string} 报告文件路径
+   */
+  async generateReport(classificationResult, options = {}) {
+    const {
+      title = '文件整理报告',
+      timeRange = '近7天',
+      output = './output/reports'
+    } = options;
+
+    try {
+      await this.logger.logTaskStart('HTML报告生成', { title, output });
+
+      const html = this.buildHtml(classificationResult, { title, timeRange });
+
+      await fs.ensureDir(output);
+      const timestamp = new Date().toISOString().split('T')[0];
+      const reportPath = path.join(output, `文件整理报告_${timestamp}_${Date.now()}.html`);
+      await fs.writeFile(reportPath, html, 'utf8');
+
+      await this.logger.logTaskComplete('HTML报告生成', {
+        reportPath,
+        fileCount: classificationResult.totalFiles
+      });
+
+      return reportPath;
+    } catch (error) {
+      await this.logger.logTaskError('HTML报告生成', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 生成完整的HTML文档
+   * @param {Object} classificationResult - 分类结果
+   * @param {Object} options - 标题和时间范围
+   * @returns {string} HTML
+   */
+  buildHtml(classificationResult, { title, timeRange }) {
+    const files = this.getAllFiles(classificationResult);
+    const colors = this.getCategoryColors(classificationResult);
+
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${this.escapeHtml(title)}</title>
+<style>${this.getStyles()}</style>
+</head>
+<body>
+<header>
+  <h1>${this.escapeHtml(title)}</h1>
+  <p class="meta">时间范围: ${this.escapeHtml(timeRange)} · 生成时间: ${this.escapeHtml(new Date().toLocaleString('zh-CN'))} · 共 ${classificationResult.totalFiles} 个文件，${this.formatFileSize(classificationResult.totalSize)}</p>
+</header>
+<main>
+  <section class="charts">
+    <div class="card">
+      <h2>分类占比</h2>
+      ${this.renderPieChart(classificationResult.summary)}
+    </div>
+    <div class="card">
+      <h2>文件大小分布</h2>
+      ${this.renderSizeHistogram(files, colors)}
+    </div>
+    <div class="card wide">
+      <h2>每日文件数（按修改时间）</h2>
+      ${this.renderTimeline(files, colors)}
+    </div>
+    <div class="card wide">
+      <h2>目录占用空间</h2>
+      ${this.renderTreemap(files, colors)}
+    </div>
+  </section>
+  <section class="card">
+    <h2>文件列表</h2>
+    ${this.renderFileTable(files, colors)}
+  </section>
+</main>
+<script>${this.getScript()}</script>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * 绘制分类饼图，点击扇区或图例按分类筛选文件表
+   * @param {Object} summary - 分类摘要
+   * @returns {string} SVG和图例
+   */
+  renderPieChart(summary) {
+    const entries = Object.entries(summary).filter(([, item]) => item.count > 0);
+    if (entries.length === 0) {
+      return '<p class="empty">没有文件</p>';
+    }
+
+    const total = entries.reduce((sum, [, item]) => sum + item.count, 0);
+    const cx = 150;
+    const cy = 150;
+    const radius = 140;
+    let angle = -Math.PI / 2;
+    let slices = '';
+
+    for (const [category, item] of entries) {
+      const tooltip = `<title>${this.escapeHtml(`${category}: ${item.count} 个文件 (${item.percentage}%)，${this.formatFileSize(item.totalSize)}`)}</title>`;
+      const attributes = `fill="${this.escapeHtml(item.color || DEFAULT_COLOR)}" data-filter-category="${this.escapeHtml(category)}"`;
+
+      if (entries.length === 1) {
+        slices += `<circle cx="${cx}" cy="${cy}" r="${radius}" ${attributes}>${tooltip}</circle>`;
+        break;
+      }
+
+      const sweep = (item.count / total) * Math.PI * 2;
+      const x1 = cx + radius * Math.cos(angle);
+      const y1 = cy + radius * Math.sin(angle);
+      angle += sweep;
+      const x2 = cx + radius * Math.cos(angle);
+      const y2 = cy + radius * Math.sin(angle);
+      const largeArc = sweep > Math.PI ? 1 : 0;
+      slices += `<path d="M${cx},${cy} L${this.round(x1)},${this.round(y1)} A${radius},${radius} 0 ${largeArc} 1 ${this.round(x2)},${this.round(y2)} Z" ${attributes}>${tooltip}</path>`;
+    }
+
+    const legend = entries.map(([category, item]) =>
+      `<li data-filter-category="${this.escapeHtml(category)}"><span class="swatch" style="background:${this.escapeHtml(item.color || DEFAULT_COLOR)}"></span>${this.escapeHtml(category)} <span class="muted">${item.count} 个 · ${item.percentage}%</span></li>`
+    ).join('');
+
+    return `<div class="pie"><svg viewBox="0 0 300 300" class="chart pie-chart" role="img">${slices}</svg><ul class="legend">${legend}</ul></div>`;
+  }
+
+  /**
+   * 绘制文件大小直方图（按数量级分组，按分类堆叠）
+   * @param {Array} files - 文件列表
+   * @param {Object} colors - 分类颜色
+   * @returns {string} SVG
+   */
+  renderSizeHistogram(files, colors) {
+    const groups = SIZE_BUCKETS.map(bucket => ({ label: bucket.label, values: {} }));
+    for (const file of files) {
+      const index = SIZE_BUCKETS.findIndex(bucket => (file.size || 0) < bucket.max);
+      const values = groups[index].values;
+      values[file.category] = (values[file.category] || 0) + 1;
+    }
+    return this.renderStackedBarChart(groups, colors, { width: 520, height: 300 });
+  }
+
+  /**
+   * 绘制按天的文件数时间线（按修改时间，按分类堆叠）
+   * @param {Array} files - 文件列表
+   * @param {Object} colors - 分类颜色
+   * @returns {string} SVG
+   */
+  renderTimeline(files, colors) {
+    const byDay = new Map();
+    for (const file of files) {
+      const day = this.toDayKey(file.modifiedTime);
+      if (!day) continue;
+      if (!byDay.has(day)) byDay.set(day, {});
+      const values = byDay.get(day);
+      values[file.category] = (values[file.category] || 0) + 1;
+    }
+    if (byDay.size === 0) {
+      return '<p class="empty">没有文件</p>';
+    }
+
+    // 补齐没有文件的日期，保证时间轴连续
+    const days = [...byDay.keys()].sort();
+    const groups = [];
+    const current = new Date(`${days[0]}T00:00:00`);
+    const last = new Date(`${days[days.length - 1]}T00:00:00`);
+    while (current <= last) {
+      const day = this.toDayKey(current);
+      groups.push({ label: day.slice(5), title: day, values: byDay.get(day) || {} });
+      current.setDate(current.getDate() + 1);
+    }
+
+    if (groups.length > TIMELINE_MAX_DAYS) {
+      const earlier = { label: '更早', title: `${groups[0].title} ~ ${groups[groups.length - TIMELINE_MAX_DAYS].title}`, values: {} };
+      for (const group of groups.splice(0, groups.length - TIMELINE_MAX_DAYS + 1)) {
+        for (const [category, count] of Object.entries(group.values)) {
+          earlier.values[category] = (earlier.values[category] || 0) + count;
+        }
+      }
+      groups.unshift(earlier);
+    }
+
+    return this.renderStackedBarChart(groups, colors, { width: 1040, height: 280 });
+  }
+
+  /**
+   * 绘制堆叠柱状图
+   * @param {Array} groups - 柱子 [{ label, title, values: { 分类: 数量 } }]
+   * @param {Object} colors - 分类颜色
+   * @param {Object} size - 图表宽高
+   * @returns {string} SVG
+   */
+  renderStackedBarChart(groups, colors, { width, height }) {
+    const margin = { top: 16, right: 12, bottom: 36, left: 44 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const totals = groups.map(group => Object.values(group.values).reduce((sum, count) => sum + count, 0));
+    const maxValue = this.niceMax(Math.max(...totals, 1));
+
+    const slot = plotWidth / groups.length;
+    const barWidth = Math.max(2, Math.min(48, slot * 0.7));
+    const labelStep = Math.ceil(groups.length / Math.floor(plotWidth / 48));
+    let svg = '';
+
+    // 纵轴刻度
+    for (let tick = 0; tick <= 4; tick++) {
+      const value = (maxValue / 4) * tick;
+      const y = margin.top + plotHeight - (value / maxValue) * plotHeight;
+      svg += `<line x1="${margin.left}" y1="${this.round(y)}" x2="${width - margin.right}" y2="${this.round(y)}" class="grid"/>`;
+      svg += `<text x="${margin.left - 6}" y="${this.round(y + 4)}" class="axis" text-anchor="end">${Number.isInteger(value) ? value : value.toFixed(1)}</text>`;
+    }
+
+    groups.forEach((group, index) => {
+      const x = margin.left + slot * index + (slot - barWidth) / 2;
+      let y = margin.top + plotHeight;
+
+      for (const [category, count] of Object.entries(group.values)) {
+        const barHeight = (count / maxValue) * plotHeight;
+        y -= barHeight;
+        svg += `<rect x="${this.round(x)}" y="${this.round(y)}" width="${this.round(barWidth)}" height="${this.round(barHeight)}" fill="${this.escapeHtml(colors[category] || DEFAULT_COLOR)}" data-filter-category="${this.escapeHtml(category)}"><title>${this.escapeHtml(`${group.title || group.label} · ${category}: ${count} 个文件`)}</title></rect>`;
+      }
+
+      if (index % labelStep === 0) {
+        svg += `<text x="${this.round(margin.left + slot * index + slot / 2)}" y="${height - margin.bottom + 16}" class="axis" text-anchor="middle">${this.escapeHtml(group.label)}</text>`;
+      }
+    });
+
+    return `<svg viewBox="0 0 ${width} ${height}" class="chart" role="img">${svg}</svg>`;
+  }
+
+  /**
+   * 绘制目录矩形树图：面积为目录中文件的总大小，颜色为占用空间最多的分类，点击按目录筛选文件表
+   * @param {Array} files - 文件列表
+   * @param {Object} colors - 分类颜色
+   * @returns {string} SVG
+   */
+  renderTreemap(files, colors) {
+    const directories = new Map();
+    for (const file of files) {
+      const directory = path.dirname(file.path);
+      if (!directories.has(directory)) {
+        directories.set(directory, { directory, size: 0, count: 0, categorySizes: {} });
+      }
+      const item = directories.get(directory);
+      item.size += file.size || 0;
+      item.count++;
+      item.categorySizes[file.category] = (item.categorySizes[file.category] || 0) + (file.size || 0);
+    }
+    if (directories.size === 0) {
+      return '<p class="empty">没有文件</p>';
+    }
+
+    let items = [...directories.values()].sort((a, b) => b.size - a.size || b.count - a.count);
+    if (items.length > TREEMAP_MAX_DIRECTORIES) {
+      const rest = items.slice(TREEMAP_MAX_DIRECTORIES - 1);
+      items = items.slice(0, TREEMAP_MAX_DIRECTORIES - 1);
+      items.push({
+        directory: null,
+        label: `其他 ${rest.length} 个目录`,
+        size: rest.reduce((sum, item) => sum + item.size, 0),
+        count: rest.reduce((sum, item) => sum + item.count, 0),
+        categorySizes: {}
+      });
+    }
+
+    // 全部为空文件时按文件数量计算面积
+    const useCount = items.every(item => item.size === 0);
+    const nodes = items
+      .map(item => ({ ...item, value: useCount ? item.count : item.size }))
+      .filter(item => item.value > 0);
+
+    const width = 1040;
+    const height = 420;
+    const rects = this.squarify(nodes, { x: 0, y: 0, width, height });
+    let svg = '';
+
+    for (const rect of rects) {
+      const { node } = rect;
+      const dominant = Object.entries(node.categorySizes).sort((a, b) => b[1] - a[1])[0];
+      const fill = node.directory ? (colors[dominant?.[0]] || DEFAULT_COLOR) : DEFAULT_COLOR;
+      const label = node.label || path.basename(node.directory) || node.directory;
+      const tooltip = `${node.directory || node.label}\n${node.count} 个文件，${this.formatFileSize(node.size)}`;
+      const filter = node.directory ? ` data-filter-directory="${this.escapeHtml(node.directory)}"` : '';
+
+      svg += `<g${filter}><rect x="${this.round(rect.x)}" y="${this.round(rect.y)}" width="${this.round(rect.width)}" height="${this.round(rect.height)}" fill="${this.escapeHtml(fill)}" class="tile"><title>${this.escapeHtml(tooltip)}</title></rect>`;
+      if (rect.width > 60 && rect.height > 30) {
+        svg += `<text x="${this.round(rect.x + 6)}" y="${this.round(rect.y + 18)}" class="tile-label">${this.escapeHtml(this.truncate(label, Math.floor(rect.width / 8)))}</text>`;
+        if (rect.height > 44) {
+          svg += `<text x="${this.round(rect.x + 6)}" y="${this.round(rect.y + 34)}" class="tile-label small">${this.escapeHtml(this.formatFileSize(node.size))}</text>`;
+        }
+      }
+      svg += '</g>';
+    }
+
+    return `<svg viewBox="0 0 ${width} ${height}" class="chart" role="img">${svg}</svg>`;
+  }
+
+  /**
+   * 矩形树图布局（squarified 算法，使矩形尽量接近正方形）
+   * @param {Array} nodes - 节点（按 value 从大到小排序）
+   * @param {Object} bounds - 可用区域 { x, y, width, height }
+   * @returns {Array} 矩形 [{ node, x, y, width, height }]
+   */
+  squarify(nodes, bounds) {
+    const total = nodes.reduce((sum, node) => sum + node.value, 0);
+    const scale = (bounds.width * bounds.height) / total;
+    const areas = nodes.map(node => ({ node, area: node.value * scale }));
+    const rects = [];
+    let { x, y, width, height } = bounds;
+
+    const worstRatio = (row, side) => {
+      const sum = row.reduce((total, item) => total + item.area, 0);
+      const max = Math.max(...row.map(item => item.area));
+      const min = Math.min(...row.map(item => item.area));
+      return Math.max((side * side * max) / (sum * sum), (sum * sum) / (side * side * min));
+    };
+
+    let row = [];
+    let index = 0;
+    while (index < areas.length) {
+      const side = Math.min(width, height);
+      const candidate = [...row, areas[index]];
+      if (row.length === 0 || worstRatio(candidate, side) <= worstRatio(row, side)) {
+        row = candidate;
+        index++;
+        continue;
+      }
+
+      ({ x, y, width, height } = this.layoutRow(row, { x, y, width, height }, rects));
+      row = [];
+    }
+    if (row.length > 0) {
+      this.layoutRow(row, { x, y, width, height }, rects);
+    }
+
+    return rects;
+  }
+
+  /**
+   * 沿较短边排列一行矩形
+   * @param {Array} row - 本行节点 [{ node, area }]
+   * @param {Object} bounds - 可用区域
+   * @param {Array} rects - 输出的矩形列表
+   * @returns {Object} 剩余区域
+   */
+  layoutRow(row, { x, y, width, height }, rects) {
+    const sum = row.reduce((total, item) => total + item.area, 0);
+
+    if (width >= height) {
+      // 在左侧排成一列
+      const columnWidth = sum / height;
+      let offset = y;
+      for (const item of row) {
+        const itemHeight = item.area / columnWidth;
+        rects.push({ node: item.node, x, y: offset, width: columnWidth, height: itemHeight });
+        offset += itemHeight;
+      }
+      return { x: x + columnWidth, y, width: width - columnWidth, height };
+    }
+
+    // 在顶部排成一行
+    const rowHeight = sum / width;
+    let offset = x;
+    for (const item of row) {
+      const itemWidth = item.area / rowHeight;
+      rects.push({ node: item.node, x: offset, y, width: itemWidth, height: rowHeight });
+      offset += itemWidth;
+    }
+    return { x, y: y + rowHeight, width, height: height - rowHeight };
+  }
+
+  /**
+   * 生成文件表（数据内嵌为JSON，由页面脚本渲染、排序和筛选）
+   * @param {Array} files - 文件列表
+   * @param {Object} colors - 分类颜色
+   * @returns {string} HTML
+   */
+  renderFileTable(files, colors) {
+    const rows = files.map(file => ({
+      name: file.name,
+      category: file.category,
+      size: file.size || 0,
+      sizeText: this.formatFileSize(file.size || 0),
+      extension: file.extension || '',
+      modified: new Date(file.modifiedTime).getTime() || 0,
+      modifiedText: file.modifiedTime ? new Date(file.modifiedTime).toLocaleString('zh-CN') : '',
+      directory: path.dirname(file.path),
+      path: file.path
+    }));
+    const options = Object.keys(colors).map(category =>
+      `<option value="${this.escapeHtml(category)}">${this.escapeHtml(category)}</option>`
+    ).join('');
+
+    return `<div class="filters">
+      <input type="search" id="filter-text" placeholder="按文件名或路径筛选">
+      <select id="filter-category"><option value="">全部分类</option>${options}</select>
+      <span id="filter-directory" class="chip" hidden></span>
+      <span id="table-count" class="muted"></span>
+    </div>
+    <table id="file-table">
+      <thead><tr>
+        <th data-sort="name">文件名</th>
+        <th data-sort="category">分类</th>
+        <th data-sort="size" class="number">大小</th>
+        <th data-sort="extension">扩展名</th>
+        <th data-sort="modified">修改时间</th>
+        <th data-sort="path">路径</th>
+      </tr></thead>
+      <tbody></tbody>
+    </table>
+    <script type="application/json" id="file-data">${this.toScriptJson({ rows, colors, maxRows: TABLE_MAX_ROWS })}</script>`;
+  }
+
+  /**
+   * 页面样式
+   * @returns {string} CSS
+   */
+  getStyles() {
+    return `
+body { margin: 0; font-family: -apple-system, "Segoe UI", "Microsoft YaHei", "PingFang SC", sans-serif; background: #f4f6f9; color: #222; }
+header { background: #2F5597; color: #fff; padding: 20px 32px; }
+header h1 { margin: 0 0 6px; font-size: 22px; }
+header .meta { margin: 0; opacity: .85; font-size: 14px; }
+main { padding: 24px 32px; }
+.charts { display: grid; grid-template-columns: repeat(auto-fit, minmax(420px, 1fr)); gap: 20px; margin-bottom: 20px; }
+.card { background: #fff; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,.08); padding: 16px 20px; }
+.card.wide { grid-column: 1 / -1; }
+.card h2 { margin: 0 0 12px; font-size: 16px; }
+.chart { width: 100%; height: auto; display: block; }
+.chart .grid { stroke: #e5e7eb; }
+.chart .axis { font-size: 11px; fill: #666; }
+.chart [data-filter-category], .chart [data-filter-directory], .legend li { cursor: pointer; }
+.chart [data-filter-category]:hover, .chart [data-filter-directory]:hover .tile { opacity: .8; }
+.tile { stroke: #fff; stroke-width: 1; }
+.tile-label { font-size: 12px; fill: #fff; pointer-events: none; }
+.tile-label.small { font-size: 11px; opacity: .85; }
+.pie { display: flex; align-items: center; gap: 16px; flex-wrap: wrap; }
+.pie-chart { max-width: 260px; }
+.legend { list-style: none; margin: 0; padding: 0; font-size: 14px; }
+.legend li { margin: 4px 0; }
+.swatch { display: inline-block; width: 12px; height: 12px; border-radius: 2px; margin-right: 6px; vertical-align: -1px; }
+.muted { color: #888; font-size: 13px; }
+.empty { color: #888; }
+.filters { display: flex; gap: 10px; align-items: center; flex-wrap: wrap; margin-bottom: 10px; }
+.filters input, .filters select { padding: 6px 8px; border: 1px solid #ccc; border-radius: 4px; font-size: 14px; }
+.filters input { min-width: 260px; }
+.chip { background: #e8eefa; border-radius: 12px; padding: 3px 10px; font-size: 13px; cursor: pointer; }
+table { width: 100%; border-collapse: collapse; font-size: 13px; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #eee; }
+th { background: #fafafa; cursor: pointer; user-select: none; white-space: nowrap; position: sticky; top: 0; }
+th.sorted-asc::after { content: " ▲"; }
+th.sorted-desc::after { content: " ▼"; }
+td.number, th.number { text-align: right; }
+td.path { color: #666; word-break: break-all; }
+tr.note td { color: #888; text-align: center; }
+`;
+  }
+
+  /**
+   * 页面脚本：渲染文件表，处理排序和筛选
+   * @returns {string} JavaScript
+   */
+  getScript() {
+    return `
+(function () {
+  var data = JSON.parse(document.getElementById('file-data').textContent);
+  var state = { text: '', category: '', directory: '', sort: 'size', desc: true };
+  var tbody = document.querySelector('#file-table tbody');
+  var textInput = document.getElementById('filter-text');
+  var categorySelect = document.getElementById('filter-category');
+  var directoryChip = document.getElementById('filter-directory');
+  var count = document.getElementById('table-count');
+
+  function cell(text, className) {
+    var td = document.createElement('td');
+    td.textContent = text;
+    if (className) td.className = className;
+    return td;
+  }
+
+  function render() {
+    var text = state.text.toLowerCase();
+    var rows = data.rows.filter(function (row) {
+      if (state.category && row.category !== state.category) return false;
+      if (state.directory && row.directory !== state.directory) return false;
+      return !text || row.name.toLowerCase().indexOf(text) !== -1 || row.path.toLowerCase().indexOf(text) !== -1;
+    });
+    rows.sort(function (a, b) {
+      var x = a[state.sort], y = b[state.sort];
+      var result = typeof x === 'number' ? x - y : String(x).localeCompare(String(y), 'zh-CN');
+      return state.desc ? -result : result;
+    });
+
+    tbody.textContent = '';
+    rows.slice(0, data.maxRows).forEach(function (row) {
+      var tr = document.createElement('tr');
+      var category = cell('');
+      var swatch = document.createElement('span');
+      swatch.className = 'swatch';
+      swatch.style.background = data.colors[row.category] || '${DEFAULT_COLOR}';
+      category.appendChild(swatch);
+      category.appendChild(document.createTextNode(row.category));
+      tr.appendChild(cell(row.name));
+      tr.appendChild(category);
+      tr.appendChild(cell(row.sizeText, 'number'));
+      tr.appendChild(cell(row.extension));
+      tr.appendChild(cell(row.modifiedText));
+      tr.appendChild(cell(row.path, 'path'));
+      tbody.appendChild(tr);
+    });
+    if (rows.length > data.maxRows) {
+      var note = document.createElement('tr');
+      note.className = 'note';
+      var td = cell('仅显示前 ' + data.maxRows + ' 个文件，请使用筛选缩小范围');
+      td.colSpan = 6;
+      note.appendChild(td);
+      tbody.appendChild(note);
+    }
+
+    count.textContent = '显示 ' + Math.min(rows.length, data.maxRows) + ' / 匹配 ' + rows.length + ' / 共 ' + data.rows.length + ' 个文件';
+    directoryChip.hidden = !state.directory;
+    directoryChip.textContent = '目录: ' + state.directory + ' ✕';
+    categorySelect.value = state.category;
+    document.querySelectorAll('#file-table th').forEach(function (th) {
+      th.className = th.dataset.sort === 'size' ? 'number' : '';
+      if (th.dataset.sort === state.sort) th.className += state.desc ? ' sorted-desc' : ' sorted-asc';
+    });
+  }
+
+  textInput.addEventListener('input', function () { state.text = textInput.value; render(); });
+  categorySelect.addEventListener('change', function () { state.category = categorySelect.value; render(); });
+  directoryChip.addEventListener('click', function () { state.directory = ''; render(); });
+  document.querySelectorAll('#file-table th').forEach(function (th) {
+    th.addEventListener('click', function () {
+      if (state.sort === th.dataset.sort) {
+        state.desc = !state.desc;
+      } else {
+        state.sort = th.dataset.sort;
+        state.desc = th.dataset.sort === 'size' || th.dataset.sort === 'modified';
+      }
+      render();
+    });
+  });
+  document.querySelectorAll('[data-filter-category]').forEach(function (element) {
+    element.addEventListener('click', function () {
+      var category = element.getAttribute('data-filter-category');
+      state.category = state.category === category ? '' : category;
+      render();
+    });
+  });
+  document.querySelectorAll('[data-filter-directory]').forEach(function (element) {
+    element.addEventListener('click', function () {
+      state.directory = element.getAttribute('data-filter-directory');
+      render();
+    });
+  });
+
+  render();
+})();
+`;
+  }
+
+  /**
+   * 获取所有文件（附带分类）
+   * @param {Object} classificationResult - 分类结果
+   * @returns {Array} 文件列表
+   */
+  getAllFiles(classificationResult) {
+    const files = [];
+    for (const [category, categoryFiles] of Object.entries(classificationResult.categories)) {
+      for (const file of categoryFiles) {
+        files.push({ ...file, category });
+      }
+    }
+    return files;
+  }
+
+  /**
+   * 获取有文件的分类的颜色（来自 classification.json 中各分类的 color）
+   * @param {Object} classificationResult - 分类结果
+   * @returns {Object} { 分类: 颜色 }
+   */
+  getCategoryColors(classificationResult) {
+    return Object.fromEntries(
+      Object.entries(classificationResult.summary).map(([category, item]) => [category, item.color || DEFAULT_COLOR])
+    );
+  }
+
+  /**
+   * 将坐标轴最大值向上取整到便于阅读的刻度
+   * @param {number} value - 最大值
+   * @returns {number} 刻度最大值
+   */
+  niceMax(value) {
+    const magnitude = 10 ** Math.floor(Math.log10(value));
+    const step = [1, 2, 5, 10].find(factor => factor * magnitude >= value);
+    return step * magnitude;
+  }
+
+  /**
+   * 转换为本地日期键 YYYY-MM-DD
+   * @param {Date|string} time - 时间
+   * @returns {string|null} 日期键
+   */
+  toDayKey(time) {
+    const date = new Date(time);
+    if (isNaN(date.getTime())) return null;
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * 截断过长的文字
+   * @param {string} text - 文字
+   * @param {number} maxLength - 最大长度
+   * @returns {string} 截断后的文字
+   */
+  truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, Math.max(1, maxLength - 1))}…` : text;
+  }
+
+  /**
+   * 保留两位小数，减小SVG体积
+   * @param {number} value - 数值
+   * @returns {number} 数值
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * 转义HTML特殊字符
+   * @param {*} value - 文本
+   * @returns {string} 转义后的文本
+   */
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * 序列化为可以安全嵌入 <script> 的JSON
+   * @param {*} value - 数据
+   * @returns {string} JSON
+   */
+  toScriptJson(value) {
+    return JSON.stringify(value)
+      .replace(/</g, '\\u003c')
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029');
+  }
+
+  /**
+   * 格式化文件大小
+   * @param {number} bytes - 字节数
+   * @returns {string} 格式化后的大小
+   */
+  formatFileSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let size = bytes;
+    let unitIndex = 0;
+
+    while (size >= 1024 && unitIndex < units.length - 1) {
+      size /= 1024;
+      unitIndex++;
+    }
+
+    return `${size.toFixed(2)} ${units[unitIndex]}`;
+  }
+}
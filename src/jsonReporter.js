@@ -0,0 +1,292 @@
+/**
+ * JSON报告生成模块
+ * 将分类结果输出为JSON或NDJSON，供其他工具读取
+ * 输出格式见 config/schemas/scan-result.schema.json，格式不兼容的修改需要提升 SCHEMA_VERSION
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { Logger } from './logger.js';
+
+/**
+ * 输出格式的版本号
+ */
+export const SCHEMA_VERSION = 2;
+
+const SCHEMA_ID = 'file-auto-arrange/scan-result';
+
+export const JSON_FORMATS = ['json', 'ndjson'];
+
+/**
+ * JSON报告生成器类
+ */
+export class JsonReporter {
+  constructor() {
+    this.logger = new Logger();
+  }
+
+  /**
+   * 生成JSON或NDJSON报告
+   * @param {Object} classificationResult - 分类结果
+   * @param {Object} options - 选项
+   * @param {string} options.format - json | ndjson
+   * @param {boolean} options.stdout - 写到标准输出而不是文件
+   * @param {string} options.output - 输出目录
+   * @param {Object} options.scan - 扫描参数（days、scanPaths、snapshotId）
+   * @returns {string|null} 报告文件路径，写到标准输出时返回null
+   */
+  async generateReport(classificationResult, options = {}) {
+    const { format = 'json', stdout = false, output = './output/reports', scan = {} } = options;
+
+    try {
+      await this.logger.logTaskStart('JSON报告生成', { format, stdout });
+
+      if (!JSON_FORMATS.includes(format)) {
+        throw new Error(`不支持的输出格式: ${format}（可选: ${JSON_FORMATS.join(', ')}）`);
+      }
+
+      const lines = format === 'json'
+        ? [JSON.stringify(this.buildDocument(classificationResult, scan), null, 2)]
+        : this.buildRecords(classificationResult, scan).map(record => JSON.stringify(record));
+
+      let reportPath = null;
+      if (stdout) {
+        await this.writeLines(process.stdout, lines);
+      } else {
+        await fs.ensureDir(output);
+        const timestamp = new Date().toISOString().split('T')[0];
+        reportPath = path.join(output, `扫描结果_${timestamp}_${Date.now()}.${format}`);
+
+        const stream = fs.createWriteStream(reportPath, 'utf8');
+        await this.writeLines(stream, lines);
+        await new Promise((resolve, reject) => {
+          stream.on('error', reject);
+          stream.end(resolve);
+        });
+      }
+
+      await this.logger.logTaskComplete('JSON报告生成', { reportPath, fileCount: classificationResult.totalFiles });
+      return reportPath;
+    } catch (error) {
+      await this.logger.logTaskError('JSON报告生成', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 逐行写入，缓冲区满时等待 drain，避免大结果占满内存
+   * @param {Writable} stream - 输出流
+   * @param {Array} lines - 文本行
+   */
+  async writeLines(stream, lines) {
+    for (const line of lines) {
+      if (!stream.write(line + '\n')) {
+        await new Promise(resolve => stream.once('drain', resolve));
+      }
+    }
+  }
+
+  /**
+   * 构建JSON文档
+   * @param {Object} classificationResult - 分类结果
+   * @param {Object} scan - 扫描参数
+   * @returns {Object} JSON文档
+   */
+  buildDocument(classificationResult, scan) {
+    const categories = {};
+    for (const [category, files] of Object.entries(classificationResult.categories)) {
+      categories[category] = files.map(file => this.toFileRecord(file, category));
+    }
+
+    return {
+      ...this.buildHeader(classificationResult, scan),
+      summary: this.buildSummary(classificationResult),
+      statistics: this.buildStatistics(classificationResult.statistics),
+      archives: this.buildArchiveSummary(classificationResult.archives),
+      categories
+    };
+  }
+
+  /**
+   * 构建NDJSON记录：第一行为 header，中间每行一个 file，最后一行为 result（summary、statistics、archives）
+   * @param {Object} classificationResult - 分类结果
+   * @param {Object} scan - 扫描参数
+   * @returns {Array} 记录列表
+   */
+  buildRecords(classificationResult, scan) {
+    const records = [{ type: 'header', ...this.buildHeader(classificationResult, scan) }];
+
+    for (const [category, files] of Object.entries(classificationResult.categories)) {
+      for (const file of files) {
+        records.push({ type: 'file', ...this.toFileRecord(file, category) });
+      }
+    }
+
+    records.push({
+      type: 'result',
+      summary: this.buildSummary(classificationResult),
+      statistics: this.buildStatistics(classificationResult.statistics),
+      archives: this.buildArchiveSummary(classificationResult.archives)
+    });
+    return records;
+  }
+
+  /**
+   * 构建文档头
+   * @param {Object} classificationResult - 分类结果
+   * @param {Object} scan - 扫描参数
+   * @returns {Object} 文档头
+   */
+  buildHeader(classificationResult, scan) {
+    return {
+      schema: SCHEMA_ID,
+      schemaVersion: SCHEMA_VERSION,
+      generatedAt: new Date().toISOString(),
+      scan: {
+        days: scan.days ?? null,
+        scanPaths: scan.scanPaths || [],
+        snapshotId: scan.snapshotId || null,
+        classifiedAt: this.toISOString(classificationResult.classificationTime)
+      },
+      totals: {
+        files: classificationResult.totalFiles,
+        size: classificationResult.totalSize
+      }
+    };
+  }
+
+  /**
+   * 构建分类摘要（百分比转换为数字）
+   * @param {Object} classificationResult - 分类结果
+   * @returns {Object} 分类摘要
+   */
+  buildSummary(classificationResult) {
+    const summary = {};
+    for (const [category, item] of Object.entries(classificationResult.summary)) {
+      summary[category] = { ...item, percentage: parseFloat(item.percentage) };
+    }
+    return summary;
+  }
+
+  /**
+   * 构建统计信息，其中的文件以路径引用，完整记录见 categories / file 记录
+   * @param {Object} statistics - 分类统计
+   * @returns {Object} 统计信息
+   */
+  buildStatistics(statistics) {
+    const toPaths = files => files.map(file => file.path);
+    const mapGroups = groups => Object.fromEntries(
+      Object.entries(groups).map(([key, group]) => [key, { ...group, files: toPaths(group.files) }])
+    );
+
+    return {
+      sizeDistribution: mapGroups(statistics.sizeDistribution || {}),
+      timeDistribution: mapGroups(statistics.timeDistribution || {}),
+      extensionStats: statistics.extensionStats || {},
+      duplicateFiles: (statistics.duplicateFiles || []).map(group => ({
+        hash: group[0].hash,
+        size: group[0].size,
+        files: toPaths(group)
+      })),
+      typeMismatches: toPaths(statistics.typeMismatches || []),
+      largestFiles: toPaths(statistics.largestFiles || []),
+      oldestFiles: toPaths(statistics.oldestFiles || []),
+      newestFiles: toPaths(statistics.newestFiles || [])
+    };
+  }
+
+  /**
+   * 构建压缩包检查汇总，压缩包以路径引用，各压缩包的内容见其文件记录的 archive
+   * @param {Object|undefined} archives - ArchiveInspector.inspectArchives() 的汇总
+   * @returns {Object|null} 汇总，未检查压缩包时为null
+   */
+  buildArchiveSummary(archives) {
+    if (!archives) return null;
+
+    return {
+      inspected: archives.inspected,
+      failed: archives.failed,
+      extracted: archives.extracted,
+      reclaimableSize: archives.reclaimableSize,
+      files: archives.files.map(file => file.path)
+    };
+  }
+
+  /**
+   * 转换压缩包检查结果
+   * @param {Object|undefined} archive - ArchiveInspector.inspectArchive() 的结果
+   * @returns {Object|null} 检查结果，未检查时为null
+   */
+  toArchiveRecord(archive) {
+    if (!archive) return null;
+
+    return {
+      format: archive.format,
+      entryCount: archive.entryCount,
+      fileCount: archive.fileCount,
+      uncompressedSize: archive.uncompressedSize,
+      truncated: archive.truncated,
+      categories: archive.categories,
+      entries: archive.entries.map(entry => ({
+        path: entry.path,
+        name: entry.name,
+        size: entry.size,
+        compressedSize: entry.compressedSize ?? null,
+        modifiedTime: this.toISOString(entry.modifiedTime),
+        category: entry.category,
+        matchedRule: entry.matchedRule ? entry.matchedRule.name : null
+      })),
+      extracted: archive.extracted || null,
+      error: archive.error || null
+    };
+  }
+
+  /**
+   * 转换为稳定的文件记录，只包含 schema 中列出的字段
+   * @param {Object} file - 文件信息
+   * @param {string} category - 分类
+   * @returns {Object} 文件记录
+   */
+  toFileRecord(file, category) {
+    return {
+      path: file.path,
+      name: file.name,
+      extension: file.extension || '',
+      category,
+      size: file.size || 0,
+      sizeCategory: file.sizeCategory || null,
+      createdTime: this.toISOString(file.createdTime),
+      modifiedTime: this.toISOString(file.modifiedTime),
+      accessedTime: this.toISOString(file.accessedTime),
+      mimeType: file.mimeType || null,
+      detectedMimeType: file.detectedMimeType || null,
+      detectedExtension: file.detectedExtension || null,
+      typeMismatch: Boolean(file.typeMismatch),
+      hash: file.hash || null,
+      isExecutable: Boolean(file.isExecutable),
+      isArchive: Boolean(file.isArchive),
+      isMedia: Boolean(file.isMedia),
+      tags: file.tags || [],
+      matchedRule: file.matchedRule
+        ? { type: file.matchedRule.type, name: file.matchedRule.name, description: file.matchedRule.description }
+        : null,
+      indexStatus: file.indexStatus || null,
+      metadata: file.metadata || null,
+      archive: this.toArchiveRecord(file.archive)
+    };
+  }
+
+  /**
+   * 转换时间为ISO字符串
+   * @param {Date|string|undefined} time - 时间
+   * @returns {string|null} ISO字符串，无效时返回null
+   */
+  toISOString(time) {
+    if (!time) return null;
+    const date = new Date(time);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+}
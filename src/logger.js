@@ -1,18 +1,44 @@
 /**
  * 日志记录模块
- * 提供统一的日志记录功能，支持文件输出和控制台输出
- * 
+ * 以JSON Lines格式记录日志，支持最低级别过滤、按大小和日期轮转（压缩归档）、
+ * 运行ID关联（同一次运行中的所有日志带有相同的运行ID）以及按条件查询
+ *
  * @author fileAutoArrange
  * @version 1.0.0
  */
 
 import fs from 'fs-extra';
 import path from 'path';
+import zlib from 'zlib';
+import readline from 'readline';
+import { pipeline } from 'stream/promises';
+import { AsyncLocalStorage } from 'async_hooks';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * 日志级别，从低到高
+ */
+export const LOG_LEVELS = ['DEBUG', 'INFO', 'WARNING', 'ERROR'];
+
+/**
+ * 默认日志设置（配置文件中缺省时使用）
+ */
+const DEFAULT_LOG_SETTINGS = {
+  level: 'INFO',
+  maxSizeMB: 10,
+  rotateDaily: true,
+  maxFiles: 14,
+  maxAgeDays: 30
+};
+
+// 以下状态由所有 Logger 实例共享：各模块各自创建 Logger，但写入同一个日志文件
+let logSettings = { ...DEFAULT_LOG_SETTINGS };
+const runContext = new AsyncLocalStorage();
+const fileStates = new Map();
+
 /**
  * 日志记录器类
  */
@@ -22,6 +48,57 @@ export class Logger {
     this.ensureLogDirectory();
   }
 
+  /**
+   * 设置日志选项（对所有 Logger 实例生效）
+   * @param {Object} settings - { level, maxSizeMB, rotateDaily, maxFiles, maxAgeDays }
+   * @returns {Object} 生效的设置
+   */
+  static configure(settings = {}) {
+    const merged = { ...DEFAULT_LOG_SETTINGS, ...logSettings, ...settings };
+    merged.level = Logger.normalizeLevel(merged.level);
+    logSettings = merged;
+    return { ...logSettings };
+  }
+
+  /**
+   * 获取当前日志设置
+   * @returns {Object} 日志设置
+   */
+  static getSettings() {
+    return { ...logSettings };
+  }
+
+  /**
+   * 规范化日志级别名称（不区分大小写，WARN 等同于 WARNING）
+   * @param {string} level - 级别名称
+   * @returns {string} 规范化的级别
+   */
+  static normalizeLevel(level) {
+    const normalized = String(level).toUpperCase() === 'WARN' ? 'WARNING' : String(level).toUpperCase();
+    if (!LOG_LEVELS.includes(normalized)) {
+      throw new Error(`不支持的日志级别: ${level}（可选: ${LOG_LEVELS.join(', ')}）`);
+    }
+    return normalized;
+  }
+
+  /**
+   * 在运行上下文中执行函数，期间（包括其中的异步操作）写入的日志都带有该运行ID
+   * @param {string} runId - 运行ID
+   * @param {Function} fn - 要执行的函数
+   * @returns {*} 函数的返回值
+   */
+  static runWithContext(runId, fn) {
+    return runContext.run({ runId }, fn);
+  }
+
+  /**
+   * 获取当前运行ID
+   * @returns {string|null} 运行ID，不在运行上下文中时为null
+   */
+  static getRunId() {
+    return runContext.getStore()?.runId || null;
+  }
+
   /**
    * 确保日志目录存在
    */
@@ -54,7 +131,7 @@ export class Logger {
       stack: error.stack || null,
       ...error
     } : null;
-    
+
     await this.writeLog('ERROR', message, errorData);
   }
 
@@ -77,31 +154,33 @@ export class Logger {
   }
 
   /**
-   * 写入日志到文件
+   * 写入一条JSON日志，低于最低级别的日志被忽略
    * @param {string} level - 日志级别
    * @param {string} message - 日志消息
    * @param {Object} data - 附加数据
    */
   async writeLog(level, message, data = null) {
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(logSettings.level)) {
+      return;
+    }
+
     try {
-      const timestamp = new Date().toISOString();
       const logEntry = {
-        timestamp,
+        time: new Date().toISOString(),
         level,
-        message,
-        data
+        runId: Logger.getRunId(),
+        pid: process.pid,
+        message
       };
+      if (data !== null && data !== undefined) {
+        logEntry.data = data;
+      }
 
-      const logLine = `${timestamp} [${level}] ${message}`;
-      const detailLine = data ? `\n  详细信息: ${JSON.stringify(data, null, 2)}` : '';
-      const fullLogLine = logLine + detailLine + '\n';
-
-      // 追加写入日志文件
-      await fs.appendFile(this.logFile, fullLogLine, 'utf8');
+      await this.enqueueWrite(this.serialize(logEntry) + '\n');
 
-      // 同时输出到控制台（仅在调试模式下）
+      // 同时输出到控制台（仅在调试模式下），使用标准错误以免混入 --stdout 的结果
       if (process.env.DEBUG) {
-        console.log(`[${level}] ${message}`, data || '');
+        console.error(`[${level}] ${message}`, data || '');
       }
 
     } catch (error) {
@@ -109,6 +188,190 @@ export class Logger {
     }
   }
 
+  /**
+   * 序列化日志条目，附加数据无法序列化（如循环引用）时改为字符串
+   * @param {Object} entry - 日志条目
+   * @returns {string} JSON
+   */
+  serialize(entry) {
+    try {
+      return JSON.stringify(entry);
+    } catch {
+      return JSON.stringify({ ...entry, data: String(entry.data) });
+    }
+  }
+
+  /**
+   * 将写入排入该日志文件的队列，保证同一进程内的写入和轮转按顺序进行
+   * @param {string} line - 日志行
+   */
+  async enqueueWrite(line) {
+    if (!fileStates.has(this.logFile)) {
+      fileStates.set(this.logFile, { queue: Promise.resolve(), size: null, day: null });
+    }
+    const state = fileStates.get(this.logFile);
+
+    const write = state.queue.then(() => this.appendLine(state, line));
+    state.queue = write.catch(() => {});
+    await write;
+  }
+
+  /**
+   * 追加一行，需要时先轮转日志文件
+   * @param {Object} state - 日志文件状态 { size, day }
+   * @param {string} line - 日志行
+   */
+  async appendLine(state, line) {
+    if (state.size === null) {
+      const stats = await fs.stat(this.logFile).catch(() => null);
+      state.size = stats ? stats.size : 0;
+      state.day = this.toDayKey(stats ? stats.mtime : new Date());
+    }
+
+    const bytes = Buffer.byteLength(line);
+    const today = this.toDayKey(new Date());
+    const tooLarge = logSettings.maxSizeMB && state.size + bytes > logSettings.maxSizeMB * 1024 * 1024;
+    const newDay = logSettings.rotateDaily && state.day !== today;
+
+    if (state.size > 0 && (tooLarge || newDay)) {
+      await this.rotate();
+      state.size = 0;
+    }
+
+    await fs.appendFile(this.logFile, line, 'utf8');
+    state.size += bytes;
+    state.day = today;
+  }
+
+  /**
+   * 轮转日志：把当前日志文件压缩为 <名称>-<时间>.log.gz，然后清理超出保留数量或天数的归档
+   */
+  async rotate() {
+    const { dir, name } = path.parse(this.logFile);
+    const now = new Date();
+    const pad = value => String(value).padStart(2, '0');
+    const stamp = `${this.toDayKey(now).replace(/-/g, '')}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+
+    let archivePath = path.join(dir, `${name}-${stamp}.log.gz`);
+    for (let index = 1; await fs.pathExists(archivePath); index++) {
+      archivePath = path.join(dir, `${name}-${stamp}-${index}.log.gz`);
+    }
+
+    // 先改名再压缩，压缩期间的新日志写入新文件；其他进程已轮转时文件不存在，直接跳过
+    const rotatingPath = `${archivePath}.rotating`;
+    try {
+      await fs.rename(this.logFile, rotatingPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    await pipeline(
+      fs.createReadStream(rotatingPath),
+      zlib.createGzip(),
+      fs.createWriteStream(archivePath)
+    );
+    await fs.remove(rotatingPath);
+
+    await this.pruneArchives();
+  }
+
+  /**
+   * 列出日志归档
+   * @returns {Array} 归档文件路径（最新的在前）
+   */
+  async listArchives() {
+    const { dir, name } = path.parse(this.logFile);
+    if (!(await fs.pathExists(dir))) return [];
+
+    return (await fs.readdir(dir))
+      .filter(file => file.startsWith(`${name}-`) && file.endsWith('.log.gz'))
+      .sort()
+      .reverse()
+      .map(file => path.join(dir, file));
+  }
+
+  /**
+   * 清理超出保留数量（maxFiles）或保留天数（maxAgeDays）的日志归档
+   */
+  async pruneArchives() {
+    const cutoff = logSettings.maxAgeDays ? Date.now() - logSettings.maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+    for (const [index, archivePath] of (await this.listArchives()).entries()) {
+      const stats = await fs.stat(archivePath);
+      const tooMany = logSettings.maxFiles && index >= logSettings.maxFiles;
+      if (tooMany || (cutoff !== null && stats.mtimeMs < cutoff)) {
+        await fs.remove(archivePath);
+      }
+    }
+  }
+
+  /**
+   * 查询日志（按时间顺序）
+   * @param {Object} filters - 查询条件
+   * @param {string} filters.level - 最低级别
+   * @param {string} filters.runId - 运行ID（支持前缀）
+   * @param {Date} filters.since - 起始时间
+   * @param {Date} filters.until - 结束时间
+   * @param {string} filters.text - 消息中包含的文字
+   * @param {boolean} filters.includeArchives - 是否同时查询已轮转的归档
+   * @returns {Array} 日志条目
+   */
+  async queryLogs(filters = {}) {
+    const minLevel = filters.level ? LOG_LEVELS.indexOf(Logger.normalizeLevel(filters.level)) : 0;
+    const text = filters.text ? filters.text.toLowerCase() : null;
+    const files = filters.includeArchives ? [...(await this.listArchives()).reverse(), this.logFile] : [this.logFile];
+
+    const matches = entry =>
+      LOG_LEVELS.indexOf(entry.level) >= minLevel &&
+      (!filters.runId || (entry.runId && entry.runId.startsWith(filters.runId))) &&
+      (!filters.since || new Date(entry.time) >= filters.since) &&
+      (!filters.until || new Date(entry.time) <= filters.until) &&
+      (!text || String(entry.message).toLowerCase().includes(text));
+
+    const entries = [];
+    for (const filePath of files) {
+      await this.readEntries(filePath, entry => {
+        if (matches(entry)) entries.push(entry);
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * 逐行读取日志文件（.gz 归档自动解压），跳过无法解析的行（如旧版本的纯文本日志）
+   * @param {string} filePath - 日志文件
+   * @param {Function} onEntry - 每条日志的回调
+   */
+  async readEntries(filePath, onEntry) {
+    if (!(await fs.pathExists(filePath))) return;
+
+    const stream = filePath.endsWith('.gz')
+      ? fs.createReadStream(filePath).pipe(zlib.createGunzip())
+      : fs.createReadStream(filePath);
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (!line.startsWith('{')) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.time && entry.level) onEntry(entry);
+      } catch {
+        // 跳过损坏的行
+      }
+    }
+  }
+
+  /**
+   * 转换为本地日期 YYYY-MM-DD
+   * @param {Date} date - 日期
+   * @returns {string} 日期
+   */
+  toDayKey(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
   /**
    * 记录任务开始
    * @param {string} taskName - 任务名称
@@ -137,25 +400,18 @@ export class Logger {
   }
 
   /**
-   * 清理旧日志文件
+   * 清理旧日志归档
    * @param {number} daysToKeep - 保留天数
    */
   async cleanOldLogs(daysToKeep = 30) {
     try {
-      const logDir = path.dirname(this.logFile);
-      const files = await fs.readdir(logDir);
-      const now = Date.now();
-      const cutoffTime = now - (daysToKeep * 24 * 60 * 60 * 1000);
-
-      for (const file of files) {
-        if (file.endsWith('.log')) {
-          const filePath = path.join(logDir, file);
-          const stats = await fs.stat(filePath);
-          
-          if (stats.mtime.getTime() < cutoffTime) {
-            await fs.remove(filePath);
-            await this.logInfo(`清理旧日志文件: ${file}`);
-          }
+      const cutoffTime = Date.now() - (daysToKeep * 24 * 60 * 60 * 1000);
+
+      for (const archivePath of await this.listArchives()) {
+        const stats = await fs.stat(archivePath);
+        if (stats.mtime.getTime() < cutoffTime) {
+          await fs.remove(archivePath);
+          await this.logInfo(`清理旧日志文件: ${path.basename(archivePath)}`);
         }
       }
     } catch (error) {
@@ -164,28 +420,36 @@ export class Logger {
   }
 
   /**
-   * 获取日志统计信息
+   * 获取日志统计信息（当前日志文件）
    * @returns {Object} 日志统计
    */
   async getLogStats() {
     try {
       const stats = await fs.stat(this.logFile);
-      const content = await fs.readFile(this.logFile, 'utf8');
-      const lines = content.split('\n').filter(line => line.trim());
-      
-      const logStats = {
+      const levelCounts = Object.fromEntries(LOG_LEVELS.map(level => [level, 0]));
+      const runIds = new Set();
+      let totalLines = 0;
+
+      await this.readEntries(this.logFile, entry => {
+        totalLines++;
+        levelCounts[entry.level] = (levelCounts[entry.level] || 0) + 1;
+        if (entry.runId) runIds.add(entry.runId);
+      });
+
+      return {
         fileSize: stats.size,
-        totalLines: lines.length,
+        totalLines,
         lastModified: stats.mtime,
-        errorCount: lines.filter(line => line.includes('[ERROR]')).length,
-        warningCount: lines.filter(line => line.includes('[WARNING]')).length,
-        infoCount: lines.filter(line => line.includes('[INFO]')).length
+        errorCount: levelCounts.ERROR,
+        warningCount: levelCounts.WARNING,
+        infoCount: levelCounts.INFO,
+        debugCount: levelCounts.DEBUG,
+        runCount: runIds.size,
+        archiveCount: (await this.listArchives()).length
       };
-
-      return logStats;
     } catch (error) {
       await this.logError('获取日志统计失败', error);
       return null;
     }
   }
-} 
\ No newline at end of file
+}
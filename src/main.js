@@ -12,13 +12,25 @@ import { Command } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
 import path from 'path';
+import fs from 'fs-extra';
 import { fileURLToPath } from 'url';
 import { FileScanner } from './fileScanner.js';
 import { FileClassifier } from './classifier.js';
 import { ExcelReporter } from './excelReporter.js';
 import { MarkdownReporter } from './markdownReporter.js';
+import { FileArranger } from './fileArranger.js';
+import { OperationJournal } from './operationJournal.js';
+import { DuplicateResolver } from './duplicateResolver.js';
+import { FileWatcher } from './fileWatcher.js';
+import { SnapshotStore } from './snapshotStore.js';
+import { Scheduler } from './scheduler.js';
+import { JsonReporter, JSON_FORMATS } from './jsonReporter.js';
+import { HtmlReporter } from './htmlReporter.js';
+import { ArchiveInspector } from './archiveInspector.js';
 import { MCPClient } from './mcpClient.js';
-import { Logger } from './logger.js';
+import { ConfigManager } from './configManager.js';
+import { ConfigLoader } from './configLoader.js';
+import { Logger, LOG_LEVELS } from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -31,47 +43,99 @@ const logger = new Logger();
  * 主程序类
  */
 class FileAutoArrange {
-  constructor() {
+  /**
+   * @param {Object} options - 选项
+   * @param {boolean} options.quiet - 安静模式：不输出进度和提示（--stdout 时标准输出只包含结果）
+   */
+  constructor(options = {}) {
+    this.quiet = Boolean(options.quiet);
     this.scanner = null;
     this.classifier = null;
     this.reporter = null;
     this.markdownReporter = null;
+    this.jsonReporter = null;
+    this.htmlReporter = null;
+    this.arranger = null;
+    this.duplicateResolver = null;
+    this.snapshotStore = null;
+    this.archiveInspector = null;
     this.mcpClient = null;
     this.spinner = null;
   }
 
+  /**
+   * 创建并启动进度提示，安静模式下不输出
+   * @param {string} text - 提示文字
+   * @returns {Ora} 进度提示
+   */
+  startSpinner(text) {
+    return ora({ text, isSilent: this.quiet }).start();
+  }
+
+  /**
+   * 输出提示信息，安静模式下不输出
+   * @param {...*} args - 输出内容
+   */
+  print(...args) {
+    if (!this.quiet) {
+      console.log(...args);
+    }
+  }
+
   /**
    * 初始化组件
    */
   async initialize() {
     try {
-      console.log(chalk.blue.bold('🚀 初始化文件自动整理工具...'));
+      this.print(chalk.blue.bold('🚀 初始化文件自动整理工具...'));
       
       // 初始化MCP客户端
-      this.spinner = ora('连接MCP服务器...').start();
+      this.spinner = this.startSpinner('连接MCP服务器...');
       this.mcpClient = new MCPClient();
       await this.mcpClient.connect();
-      this.spinner.succeed('MCP服务器连接成功');
+      const servers = this.mcpClient.getServers();
+      const connectedNames = servers.filter(server => server.connected).map(server => server.name);
+      this.spinner.succeed(`MCP服务器连接成功 (${connectedNames.join(', ')})`);
+      for (const server of servers.filter(item => !item.connected)) {
+        this.print(chalk.yellow(`⚠️  MCP服务器不可用: ${server.name} - ${server.health.lastError}`));
+      }
 
       // 初始化各组件
-      this.spinner = ora('初始化文件扫描器...').start();
+      this.spinner = this.startSpinner('初始化文件扫描器...');
       this.scanner = new FileScanner(this.mcpClient);
       await this.scanner.ensureConfigLoaded();
       this.spinner.succeed('文件扫描器初始化完成');
       
-      this.spinner = ora('初始化分类器...').start();
+      this.spinner = this.startSpinner('初始化分类器...');
       this.classifier = new FileClassifier();
       this.spinner.succeed('分类器初始化完成');
       
-      this.spinner = ora('初始化报告生成器...').start();
+      this.spinner = this.startSpinner('初始化报告生成器...');
       this.reporter = new ExcelReporter();
       this.spinner.succeed('Excel报告生成器初始化完成');
       
-      this.spinner = ora('初始化Markdown报告生成器...').start();
+      this.spinner = this.startSpinner('初始化Markdown报告生成器...');
       this.markdownReporter = new MarkdownReporter();
       this.spinner.succeed('Markdown报告生成器初始化完成');
 
-      console.log(chalk.green('✅ 组件初始化完成'));
+      this.jsonReporter = new JsonReporter();
+      this.htmlReporter = new HtmlReporter();
+
+      this.spinner = this.startSpinner('初始化文件整理器...');
+      this.arranger = new FileArranger(this.mcpClient);
+      await this.arranger.ensureConfigLoaded();
+      this.spinner.succeed('文件整理器初始化完成');
+
+      this.duplicateResolver = new DuplicateResolver(this.mcpClient);
+      await this.duplicateResolver.ensureConfigLoaded();
+
+      this.snapshotStore = new SnapshotStore();
+      await this.snapshotStore.ensureConfigLoaded();
+
+      this.archiveInspector = new ArchiveInspector({ classifier: this.classifier, scanner: this.scanner });
+      await this.archiveInspector.ensureConfigLoaded();
+
+      this.print(chalk.green('✅ 组件初始化完成'));
     } catch (error) {
       if (this.spinner) this.spinner.fail('初始化失败');
       console.error(chalk.red('❌ 初始化失败:'), error.message);
@@ -80,6 +144,52 @@ class FileAutoArrange {
     }
   }
 
+  /**
+   * 扫描文件，扫描到的文件立即交给分类器分类；进度提示显示已扫描的目录和文件数及速度
+   * @param {Object} options - 命令选项 { days, paths, concurrency, exclude, include, includeHidden, maxDepth, symlinks, maxFilesPerDirectory, metadata }
+   * @param {Object} scanOptions - 其他扫描选项 { fullRescan, hashAll }
+   * @returns {Object} { files, classifiedFiles }
+   */
+  async scanAndClassify(options, scanOptions = {}) {
+    this.spinner = this.startSpinner('扫描文件中...');
+    const classification = await this.classifier.createClassification();
+
+    const files = await this.scanner.scanRecentFiles(options.days || 7, options.paths, {
+      ...scanOptions,
+      concurrency: options.concurrency,
+      exclude: options.exclude,
+      include: options.include,
+      includeHidden: options.includeHidden,
+      maxDepth: options.maxDepth,
+      symlinks: options.symlinks,
+      maxFilesPerDirectory: options.maxFilesPerDirectory,
+      metadata: options.metadata,
+      onFile: file => this.classifier.addFile(classification, file),
+      // 文件只保存在分类结果中，扫描结束后从分类结果取出用于计算哈希
+      getFiles: () => this.classifier.getAllFiles(classification),
+      onProgress: progress => {
+        this.spinner.text = `扫描文件中... ${this.formatScanProgress(progress)}`;
+      }
+    });
+
+    // 重复文件统计依赖扫描结束后计算的内容哈希，因此在扫描完成后生成统计信息
+    const classifiedFiles = await this.classifier.finishClassification(classification);
+    this.spinner.succeed(`扫描完成，发现 ${files.length} 个文件并完成分类`);
+
+    return { files, classifiedFiles };
+  }
+
+  /**
+   * 格式化扫描进度
+   * @param {Object} progress - { directories, files, matched, elapsedMs }
+   * @returns {string} 进度文字
+   */
+  formatScanProgress({ directories, files, matched, elapsedMs }) {
+    const seconds = Math.max(elapsedMs, 1) / 1000;
+    return `${directories} 个目录（${Math.round(directories / seconds)}/秒），` +
+      `${files} 个文件（${Math.round(files / seconds)}/秒），近期文件 ${matched} 个`;
+  }
+
   /**
    * 执行文件扫描和整理
    * @param {Object} options - 扫描选项
@@ -88,48 +198,124 @@ class FileAutoArrange {
     try {
       await logger.logInfo('开始执行文件自动整理任务', options);
 
-      // 步骤1: 扫描文件
-      this.spinner = ora('扫描文件中...').start();
-      const files = await this.scanner.scanRecentFiles(options.days || 7, options.paths);
-      this.spinner.succeed(`扫描完成，发现 ${files.length} 个文件`);
-      
-      console.log(chalk.yellow(`📁 扫描到 ${files.length} 个文件（近${options.days || 7}天）`));
-
-      // 步骤2: 分类文件
-      this.spinner = ora('分类文件中...').start();
-      const classifiedFiles = await this.classifier.classifyFiles(files);
-      this.spinner.succeed('文件分类完成');
-
-      // 步骤3: 生成Excel报告
-      this.spinner = ora('生成Excel报告...').start();
-      const reportPath = await this.reporter.generateReport(classifiedFiles, {
-        title: `文件整理报告 - ${new Date().toLocaleDateString('zh-CN')}`,
-        timeRange: `近${options.days || 7}天`,
-        ...options
+      const formats = options.formats || ['xlsx', 'md'];
+      if (formats.includes('csv')) {
+        // 扫描前检查CSV设置，避免扫描完成后才报错
+        await this.reporter.ensureConfigLoaded();
+        this.reporter.getCsvSettings(options);
+      }
+      const archiveSettings = this.archiveInspector.getArchiveSettings(options);
+
+      // 步骤1: 扫描并分类文件
+      // 快照默认按 inode 识别移动和重命名，只有开启 hashFiles 时才计算所有文件的内容哈希
+      const snapshotSettings = this.snapshotStore.getSnapshotSettings();
+      const { files, classifiedFiles } = await this.scanAndClassify(options, {
+        fullRescan: options.fullRescan,
+        hashAll: snapshotSettings.enabled && snapshotSettings.hashFiles
       });
-      this.spinner.succeed('Excel报告生成完成');
-
-      // 步骤4: 生成Markdown变化记录
-      this.spinner = ora('生成文件变化记录...').start();
-      const markdownPath = await this.markdownReporter.generateChangeReport(files, {
-        title: `文件变化记录 - ${new Date().toLocaleDateString('zh-CN')}`,
-        timeRange: `近${options.days || 7}天`,
-        days: options.days || 7,
-        outputDir: options.output || './output/reports'
+      
+      this.print(chalk.yellow(`📁 扫描到 ${files.length} 个文件（近${options.days || 7}天）`));
+      this.printScanChanges(this.scanner.lastScanChanges);
+      this.printScanReport(this.scanner.lastScanReport);
+
+      // 步骤2: 列出压缩包中的文件并检查是否已解压
+      if (archiveSettings.enabled) {
+        this.spinner = this.startSpinner('检查压缩包内容...');
+        const archives = await this.archiveInspector.inspectArchives(classifiedFiles, options);
+        this.spinner.succeed(`压缩包检查完成，共 ${archives.inspected} 个`);
+        this.printArchiveSummary(archives);
+      }
+
+      // 保存扫描快照，供 diff 命令对比
+      const snapshot = await this.snapshotStore.save(classifiedFiles, {
+        scanPaths: (options.paths || this.scanner.getScanPaths()).map(scanPath => this.scanner.expandPath(scanPath)),
+        days: options.days || 7
       });
-      this.spinner.succeed('文件变化记录生成完成');
 
-      console.log(chalk.green.bold('\n🎉 文件整理任务完成！'));
-      console.log(chalk.cyan(`📊 Excel报告: ${reportPath}`));
-      console.log(chalk.cyan(`📝 变化记录: ${markdownPath}`));
+      // 步骤3: 按格式生成报告
+      const output = options.output || './output/reports';
+      const title = `文件整理报告 - ${new Date().toLocaleDateString('zh-CN')}`;
+      const timeRange = `近${options.days || 7}天`;
+      const reports = [];
+
+      for (const format of formats) {
+        if (format === 'xlsx') {
+          this.spinner = this.startSpinner('生成Excel报告...');
+          const reportPath = await this.reporter.generateReport(classifiedFiles, { title, timeRange, ...options, output });
+          reports.push({ label: '📊 Excel报告', paths: [reportPath] });
+          this.spinner.succeed('Excel报告生成完成');
+        } else if (format === 'md') {
+          this.spinner = this.startSpinner('生成文件变化记录...');
+          const markdownPath = await this.markdownReporter.generateChangeReport(files, {
+            title: `文件变化记录 - ${new Date().toLocaleDateString('zh-CN')}`,
+            timeRange,
+            days: options.days || 7,
+            outputDir: output,
+            scanChanges: this.scanner.lastScanChanges
+          });
+          reports.push({ label: '📝 变化记录', paths: [markdownPath] });
+          this.spinner.succeed('文件变化记录生成完成');
+        } else if (format === 'csv') {
+          this.spinner = this.startSpinner('生成CSV报告...');
+          const csvPaths = await this.reporter.generateCSVReport(classifiedFiles, { ...options, output });
+          reports.push({ label: '📄 CSV报告', paths: csvPaths });
+          this.spinner.succeed(`CSV报告生成完成，共 ${csvPaths.length} 个文件`);
+        } else if (format === 'html') {
+          this.spinner = this.startSpinner('生成HTML报告...');
+          const htmlPath = await this.htmlReporter.generateReport(classifiedFiles, { title, timeRange, output });
+          reports.push({ label: '🌐 HTML报告', paths: [htmlPath] });
+          this.spinner.succeed('HTML报告生成完成');
+        } else if (JSON_FORMATS.includes(format)) {
+          this.spinner = this.startSpinner(`生成${format.toUpperCase()}报告...`);
+          const jsonPath = await this.jsonReporter.generateReport(classifiedFiles, {
+            format,
+            stdout: options.stdout && format === options.stdoutFormat,
+            output,
+            scan: {
+              days: options.days || 7,
+              scanPaths: (options.paths || this.scanner.getScanPaths()).map(scanPath => this.scanner.expandPath(scanPath)),
+              snapshotId: snapshot?.id || null
+            }
+          });
+          if (jsonPath) {
+            reports.push({ label: `🧾 ${format.toUpperCase()}报告`, paths: [jsonPath] });
+          }
+          this.spinner.succeed(`${format.toUpperCase()}报告生成完成`);
+        }
+      }
+
+      // 步骤5: 生成整理计划（仅预览，不移动文件）
+      let planPath = null;
+      if (options.plan) {
+        this.spinner = this.startSpinner('生成整理计划...');
+        const plan = await this.arranger.createPlan(classifiedFiles, options);
+        planPath = await this.arranger.savePlan(plan, options.plan);
+        this.spinner.succeed(`整理计划生成完成，共 ${plan.entries.length} 个操作`);
+      }
+
+      this.print(chalk.green.bold('\n🎉 文件整理任务完成！'));
+      for (const report of reports) {
+        for (const reportPath of report.paths) {
+          this.print(chalk.cyan(`${report.label}: ${reportPath}`));
+        }
+      }
+      if (snapshot) {
+        this.print(chalk.cyan(`📸 扫描快照: ${snapshot.id}`));
+        this.print(chalk.gray('   与上次扫描对比: node src/main.js diff'));
+      }
+      if (planPath) {
+        this.print(chalk.cyan(`🗂️  整理计划: ${planPath}`));
+        this.print(chalk.gray(`   确认无误后执行: node src/main.js apply "${planPath}"`));
+      }
       
       // 打印统计信息
       await this.printSummary(classifiedFiles);
 
       await logger.logInfo('文件自动整理任务完成', { 
         filesCount: files.length, 
-        reportPath,
-        markdownPath
+        reports: reports.flatMap(report => report.paths),
+        planPath,
+        snapshotId: snapshot?.id || null
       });
 
     } catch (error) {
@@ -140,23 +326,526 @@ class FileAutoArrange {
     }
   }
 
+  /**
+   * 按配置中的 cron 表达式定时执行任务，直到收到 Ctrl+C
+   * @param {Object} options - 选项（run 立即执行指定任务一次后退出）
+   * @returns {Object} 统计
+   */
+  async schedule(options = {}) {
+    const scheduler = new Scheduler({ runJob: (job, context) => this.runScheduledJob(job, context) });
+
+    const eventStyles = {
+      started: { icon: '▶️ ', color: chalk.blue, text: () => '开始执行' },
+      completed: { icon: '✅', color: chalk.green, text: event => `执行完成，用时 ${(event.durationMs / 1000).toFixed(1)} 秒` },
+      failed: { icon: '❌', color: chalk.red, text: event => `执行失败: ${event.error.message}` },
+      skipped: { icon: '⏭️ ', color: chalk.yellow, text: event => `已跳过: ${event.reason}` },
+      pruned: { icon: '🧹', color: chalk.gray, text: event => `已清理 ${event.removed.length} 个旧报告` }
+    };
+    scheduler.onEvent = event => {
+      const { icon, color, text } = eventStyles[event.type];
+      const time = event.time.toLocaleString('zh-CN');
+      console.log(color(`${icon} [${time}] ${event.job.name}: ${text(event)}`));
+    };
+
+    try {
+      if (options.run) {
+        const result = await scheduler.runOnce(options.run);
+        return { ...scheduler.stats, status: result.status };
+      }
+
+      const started = await scheduler.start();
+      if (started.length === 0) {
+        console.log(chalk.yellow('⚠️  没有启用的定时任务，请在 classification.json 的 scheduleSettings.jobs 中配置'));
+        return scheduler.stats;
+      }
+
+      console.log(chalk.blue.bold('\n⏰ 定时任务已启动:'));
+      for (const { job, nextRun } of started) {
+        console.log(chalk.white(`  ${job.name} (${job.command}, ${job.cron}) 下次执行: ${nextRun ? nextRun.toLocaleString('zh-CN') : '无'}`));
+      }
+      console.log(chalk.gray('按 Ctrl+C 停止\n'));
+
+      await new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+      });
+
+      this.spinner = ora('停止定时任务（等待正在执行的任务结束）...').start();
+      const stats = await scheduler.stop();
+      this.spinner.succeed('定时任务已停止');
+
+      console.log(chalk.blue.bold('\n📊 定时任务统计:'));
+      console.log(chalk.green(`  完成: ${stats.completed} 次`));
+      console.log(chalk.red(`  失败: ${stats.failed} 次`));
+      console.log(chalk.yellow(`  跳过: ${stats.skipped} 次`));
+      console.log(chalk.gray(`  清理旧报告: ${stats.prunedReports} 个`));
+
+      return stats;
+    } catch (error) {
+      if (this.spinner) this.spinner.fail('定时任务失败');
+      console.error(chalk.red('❌ 定时任务失败:'), error.message);
+      await logger.logError('定时任务失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 执行一个定时任务
+   * @param {Object} job - 任务定义 { name, command, options }
+   * @param {Object} context - { output } 报告输出目录，由调度器按清理旧报告的目录确定
+   */
+  async runScheduledJob(job, { output }) {
+    const options = { days: 7, ...(job.options || {}), output };
+
+    if (job.command === 'scan') {
+      await this.execute(options);
+      return;
+    }
+
+    const result = await this.arrange(options);
+    if (result.failed.length > 0) {
+      throw new Error(`${result.failed.length} 个文件移动失败`);
+    }
+  }
+
+  /**
+   * 打印与上次扫描相比的变化
+   * @param {Object|null} changes - FileScanner.lastScanChanges
+   */
+  printScanChanges(changes) {
+    if (!changes) return;
+
+    if (changes.firstRun) {
+      this.print(chalk.gray('🗃️  首次扫描这些路径，已建立扫描索引'));
+      return;
+    }
+
+    this.print(chalk.yellow(
+      `🔄 自上次扫描以来: 新增 ${changes.newFiles.length} 个，` +
+      `修改 ${changes.changedFiles.length} 个，删除 ${changes.deletedFiles.length} 个文件`
+    ));
+  }
+
+  /**
+   * 打印扫描中遇到的符号链接、链接循环、超出文件数上限和深度上限的目录
+   * @param {Object|null} report - FileScanner.lastScanReport
+   */
+  printScanReport(report) {
+    if (!report) return;
+
+    if (report.followedSymlinks > 0) {
+      this.print(chalk.gray(`🔗 跟随了 ${report.followedSymlinks} 个符号链接`));
+    }
+    if (report.symlinks.length > 0) {
+      this.print(chalk.yellow(`🔗 发现 ${report.symlinks.length} 个符号链接（未跟随）:`));
+      for (const link of report.symlinks.slice(0, 10)) {
+        this.print(chalk.gray(`   ${link.path} -> ${link.target}`));
+      }
+      if (report.symlinks.length > 10) {
+        this.print(chalk.gray(`   ... 另有 ${report.symlinks.length - 10} 个`));
+      }
+    }
+    for (const loop of report.symlinkLoops) {
+      this.print(chalk.yellow(`⚠️  符号链接循环，已跳过: ${loop.path} -> ${loop.target}`));
+    }
+    for (const capped of report.cappedDirectories) {
+      this.print(chalk.yellow(`⚠️  目录中有 ${capped.files} 个文件，超过上限 ${capped.limit}，只处理了最近修改的文件: ${capped.path}`));
+    }
+    if (report.depthLimitedDirectories > 0) {
+      this.print(chalk.yellow(`⚠️  ${report.depthLimitedDirectories} 个目录超过最大深度，未扫描`));
+    }
+  }
+
+  /**
+   * 打印压缩包检查结果：读取失败的压缩包和已解压在旁边、可以清理的压缩包
+   * @param {Object} archives - ArchiveInspector.inspectArchives() 的返回值
+   */
+  printArchiveSummary(archives) {
+    for (const file of archives.files.filter(item => item.archive.error)) {
+      this.print(chalk.yellow(`⚠️  无法读取压缩包: ${file.path}（${file.archive.error}）`));
+    }
+
+    if (archives.extracted === 0) return;
+
+    this.print(chalk.yellow(
+      `📦 ${archives.extracted} 个压缩包已解压在旁边，可以清理（共 ${this.formatFileSize(archives.reclaimableSize)}）:`
+    ));
+    for (const file of archives.files.filter(item => item.archive.extracted?.complete)) {
+      this.print(chalk.gray(`   ${file.path} -> ${file.archive.extracted.directory}`));
+    }
+  }
+
+  /**
+   * 扫描、分类并将文件移动到分类目录
+   * @param {Object} options - 整理选项
+   */
+  async arrange(options = {}) {
+    try {
+      await logger.logInfo('开始执行文件整理移动任务', options);
+
+      // 步骤1: 扫描并分类文件
+      const { classifiedFiles } = await this.scanAndClassify(options);
+
+      // 步骤2: 移动文件
+      this.spinner = ora('移动文件到分类目录...').start();
+      const result = await this.arranger.arrangeFiles(classifiedFiles, options);
+      if (result.failed.length > 0) {
+        this.spinner.warn(`整理完成，${result.failed.length} 个文件移动失败`);
+      } else {
+        this.spinner.succeed('文件整理完成');
+      }
+
+      this.printArrangeSummary(result);
+
+      await logger.logInfo('文件整理移动任务完成', {
+        destination: result.destination,
+        applied: result.applied.length,
+        skipped: result.skipped.length,
+        failed: result.failed.length
+      });
+
+      return result;
+    } catch (error) {
+      if (this.spinner) this.spinner.fail('整理任务执行失败');
+      console.error(chalk.red('❌ 整理失败:'), error.message);
+      await logger.logError('整理任务执行失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 打印整理结果摘要
+   * @param {Object} result - FileArranger.arrangeFiles() 的结果
+   */
+  printArrangeSummary(result) {
+    console.log(chalk.blue.bold('\n📦 整理结果:'));
+    if (result.destination) {
+      console.log(chalk.white(`  目标目录: ${result.destination}`));
+    }
+    console.log(chalk.green(`  已执行: ${result.applied.length} 个文件`));
+    console.log(chalk.gray(`  已跳过: ${result.skipped.length} 个文件`));
+    if (result.applied.some(entry => entry.action !== 'delete')) {
+      console.log(chalk.gray(`  运行ID: ${result.runId}（可通过 undo ${result.runId} 撤销）`));
+    } else if (result.applied.length > 0) {
+      console.log(chalk.gray(`  运行ID: ${result.runId}（删除操作无法撤销）`));
+    }
+
+    if (result.failed.length > 0) {
+      console.log(chalk.red(`  失败: ${result.failed.length} 个文件`));
+      for (const item of result.failed) {
+        console.log(chalk.red(`    ${item.source}: ${item.error}`));
+      }
+    }
+
+    const changed = result.skipped.filter(item => item.expected);
+    if (changed.length > 0) {
+      console.log(chalk.yellow(`  计划生成后已变化而跳过: ${changed.length} 个文件`));
+      for (const item of changed) {
+        console.log(chalk.yellow(`    ${item.source}: ${item.skipReason}`));
+      }
+    }
+  }
+
+  /**
+   * 执行已保存的整理计划
+   * @param {string} planPath - 计划文件路径
+   */
+  async applyPlan(planPath) {
+    try {
+      await logger.logInfo('开始执行整理计划', { planPath });
+
+      this.spinner = ora('读取整理计划...').start();
+      const plan = await this.arranger.loadPlan(planPath);
+      this.spinner.succeed(`整理计划包含 ${plan.entries.length} 个操作（生成于 ${new Date(plan.createdAt).toLocaleString('zh-CN')}）`);
+
+      this.spinner = ora('按计划执行文件操作...').start();
+      const result = await this.arranger.applyPlan(plan);
+      if (result.failed.length > 0) {
+        this.spinner.warn(`计划执行完成，${result.failed.length} 个操作失败`);
+      } else {
+        this.spinner.succeed('计划执行完成');
+      }
+
+      this.printArrangeSummary(result);
+
+      await logger.logInfo('整理计划执行完成', {
+        planPath,
+        applied: result.applied.length,
+        skipped: result.skipped.length,
+        failed: result.failed.length
+      });
+
+      return result;
+    } catch (error) {
+      if (this.spinner) this.spinner.fail('计划执行失败');
+      console.error(chalk.red('❌ 计划执行失败:'), error.message);
+      await logger.logError('整理计划执行失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 扫描并处理重复文件
+   * @param {Object} options - 处理选项
+   */
+  async dedupe(options = {}) {
+    try {
+      await logger.logInfo('开始执行重复文件处理任务', options);
+
+      // 步骤1: 扫描并分类文件
+      const { classifiedFiles } = await this.scanAndClassify(options);
+
+      // 步骤2: 检测重复文件
+      this.spinner = ora('检测重复文件...').start();
+      const duplicateGroups = classifiedFiles.statistics.duplicateFiles;
+      const plan = await this.duplicateResolver.createPlan(duplicateGroups, options);
+      this.spinner.succeed(`发现 ${plan.groups.length} 组重复文件`);
+
+      console.log(chalk.yellow(`💾 可回收空间: ${this.formatFileSize(plan.reclaimableBytes)}（${plan.entries.length} 个重复副本）`));
+
+      if (plan.entries.length === 0) {
+        return { applied: [], skipped: plan.skipped, failed: [], dryRun: Boolean(options.dryRun) };
+      }
+
+      if (options.plan) {
+        const planPath = await this.arranger.savePlan(plan, options.plan);
+        console.log(chalk.cyan(`🗂️  处理计划: ${planPath}`));
+      }
+
+      if (options.dryRun) {
+        this.printDedupePlan(plan);
+        console.log(chalk.gray('\n（预演模式，未修改任何文件）'));
+        return { applied: [], skipped: plan.skipped, failed: [], dryRun: true };
+      }
+
+      // 步骤3: 执行处理计划
+      this.spinner = ora('处理重复文件...').start();
+      const result = await this.arranger.applyPlan(plan);
+      if (result.failed.length > 0) {
+        this.spinner.warn(`处理完成，${result.failed.length} 个文件处理失败`);
+      } else {
+        this.spinner.succeed('重复文件处理完成');
+      }
+
+      this.printArrangeSummary(result);
+
+      await logger.logInfo('重复文件处理任务完成', {
+        groups: plan.groups.length,
+        reclaimableBytes: plan.reclaimableBytes,
+        applied: result.applied.length,
+        skipped: result.skipped.length,
+        failed: result.failed.length
+      });
+
+      return result;
+    } catch (error) {
+      if (this.spinner) this.spinner.fail('重复文件处理失败');
+      console.error(chalk.red('❌ 重复文件处理失败:'), error.message);
+      await logger.logError('重复文件处理任务失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 打印重复文件处理计划
+   * @param {Object} plan - DuplicateResolver.createPlan() 生成的计划
+   */
+  printDedupePlan(plan) {
+    const actionLabels = { delete: '删除', move: '移入隔离区', hardlink: '替换为硬链接' };
+    const entriesBySource = new Map(plan.entries.map(entry => [entry.source, entry]));
+
+    plan.groups.forEach((group, index) => {
+      console.log(chalk.blue(`\n重复组 ${index + 1} (${this.formatFileSize(group.size)} × ${group.duplicates.length + 1})`));
+      console.log(chalk.green(`  保留: ${group.keep}`));
+      for (const duplicate of group.duplicates) {
+        const entry = entriesBySource.get(duplicate);
+        const label = entry ? actionLabels[entry.action] : '跳过';
+        console.log(chalk.white(`  ${label}: ${duplicate}`));
+      }
+    });
+  }
+
+  /**
+   * 监视扫描路径，新文件写入完成后自动分类整理，直到收到中断信号
+   * @param {Object} options - 监视选项
+   * @returns {Object} 统计信息
+   */
+  async watch(options = {}) {
+    const watcher = new FileWatcher({
+      scanner: this.scanner,
+      classifier: this.classifier,
+      arranger: this.arranger,
+      markdownReporter: this.markdownReporter,
+      mcpClient: this.mcpClient
+    });
+
+    const eventStyles = {
+      arranged: { icon: '📦', color: chalk.green },
+      skipped: { icon: '⏭️ ', color: chalk.yellow },
+      failed: { icon: '❌', color: chalk.red }
+    };
+    watcher.onEvents = events => {
+      for (const event of events) {
+        const { icon, color } = eventStyles[event.type];
+        const time = new Date(event.time).toLocaleTimeString('zh-CN');
+        const detail = event.destination ? `→ ${event.destination}` : `(${event.reason})`;
+        console.log(color(`${icon} [${time}] ${path.basename(event.source)} ${event.category ? `[${event.category}] ` : ''}${detail}`));
+      }
+    };
+
+    try {
+      this.spinner = ora('启动文件监视...').start();
+      const watchPaths = await watcher.start(options);
+      this.spinner.succeed('文件监视已启动');
+
+      console.log(chalk.blue.bold('\n👀 正在监视:'));
+      for (const watchPath of watchPaths) {
+        console.log(chalk.white(`  ${watchPath}`));
+      }
+      if (options.dryRun) {
+        console.log(chalk.gray('（预览模式，不移动任何文件）'));
+      }
+      console.log(chalk.gray('按 Ctrl+C 停止监视\n'));
+
+      await new Promise(resolve => {
+        process.once('SIGINT', resolve);
+        process.once('SIGTERM', resolve);
+      });
+
+      this.spinner = ora('停止文件监视...').start();
+      const stats = await watcher.stop();
+      this.spinner.succeed('文件监视已停止');
+
+      console.log(chalk.blue.bold('\n📊 监视统计:'));
+      console.log(chalk.green(`  已整理: ${stats.arranged} 个文件`));
+      console.log(chalk.yellow(`  已跳过: ${stats.skipped} 个文件`));
+      console.log(chalk.red(`  失败: ${stats.failed} 个文件`));
+
+      return stats;
+    } catch (error) {
+      if (this.spinner) this.spinner.fail('文件监视失败');
+      console.error(chalk.red('❌ 文件监视失败:'), error.message);
+      await logger.logError('文件监视失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 撤销某次运行的文件操作
+   * @param {string|null} runId - 运行ID，为空时撤销最近一次运行
+   */
+  async undo(runId = null) {
+    try {
+      await logger.logInfo('开始撤销文件操作', { runId });
+
+      this.spinner = ora('按操作日志恢复文件...').start();
+      const result = await this.arranger.undoRun(runId);
+      if (result.failed.length > 0) {
+        this.spinner.warn(`撤销完成，${result.failed.length} 个操作无法撤销`);
+      } else {
+        this.spinner.succeed('撤销完成');
+      }
+
+      console.log(chalk.blue.bold('\n↩️  撤销结果:'));
+      console.log(chalk.white(`  运行ID: ${result.runId}`));
+      console.log(chalk.green(`  已恢复: ${result.restored.length} 个文件`));
+
+      if (result.failed.length > 0) {
+        console.log(chalk.red(`  无法撤销: ${result.failed.length} 个操作`));
+        for (const item of result.failed) {
+          console.log(chalk.red(`    ${item.destination || item.source}: ${item.error}`));
+        }
+      }
+
+      await logger.logInfo('撤销文件操作完成', {
+        runId: result.runId,
+        restored: result.restored.length,
+        failed: result.failed.length
+      });
+
+      return result;
+    } catch (error) {
+      if (this.spinner) this.spinner.fail('撤销失败');
+      console.error(chalk.red('❌ 撤销失败:'), error.message);
+      await logger.logError('撤销文件操作失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 对比两个扫描快照，生成Markdown变化记录和Excel报告（不需要连接MCP服务器）
+   * @param {string|null} beforeRef - 较早的快照，为空时使用倒数第二个快照
+   * @param {string|null} afterRef - 较新的快照，为空时使用最新的快照
+   * @param {Object} options - 选项
+   * @returns {Object} 对比结果
+   */
+  async diff(beforeRef = null, afterRef = null, options = {}) {
+    try {
+      const snapshotStore = new SnapshotStore();
+
+      if (!beforeRef) {
+        [beforeRef, afterRef] = await snapshotStore.getLatestPair();
+      } else if (!afterRef) {
+        afterRef = (await snapshotStore.list())[0]?.id;
+      }
+
+      this.spinner = ora('对比扫描快照...').start();
+      const before = await snapshotStore.load(beforeRef);
+      const after = await snapshotStore.load(afterRef);
+      const diff = snapshotStore.diff(before, after);
+      this.spinner.succeed(`快照对比完成: ${before.id} → ${after.id}`);
+
+      this.spinner = ora('生成对比报告...').start();
+      const outputDir = options.output || './output/reports';
+      const markdownPath = await new MarkdownReporter().generateDiffReport(diff, { outputDir });
+      const reportPath = await new ExcelReporter().generateDiffReport(diff, { output: outputDir });
+      this.spinner.succeed('对比报告生成完成');
+
+      console.log(chalk.blue.bold('\n🔍 快照对比结果:'));
+      console.log(chalk.green(`  新增: ${diff.added.length} 个文件`));
+      console.log(chalk.red(`  删除: ${diff.removed.length} 个文件`));
+      console.log(chalk.yellow(`  修改: ${diff.modified.length} 个文件`));
+      console.log(chalk.cyan(`  移动/重命名: ${diff.moved.length} 个文件`));
+      console.log(chalk.magenta(`  重新分类: ${diff.recategorized.length} 个文件`));
+      if (diff.outOfScope.length > 0) {
+        console.log(chalk.gray(`  超出扫描范围: ${diff.outOfScope.length} 个文件`));
+      }
+      console.log(chalk.cyan(`\n📝 变化记录: ${markdownPath}`));
+      console.log(chalk.cyan(`📊 Excel报告: ${reportPath}`));
+
+      await logger.logInfo('快照对比完成', {
+        before: before.id,
+        after: after.id,
+        markdownPath,
+        reportPath
+      });
+
+      return diff;
+    } catch (error) {
+      if (this.spinner) this.spinner.fail('快照对比失败');
+      console.error(chalk.red('❌ 快照对比失败:'), error.message);
+      await logger.logError('快照对比失败', error);
+      throw error;
+    }
+  }
+
   /**
    * 打印统计摘要
    * @param {Object} classifiedFiles - 分类后的文件数据
    */
   async printSummary(classifiedFiles) {
-    console.log(chalk.blue.bold('\n📊 统计摘要:'));
+    this.print(chalk.blue.bold('\n📊 统计摘要:'));
     
     const categories = classifiedFiles.categories;
     for (const [category, files] of Object.entries(categories)) {
       if (files.length > 0) {
         const totalSize = files.reduce((sum, file) => sum + file.size, 0);
         const sizeStr = this.formatFileSize(totalSize);
-        console.log(chalk.white(`  ${category}: ${files.length} 个文件 (${sizeStr})`));
+        this.print(chalk.white(`  ${category}: ${files.length} 个文件 (${sizeStr})`));
       }
     }
 
-    console.log(chalk.gray(`\n总计: ${classifiedFiles.totalFiles} 个文件, ${this.formatFileSize(classifiedFiles.totalSize)}`));
+    this.print(chalk.gray(`\n总计: ${classifiedFiles.totalFiles} 个文件, ${this.formatFileSize(classifiedFiles.totalSize)}`));
   }
 
   /**
@@ -195,7 +884,87 @@ class FileAutoArrange {
 program
   .name('file-auto-arrange')
   .description('基于MCP的智能文件整理工具')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('--log-level <level>', `最低日志级别: ${LOG_LEVELS.join(' | ')}（默认读取环境变量 LOG_LEVEL 或配置 logSettings.level）`)
+  .hook('preAction', async () => {
+    // 命令执行前按 命令行 > 环境变量 > 配置文件 的顺序设置日志选项
+    let configured = {};
+    try {
+      configured = (await new ConfigLoader().load('classification.json')).logSettings || {};
+    } catch {
+      // 配置无法读取时使用默认日志设置，具体错误由命令自身报告
+    }
+    const level = program.opts().logLevel || process.env.LOG_LEVEL || configured.level;
+    try {
+      Logger.configure({ ...configured, ...(level ? { level } : {}) });
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+/**
+ * 包装命令处理函数，使该次运行写入的日志、快照和操作日志使用同一个运行ID
+ * @param {Function} action - 命令处理函数
+ * @returns {Function} 包装后的处理函数
+ */
+function withRunId(action) {
+  return (...args) => Logger.runWithContext(OperationJournal.createRunId(), () => action(...args));
+}
+
+/**
+ * 收集可重复指定、也可用逗号分隔的选项值
+ * @param {string} value - 本次指定的值
+ * @param {Array} previous - 之前收集的值
+ * @returns {Array} 全部值
+ */
+function collectList(value, previous = []) {
+  return previous.concat(value.split(',').map(item => item.trim()).filter(Boolean));
+}
+
+/**
+ * scan 命令支持的报告格式
+ */
+const REPORT_FORMATS = ['xlsx', 'md', 'csv', 'html', ...JSON_FORMATS];
+
+/**
+ * 根据 --formats、--format、--csv、--html 和 --stdout 确定要生成的报告格式
+ * @param {Object} options - scan 命令选项
+ * @param {boolean} formatIsDefault - --format 是否为默认值
+ * @returns {Object} { formats, stdoutFormat }
+ */
+function resolveReportFormats(options, formatIsDefault) {
+  let formats;
+  if (options.formats) {
+    formats = options.formats.split(',').map(format => format.trim()).filter(Boolean);
+  } else if (options.stdout && formatIsDefault) {
+    formats = ['json'];
+  } else if (options.format === 'xlsx') {
+    // xlsx 格式同时生成 Markdown 变化记录
+    formats = ['xlsx', 'md'];
+  } else {
+    formats = [options.format];
+  }
+  if (options.csv) formats.push('csv');
+  if (options.html) formats.push('html');
+  formats = [...new Set(formats)];
+
+  const unknownFormats = formats.filter(format => !REPORT_FORMATS.includes(format));
+  if (unknownFormats.length > 0) {
+    throw new Error(`不支持的报告格式: ${unknownFormats.join(', ')}（可选: ${REPORT_FORMATS.join(', ')}）`);
+  }
+
+  let stdoutFormat = null;
+  if (options.stdout) {
+    const jsonFormats = formats.filter(format => JSON_FORMATS.includes(format));
+    if (jsonFormats.length !== 1) {
+      throw new Error('--stdout 需要且只能选择 json 和 ndjson 中的一种格式');
+    }
+    stdoutFormat = jsonFormats[0];
+  }
+
+  return { formats, stdoutFormat };
+}
 
 program
   .command('scan')
@@ -203,9 +972,44 @@ program
   .option('-d, --days <number>', '扫描最近几天的文件', '7')
   .option('-p, --paths <paths>', '指定扫描路径（逗号分隔）')
   .option('-o, --output <path>', '指定输出目录', './output/reports')
-  .option('--include-hidden', '包括隐藏文件', false)
-  .action(async (options) => {
-    const app = new FileAutoArrange();
+  .option('--include-hidden', '包括隐藏文件和目录（默认读取配置 scanSettings.includeHidden）')
+  .option('--max-depth <number>', '最大目录深度（默认读取配置 scanSettings.maxDepth）')
+  .option('--symlinks <policy>', '符号链接处理方式: skip | follow | report-only（默认读取配置 scanSettings.symlinks）')
+  .option('--max-files-per-dir <number>', '每个目录最多处理的文件数，超出时只处理最近修改的文件（默认读取配置 scanSettings.maxFilesPerDirectory）')
+  .option('--no-metadata', '不提取图片、音频、视频和文档的元数据（默认读取配置 metadataSettings.enabled）')
+  .option('--archives', '列出 zip、tar、tar.gz 压缩包中的文件并分类，检查是否已解压（默认读取配置 archiveSettings.enabled）')
+  .option('--plan <file>', '生成整理计划文件（不移动任何文件）')
+  .option('-t, --target <path>', '整理计划的目标目录（配合 --plan）')
+  .option('--template <template>', '整理计划的目录模板（配合 --plan）')
+  .option('--conflict <strategy>', '整理计划的重名处理策略（配合 --plan）')
+  .option('--full-rescan', '忽略扫描索引中的目录缓存，重新列出所有目录并读取文件信息（发现原地修改的文件）', false)
+  .option('--exclude <patterns>', '排除模式（.gitignore 语义，相对扫描路径，可重复指定或逗号分隔），如 "*.tmp,build/"', collectList)
+  .option('--include <patterns>', '只扫描匹配这些模式的文件（.gitignore 语义，可重复指定或逗号分隔），如 "*.pdf"', collectList)
+  .option('-c, --concurrency <number>', '同时扫描的目录和文件数（默认读取配置 scanSettings.concurrency）')
+  .option('--format <format>', '报告格式: xlsx | json | ndjson（xlsx 同时生成 Markdown 变化记录）', 'xlsx')
+  .option('--formats <formats>', '报告格式列表（逗号分隔）: xlsx, md, csv, html, json, ndjson（指定后忽略 --format）')
+  .option('--stdout', '将JSON/NDJSON结果写到标准输出，不输出进度和提示（未指定格式时使用 json）', false)
+  .option('--html', '同时生成可离线打开的HTML报告（交互式图表和文件表）', false)
+  .option('--csv', '同时生成CSV文件清单', false)
+  .option('--csv-columns <columns>', 'CSV列（逗号分隔），如 name,category,size,modifiedTime')
+  .option('--csv-delimiter <delimiter>', 'CSV分隔符，制表符可写作 tab')
+  .option('--csv-encoding <encoding>', 'CSV编码: utf8 | utf8-bom | gbk')
+  .option('--csv-per-category', '每个分类生成一个CSV文件', false)
+  .option('--date-format <format>', 'CSV中的日期格式（moment 格式，如 YYYY/MM/DD HH:mm；iso 表示 ISO 8601）')
+  .action(withRunId(async (options, command) => {
+    // 未指定 --no-metadata 时以配置为准
+    if (command.getOptionValueSource('metadata') === 'default') {
+      delete options.metadata;
+    }
+
+    try {
+      Object.assign(options, resolveReportFormats(options, command.getOptionValueSource('format') === 'default'));
+    } catch (error) {
+      console.error(chalk.red(`❌ ${error.message}`));
+      process.exit(1);
+    }
+
+    const app = new FileAutoArrange({ quiet: options.stdout });
     
     try {
       await app.initialize();
@@ -216,6 +1020,14 @@ program
       }
       
       options.days = parseInt(options.days);
+      for (const key of ['concurrency', 'maxDepth']) {
+        if (options[key] !== undefined) {
+          options[key] = parseInt(options[key]);
+        }
+      }
+      if (options.maxFilesPerDir !== undefined) {
+        options.maxFilesPerDirectory = parseInt(options.maxFilesPerDir);
+      }
       
       await app.execute(options);
     } catch (error) {
@@ -224,15 +1036,549 @@ program
     } finally {
       await app.cleanup();
     }
+  }));
+
+program
+  .command('arrange')
+  .description('扫描文件并移动到分类目录')
+  .option('-d, --days <number>', '整理最近几天的文件', '7')
+  .option('-p, --paths <paths>', '指定扫描路径（逗号分隔）')
+  .option('-t, --target <path>', '整理目标目录（默认读取配置 arrangeSettings.destination）')
+  .option('--template <template>', '目录模板，如 "{category}/{YYYY}-{MM}"')
+  .option('--conflict <strategy>', '重名处理策略: rename | skip | overwrite')
+  .option('-c, --concurrency <number>', '同时扫描的目录和文件数（默认读取配置 scanSettings.concurrency）')
+  .action(withRunId(async (options) => {
+    const app = new FileAutoArrange();
+
+    try {
+      await app.initialize();
+
+      if (options.paths) {
+        options.paths = options.paths.split(',').map(p => p.trim());
+      }
+
+      options.days = parseInt(options.days);
+      if (options.concurrency !== undefined) {
+        options.concurrency = parseInt(options.concurrency);
+      }
+
+      const result = await app.arrange(options);
+      if (result.failed.length > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red('程序执行失败:'), error.message);
+      process.exit(1);
+    } finally {
+      await app.cleanup();
+    }
+  }));
+
+program
+  .command('apply')
+  .description('执行由 scan --plan 生成的整理计划')
+  .argument('<planFile>', '整理计划文件路径')
+  .action(withRunId(async (planFile) => {
+    const app = new FileAutoArrange();
+
+    try {
+      await app.initialize();
+
+      const result = await app.applyPlan(planFile);
+      if (result.failed.length > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red('程序执行失败:'), error.message);
+      process.exit(1);
+    } finally {
+      await app.cleanup();
+    }
+  }));
+
+program
+  .command('dedupe')
+  .description('检测并处理重复文件')
+  .option('-d, --days <number>', '扫描最近几天的文件', '7')
+  .option('-p, --paths <paths>', '指定扫描路径（逗号分隔）')
+  .option('-k, --keep <policy>', '保留策略: oldest | newest | shortest-path | preferred-dir')
+  .option('--preferred-dir <dirs>', '首选保留目录（逗号分隔，配合 preferred-dir 策略）')
+  .option('-a, --action <action>', '其余副本的处理方式: delete | quarantine | hardlink')
+  .option('--quarantine-dir <path>', '隔离目录（配合 quarantine 处理方式）')
+  .option('--dry-run', '只显示处理计划，不修改任何文件', false)
+  .option('--plan <file>', '将处理计划保存到文件（可用 apply 命令执行）')
+  .option('-c, --concurrency <number>', '同时扫描的目录和文件数（默认读取配置 scanSettings.concurrency）')
+  .action(withRunId(async (options) => {
+    const app = new FileAutoArrange();
+
+    try {
+      await app.initialize();
+
+      if (options.paths) {
+        options.paths = options.paths.split(',').map(p => p.trim());
+      }
+      if (options.preferredDir) {
+        options.preferredDir = options.preferredDir.split(',').map(p => p.trim());
+      }
+
+      options.days = parseInt(options.days);
+      if (options.concurrency !== undefined) {
+        options.concurrency = parseInt(options.concurrency);
+      }
+
+      const result = await app.dedupe(options);
+      if (result.failed.length > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red('程序执行失败:'), error.message);
+      process.exit(1);
+    } finally {
+      await app.cleanup();
+    }
+  }));
+
+program
+  .command('watch')
+  .description('持续监视扫描路径，新文件写入完成后自动分类整理')
+  .option('-p, --paths <paths>', '指定监视路径（逗号分隔）')
+  .option('-t, --target <path>', '整理目标目录（默认读取配置 arrangeSettings.destination）')
+  .option('--template <template>', '目录模板，如 "{category}/{YYYY}-{MM}"')
+  .option('--conflict <strategy>', '重名处理策略: rename | skip | overwrite')
+  .option('--stable <seconds>', '文件大小保持不变多少秒后视为写入完成（默认读取配置 watchSettings.stableSeconds）')
+  .option('--debounce <ms>', '批量处理前等待新文件的毫秒数（默认读取配置 watchSettings.debounceMs）')
+  .option('--include-hidden', '包括隐藏文件', false)
+  .option('--dry-run', '只记录分类结果，不移动任何文件', false)
+  .option('-o, --output <path>', '变化记录的输出目录', './output/reports')
+  .action(withRunId(async (options) => {
+    const app = new FileAutoArrange();
+
+    try {
+      await app.initialize();
+
+      if (options.paths) {
+        options.paths = options.paths.split(',').map(p => p.trim());
+      }
+      if (options.stable !== undefined) {
+        options.stable = parseFloat(options.stable);
+      }
+      if (options.debounce !== undefined) {
+        options.debounce = parseInt(options.debounce);
+      }
+
+      const stats = await app.watch(options);
+      if (stats.failed > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red('程序执行失败:'), error.message);
+      process.exit(1);
+    } finally {
+      await app.cleanup();
+    }
+  }));
+
+program
+  .command('schedule')
+  .description('按配置中的 cron 表达式定时执行 scan / arrange 任务（常驻运行）')
+  .option('-l, --list', '列出定时任务及接下来的执行时间')
+  .option('-r, --run <name>', '立即执行指定任务一次后退出')
+  .action(withRunId(async (options) => {
+    if (options.list) {
+      try {
+        const jobs = await new Scheduler({ runJob: null }).listJobs();
+        if (jobs.length === 0) {
+          console.log(chalk.yellow('没有配置定时任务'));
+          return;
+        }
+        console.log(chalk.blue.bold('⏰ 定时任务:'));
+        for (const { job, nextRuns } of jobs) {
+          const state = job.enabled ? chalk.green('启用') : chalk.gray('停用');
+          console.log(`  ${chalk.white(job.name)} [${state}] ${job.command} ${chalk.cyan(job.cron)}${job.timezone ? ` (${job.timezone})` : ''}`);
+          for (const nextRun of nextRuns) {
+            console.log(chalk.gray(`    ${nextRun.toLocaleString('zh-CN')}`));
+          }
+        }
+      } catch (error) {
+        console.error(chalk.red('❌ 读取定时任务失败:'), error.message);
+        process.exit(1);
+      }
+      return;
+    }
+
+    const app = new FileAutoArrange();
+
+    try {
+      await app.initialize();
+
+      const stats = await app.schedule(options);
+      if (stats.failed > 0 || stats.status === 'skipped') {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red('程序执行失败:'), error.message);
+      process.exit(1);
+    } finally {
+      await app.cleanup();
+    }
+  }));
+
+program
+  .command('diff')
+  .description('对比两次扫描的快照（默认对比最近两次扫描）')
+  .argument('[snapA]', '较早的快照（快照ID、ID前缀或快照文件路径）')
+  .argument('[snapB]', '较新的快照（默认最新的快照）')
+  .option('-l, --list', '列出已保存的快照')
+  .option('-o, --output <path>', '指定输出目录', './output/reports')
+  .action(async (snapA, snapB, options) => {
+    if (options.list) {
+      const snapshots = await new SnapshotStore().list();
+      if (snapshots.length === 0) {
+        console.log(chalk.gray('还没有扫描快照，执行 scan 命令后会自动保存'));
+        return;
+      }
+      console.log(chalk.blue.bold('📸 扫描快照:'));
+      for (const snapshot of snapshots) {
+        console.log(chalk.white(`  ${snapshot.id}  ${new Date(snapshot.createdAt).toLocaleString('zh-CN')}  近${snapshot.days}天  ${snapshot.fileCount} 个文件`));
+      }
+      return;
+    }
+
+    try {
+      await new FileAutoArrange().diff(snapA || null, snapB || null, options);
+    } catch (error) {
+      console.error(chalk.red('程序执行失败:'), error.message);
+      process.exit(1);
+    }
   });
 
 program
-  .command('config')
-  .description('显示或修改配置')
-  .option('--show', '显示当前配置')
-  .option('--reset', '重置为默认配置')
+  .command('undo')
+  .description('撤销某次运行的文件操作（默认最近一次）')
+  .argument('[runId]', '运行ID')
+  .option('-l, --list', '列出操作日志中的运行记录')
+  .action(withRunId(async (runId, options) => {
+    if (options.list) {
+      const runs = await new OperationJournal().listRuns();
+      if (runs.length === 0) {
+        console.log(chalk.gray('操作日志为空'));
+        return;
+      }
+      console.log(chalk.blue.bold('📜 运行记录:'));
+      for (const run of runs) {
+        let status;
+        if (run.pendingCount > 0) {
+          status = chalk.green(`${run.pendingCount} 个可撤销`);
+        } else if (run.irreversibleCount === run.operationCount) {
+          status = chalk.gray('删除操作无法撤销');
+        } else {
+          status = chalk.gray('已全部撤销');
+        }
+        console.log(chalk.white(`  ${run.runId}  ${new Date(run.startTime).toLocaleString('zh-CN')}  ${run.operationCount} 个操作  `) + status);
+      }
+      return;
+    }
+
+    const app = new FileAutoArrange();
+
+    try {
+      await app.initialize();
+
+      const result = await app.undo(runId || null);
+      if (result.failed.length > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red('程序执行失败:'), error.message);
+      process.exit(1);
+    } finally {
+      await app.cleanup();
+    }
+  }));
+
+/**
+ * 解析 logs 命令的时间参数：相对时间（如 30m、2h、7d）或日期时间字符串
+ * @param {string} value - 时间参数
+ * @returns {Date} 时间
+ */
+function parseLogTime(value) {
+  const relative = /^(\d+)\s*([smhd])$/i.exec(value.trim());
+  if (relative) {
+    const unitMs = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 }[relative[2].toLowerCase()];
+    return new Date(Date.now() - Number(relative[1]) * unitMs);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`无法解析的时间: ${value}（可使用 30m、2h、7d 或 2024-01-31T08:00 等格式）`);
+  }
+  return date;
+}
+
+/**
+ * 日志级别在终端中的颜色
+ */
+const LOG_LEVEL_COLORS = {
+  DEBUG: chalk.gray,
+  INFO: chalk.blue,
+  WARNING: chalk.yellow,
+  ERROR: chalk.red
+};
+
+program
+  .command('logs')
+  .description('查询运行日志（按级别、运行ID、时间范围或关键字）')
+  .option('--level <level>', `最低日志级别: ${LOG_LEVELS.join(' | ')}`)
+  .option('-r, --run <runId>', '只显示指定运行ID（支持前缀）的日志')
+  .option('--since <time>', '起始时间，如 2h、7d 或 2024-01-31T08:00')
+  .option('--until <time>', '结束时间，格式同 --since')
+  .option('-g, --grep <text>', '只显示消息包含该文字的日志')
+  .option('-n, --limit <number>', '最多显示最近多少条（0 表示全部）', '50')
+  .option('--archives', '同时查询已轮转压缩的日志', false)
+  .option('--json', '按原始 JSON Lines 输出', false)
+  .option('--stats', '显示当前日志文件的统计信息', false)
   .action(async (options) => {
-    console.log(chalk.blue('🔧 配置管理功能开发中...'));
+    try {
+      if (options.stats) {
+        const stats = await logger.getLogStats();
+        if (!stats) {
+          console.log(chalk.gray('日志文件为空'));
+          return;
+        }
+        console.log(chalk.blue.bold('📊 日志统计:'));
+        console.log(chalk.white(`  文件大小: ${(stats.fileSize / 1024).toFixed(1)} KB（最后写入 ${stats.lastModified.toLocaleString('zh-CN')}）`));
+        console.log(chalk.white(`  日志条数: ${stats.totalLines}（${stats.runCount} 次运行）`));
+        console.log(chalk.white(`  错误: ${stats.errorCount}  警告: ${stats.warningCount}  信息: ${stats.infoCount}  调试: ${stats.debugCount}`));
+        console.log(chalk.white(`  归档文件: ${stats.archiveCount}`));
+        return;
+      }
+
+      const entries = await logger.queryLogs({
+        level: options.level,
+        runId: options.run,
+        since: options.since ? parseLogTime(options.since) : null,
+        until: options.until ? parseLogTime(options.until) : null,
+        text: options.grep,
+        includeArchives: options.archives
+      });
+      const limit = parseInt(options.limit);
+      const shown = limit > 0 ? entries.slice(-limit) : entries;
+
+      if (options.json) {
+        for (const entry of shown) {
+          console.log(JSON.stringify(entry));
+        }
+        return;
+      }
+
+      if (shown.length === 0) {
+        console.log(chalk.gray('没有符合条件的日志'));
+        return;
+      }
+      for (const entry of shown) {
+        const color = LOG_LEVEL_COLORS[entry.level] || chalk.white;
+        const runId = entry.runId ? chalk.cyan(` ${entry.runId}`) : '';
+        console.log(`${chalk.gray(new Date(entry.time).toLocaleString('zh-CN'))} ${color(`[${entry.level}]`)}${runId} ${entry.message}`);
+        if (entry.data !== undefined) {
+          console.log(chalk.gray(`    ${JSON.stringify(entry.data)}`));
+        }
+      }
+      if (shown.length < entries.length) {
+        console.log(chalk.gray(`（共 ${entries.length} 条，显示最近 ${shown.length} 条，可用 --limit 调整）`));
+      }
+    } catch (error) {
+      console.error(chalk.red('查询日志失败:'), error.message);
+      process.exit(1);
+    }
+  });
+
+/**
+ * 输出配置校验错误
+ * @param {string} configPath - 配置文件路径
+ * @param {Array} errors - 校验错误列表
+ */
+function printConfigErrors(configPath, errors) {
+  for (const error of errors) {
+    const location = error.line ? chalk.gray(`${path.basename(configPath)}:${error.line}:${error.column} `) : '';
+    const pointer = error.pointer ? chalk.cyan(`${error.pointer} `) : '';
+    console.log(`  ${location}${pointer}${chalk.red(error.message)}`);
+  }
+}
+
+const configCommand = program
+  .command('config')
+  .description('查看、校验或修改配置');
+
+configCommand
+  .command('show')
+  .description('显示配置内容')
+  .argument('[name]', '配置名称: classification | mcp', 'classification')
+  .argument('[dottedPath]', '只显示指定配置项，如 arrangeSettings.pathTemplate')
+  .option('--effective', '显示合并用户配置、项目配置并按当前平台解析后的最终配置')
+  .action(async (name, dottedPath, options) => {
+    try {
+      const manager = new ConfigManager();
+      let value = options.effective
+        ? await new ConfigLoader().load(path.basename(manager.getPaths(name).configPath))
+        : await manager.read(name);
+      for (const key of (dottedPath || '').split('.').filter(Boolean)) {
+        value = value?.[key];
+      }
+
+      if (value === undefined) {
+        console.error(chalk.red(`配置项不存在: ${dottedPath}`));
+        process.exitCode = 1;
+        return;
+      }
+      console.log(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+    } catch (error) {
+      console.error(chalk.red('读取配置失败:'), error.message);
+      process.exit(1);
+    }
+  });
+
+configCommand
+  .command('validate')
+  .description('按 JSON Schema 校验配置文件（省略名称时校验全部）')
+  .argument('[name]', '配置名称: classification | mcp')
+  .option('--layer <layer>', '只校验指定配置层: shipped | user | project（默认校验所有存在的配置层）')
+  .action(async (name, options) => {
+    try {
+      const manager = new ConfigManager();
+      const names = name ? [name] : manager.getConfigNames();
+      const layers = options.layer ? [options.layer] : manager.getLayerNames();
+
+      for (const configName of names) {
+        for (const layer of layers) {
+          const result = await manager.validate(configName, layer);
+          if (!result) {
+            if (options.layer) {
+              console.log(chalk.gray(`- ${manager.getLayerLabel(layer)}不存在: ${manager.getPaths(configName, layer).configPath}`));
+            }
+            continue;
+          }
+
+          // 用户配置和项目配置与程序自带配置同名，显示完整路径以便区分
+          const label = layer === 'shipped' ? path.basename(result.configPath) : `${manager.getLayerLabel(layer)} ${result.configPath}`;
+          if (result.valid) {
+            console.log(chalk.green(`✅ ${label} 校验通过`));
+          } else {
+            console.log(chalk.red(`❌ ${label} 有 ${result.errors.length} 处错误:`));
+            printConfigErrors(result.configPath, result.errors);
+            process.exitCode = 1;
+          }
+        }
+      }
+    } catch (error) {
+      console.error(chalk.red('校验配置失败:'), error.message);
+      process.exit(1);
+    }
+  });
+
+configCommand
+  .command('set')
+  .description('修改配置项（值按 JSON 解析，无法解析时视为字符串）')
+  .argument('<dottedPath>', '配置项路径，如 arrangeSettings.conflictStrategy')
+  .argument('<value>', '新值')
+  .option('-f, --file <name>', '配置名称: classification | mcp', 'classification')
+  .option('--layer <layer>', '写入的配置层: shipped | user | project', 'shipped')
+  .action(async (dottedPath, value, options) => {
+    const manager = new ConfigManager();
+
+    try {
+      const result = await manager.set(options.file, dottedPath, value, options.layer);
+      console.log(chalk.green(`✅ ${dottedPath}: ${JSON.stringify(result.previous)} → ${JSON.stringify(result.value)}`));
+      if (result.overriddenBy) {
+        const { label, configPath, value: effectiveValue } = result.overriddenBy;
+        console.log(chalk.yellow(`⚠️  该配置项被${label}覆盖（${configPath}），实际生效的值仍为 ${JSON.stringify(effectiveValue)}`));
+      }
+    } catch (error) {
+      console.error(chalk.red('修改配置失败:'), error.message);
+      if (error.validationErrors) {
+        printConfigErrors(manager.getPaths(options.file, options.layer).configPath, error.validationErrors);
+      }
+      process.exit(1);
+    }
+  });
+
+configCommand
+  .command('add-category')
+  .description('添加自定义分类')
+  .argument('<name>', '分类名称')
+  .requiredOption('-e, --extensions <exts>', '扩展名（逗号分隔），如 .psd,.ai')
+  .option('-c, --color <color>', '报告中使用的颜色，如 #FF6B6B')
+  .option('--description <text>', '分类说明')
+  .option('-t, --template <template>', '该分类的整理目录模板')
+  .action(async (name, options) => {
+    const manager = new ConfigManager();
+
+    try {
+      const classifier = new FileClassifier();
+      await classifier.ensureConfigLoaded();
+
+      classifier.addCustomCategory(name, {
+        extensions: options.extensions.split(',').map(ext => ext.trim().toLowerCase()).filter(Boolean)
+          .map(ext => ext.startsWith('.') ? ext : `.${ext}`),
+        color: options.color,
+        description: options.description,
+        pathTemplate: options.template
+      });
+
+      // classifier.config 是合并了用户、项目配置层并解析过平台路径的结果，不能整体写回；
+      // 只把新分类插入 config/classification.json，其余内容保持原样
+      await manager.addProperty('classification', '/fileCategories', name, classifier.config.fileCategories[name]);
+      console.log(chalk.green(`✅ 已添加分类「${name}」`));
+    } catch (error) {
+      console.error(chalk.red('添加分类失败:'), error.message);
+      if (error.validationErrors) {
+        printConfigErrors(manager.getPaths('classification').configPath, error.validationErrors);
+      }
+      process.exit(1);
+    }
+  });
+
+configCommand
+  .command('export')
+  .description('导出分类规则（分类、大小分级和 rules）')
+  .argument('[file]', '输出文件路径，省略时输出到终端')
+  .action(async (file) => {
+    try {
+      const classifier = new FileClassifier();
+      await classifier.ensureConfigLoaded();
+      const rules = classifier.exportClassificationRules();
+
+      if (!file) {
+        console.log(JSON.stringify(rules, null, 2));
+        return;
+      }
+      await fs.outputJson(file, rules, { spaces: 2 });
+      console.log(chalk.green(`✅ 分类规则已导出: ${path.resolve(file)}`));
+    } catch (error) {
+      console.error(chalk.red('导出分类规则失败:'), error.message);
+      process.exit(1);
+    }
+  });
+
+configCommand
+  .command('reset')
+  .description('恢复默认配置（当前配置会先备份到 config/backups）')
+  .argument('[name]', '配置名称: classification | mcp，省略时重置全部')
+  .action(async (name) => {
+    try {
+      const manager = new ConfigManager();
+      const names = name ? [name] : manager.getConfigNames();
+
+      for (const configName of names) {
+        const { configPath, backupPath } = await manager.reset(configName);
+        console.log(chalk.green(`✅ ${path.basename(configPath)} 已恢复默认值`));
+        if (backupPath) {
+          console.log(chalk.gray(`   原配置已备份到: ${backupPath}`));
+        }
+      }
+    } catch (error) {
+      console.error(chalk.red('重置配置失败:'), error.message);
+      process.exit(1);
+    }
   });
 
 // 处理未捕获的异常
@@ -254,5 +1600,5 @@ process.on('unhandledRejection', async (reason, promise) => {
 if (process.argv.length <= 2) {
   program.help();
 } else {
-  program.parse();
+  program.parseAsync();
 } 
\ No newline at end of file
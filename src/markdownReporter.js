@@ -36,7 +36,8 @@ export class MarkdownReporter {
         title = '文件变化记录',
         timeRange = '近7天',
         outputDir = './output/reports',
-        days = 7
+        days = 7,
+        scanChanges = null
       } = options;
 
       // 确保输出目录存在
@@ -49,7 +50,8 @@ export class MarkdownReporter {
       const markdownContent = this.generateMarkdownContent(changeAnalysis, {
         title,
         timeRange,
-        totalFiles: files.length
+        totalFiles: files.length,
+        scanChanges
       });
 
       // 保存文件
@@ -71,6 +73,152 @@ export class MarkdownReporter {
     }
   }
 
+  /**
+   * 生成两个扫描快照之间的变化记录
+   * @param {Object} diff - SnapshotStore.diff() 的结果
+   * @param {Object} options - 生成选项
+   * @returns {string} 生成的Markdown文件路径
+   */
+  async generateDiffReport(diff, options = {}) {
+    try {
+      await this.logger.logTaskStart('生成快照对比Markdown报告', { before: diff.before.id, after: diff.after.id });
+
+      const { outputDir = './output/reports' } = options;
+      await fs.ensureDir(outputDir);
+
+      const formatTime = time => new Date(time).toLocaleString('zh-CN');
+      let markdown = `# 文件变化记录 - 快照对比\n\n`;
+      markdown += `**生成时间**: ${new Date().toLocaleString('zh-CN')}\n`;
+      markdown += `**较早快照**: ${diff.before.id}（${formatTime(diff.before.createdAt)}，${diff.before.fileCount} 个文件）\n`;
+      markdown += `**较新快照**: ${diff.after.id}（${formatTime(diff.after.createdAt)}，${diff.after.fileCount} 个文件）\n\n`;
+      markdown += `---\n\n`;
+
+      markdown += `## 📊 变化统计\n\n`;
+      markdown += `| 变化 | 数量 |\n`;
+      markdown += `|------|------|\n`;
+      markdown += `| 🆕 新增 | ${diff.added.length} |\n`;
+      markdown += `| 🗑️ 删除 | ${diff.removed.length} |\n`;
+      markdown += `| ✏️ 修改 | ${diff.modified.length} |\n`;
+      markdown += `| 🚚 移动/重命名 | ${diff.moved.length} |\n`;
+      markdown += `| 🏷️ 重新分类 | ${diff.recategorized.length} |\n`;
+      markdown += `| ⏳ 超出扫描范围 | ${diff.outOfScope.length} |\n\n`;
+
+      if (diff.added.length > 0) {
+        markdown += `## 🆕 新增文件 (${diff.added.length})\n\n`;
+        markdown += this.generateSnapshotFileTable(diff.added);
+      }
+
+      if (diff.removed.length > 0) {
+        markdown += `## 🗑️ 删除文件 (${diff.removed.length})\n\n`;
+        markdown += this.generateSnapshotFileTable(diff.removed);
+      }
+
+      if (diff.modified.length > 0) {
+        markdown += `## ✏️ 修改文件 (${diff.modified.length})\n\n`;
+        markdown += `| 文件名 | 大小 | 修改时间 | 路径 |\n`;
+        markdown += `|--------|------|----------|------|\n`;
+        for (const { before, after } of diff.modified) {
+          markdown += `| ${after.name} | ${this.formatFileSize(before.size)} → ${this.formatFileSize(after.size)} | ${formatTime(after.modifiedTime)} | \`${after.path}\` |\n`;
+        }
+        markdown += `\n`;
+      }
+
+      if (diff.moved.length > 0) {
+        markdown += `## 🚚 移动/重命名 (${diff.moved.length})\n\n`;
+        markdown += `| 类型 | 原路径 | 新路径 |\n`;
+        markdown += `|------|--------|--------|\n`;
+        for (const { before, after, renamed } of diff.moved) {
+          markdown += `| ${renamed ? '重命名' : '移动'} | \`${before.path}\` | \`${after.path}\` |\n`;
+        }
+        markdown += `\n`;
+      }
+
+      if (diff.recategorized.length > 0) {
+        markdown += `## 🏷️ 重新分类 (${diff.recategorized.length})\n\n`;
+        markdown += `| 文件名 | 原分类 | 新分类 | 路径 |\n`;
+        markdown += `|--------|--------|--------|------|\n`;
+        for (const { before, after } of diff.recategorized) {
+          markdown += `| ${after.name} | ${before.category} | ${after.category} | \`${after.path}\` |\n`;
+        }
+        markdown += `\n`;
+      }
+
+      if (diff.outOfScope.length > 0) {
+        markdown += `## ⏳ 超出扫描范围 (${diff.outOfScope.length})\n\n`;
+        markdown += `*只出现在一个快照中、但不在另一个快照的扫描路径或时间范围内的文件，无法判断是否新增或删除。*\n\n`;
+        markdown += this.generateSnapshotFileTable(diff.outOfScope.map(item => item.file));
+      }
+
+      markdown += `---\n\n`;
+      markdown += `*此报告由文件自动整理工具生成*\n`;
+
+      const filePath = path.join(outputDir, `快照对比_${diff.before.id}_${diff.after.id}.md`);
+      await fs.writeFile(filePath, markdown, 'utf8');
+
+      await this.logger.logTaskComplete('生成快照对比Markdown报告', { filePath });
+      return filePath;
+    } catch (error) {
+      await this.logger.logTaskError('生成快照对比Markdown报告', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 生成快照文件表格
+   * @param {Array} files - 快照中的文件列表
+   * @returns {string} 表格Markdown
+   */
+  generateSnapshotFileTable(files) {
+    let table = `| 文件名 | 分类 | 大小 | 修改时间 | 路径 |\n`;
+    table += `|--------|------|------|----------|------|\n`;
+
+    for (const file of files) {
+      table += `| ${file.name} | ${file.category} | ${this.formatFileSize(file.size)} | ${new Date(file.modifiedTime).toLocaleString('zh-CN')} | \`${file.path}\` |\n`;
+    }
+
+    table += `\n`;
+    return table;
+  }
+
+  /**
+   * 将监视模式的事件追加到当天的Markdown变化记录
+   * @param {Array} events - 监视事件列表
+   * @param {Object} options - 选项
+   * @returns {string} 变化记录文件路径
+   */
+  async appendWatchEvents(events, options = {}) {
+    const { outputDir = './output/reports' } = options;
+    const date = new Date().toISOString().split('T')[0];
+    const filePath = path.join(outputDir, `文件变化记录_监视_${date}.md`);
+
+    try {
+      await fs.ensureDir(outputDir);
+
+      // 当天第一次写入时生成标题和表头
+      if (!(await fs.pathExists(filePath))) {
+        let header = `# 文件变化记录（监视模式）\n\n`;
+        header += `**日期**: ${date}\n\n`;
+        header += `| 时间 | 事件 | 文件名 | 分类 | 分类依据 | 目标位置 / 原因 |\n`;
+        header += `|------|------|--------|------|----------|-----------------|\n`;
+        await fs.writeFile(filePath, header, 'utf8');
+      }
+
+      const eventLabels = { arranged: '📦 已整理', skipped: '⏭️ 已跳过', failed: '❌ 失败' };
+      let rows = '';
+      for (const event of events) {
+        const time = new Date(event.time).toLocaleTimeString('zh-CN');
+        const detail = event.destination ? `\`${event.destination}\`` : (event.reason || '-');
+        rows += `| ${time} | ${eventLabels[event.type] || event.type} | ${path.basename(event.source)} | ${event.category || '-'} | ${event.rule || '-'} | ${detail} |\n`;
+      }
+
+      await fs.appendFile(filePath, rows, 'utf8');
+      return filePath;
+    } catch (error) {
+      await this.logger.logError('追加监视记录失败', error);
+      throw error;
+    }
+  }
+
   /**
    * 分析文件变化
    * @param {Array} files - 文件列表
@@ -88,6 +236,7 @@ export class MarkdownReporter {
       todayFiles: [],    // 今天的文件
       yesterdayFiles: [], // 昨天的文件
       olderFiles: [],    // 更早的文件
+      typeMismatches: [], // 扩展名与内容不符的文件
       byCategory: {},    // 按分类统计
       bySize: {         // 按大小分类
         tiny: [],
@@ -121,6 +270,10 @@ export class MarkdownReporter {
         analysis.olderFiles.push(file);
       }
 
+      if (file.typeMismatch) {
+        analysis.typeMismatches.push(file);
+      }
+
       // 按分类统计
       const category = file.category || '其他类';
       if (!analysis.byCategory[category]) {
@@ -163,7 +316,7 @@ export class MarkdownReporter {
    * @returns {string} Markdown内容
    */
   generateMarkdownContent(analysis, metadata) {
-    const { title, timeRange, totalFiles } = metadata;
+    const { title, timeRange, totalFiles, scanChanges } = metadata;
     const timestamp = new Date().toLocaleString('zh-CN');
 
     let markdown = `# ${title}\n\n`;
@@ -182,6 +335,11 @@ export class MarkdownReporter {
     markdown += `| 📅 今天创建 | ${analysis.todayFiles.length} | ${(analysis.todayFiles.length/totalFiles*100).toFixed(1)}% |\n`;
     markdown += `| 📅 昨天创建 | ${analysis.yesterdayFiles.length} | ${(analysis.yesterdayFiles.length/totalFiles*100).toFixed(1)}% |\n\n`;
 
+    // 与上次扫描相比的变化（来自扫描索引）
+    if (scanChanges && !scanChanges.firstRun) {
+      markdown += this.generateScanChangesSection(scanChanges);
+    }
+
     // 新建文件列表
     if (analysis.newFiles.length > 0) {
       markdown += `## 🆕 新建文件 (${analysis.newFiles.length})\n\n`;
@@ -194,6 +352,12 @@ export class MarkdownReporter {
       markdown += this.generateFileTable(analysis.modifiedFiles);
     }
 
+    // 扩展名与内容不符的文件
+    if (analysis.typeMismatches.length > 0) {
+      markdown += `## ⚠️ 扩展名与内容不符 (${analysis.typeMismatches.length})\n\n`;
+      markdown += this.generateMismatchTable(analysis.typeMismatches);
+    }
+
     // 按分类统计
     markdown += `## 📂 按文件类型分类\n\n`;
     for (const [category, files] of Object.entries(analysis.byCategory)) {
@@ -248,8 +412,8 @@ export class MarkdownReporter {
   generateFileTable(files) {
     if (files.length === 0) return '*无文件*\n\n';
 
-    let table = `| 文件名 | 大小 | 修改时间 | 路径 |\n`;
-    table += `|--------|------|----------|------|\n`;
+    let table = `| 文件名 | 大小 | 修改时间 | 分类依据 | 路径 |\n`;
+    table += `|--------|------|----------|----------|------|\n`;
 
     for (const file of files) { // 显示所有文件，移除数量限制
       const fileName = file.name;
@@ -257,13 +421,63 @@ export class MarkdownReporter {
       const modTime = new Date(file.modifiedTime).toLocaleString('zh-CN');
       const filePath = file.path.length > 60 ? '...' + file.path.slice(-57) : file.path;
       
-      table += `| ${fileName} | ${size} | ${modTime} | \`${filePath}\` |\n`;
+      const matchedRule = file.matchedRule?.description || '-';
+      
+      table += `| ${fileName} | ${size} | ${modTime} | ${matchedRule} | \`${filePath}\` |\n`;
+    }
+
+    table += `\n`;
+    return table;
+  }
+
+  /**
+   * 生成类型不符文件表格
+   * @param {Array} files - 类型不符的文件列表
+   * @returns {string} 表格Markdown
+   */
+  generateMismatchTable(files) {
+    let table = `| 文件名 | 扩展名 | 检测类型 | 路径 |\n`;
+    table += `|--------|--------|----------|------|\n`;
+
+    for (const file of files) {
+      const filePath = file.path.length > 60 ? '...' + file.path.slice(-57) : file.path;
+      table += `| ${file.name} | ${file.extension || '无'} | ${file.detectedMimeType} | \`${filePath}\` |\n`;
     }
 
     table += `\n`;
     return table;
   }
 
+  /**
+   * 生成与上次扫描相比的变化章节
+   * @param {Object} changes - 扫描索引对比结果
+   * @returns {string} 章节Markdown
+   */
+  generateScanChangesSection(changes) {
+    let section = `## 🔄 自上次扫描以来\n\n`;
+    section += `| 变化 | 数量 |\n`;
+    section += `|------|------|\n`;
+    section += `| 🆕 新增 | ${changes.newFiles.length} |\n`;
+    section += `| ✏️ 修改 | ${changes.changedFiles.length} |\n`;
+    section += `| 🗑️ 删除 | ${changes.deletedFiles.length} |\n\n`;
+
+    const lists = [
+      ['新增', changes.newFiles],
+      ['修改', changes.changedFiles],
+      ['删除', changes.deletedFiles.map(file => file.path)]
+    ];
+    for (const [label, filePaths] of lists) {
+      if (filePaths.length === 0) continue;
+      section += `### ${label} (${filePaths.length})\n\n`;
+      for (const filePath of filePaths) {
+        section += `- \`${filePath}\`\n`;
+      }
+      section += `\n`;
+    }
+
+    return section;
+  }
+
   /**
    * 生成时间线文件列表
    * @param {Array} files - 文件列表
@@ -6,20 +6,59 @@
  * @version 1.0.0
  */
 
-import { spawn } from 'child_process';
 import path from 'path';
 import fs from 'fs-extra';
 import { fileURLToPath } from 'url';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport, getDefaultEnvironment } from '@modelcontextprotocol/sdk/client/stdio.js';
 import { Logger } from './logger.js';
+import { ConfigLoader } from './configLoader.js';
+import { WorkerPool } from './workerPool.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * 程序安装目录，服务器配置中相对的 cwd 相对该目录解析，与启动时的当前目录无关
+ */
+const INSTALL_DIR = path.join(__dirname, '..');
+
+/**
+ * 本地后端直接访问文件系统，支持的操作固定
+ */
+const LOCAL_CAPABILITIES = ['list_directory', 'search_files', 'get_file_info'];
+
+/**
+ * 列出目录时默认同时读取的文件信息数
+ */
+const LIST_CONCURRENCY = 16;
+
+/**
+ * 重试退避的基础等待时间（毫秒），第n次重试等待 base * 2^(n-1)
+ */
+const RETRY_BASE_DELAY = 500;
+
+/**
+ * 连续失败达到该次数后服务器被标记为不可用
+ */
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+/**
+ * MCP工具返回的业务错误（如文件不存在），重试或切换服务器无法解决
+ */
+export class MCPToolError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MCPToolError';
+  }
+}
+
 /**
  * MCP客户端类
  */
 export class MCPClient {
   constructor() {
+    this.configLoader = new ConfigLoader();
     this.config = null;
     this.servers = new Map();
     this.logger = new Logger();
@@ -31,9 +70,7 @@ export class MCPClient {
    */
   async loadConfig() {
     try {
-      const configPath = path.join(__dirname, '../config/mcp-config.json');
-      const configContent = await fs.readFile(configPath, 'utf8');
-      this.config = JSON.parse(configContent);
+      this.config = await this.configLoader.load('mcp-config.json');
       
       // 展开环境变量
       this.expandEnvironmentVariables();
@@ -51,46 +88,82 @@ export class MCPClient {
    * 展开配置中的环境变量
    */
   expandEnvironmentVariables() {
-    const username = process.env.USERNAME || process.env.USER || 'User';
-    
     // 展开allowedDirectories中的环境变量
     if (this.config.allowedDirectories) {
       this.config.allowedDirectories = this.config.allowedDirectories.map(dir => 
-        dir.replace(/%USERNAME%/g, username)
+        this.configLoader.expandPath(dir)
       );
     }
 
     // 展开服务器参数中的环境变量
     for (const serverConfig of Object.values(this.config.mcpServers)) {
       if (serverConfig.args) {
-        serverConfig.args = serverConfig.args.map(arg => 
-          typeof arg === 'string' ? arg.replace(/%USERNAME%/g, username) : arg
-        );
+        serverConfig.args = serverConfig.args.map(arg => this.configLoader.expandPath(arg));
+      }
+      if (serverConfig.cwd) {
+        serverConfig.cwd = path.resolve(INSTALL_DIR, this.configLoader.expandPath(serverConfig.cwd));
       }
     }
   }
 
   /**
-   * 连接到MCP服务器
+   * 连接到所有已配置的MCP服务器，单个服务器失败不影响其他服务器
    */
   async connect() {
     try {
       await this.loadConfig();
 
-      // 连接默认服务器
-      const defaultServerName = this.config.defaultServer;
-      if (defaultServerName && this.config.mcpServers[defaultServerName]) {
-        await this.connectToServer(defaultServerName);
+      for (const serverName of this.getServerPriority()) {
+        const serverConfig = this.config.mcpServers[serverName];
+        if (serverConfig.enabled === false) {
+          continue;
+        }
+
+        try {
+          await this.connectToServer(serverName);
+        } catch (error) {
+          // 记录为不可用，后续操作会路由到其他服务器
+          this.servers.set(serverName, {
+            name: serverName,
+            config: serverConfig,
+            transport: this.getTransportType(serverConfig),
+            client: null,
+            connected: false,
+            capabilities: [],
+            health: this.createHealth('down', error)
+          });
+        }
+      }
+
+      const connectedServers = this.getServers().filter(server => server.connected);
+      if (connectedServers.length === 0) {
+        throw new Error('没有可用的MCP服务器');
       }
 
       this.connected = true;
-      await this.logger.logInfo('MCP客户端连接成功');
+      await this.logger.logInfo('MCP客户端连接成功', {
+        servers: connectedServers.map(server => server.name)
+      });
     } catch (error) {
       await this.logger.logError('MCP客户端连接失败', error);
       throw error;
     }
   }
 
+  /**
+   * 获取服务器优先级顺序：默认服务器在前，其余按配置顺序
+   * @returns {Array} 服务器名称列表
+   */
+  getServerPriority() {
+    const names = Object.keys(this.config.mcpServers);
+    const defaultServerName = this.config.defaultServer;
+
+    if (!defaultServerName || !names.includes(defaultServerName)) {
+      return names;
+    }
+    return [defaultServerName, ...names.filter(name => name !== defaultServerName)];
+  }
+
   /**
    * 连接到指定的MCP服务器
    * @param {string} serverName - 服务器名称
@@ -104,18 +177,17 @@ export class MCPClient {
 
       await this.logger.logInfo(`连接到MCP服务器: ${serverName}`, serverConfig);
 
-      // 模拟MCP服务器连接
-      // 在实际实现中，这里会启动真正的MCP服务器进程
-      const mockServer = {
-        name: serverName,
-        config: serverConfig,
-        connected: true,
-        capabilities: serverConfig.capabilities || []
-      };
+      const server = this.getTransportType(serverConfig) === 'local'
+        ? this.createLocalServer(serverName, serverConfig)
+        : await this.startStdioServer(serverName, serverConfig);
 
-      this.servers.set(serverName, mockServer);
-      
-      await this.logger.logInfo(`MCP服务器连接成功: ${serverName}`);
+      server.health = this.createHealth('healthy');
+      this.servers.set(serverName, server);
+
+      await this.logger.logInfo(`MCP服务器连接成功: ${serverName}`, {
+        transport: server.transport,
+        capabilities: server.capabilities
+      });
     } catch (error) {
       await this.logger.logError(`连接MCP服务器失败: ${serverName}`, error);
       throw error;
@@ -123,52 +195,310 @@ export class MCPClient {
   }
 
   /**
-   * 列出目录内容
-   * @param {string} directoryPath - 目录路径
-   * @param {Object} options - 选项
-   * @returns {Array} 文件列表
+   * 创建服务器健康状态
+   * @param {string} status - healthy | degraded | down
+   * @param {Error} error - 导致该状态的错误
+   * @returns {Object} 健康状态
    */
-  async listDirectory(directoryPath, options = {}) {
+  createHealth(status, error = null) {
+    return {
+      status,
+      successCount: 0,
+      failureCount: error ? 1 : 0,
+      consecutiveFailures: error ? 1 : 0,
+      averageLatency: null,
+      lastSuccessTime: null,
+      lastErrorTime: error ? new Date() : null,
+      lastError: error ? error.message : null
+    };
+  }
+
+  /**
+   * 获取服务器的传输方式
+   * @param {Object} serverConfig - 服务器配置
+   * @returns {string} 'local' 或 'stdio'
+   */
+  getTransportType(serverConfig) {
+    return serverConfig.transport || (serverConfig.command ? 'stdio' : 'local');
+  }
+
+  /**
+   * 创建本地后端（直接通过fs访问文件系统）
+   * @param {string} serverName - 服务器名称
+   * @param {Object} serverConfig - 服务器配置
+   * @returns {Object} 服务器对象
+   */
+  createLocalServer(serverName, serverConfig) {
+    return {
+      name: serverName,
+      config: serverConfig,
+      transport: 'local',
+      client: null,
+      connected: true,
+      capabilities: [...LOCAL_CAPABILITIES]
+    };
+  }
+
+  /**
+   * 启动stdio MCP服务器进程，完成initialize握手并发现可用工具
+   * @param {string} serverName - 服务器名称
+   * @param {Object} serverConfig - 服务器配置
+   * @returns {Object} 服务器对象
+   */
+  async startStdioServer(serverName, serverConfig) {
+    const args = [...(serverConfig.args || [])];
+
+    // 官方filesystem服务器通过命令行参数接收允许访问的目录，且目录必须存在
+    if (serverConfig.appendAllowedDirectories) {
+      for (const dir of this.config.allowedDirectories || []) {
+        if (await fs.pathExists(dir)) {
+          args.push(dir);
+        }
+      }
+    }
+
+    const transport = new StdioClientTransport({
+      command: serverConfig.command,
+      args,
+      env: { ...getDefaultEnvironment(), ...(serverConfig.env || {}) },
+      cwd: serverConfig.cwd,
+      stderr: 'pipe'
+    });
+
+    // 服务器的stderr输出写入日志，避免干扰终端进度显示
+    transport.stderr?.on('data', (chunk) => {
+      this.logger.logDebug(`MCP服务器输出 [${serverName}]`, { output: chunk.toString().trim() });
+    });
+
+    const client = new Client({ name: 'file-auto-arrange', version: '1.0.0' });
+    const requestOptions = { timeout: this.getTimeout() };
+
     try {
-      await this.validatePath(directoryPath);
+      await client.connect(transport, requestOptions);
+    } catch (error) {
+      await transport.close().catch(() => {});
+      throw error;
+    }
 
-      // 检查目录是否存在
-      const stats = await fs.stat(directoryPath);
-      if (!stats.isDirectory()) {
-        throw new Error(`路径不是目录: ${directoryPath}`);
+    const { tools } = await client.listTools(undefined, requestOptions);
+    const server = {
+      name: serverName,
+      config: serverConfig,
+      transport: 'stdio',
+      client,
+      connected: true,
+      serverInfo: client.getServerVersion() || null,
+      capabilities: tools.map(tool => tool.name)
+    };
+
+    // 服务器进程意外退出时标记为不可用
+    client.onclose = () => {
+      if (server.connected) {
+        server.connected = false;
+        server.health.status = 'down';
+        server.health.lastError = '服务器连接已关闭';
+        server.health.lastErrorTime = new Date();
+        this.logger.logWarning(`MCP服务器连接已关闭: ${serverName}`);
       }
+    };
 
-      const files = await fs.readdir(directoryPath);
-      const fileInfos = [];
+    return server;
+  }
 
-      for (const file of files) {
+  /**
+   * 获取单次调用的超时时间（毫秒）
+   * @returns {number} 超时时间
+   */
+  getTimeout() {
+    return this.config?.timeout || 30000;
+  }
+
+  /**
+   * 为本地后端的操作加上超时限制（stdio 请求由 SDK 按同一超时中止）
+   * 本地文件系统调用无法取消，超时后其结果被丢弃
+   * @param {Promise} operation - 进行中的操作
+   * @param {string} description - 操作说明，用于错误消息
+   * @returns {*} 操作结果
+   */
+  async withTimeout(operation, description) {
+    const timeout = this.getTimeout();
+    let timer;
+    try {
+      return await Promise.race([
+        operation,
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`MCP操作超时（${timeout}ms）: ${description}`)), timeout);
+        })
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * 获取支持某项操作的服务器，按健康状态和优先级排序
+   * @param {string} toolName - 操作（工具）名称
+   * @returns {Array} 服务器对象列表
+   */
+  getServersFor(toolName) {
+    const priority = this.getServerPriority();
+
+    return Array.from(this.servers.values())
+      .filter(server => server.connected && server.capabilities.includes(toolName))
+      .sort((a, b) => {
+        const degradedA = a.health.status === 'healthy' ? 0 : 1;
+        const degradedB = b.health.status === 'healthy' ? 0 : 1;
+        return degradedA - degradedB || priority.indexOf(a.name) - priority.indexOf(b.name);
+      });
+  }
+
+  /**
+   * 将操作路由到支持它的服务器，失败时按退避策略重试，重试耗尽后切换到下一个服务器
+   * @param {string} toolName - 操作（工具）名称
+   * @param {Function} handler - 实际执行操作的函数，参数为服务器对象
+   * @returns {*} 操作结果
+   */
+  async invoke(toolName, handler) {
+    if (!this.connected) {
+      throw new Error('MCP客户端未连接');
+    }
+
+    const candidates = this.getServersFor(toolName);
+    if (candidates.length === 0) {
+      throw new Error(`没有可用的MCP服务器支持操作: ${toolName}`);
+    }
+
+    const maxAttempts = 1 + Math.max(0, this.config.retryAttempts ?? 0);
+    let lastError = null;
+
+    for (const server of candidates) {
+      for (let attempt = 1; attempt <= maxAttempts && server.connected; attempt++) {
+        const startTime = Date.now();
         try {
-          const filePath = path.join(directoryPath, file);
-          const fileStats = await fs.stat(filePath);
-          
-          // 跳过隐藏文件（除非明确要求包含）
-          if (!options.includeHidden && file.startsWith('.')) {
-            continue;
+          const result = server.transport === 'local'
+            ? await this.withTimeout(handler(server), `${server.name}/${toolName}`)
+            : await handler(server);
+          this.recordSuccess(server, Date.now() - startTime);
+          return result;
+        } catch (error) {
+          // 业务错误（文件不存在等）直接抛出，不重试也不切换服务器
+          if (!this.isRetryableError(server, error)) {
+            throw error;
           }
 
-          const fileInfo = {
-            name: file,
-            path: filePath,
-            size: fileStats.size,
-            isDirectory: fileStats.isDirectory(),
-            isFile: fileStats.isFile(),
-            createdTime: fileStats.birthtime,
-            modifiedTime: fileStats.mtime,
-            accessedTime: fileStats.atime,
-            extension: path.extname(file).toLowerCase()
-          };
-
-          fileInfos.push(fileInfo);
-        } catch (fileError) {
-          await this.logger.logWarning(`无法读取文件信息: ${file}`, fileError);
+          lastError = error;
+          this.recordFailure(server, error);
+          await this.logger.logWarning(`MCP操作失败: ${server.name}/${toolName}`, {
+            attempt,
+            maxAttempts,
+            message: error.message
+          });
+
+          if (attempt < maxAttempts && server.connected) {
+            await new Promise(resolve => setTimeout(resolve, RETRY_BASE_DELAY * 2 ** (attempt - 1)));
+          }
         }
       }
 
+      await this.logger.logWarning(`MCP服务器 ${server.name} 无法完成操作 ${toolName}，尝试切换服务器`);
+    }
+
+    throw new Error(`所有MCP服务器均无法完成操作 ${toolName}: ${lastError?.message}`);
+  }
+
+  /**
+   * 判断错误是否可以通过重试或切换服务器解决
+   * @param {Object} server - 服务器对象
+   * @param {Error} error - 错误对象
+   * @returns {boolean} 是否可重试
+   */
+  isRetryableError(server, error) {
+    if (error instanceof MCPToolError) {
+      return false;
+    }
+    // 本地文件系统错误（ENOENT、EACCES等）是确定性的
+    if (server.transport === 'local') {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * 记录一次成功调用
+   * @param {Object} server - 服务器对象
+   * @param {number} latency - 耗时（毫秒）
+   */
+  recordSuccess(server, latency) {
+    const health = server.health;
+    health.successCount++;
+    health.consecutiveFailures = 0;
+    health.lastSuccessTime = new Date();
+    health.status = 'healthy';
+    health.averageLatency = health.averageLatency === null
+      ? latency
+      : Math.round((health.averageLatency * (health.successCount - 1) + latency) / health.successCount);
+  }
+
+  /**
+   * 记录一次失败调用
+   * @param {Object} server - 服务器对象
+   * @param {Error} error - 错误对象
+   */
+  recordFailure(server, error) {
+    const health = server.health;
+    health.failureCount++;
+    health.consecutiveFailures++;
+    health.lastError = error.message;
+    health.lastErrorTime = new Date();
+    health.status = health.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES ? 'down' : 'degraded';
+
+    if (health.status === 'down') {
+      server.connected = false;
+      this.logger.logWarning(`MCP服务器连续失败，已标记为不可用: ${server.name}`, {
+        consecutiveFailures: health.consecutiveFailures
+      });
+    }
+  }
+
+  /**
+   * 通过tools/call调用MCP工具，并返回文本结果
+   * @param {Object} server - 服务器对象
+   * @param {string} toolName - 工具名称
+   * @param {Object} args - 工具参数
+   * @returns {string} 工具返回的文本
+   */
+  async callTool(server, toolName, args) {
+    const result = await server.client.callTool(
+      { name: toolName, arguments: args },
+      undefined,
+      { timeout: this.getTimeout() }
+    );
+    const text = (result.content || [])
+      .filter(item => item.type === 'text')
+      .map(item => item.text)
+      .join('\n');
+
+    if (result.isError) {
+      throw new MCPToolError(`MCP工具调用失败 [${server.name}/${toolName}]: ${text}`);
+    }
+
+    return text;
+  }
+
+  /**
+   * 列出目录内容
+   * @param {string} directoryPath - 目录路径
+   * @param {Object} options - 选项
+   * @returns {Array} 文件列表
+   */
+  async listDirectory(directoryPath, options = {}) {
+    try {
+      await this.validatePath(directoryPath);
+
+      const fileInfos = await this.invoke('list_directory', server => server.transport === 'local'
+        ? this.listDirectoryLocal(directoryPath, options)
+        : this.listDirectoryRemote(server, directoryPath, options));
+
       await this.logger.logDebug(`列出目录内容: ${directoryPath}`, { 
         fileCount: fileInfos.length 
       });
@@ -180,6 +510,114 @@ export class MCPClient {
     }
   }
 
+  /**
+   * 通过本地文件系统列出目录内容
+   * 使用 withFileTypes 区分文件和目录，子目录不需要单独读取文件信息；文件信息并行读取
+   * @param {string} directoryPath - 目录路径
+   * @param {Object} options - 选项
+   * @param {boolean} options.includeHidden - 包括隐藏文件
+   * @param {number} options.concurrency - 同时读取文件信息的数量
+   * @param {string} options.symlinks - 符号链接处理方式: skip（跳过，默认）| follow（按目标处理）| report-only（只列出链接本身）
+   * @returns {Array} 文件列表
+   */
+  async listDirectoryLocal(directoryPath, options = {}) {
+    const entries = await fs.readdir(directoryPath, { withFileTypes: true });
+    const symlinkPolicy = options.symlinks || 'skip';
+
+    // 跳过隐藏文件（除非明确要求包含）
+    const visibleEntries = entries.filter(entry => options.includeHidden || !entry.name.startsWith('.'));
+
+    const fileInfos = await WorkerPool.map(visibleEntries, options.concurrency || LIST_CONCURRENCY, async entry => {
+      const filePath = path.join(directoryPath, entry.name);
+      if (entry.isDirectory()) {
+        return { path: filePath, name: entry.name, isDirectory: true, isFile: false };
+      }
+      if (entry.isSymbolicLink()) {
+        return this.getSymlinkInfoLocal(filePath, symlinkPolicy);
+      }
+      // 设备、管道等特殊文件直接跳过
+      if (!entry.isFile()) {
+        return null;
+      }
+
+      try {
+        return await this.getFileInfoLocal(filePath);
+      } catch (fileError) {
+        await this.logger.logWarning(`无法读取文件信息: ${entry.name}`, fileError);
+        return null;
+      }
+    });
+
+    return fileInfos.filter(Boolean);
+  }
+
+  /**
+   * 按符号链接处理方式获取链接的条目信息
+   * @param {string} linkPath - 链接路径
+   * @param {string} policy - skip | follow | report-only
+   * @returns {Object|null} 条目信息（isSymbolicLink 为 true），跳过时返回null
+   */
+  async getSymlinkInfoLocal(linkPath, policy) {
+    if (policy === 'skip') {
+      return null;
+    }
+
+    const linkTarget = await fs.readlink(linkPath).catch(() => null);
+    if (policy === 'report-only') {
+      return { path: linkPath, name: path.basename(linkPath), isDirectory: false, isFile: false, isSymbolicLink: true, linkTarget };
+    }
+
+    try {
+      return { ...(await this.getFileInfoLocal(linkPath)), isSymbolicLink: true, linkTarget };
+    } catch (error) {
+      await this.logger.logWarning(`符号链接的目标无法访问: ${linkPath} -> ${linkTarget}`, { message: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 通过MCP服务器列出目录内容（list_directory + get_file_info）
+   * @param {Object} server - 服务器对象
+   * @param {string} directoryPath - 目录路径
+   * @param {Object} options - 选项
+   * @param {boolean} options.includeHidden - 包括隐藏文件
+   * @param {number} options.concurrency - 同时请求文件信息的数量
+   * @returns {Array} 文件列表
+   */
+  async listDirectoryRemote(server, directoryPath, options = {}) {
+    const text = await this.callTool(server, 'list_directory', { path: directoryPath });
+    const entries = [];
+
+    for (const line of text.split('\n')) {
+      const match = line.match(/^\[(FILE|DIR)\]\s(.+)$/);
+      if (!match) continue;
+
+      const file = match[2];
+      if (!options.includeHidden && file.startsWith('.')) {
+        continue;
+      }
+      entries.push({ type: match[1], name: file });
+    }
+
+    const fileInfos = await WorkerPool.map(entries, options.concurrency || LIST_CONCURRENCY, async entry => {
+      const filePath = path.join(directoryPath, entry.name);
+      if (entry.type === 'DIR') {
+        return { path: filePath, name: entry.name, isDirectory: true, isFile: false };
+      }
+
+      try {
+        return await this.getFileInfoRemote(server, filePath);
+      } catch (fileError) {
+        // 传输层错误需要交给上层重试，不能当作单个文件失败吞掉
+        if (!(fileError instanceof MCPToolError)) throw fileError;
+        await this.logger.logWarning(`无法读取文件信息: ${entry.name}`, fileError);
+        return null;
+      }
+    });
+
+    return fileInfos.filter(Boolean);
+  }
+
   /**
    * 搜索文件
    * @param {string} searchPath - 搜索路径
@@ -200,7 +638,14 @@ export class MCPClient {
         recursive = true
       } = criteria;
 
-      await this.searchFilesRecursive(searchPath, criteria, results);
+      results.push(...await this.invoke('search_files', async server => {
+        if (server.transport !== 'local') {
+          return this.searchFilesRemote(server, searchPath, criteria);
+        }
+        const localResults = [];
+        await this.searchFilesRecursive(searchPath, criteria, localResults);
+        return localResults;
+      }));
 
       await this.logger.logDebug(`文件搜索完成: ${searchPath}`, { 
         resultCount: results.length,
@@ -214,6 +659,37 @@ export class MCPClient {
     }
   }
 
+  /**
+   * 通过MCP服务器搜索文件，再按条件在本地过滤
+   * @param {Object} server - 服务器对象
+   * @param {string} searchPath - 搜索路径
+   * @param {Object} criteria - 搜索条件
+   * @returns {Array} 匹配的文件列表
+   */
+  async searchFilesRemote(server, searchPath, criteria) {
+    const text = await this.callTool(server, 'search_files', {
+      path: searchPath,
+      pattern: criteria.recursive === false ? '*' : '**/*'
+    });
+
+    const results = [];
+    const matchedPaths = text.split('\n').filter(line => line && line !== 'No matches found');
+
+    for (const filePath of matchedPaths) {
+      try {
+        const file = await this.getFileInfoRemote(server, filePath);
+        if (file.isFile && this.matchesCriteria(file, criteria)) {
+          results.push(file);
+        }
+      } catch (fileError) {
+        if (!(fileError instanceof MCPToolError)) throw fileError;
+        await this.logger.logWarning(`无法读取文件信息: ${filePath}`, fileError);
+      }
+    }
+
+    return results;
+  }
+
   /**
    * 递归搜索文件
    * @param {string} currentPath - 当前搜索路径
@@ -222,7 +698,7 @@ export class MCPClient {
    */
   async searchFilesRecursive(currentPath, criteria, results) {
     try {
-      const files = await this.listDirectory(currentPath, { includeHidden: false });
+      const files = await this.listDirectoryLocal(currentPath, { includeHidden: false });
 
       for (const file of files) {
         if (file.isFile) {
@@ -313,33 +789,78 @@ export class MCPClient {
     try {
       await this.validatePath(filePath);
 
-      const stats = await fs.stat(filePath);
-      const fileInfo = {
-        path: filePath,
-        name: path.basename(filePath),
-        size: stats.size,
-        isDirectory: stats.isDirectory(),
-        isFile: stats.isFile(),
-        createdTime: stats.birthtime,
-        modifiedTime: stats.mtime,
-        accessedTime: stats.atime,
-        extension: path.extname(filePath).toLowerCase()
-      };
-
-      return fileInfo;
+      return await this.invoke('get_file_info', server => server.transport === 'local'
+        ? this.getFileInfoLocal(filePath)
+        : this.getFileInfoRemote(server, filePath));
     } catch (error) {
       await this.logger.logError(`获取文件信息失败: ${filePath}`, error);
       throw error;
     }
   }
 
+  /**
+   * 通过本地文件系统获取文件信息
+   * @param {string} filePath - 文件路径
+   * @returns {Object} 文件信息
+   */
+  async getFileInfoLocal(filePath) {
+    const stats = await fs.stat(filePath);
+    return {
+      path: filePath,
+      name: path.basename(filePath),
+      size: stats.size,
+      isDirectory: stats.isDirectory(),
+      isFile: stats.isFile(),
+      createdTime: stats.birthtime,
+      modifiedTime: stats.mtime,
+      accessedTime: stats.atime,
+      extension: path.extname(filePath).toLowerCase(),
+      inode: stats.ino
+    };
+  }
+
+  /**
+   * 通过MCP服务器获取文件信息（解析get_file_info返回的 "key: value" 文本）
+   * @param {Object} server - 服务器对象
+   * @param {string} filePath - 文件路径
+   * @returns {Object} 文件信息
+   */
+  async getFileInfoRemote(server, filePath) {
+    const text = await this.callTool(server, 'get_file_info', { path: filePath });
+    const info = {};
+
+    for (const line of text.split('\n')) {
+      const separatorIndex = line.indexOf(':');
+      if (separatorIndex > 0) {
+        info[line.slice(0, separatorIndex).trim()] = line.slice(separatorIndex + 1).trim();
+      }
+    }
+
+    return {
+      path: filePath,
+      name: path.basename(filePath),
+      size: parseInt(info.size, 10) || 0,
+      isDirectory: info.isDirectory === 'true',
+      isFile: info.isFile === 'true',
+      createdTime: new Date(info.created),
+      modifiedTime: new Date(info.modified),
+      accessedTime: new Date(info.accessed),
+      extension: path.extname(filePath).toLowerCase(),
+      inode: null // 文件系统服务器不提供inode
+    };
+  }
+
   /**
    * 断开连接
    */
   async disconnect() {
     try {
-      // 关闭所有服务器连接
+      // 关闭所有服务器连接，stdio服务器的子进程随之退出
       for (const [serverName, server] of this.servers) {
+        if (server.client) {
+          server.connected = false;
+          await server.client.close();
+        }
         await this.logger.logInfo(`断开MCP服务器连接: ${serverName}`);
       }
 
@@ -361,10 +882,17 @@ export class MCPClient {
   }
 
   /**
-   * 获取服务器列表
+   * 获取服务器列表及其健康状态
    * @returns {Array} 服务器列表
    */
   getServers() {
-    return Array.from(this.servers.values());
+    return Array.from(this.servers.values()).map(server => ({
+      name: server.name,
+      transport: server.transport,
+      connected: server.connected,
+      capabilities: server.capabilities,
+      serverInfo: server.serverInfo || null,
+      health: { ...server.health }
+    }));
   }
 } 
\ No newline at end of file
@@ -0,0 +1,1046 @@
+/**
+ * 文件元数据提取模块
+ * 从图片（EXIF）、音频（ID3、Vorbis 注释、MP4 标签）、视频（MP4/MOV 的 mvhd、tkhd）
+ * 和文档（PDF 信息字典、Office 的 docProps/core.xml）中读取拍摄时间、艺术家、时长、作者等信息，
+ * 只读取文件中需要的部分，不加载整个文件
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import fs from 'fs-extra';
+import yauzl from 'yauzl';
+import { Logger } from './logger.js';
+
+/**
+ * 各文件类型（FileTypeDetector 的检测结果）对应的元数据种类和提取方法
+ */
+const EXTRACTORS = {
+  jpeg: { kind: 'image', method: 'extractJpeg' },
+  tiff: { kind: 'image', method: 'extractTiff' },
+  mp3: { kind: 'audio', method: 'extractMp3' },
+  flac: { kind: 'audio', method: 'extractFlac' },
+  ogg: { kind: 'audio', method: 'extractOgg' },
+  m4a: { kind: 'audio', method: 'extractIsoMedia' },
+  mp4: { kind: 'video', method: 'extractIsoMedia' },
+  mov: { kind: 'video', method: 'extractIsoMedia' },
+  pdf: { kind: 'document', method: 'extractPdf' },
+  docx: { kind: 'document', method: 'extractOoxml' },
+  xlsx: { kind: 'document', method: 'extractOoxml' },
+  pptx: { kind: 'document', method: 'extractOoxml' }
+};
+
+/**
+ * 元数据种类
+ */
+export const METADATA_KINDS = ['image', 'audio', 'video', 'document'];
+
+/**
+ * 标签、EXIF 段等最多读取的字节数（内嵌封面等大块数据之后的内容不再读取）
+ */
+const MAX_TAG_BYTES = 1024 * 1024;
+
+/**
+ * MP4/MOV 的 moov 盒子最多读取的字节数
+ */
+const MAX_MOOV_BYTES = 16 * 1024 * 1024;
+
+/**
+ * PDF 在交叉引用表中找不到信息字典时，最多顺序查找的字节数
+ */
+const MAX_PDF_SCAN_BYTES = 16 * 1024 * 1024;
+
+/**
+ * 读取文件末尾的字节数（PDF 的 trailer、Ogg 的最后一页、ID3v1 标签）
+ */
+const TAIL_BYTES = 64 * 1024;
+
+/**
+ * TIFF/EXIF 各数据类型的单个值字节数
+ */
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+/**
+ * MP3 帧头中的比特率（kbps）和采样率
+ */
+const MPEG_BITRATES = {
+  v1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  v2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MPEG_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+/**
+ * MP4/MOV 时间的起点（1904-01-01）与 Unix 时间起点相差的秒数
+ */
+const MAC_EPOCH_OFFSET = 2082844800;
+
+/**
+ * 元数据提取器类
+ */
+export class MetadataExtractor {
+  constructor() {
+    this.logger = new Logger();
+  }
+
+  /**
+   * 获取文件类型对应的元数据种类
+   * @param {string} type - FileTypeDetector 检测到的类型
+   * @returns {string|null} image | audio | video | document，不支持时返回null
+   */
+  getKind(type) {
+    return EXTRACTORS[type]?.kind || null;
+  }
+
+  /**
+   * 提取文件元数据
+   * @param {string} filePath - 文件路径
+   * @param {string} type - FileTypeDetector 检测到的类型
+   * @returns {Object|null} { kind, ...字段 }，没有可用信息或读取失败时返回null
+   */
+  async extract(filePath, type) {
+    const extractor = EXTRACTORS[type];
+    if (!extractor) {
+      return null;
+    }
+
+    try {
+      const fields = extractor.method === 'extractOoxml'
+        ? await this.extractOoxml(filePath)
+        : await this.withReader(filePath, reader => this[extractor.method](reader, type));
+
+      // 去掉未能读取的字段
+      const metadata = Object.fromEntries(Object.entries(fields || {})
+        .filter(([, value]) => value !== null && value !== undefined && value !== ''));
+      return Object.keys(metadata).length > 0 ? { kind: extractor.kind, ...metadata } : null;
+    } catch (error) {
+      await this.logger.logDebug(`读取文件元数据失败: ${filePath}`, { message: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * 打开文件并提供按位置读取的方法
+   * @param {string} filePath - 文件路径
+   * @param {Function} fn - async (reader) => result，reader 为 { size, read(position, length) }
+   * @returns {*} fn 的返回值
+   */
+  async withReader(filePath, fn) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      const reader = {
+        size,
+        read: async (position, length) => {
+          const available = Math.max(0, Math.min(length, size - position));
+          const buffer = Buffer.alloc(available);
+          const { bytesRead } = await handle.read(buffer, 0, available, position);
+          return buffer.subarray(0, bytesRead);
+        }
+      };
+      return await fn(reader);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * JPEG：读取 APP1 段中的 EXIF，以及 SOF 段中的实际尺寸
+   * @param {Object} reader - 文件读取器
+   * @returns {Object} 图片元数据
+   */
+  async extractJpeg(reader) {
+    let result = {};
+    let dimensions = null;
+    let offset = 2;
+
+    while (offset + 4 <= reader.size) {
+      const header = await reader.read(offset, 4);
+      if (header[0] !== 0xFF) break;
+
+      const marker = header[1];
+      // 填充字节
+      if (marker === 0xFF) {
+        offset++;
+        continue;
+      }
+      // 图像数据开始或结束，之后不再有元数据段
+      if (marker === 0xDA || marker === 0xD9) break;
+      // 没有长度的标记
+      if ((marker >= 0xD0 && marker <= 0xD7) || marker === 0x01) {
+        offset += 2;
+        continue;
+      }
+
+      const length = header.readUInt16BE(2);
+      if (marker === 0xE1 && Object.keys(result).length === 0) {
+        const segment = await reader.read(offset + 4, Math.min(length - 2, MAX_TAG_BYTES));
+        if (segment.toString('latin1', 0, 6) === 'Exif\0\0') {
+          result = this.parseTiff(segment.subarray(6));
+        }
+      } else if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+        const frame = await reader.read(offset + 4, 5);
+        if (frame.length === 5) {
+          dimensions = { height: frame.readUInt16BE(1), width: frame.readUInt16BE(3) };
+        }
+      }
+      offset += 2 + length;
+    }
+
+    return { ...result, ...(dimensions || {}) };
+  }
+
+  /**
+   * TIFF（包括 DNG、NEF 等基于 TIFF 的 RAW 格式）：文件本身就是 EXIF 结构
+   * @param {Object} reader - 文件读取器
+   * @returns {Object} 图片元数据
+   */
+  async extractTiff(reader) {
+    return this.parseTiff(await reader.read(0, MAX_TAG_BYTES));
+  }
+
+  /**
+   * 解析 TIFF 结构中的 IFD0、EXIF 和 GPS 目录
+   * @param {Buffer} buffer - 从 TIFF 头开始的字节
+   * @returns {Object} { takenAt, cameraMake, cameraModel, width, height, orientation, gpsLatitude, gpsLongitude }
+   */
+  parseTiff(buffer) {
+    if (buffer.length < 8) return {};
+
+    const littleEndian = buffer.toString('latin1', 0, 2) === 'II';
+    const u16 = offset => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+    const u32 = offset => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+    const i32 = offset => (littleEndian ? buffer.readInt32LE(offset) : buffer.readInt32BE(offset));
+    if (u16(2) !== 42) return {};
+
+    const readValue = (type, count, offset) => {
+      if (type === 2) {
+        return buffer.toString('utf8', offset, offset + count).replace(/\0[\s\S]*$/, '').trim();
+      }
+
+      const values = [];
+      for (let index = 0; index < Math.min(count, 16); index++) {
+        const position = offset + index * TIFF_TYPE_SIZES[type];
+        if (type === 1 || type === 7) values.push(buffer[position]);
+        else if (type === 3) values.push(u16(position));
+        else if (type === 4) values.push(u32(position));
+        else if (type === 9) values.push(i32(position));
+        else if (type === 5) values.push(u32(position) / (u32(position + 4) || 1));
+        else if (type === 10) values.push(i32(position) / (i32(position + 4) || 1));
+      }
+      return count === 1 ? values[0] : values;
+    };
+
+    const readIfd = offset => {
+      const tags = new Map();
+      if (!offset || offset + 2 > buffer.length) return tags;
+
+      const count = u16(offset);
+      for (let index = 0; index < count; index++) {
+        const entry = offset + 2 + index * 12;
+        if (entry + 12 > buffer.length) break;
+
+        const type = u16(entry + 2);
+        const valueCount = u32(entry + 4);
+        if (!TIFF_TYPE_SIZES[type]) continue;
+
+        const size = TIFF_TYPE_SIZES[type] * valueCount;
+        const valueOffset = size <= 4 ? entry + 8 : u32(entry + 8);
+        if (valueOffset + size > buffer.length) continue;
+
+        tags.set(u16(entry), readValue(type, valueCount, valueOffset));
+      }
+      return tags;
+    };
+
+    const first = value => (Array.isArray(value) ? value[0] : value);
+    const ifd0 = readIfd(u32(4));
+    const exif = readIfd(first(ifd0.get(0x8769)));
+    const gps = readIfd(first(ifd0.get(0x8825)));
+
+    return {
+      takenAt: this.parseExifDate(exif.get(0x9003) || exif.get(0x9004) || ifd0.get(0x0132)),
+      cameraMake: ifd0.get(0x010F),
+      cameraModel: ifd0.get(0x0110),
+      width: first(exif.get(0xA002) ?? ifd0.get(0x0100)),
+      height: first(exif.get(0xA003) ?? ifd0.get(0x0101)),
+      orientation: first(ifd0.get(0x0112)),
+      gpsLatitude: this.parseGpsCoordinate(gps.get(2), gps.get(1), 'S'),
+      gpsLongitude: this.parseGpsCoordinate(gps.get(4), gps.get(3), 'W')
+    };
+  }
+
+  /**
+   * 解析 EXIF 日期（"YYYY:MM:DD HH:MM:SS"，不含时区，按本地时间处理）
+   * @param {string} value - EXIF 日期
+   * @returns {string|null} ISO 8601 时间
+   */
+  parseExifDate(value) {
+    const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!match || match[1] === '0000') return null;
+
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    const date = new Date(year, month - 1, day, hour, minute, second);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  /**
+   * 将 GPS 的度、分、秒转换为十进制度数
+   * @param {Array} value - [度, 分, 秒]
+   * @param {string} ref - 方向（N/S 或 E/W）
+   * @param {string} negativeRef - 表示负值的方向
+   * @returns {number|null} 十进制度数
+   */
+  parseGpsCoordinate(value, ref, negativeRef) {
+    if (!Array.isArray(value) || value.length < 3 || value.some(part => !Number.isFinite(part))) return null;
+
+    const degrees = value[0] + value[1] / 60 + value[2] / 3600;
+    return Number(((ref === negativeRef ? -1 : 1) * degrees).toFixed(6));
+  }
+
+  /**
+   * MP3：读取 ID3v2 标签（缺少时读取末尾的 ID3v1），并根据帧头计算时长
+   * @param {Object} reader - 文件读取器
+   * @returns {Object} 音频元数据
+   */
+  async extractMp3(reader) {
+    let result = {};
+    let audioStart = 0;
+
+    const header = await reader.read(0, 10);
+    if (header.length === 10 && header.toString('latin1', 0, 3) === 'ID3') {
+      audioStart = this.readSyncsafe(header, 6) + 10 + (header[5] & 0x10 ? 10 : 0);
+      result = this.parseId3v2(await reader.read(0, Math.min(audioStart, MAX_TAG_BYTES)));
+    }
+
+    let hasId3v1 = false;
+    if (reader.size >= 128) {
+      const tail = await reader.read(reader.size - 128, 128);
+      if (tail.toString('latin1', 0, 3) === 'TAG') {
+        hasId3v1 = true;
+        const v1 = this.parseId3v1(tail);
+        for (const [key, value] of Object.entries(v1)) {
+          if (!result[key]) result[key] = value;
+        }
+      }
+    }
+
+    if (!result.durationSeconds) {
+      const audioEnd = reader.size - (hasId3v1 ? 128 : 0);
+      result.durationSeconds = await this.readMpegDuration(reader, audioStart, audioEnd);
+    }
+
+    return result;
+  }
+
+  /**
+   * 解析 ID3v2.2/2.3/2.4 标签中的文本帧
+   * @param {Buffer} tag - 包含标签头的完整标签
+   * @returns {Object} { title, artist, album, year, track, genre, durationSeconds }
+   */
+  parseId3v2(tag) {
+    const major = tag[3];
+    const flags = tag[5];
+    let body = tag.subarray(10);
+
+    // ID3v2.3 及以前的反同步作用于整个标签
+    if ((flags & 0x80) && major < 4) {
+      const bytes = [];
+      for (let index = 0; index < body.length; index++) {
+        bytes.push(body[index]);
+        if (body[index] === 0xFF && body[index + 1] === 0x00) index++;
+      }
+      body = Buffer.from(bytes);
+    }
+
+    let offset = 0;
+    if ((flags & 0x40) && body.length >= 4) {
+      offset = major === 4 ? this.readSyncsafe(body, 0) : body.readUInt32BE(0) + 4;
+    }
+
+    const idLength = major === 2 ? 3 : 4;
+    const headerLength = major === 2 ? 6 : 10;
+    const frames = {};
+    while (offset + headerLength <= body.length) {
+      const id = body.toString('latin1', offset, offset + idLength);
+      if (!/^[A-Z0-9]+$/.test(id)) break;
+
+      let size;
+      if (major === 2) size = body.readUIntBE(offset + 3, 3);
+      else if (major === 4) size = this.readSyncsafe(body, offset + 4);
+      else size = body.readUInt32BE(offset + 4);
+
+      const start = offset + headerLength;
+      if (start + size > body.length) break;
+      if (id[0] === 'T' && size > 1 && !(id in frames)) {
+        frames[id] = this.decodeId3Text(body.subarray(start, start + size));
+      }
+      offset = start + size;
+    }
+
+    const frame = (...ids) => ids.map(id => frames[id]).find(Boolean) || null;
+    const length = Number(frame('TLEN', 'TLE'));
+    return {
+      title: frame('TIT2', 'TT2'),
+      artist: frame('TPE1', 'TP1', 'TPE2', 'TP2'),
+      album: frame('TALB', 'TAL'),
+      year: frame('TDRC', 'TYER', 'TYE')?.slice(0, 4) || null,
+      track: frame('TRCK', 'TRK'),
+      genre: frame('TCON', 'TCO')?.replace(/^\(\d+\)(?=.)/, '') || null,
+      durationSeconds: length > 0 ? Math.round(length / 1000) : null
+    };
+  }
+
+  /**
+   * 解码 ID3v2 文本帧（第一个字节为编码），多个值时取第一个
+   * @param {Buffer} data - 帧内容
+   * @returns {string} 文本
+   */
+  decodeId3Text(data) {
+    const encoding = data[0];
+    let content = data.subarray(1);
+    let text;
+
+    if (encoding === 1 || encoding === 2) {
+      // UTF-16：编码1带BOM，编码2为大端序
+      let bigEndian = encoding === 2;
+      if (content[0] === 0xFF && content[1] === 0xFE) {
+        content = content.subarray(2);
+        bigEndian = false;
+      } else if (content[0] === 0xFE && content[1] === 0xFF) {
+        content = content.subarray(2);
+        bigEndian = true;
+      }
+      text = this.decodeUtf16(content, bigEndian);
+    } else if (encoding === 3) {
+      text = content.toString('utf8');
+    } else {
+      text = content.toString('latin1');
+    }
+
+    return text.split('\0')[0].trim();
+  }
+
+  /**
+   * 解析 ID3v1 标签（文件末尾 128 字节）
+   * @param {Buffer} tag - 标签
+   * @returns {Object} { title, artist, album, year, track }
+   */
+  parseId3v1(tag) {
+    const text = (start, length) => tag.toString('latin1', start, start + length).replace(/\0[\s\S]*$/, '').trim();
+    return {
+      title: text(3, 30),
+      artist: text(33, 30),
+      album: text(63, 30),
+      year: text(93, 4),
+      // ID3v1.1：注释的最后一个字节为音轨号
+      track: tag[125] === 0 && tag[126] > 0 ? String(tag[126]) : null
+    };
+  }
+
+  /**
+   * 根据第一个 MPEG 音频帧计算时长：有 Xing/Info/VBRI 头时按总帧数计算，否则按固定比特率估算
+   * @param {Object} reader - 文件读取器
+   * @param {number} audioStart - 音频数据开始位置
+   * @param {number} audioEnd - 音频数据结束位置
+   * @returns {number|null} 时长（秒）
+   */
+  async readMpegDuration(reader, audioStart, audioEnd) {
+    const buffer = await reader.read(audioStart, 8192);
+
+    for (let index = 0; index + 4 <= buffer.length; index++) {
+      if (buffer[index] !== 0xFF || (buffer[index + 1] & 0xE0) !== 0xE0) continue;
+
+      const header = buffer.readUInt32BE(index);
+      const version = (header >>> 19) & 0x3;
+      const layer = (header >>> 17) & 0x3;
+      const bitrateIndex = (header >>> 12) & 0xF;
+      const sampleRateIndex = (header >>> 10) & 0x3;
+      const mono = ((header >>> 6) & 0x3) === 3;
+      // 只处理 Layer III（MP3）
+      if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) continue;
+
+      const sampleRate = MPEG_SAMPLE_RATES[version][sampleRateIndex];
+      const samplesPerFrame = version === 3 ? 1152 : 576;
+      const bitrate = (version === 3 ? MPEG_BITRATES.v1 : MPEG_BITRATES.v2)[bitrateIndex] * 1000;
+
+      const xingOffset = index + 4 + (version === 3 ? (mono ? 17 : 32) : (mono ? 9 : 17));
+      const xingTag = buffer.toString('latin1', xingOffset, xingOffset + 4);
+      if ((xingTag === 'Xing' || xingTag === 'Info') && xingOffset + 12 <= buffer.length &&
+        (buffer.readUInt32BE(xingOffset + 4) & 0x1)) {
+        return Math.round(buffer.readUInt32BE(xingOffset + 8) * samplesPerFrame / sampleRate);
+      }
+
+      const vbriOffset = index + 36;
+      if (buffer.toString('latin1', vbriOffset, vbriOffset + 4) === 'VBRI' && vbriOffset + 18 <= buffer.length) {
+        return Math.round(buffer.readUInt32BE(vbriOffset + 14) * samplesPerFrame / sampleRate);
+      }
+
+      return Math.round((audioEnd - audioStart - index) * 8 / bitrate);
+    }
+
+    return null;
+  }
+
+  /**
+   * FLAC：读取 STREAMINFO（时长）和 VORBIS_COMMENT（标签）元数据块
+   * @param {Object} reader - 文件读取器
+   * @returns {Object} 音频元数据
+   */
+  async extractFlac(reader) {
+    let result = {};
+    let offset = 4;
+
+    while (offset + 4 <= reader.size) {
+      const header = await reader.read(offset, 4);
+      const isLast = header[0] & 0x80;
+      const type = header[0] & 0x7F;
+      const length = header.readUIntBE(1, 3);
+
+      if (type === 0) {
+        const info = await reader.read(offset + 4, 18);
+        if (info.length === 18) {
+          const sampleRate = (info[10] << 12) | (info[11] << 4) | (info[12] >> 4);
+          const totalSamples = (info[13] & 0x0F) * 2 ** 32 + info.readUInt32BE(14);
+          if (sampleRate > 0 && totalSamples > 0) {
+            result.durationSeconds = Math.round(totalSamples / sampleRate);
+          }
+        }
+      } else if (type === 4) {
+        result = { ...result, ...this.parseVorbisComments(await reader.read(offset + 4, Math.min(length, MAX_TAG_BYTES))) };
+      }
+
+      if (isLast) break;
+      offset += 4 + length;
+    }
+
+    return result;
+  }
+
+  /**
+   * Ogg（Vorbis 或 Opus）：读取注释头中的标签，并根据最后一页的 granule position 计算时长
+   * @param {Object} reader - 文件读取器
+   * @returns {Object} 音频元数据
+   */
+  async extractOgg(reader) {
+    const head = await reader.read(0, TAIL_BYTES);
+    let result = {};
+    let sampleRate = null;
+    let preSkip = 0;
+
+    const vorbisIdentification = head.indexOf('\x01vorbis', 0, 'latin1');
+    const opusHead = head.indexOf('OpusHead', 0, 'latin1');
+    if (vorbisIdentification >= 0 && vorbisIdentification + 16 <= head.length) {
+      sampleRate = head.readUInt32LE(vorbisIdentification + 12);
+    } else if (opusHead >= 0 && opusHead + 12 <= head.length) {
+      // Opus 的 granule position 总是以 48kHz 计
+      sampleRate = 48000;
+      preSkip = head.readUInt16LE(opusHead + 10);
+    }
+
+    const vorbisComment = head.indexOf('\x03vorbis', 0, 'latin1');
+    const opusTags = head.indexOf('OpusTags', 0, 'latin1');
+    if (vorbisComment >= 0) {
+      result = this.parseVorbisComments(head.subarray(vorbisComment + 7));
+    } else if (opusTags >= 0) {
+      result = this.parseVorbisComments(head.subarray(opusTags + 8));
+    }
+
+    if (sampleRate) {
+      const tailStart = Math.max(0, reader.size - TAIL_BYTES);
+      const tail = await reader.read(tailStart, TAIL_BYTES);
+      const lastPage = tail.lastIndexOf('OggS', tail.length, 'latin1');
+      if (lastPage >= 0 && lastPage + 14 <= tail.length) {
+        const granule = Number(tail.readBigInt64LE(lastPage + 6));
+        if (granule > preSkip) {
+          result.durationSeconds = Math.round((granule - preSkip) / sampleRate);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 解析 Vorbis 注释（FLAC 和 Ogg 共用的 "KEY=value" 标签格式）
+   * @param {Buffer} buffer - 从厂商字符串长度开始的字节
+   * @returns {Object} { title, artist, album, year, track, genre }
+   */
+  parseVorbisComments(buffer) {
+    const comments = {};
+    if (buffer.length < 8) return {};
+
+    let offset = 4 + buffer.readUInt32LE(0);
+    if (offset + 4 > buffer.length) return {};
+    const count = buffer.readUInt32LE(offset);
+    offset += 4;
+
+    for (let index = 0; index < count && offset + 4 <= buffer.length; index++) {
+      const length = buffer.readUInt32LE(offset);
+      offset += 4;
+      if (offset + length > buffer.length) break;
+
+      const comment = buffer.toString('utf8', offset, offset + length);
+      offset += length;
+      const separator = comment.indexOf('=');
+      const key = comment.slice(0, separator).toUpperCase();
+      if (separator > 0 && !(key in comments)) {
+        comments[key] = comment.slice(separator + 1).trim();
+      }
+    }
+
+    return {
+      title: comments.TITLE,
+      artist: comments.ARTIST || comments.ALBUMARTIST,
+      album: comments.ALBUM,
+      year: comments.DATE?.slice(0, 4),
+      track: comments.TRACKNUMBER,
+      genre: comments.GENRE
+    };
+  }
+
+  /**
+   * MP4/MOV/M4A：读取 moov 中的 mvhd（时长、创建时间）、tkhd（画面尺寸）和 iTunes 风格的标签
+   * @param {Object} reader - 文件读取器
+   * @returns {Object} 视频或音频元数据
+   */
+  async extractIsoMedia(reader) {
+    // moov 可能位于很大的 mdat 之后，只读取各顶层盒子的头部来定位
+    let moov = null;
+    let offset = 0;
+    while (offset + 8 <= reader.size) {
+      const header = await reader.read(offset, 16);
+      if (header.length < 8) break;
+
+      let size = header.readUInt32BE(0);
+      const type = header.toString('latin1', 4, 8);
+      let headerSize = 8;
+      if (size === 1 && header.length >= 16) {
+        size = Number(header.readBigUInt64BE(8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = reader.size - offset;
+      }
+      if (size < headerSize) break;
+
+      if (type === 'moov') {
+        if (size > MAX_MOOV_BYTES) return {};
+        moov = await reader.read(offset + headerSize, size - headerSize);
+        break;
+      }
+      offset += size;
+    }
+    if (!moov) return {};
+
+    const result = {};
+    for (const box of this.parseBoxes(moov, 0, moov.length)) {
+      if (box.type === 'mvhd') {
+        Object.assign(result, this.parseMvhd(moov, box.start));
+      } else if (box.type === 'trak' && !result.width) {
+        const tkhd = this.parseBoxes(moov, box.start, box.end).find(child => child.type === 'tkhd');
+        if (tkhd) Object.assign(result, this.parseTkhd(moov, tkhd.start));
+      } else if (box.type === 'udta') {
+        Object.assign(result, this.parseItunesTags(moov, box.start, box.end));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 列出缓冲区中指定范围内的盒子
+   * @param {Buffer} buffer - 字节
+   * @param {number} start - 开始位置
+   * @param {number} end - 结束位置
+   * @returns {Array} [{ type, start, end }]，start 为内容开始位置
+   */
+  parseBoxes(buffer, start, end) {
+    const boxes = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+      let size = buffer.readUInt32BE(offset);
+      const type = buffer.toString('latin1', offset + 4, offset + 8);
+      let headerSize = 8;
+      if (size === 1 && offset + 16 <= end) {
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        headerSize = 16;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+      if (size < headerSize || offset + size > end) break;
+
+      boxes.push({ type, start: offset + headerSize, end: offset + size });
+      offset += size;
+    }
+
+    return boxes;
+  }
+
+  /**
+   * 解析 mvhd：时长和创建时间
+   * @param {Buffer} buffer - moov 内容
+   * @param {number} start - mvhd 内容开始位置
+   * @returns {Object} { durationSeconds, createdAt }
+   */
+  parseMvhd(buffer, start) {
+    const version = buffer[start];
+    const created = version === 1 ? Number(buffer.readBigUInt64BE(start + 4)) : buffer.readUInt32BE(start + 4);
+    const timescale = buffer.readUInt32BE(start + (version === 1 ? 20 : 12));
+    const duration = version === 1 ? Number(buffer.readBigUInt64BE(start + 24)) : buffer.readUInt32BE(start + 16);
+
+    return {
+      durationSeconds: timescale > 0 ? Math.round(duration / timescale) : null,
+      // 部分设备写入 0 表示未知
+      createdAt: created > MAC_EPOCH_OFFSET ? new Date((created - MAC_EPOCH_OFFSET) * 1000).toISOString() : null
+    };
+  }
+
+  /**
+   * 解析 tkhd：画面宽高（16.16 定点数，音频轨为 0）
+   * @param {Buffer} buffer - moov 内容
+   * @param {number} start - tkhd 内容开始位置
+   * @returns {Object} { width, height }
+   */
+  parseTkhd(buffer, start) {
+    const offset = start + (buffer[start] === 1 ? 88 : 76);
+    if (offset + 8 > buffer.length) return {};
+
+    const width = Math.round(buffer.readUInt32BE(offset) / 65536);
+    const height = Math.round(buffer.readUInt32BE(offset + 4) / 65536);
+    return width > 0 && height > 0 ? { width, height } : {};
+  }
+
+  /**
+   * 解析 udta/meta/ilst 中的 iTunes 风格标签（M4A 音乐和部分 MP4 视频）
+   * @param {Buffer} buffer - moov 内容
+   * @param {number} start - udta 内容开始位置
+   * @param {number} end - udta 内容结束位置
+   * @returns {Object} { title, artist, album, year, track, genre }
+   */
+  parseItunesTags(buffer, start, end) {
+    const meta = this.parseBoxes(buffer, start, end).find(box => box.type === 'meta');
+    if (!meta) return {};
+
+    // ISO 的 meta 是带版本号的 full box，QuickTime 的 meta 直接包含子盒子
+    const childStart = buffer.toString('latin1', meta.start + 4, meta.start + 8) === 'hdlr' ? meta.start : meta.start + 4;
+    const ilst = this.parseBoxes(buffer, childStart, meta.end).find(box => box.type === 'ilst');
+    if (!ilst) return {};
+
+    const tags = {};
+    for (const item of this.parseBoxes(buffer, ilst.start, ilst.end)) {
+      const data = this.parseBoxes(buffer, item.start, item.end).find(box => box.type === 'data');
+      if (!data || data.end - data.start <= 8) continue;
+
+      const value = buffer.subarray(data.start + 8, data.end);
+      tags[item.type] = item.type === 'trkn'
+        ? (value.length >= 4 && value.readUInt16BE(2) > 0 ? String(value.readUInt16BE(2)) : null)
+        : value.toString('utf8').trim();
+    }
+
+    return {
+      title: tags['\xA9nam'],
+      artist: tags['\xA9ART'] || tags.aART,
+      album: tags['\xA9alb'],
+      year: tags['\xA9day']?.slice(0, 4),
+      track: tags.trkn,
+      genre: tags['\xA9gen']
+    };
+  }
+
+  /**
+   * PDF：根据 trailer 中的 /Info 找到文档信息字典并读取其中的字段
+   * @param {Object} reader - 文件读取器
+   * @returns {Object} 文档元数据
+   */
+  async extractPdf(reader) {
+    const tailStart = Math.max(0, reader.size - TAIL_BYTES);
+    const tail = (await reader.read(tailStart, TAIL_BYTES)).toString('latin1');
+    // 加密文档中的字符串也是加密的，无法直接读取
+    if (tail.includes('/Encrypt')) return {};
+
+    // 增量更新的文档有多个 trailer，以最后一个为准；线性化文档的 trailer 可能在开头
+    let infoRefs = [...tail.matchAll(/\/Info\s+(\d+)\s+(\d+)\s+R/g)];
+    if (infoRefs.length === 0) {
+      const head = (await reader.read(0, TAIL_BYTES)).toString('latin1');
+      if (head.includes('/Encrypt')) return {};
+      infoRefs = [...head.matchAll(/\/Info\s+(\d+)\s+(\d+)\s+R/g)];
+    }
+    if (infoRefs.length === 0) return {};
+
+    const [, objectNumber, generation] = infoRefs[infoRefs.length - 1].map(Number);
+    const startxref = [...tail.matchAll(/startxref\s+(\d+)/g)].pop();
+    let objectOffset = startxref
+      ? await this.findPdfObjectInXref(reader, Number(startxref[1]), objectNumber)
+      : null;
+    if (objectOffset === null) {
+      objectOffset = await this.findPdfObjectByScan(reader, objectNumber, generation);
+    }
+    if (objectOffset === null) return {};
+
+    const object = (await reader.read(objectOffset, 16 * 1024)).toString('latin1');
+    if (!new RegExp(`^\\s*${objectNumber}\\s+${generation}\\s+obj`).test(object)) return {};
+
+    const dictionary = object.slice(0, object.indexOf('endobj') >= 0 ? object.indexOf('endobj') : undefined);
+    const field = key => this.readPdfString(dictionary, key);
+    return {
+      title: field('Title'),
+      author: field('Author'),
+      subject: field('Subject'),
+      keywords: field('Keywords'),
+      application: field('Creator') || field('Producer'),
+      createdAt: this.parsePdfDate(field('CreationDate')),
+      modifiedAt: this.parsePdfDate(field('ModDate'))
+    };
+  }
+
+  /**
+   * 在传统交叉引用表中查找对象位置（只查最后一个表；交叉引用流返回null）
+   * @param {Object} reader - 文件读取器
+   * @param {number} xrefOffset - startxref 指向的位置
+   * @param {number} objectNumber - 对象编号
+   * @returns {number|null} 对象位置
+   */
+  async findPdfObjectInXref(reader, xrefOffset, objectNumber) {
+    const start = await reader.read(xrefOffset, 4);
+    if (start.toString('latin1') !== 'xref') return null;
+
+    let position = xrefOffset + 4;
+    while (position < reader.size) {
+      const chunk = (await reader.read(position, 64)).toString('latin1');
+      const section = chunk.match(/^\s*(\d+) (\d+)[ \t]*(\r\n|\r|\n)/);
+      if (!section) return null;
+
+      const first = Number(section[1]);
+      const count = Number(section[2]);
+      const entriesStart = position + section[0].length;
+      if (objectNumber >= first && objectNumber < first + count) {
+        const entry = (await reader.read(entriesStart + (objectNumber - first) * 20, 20)).toString('latin1');
+        const match = entry.match(/^(\d{10}) (\d{5}) n/);
+        return match ? Number(match[1]) : null;
+      }
+      position = entriesStart + count * 20;
+    }
+
+    return null;
+  }
+
+  /**
+   * 顺序查找 "N G obj"，用于交叉引用流和损坏的交叉引用表
+   * @param {Object} reader - 文件读取器
+   * @param {number} objectNumber - 对象编号
+   * @param {number} generation - 生成号
+   * @returns {number|null} 对象位置
+   */
+  async findPdfObjectByScan(reader, objectNumber, generation) {
+    const pattern = new RegExp(`(^|[^0-9])${objectNumber}\\s+${generation}\\s+obj\\b`);
+    const chunkSize = 1024 * 1024;
+    const overlap = 64;
+
+    for (let position = 0; position < Math.min(reader.size, MAX_PDF_SCAN_BYTES); position += chunkSize - overlap) {
+      const chunk = (await reader.read(position, chunkSize)).toString('latin1');
+      const match = chunk.match(pattern);
+      if (match) {
+        return position + match.index + match[1].length;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 读取 PDF 字典中的字符串字段（字面量字符串或十六进制字符串，引用其他对象的字段不读取）
+   * @param {string} dictionary - 字典文本（latin1）
+   * @param {string} key - 字段名
+   * @returns {string|null} 字段值
+   */
+  readPdfString(dictionary, key) {
+    const match = dictionary.match(new RegExp(`/${key}\\s*([(<])`));
+    if (!match) return null;
+
+    const start = match.index + match[0].length;
+    if (match[1] === '<') {
+      const end = dictionary.indexOf('>', start);
+      if (end < 0) return null;
+      const hex = dictionary.slice(start, end).replace(/\s+/g, '');
+      return this.decodePdfText(Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex'));
+    }
+
+    const bytes = [];
+    let depth = 1;
+    for (let index = start; index < dictionary.length; index++) {
+      const char = dictionary[index];
+      if (char === '\\') {
+        const next = dictionary[++index];
+        const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12 };
+        if (next in escapes) {
+          bytes.push(escapes[next]);
+        } else if (/[0-7]/.test(next)) {
+          const octal = dictionary.slice(index, index + 3).match(/^[0-7]{1,3}/)[0];
+          bytes.push(parseInt(octal, 8) & 0xFF);
+          index += octal.length - 1;
+        } else if (next === '\r' || next === '\n') {
+          // 行尾的反斜杠表示续行
+          if (next === '\r' && dictionary[index + 1] === '\n') index++;
+        } else if (next !== undefined) {
+          bytes.push(next.charCodeAt(0));
+        }
+        continue;
+      }
+
+      if (char === '(') depth++;
+      if (char === ')' && --depth === 0) {
+        return this.decodePdfText(Buffer.from(bytes));
+      }
+      bytes.push(char.charCodeAt(0));
+    }
+
+    return null;
+  }
+
+  /**
+   * 解码 PDF 文本字符串：带 BOM 的 UTF-16BE 或 UTF-8，否则按 PDFDocEncoding（近似 latin1）
+   * @param {Buffer} bytes - 字节
+   * @returns {string} 文本
+   */
+  decodePdfText(bytes) {
+    let text;
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+      text = this.decodeUtf16(bytes.subarray(2), true);
+    } else if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+      text = bytes.subarray(3).toString('utf8');
+    } else {
+      text = bytes.toString('latin1');
+    }
+    return text.replace(/\0/g, '').trim();
+  }
+
+  /**
+   * 解析 PDF 日期（"D:YYYYMMDDHHmmSSOHH'mm'"，各部分从月份开始均可省略）
+   * @param {string} value - PDF 日期
+   * @returns {string|null} ISO 8601 时间
+   */
+  parsePdfDate(value) {
+    const match = value?.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/);
+    if (!match) return null;
+
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone, zoneHour = '00', zoneMinute = '00'] = match;
+    const parts = [year, month, day, hour, minute, second].map(Number);
+    let time;
+    if (zone) {
+      const offset = zone === '+' || zone === '-'
+        ? (zone === '-' ? -1 : 1) * (Number(zoneHour) * 60 + Number(zoneMinute))
+        : 0;
+      time = Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]) - offset * 60000;
+    } else {
+      time = new Date(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]).getTime();
+    }
+
+    return isNaN(time) ? null : new Date(time).toISOString();
+  }
+
+  /**
+   * Office Open XML（docx、xlsx、pptx）：读取 docProps/core.xml 中的文档属性
+   * @param {string} filePath - 文件路径
+   * @returns {Object} 文档元数据
+   */
+  async extractOoxml(filePath) {
+    const xml = await this.readZipEntry(filePath, 'docProps/core.xml');
+    if (!xml) return {};
+
+    const element = name => {
+      const match = xml.match(new RegExp(`<(?:\\w+:)?${name}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${name}>`));
+      return match ? this.decodeXmlText(match[1]).trim() : null;
+    };
+    const date = value => {
+      const time = value ? new Date(value) : null;
+      return time && !isNaN(time.getTime()) ? time.toISOString() : null;
+    };
+
+    return {
+      title: element('title'),
+      author: element('creator'),
+      subject: element('subject'),
+      keywords: element('keywords'),
+      lastModifiedBy: element('lastModifiedBy'),
+      createdAt: date(element('created')),
+      modifiedAt: date(element('modified'))
+    };
+  }
+
+  /**
+   * 读取 zip 中指定条目的文本内容（只读取中央目录和该条目）
+   * @param {string} filePath - zip 文件路径
+   * @param {string} entryName - 条目名称
+   * @returns {string|null} 内容，条目不存在或超过大小上限时返回null
+   */
+  async readZipEntry(filePath, entryName) {
+    const zipfile = await yauzl.openPromise(filePath, { autoClose: false });
+
+    try {
+      return await new Promise((resolve, reject) => {
+        zipfile.on('entry', entry => {
+          if (entry.fileName !== entryName) {
+            zipfile.readEntry();
+            return;
+          }
+          if (entry.uncompressedSize > MAX_TAG_BYTES) {
+            resolve(null);
+            return;
+          }
+
+          zipfile.openReadStream(entry, (error, stream) => {
+            if (error) {
+              reject(error);
+              return;
+            }
+            const chunks = [];
+            stream.on('data', chunk => chunks.push(chunk));
+            stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            stream.on('error', reject);
+          });
+        });
+        zipfile.once('end', () => resolve(null));
+        zipfile.once('error', reject);
+        zipfile.readEntry();
+      });
+    } finally {
+      zipfile.close();
+    }
+  }
+
+  /**
+   * 还原 XML 实体
+   * @param {string} text - XML 文本
+   * @returns {string} 文本
+   */
+  decodeXmlText(text) {
+    const entities = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+      if (entity.startsWith('#x')) return String.fromCodePoint(parseInt(entity.slice(2), 16));
+      if (entity.startsWith('#')) return String.fromCodePoint(Number(entity.slice(1)));
+      return entities[entity] ?? match;
+    });
+  }
+
+  /**
+   * 解码 UTF-16 文本
+   * @param {Buffer} bytes - 字节
+   * @param {boolean} bigEndian - 是否为大端序
+   * @returns {string} 文本
+   */
+  decodeUtf16(bytes, bigEndian) {
+    const even = Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2)));
+    return (bigEndian ? even.swap16() : even).toString('utf16le');
+  }
+
+  /**
+   * 读取 ID3v2 的 syncsafe 整数（每字节只用低 7 位）
+   * @param {Buffer} buffer - 字节
+   * @param {number} offset - 位置
+   * @returns {number} 整数
+   */
+  readSyncsafe(buffer, offset) {
+    return ((buffer[offset] & 0x7F) << 21) | ((buffer[offset + 1] & 0x7F) << 14) |
+      ((buffer[offset + 2] & 0x7F) << 7) | (buffer[offset + 3] & 0x7F);
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * 操作日志模块
+ * 以追加方式记录工具执行的每个文件操作，用于撤销
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { Logger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * 文件操作日志类
+ * 每行一条JSON记录，撤销操作同样以记录的形式追加，原记录永不修改
+ */
+export class OperationJournal {
+  constructor(journalFile = null) {
+    this.journalFile = journalFile || path.join(__dirname, '../logs/operations.jsonl');
+    this.logger = new Logger();
+  }
+
+  /**
+   * 生成新的运行ID
+   * @returns {string} 运行ID，如 20250529-093000-1a2b
+   */
+  static createRunId() {
+    const now = new Date();
+    const pad = (value) => String(value).padStart(2, '0');
+    const date = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`;
+    const time = `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+    return `${date}-${time}-${crypto.randomBytes(2).toString('hex')}`;
+  }
+
+  /**
+   * 追加一条操作记录并同步到磁盘
+   * @param {Object} operation - 操作信息（type, runId, source, destination, hash 等）
+   * @returns {Object} 写入的记录
+   */
+  async append(operation) {
+    const record = {
+      operationId: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      ...operation
+    };
+
+    await fs.ensureDir(path.dirname(this.journalFile));
+
+    // 写入后立即fsync，保证进程意外退出时记录不丢失
+    const handle = await fs.promises.open(this.journalFile, 'a');
+    try {
+      await handle.appendFile(JSON.stringify(record) + '\n', 'utf8');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    return record;
+  }
+
+  /**
+   * 读取全部操作记录
+   * @returns {Array} 操作记录列表（按写入顺序）
+   */
+  async readAll() {
+    if (!(await fs.pathExists(this.journalFile))) {
+      return [];
+    }
+
+    const content = await fs.readFile(this.journalFile, 'utf8');
+    const lines = content.split('\n');
+    const records = [];
+
+    for (let index = 0; index < lines.length; index++) {
+      if (!lines[index].trim()) continue;
+      try {
+        records.push(JSON.parse(lines[index]));
+      } catch (error) {
+        // 进程中断可能留下不完整的最后一行，跳过即可
+        await this.logger.logWarning(`操作日志第 ${index + 1} 行无法解析，已跳过`, { journalFile: this.journalFile });
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * 判断一条操作记录能否撤销（删除的文件已不存在，无法恢复）
+   * @param {Object} record - 操作记录
+   * @returns {boolean} 是否可撤销
+   */
+  static isRevertible(record) {
+    return record.type !== 'undo' && record.type !== 'delete';
+  }
+
+  /**
+   * 获取某次运行中尚未撤销的操作
+   * @param {string} runId - 运行ID
+   * @returns {Array} 操作记录列表（按写入顺序）
+   */
+  async getRevertibleOperations(runId) {
+    const records = await this.readAll();
+    const revertedIds = new Set(
+      records
+        .filter(record => record.type === 'undo')
+        .map(record => record.revertsOperationId)
+    );
+
+    return records.filter(record =>
+      record.runId === runId &&
+      record.type !== 'undo' &&
+      !revertedIds.has(record.operationId)
+    );
+  }
+
+  /**
+   * 按运行汇总操作记录，pendingCount 只统计尚未撤销且可撤销的操作
+   * @returns {Array} 运行列表（最新的在前）
+   */
+  async listRuns() {
+    const records = await this.readAll();
+    const revertedIds = new Set(
+      records
+        .filter(record => record.type === 'undo')
+        .map(record => record.revertsOperationId)
+    );
+    const runs = new Map();
+
+    for (const record of records) {
+      if (record.type === 'undo') continue;
+
+      if (!runs.has(record.runId)) {
+        runs.set(record.runId, {
+          runId: record.runId,
+          startTime: record.timestamp,
+          operationCount: 0,
+          pendingCount: 0,
+          irreversibleCount: 0
+        });
+      }
+
+      const run = runs.get(record.runId);
+      run.operationCount++;
+      if (!OperationJournal.isRevertible(record)) {
+        run.irreversibleCount++;
+      } else if (!revertedIds.has(record.operationId)) {
+        run.pendingCount++;
+      }
+    }
+
+    return Array.from(runs.values()).reverse();
+  }
+
+  /**
+   * 获取最近一次仍有未撤销操作的运行ID
+   * @returns {string|null} 运行ID
+   */
+  async getLatestRevertibleRunId() {
+    const runs = await this.listRuns();
+    const run = runs.find(item => item.pendingCount > 0);
+    return run ? run.runId : null;
+  }
+}
@@ -0,0 +1,234 @@
+/**
+ * 分类规则引擎模块
+ * 按顺序匹配 classification.json 中的 rules，第一条命中的规则决定文件分类
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import path from 'path';
+import { minimatch } from 'minimatch';
+
+/**
+ * 叶子条件支持的字段
+ */
+const LEAF_CONDITIONS = ['name', 'nameRegex', 'path', 'pathRegex', 'extension', 'mime', 'size', 'age', 'sourceDir'];
+
+/**
+ * 组合条件
+ */
+const COMBINATORS = ['all', 'any', 'not'];
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 规则引擎类
+ */
+export class RuleEngine {
+  /**
+   * @param {Array} rules - 规则列表（按优先级排列）
+   * @param {Object} options - 选项
+   * @param {Function} options.expandPath - 展开 sourceDir 中的 ~ 和环境变量
+   */
+  constructor(rules = [], options = {}) {
+    this.expandPath = options.expandPath || (value => value);
+    this.rules = rules.map((rule, index) => this.compileRule(rule, index));
+  }
+
+  /**
+   * 校验并预编译单条规则
+   * @param {Object} rule - 规则配置
+   * @param {number} index - 规则在列表中的位置
+   * @returns {Object} 编译后的规则
+   */
+  compileRule(rule, index) {
+    const label = `rules[${index}]${rule?.name ? `「${rule.name}」` : ''}`;
+
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`${label} 必须是对象`);
+    }
+    if (!rule.name) {
+      throw new Error(`${label} 缺少 name`);
+    }
+    if (!rule.category) {
+      throw new Error(`${label} 缺少 category`);
+    }
+    if (rule.tags !== undefined && !Array.isArray(rule.tags)) {
+      throw new Error(`${label} 的 tags 必须是数组`);
+    }
+
+    return {
+      index,
+      name: rule.name,
+      category: rule.category,
+      tags: rule.tags || [],
+      destination: rule.destination || null,
+      enabled: rule.enabled !== false,
+      test: rule.when ? this.compileCondition(rule.when, label) : () => true
+    };
+  }
+
+  /**
+   * 编译条件为判断函数
+   * @param {Object} condition - 条件配置
+   * @param {string} label - 错误信息中的规则标识
+   * @returns {Function} (file, now) => boolean
+   */
+  compileCondition(condition, label) {
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+      throw new Error(`${label} 的条件必须是对象`);
+    }
+
+    const tests = [];
+
+    for (const [key, value] of Object.entries(condition)) {
+      if (key === 'all' || key === 'any') {
+        if (!Array.isArray(value) || value.length === 0) {
+          throw new Error(`${label} 的 ${key} 必须是非空数组`);
+        }
+        const children = value.map(child => this.compileCondition(child, label));
+        tests.push(key === 'all'
+          ? (file, now) => children.every(child => child(file, now))
+          : (file, now) => children.some(child => child(file, now)));
+      } else if (key === 'not') {
+        const child = this.compileCondition(value, label);
+        tests.push((file, now) => !child(file, now));
+      } else if (LEAF_CONDITIONS.includes(key)) {
+        tests.push(this.compileLeaf(key, value, label));
+      } else {
+        throw new Error(`${label} 包含未知条件 "${key}"，可用条件: ${[...COMBINATORS, ...LEAF_CONDITIONS].join(', ')}`);
+      }
+    }
+
+    // 同一对象中的多个条件需要同时满足
+    return (file, now) => tests.every(test => test(file, now));
+  }
+
+  /**
+   * 编译叶子条件
+   * @param {string} key - 条件字段
+   * @param {*} value - 条件值
+   * @param {string} label - 错误信息中的规则标识
+   * @returns {Function} (file, now) => boolean
+   */
+  compileLeaf(key, value, label) {
+    const values = Array.isArray(value) ? value : [value];
+    const globOptions = { nocase: true, dot: true };
+
+    switch (key) {
+      case 'name':
+        return file => values.some(pattern => minimatch(file.name || '', pattern, globOptions));
+
+      case 'path':
+        return file => values.some(pattern => minimatch(this.toPosixPath(file.path), pattern, globOptions));
+
+      case 'nameRegex':
+      case 'pathRegex': {
+        const regexes = values.map(pattern => this.compileRegex(pattern, label));
+        const field = key === 'nameRegex' ? 'name' : 'path';
+        return file => regexes.some(regex => regex.test(file[field] || ''));
+      }
+
+      case 'extension': {
+        const extensions = values.map(ext => (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase());
+        return file => extensions.includes((file.extension || '').toLowerCase());
+      }
+
+      case 'mime':
+        // 优先使用文件头检测出的类型
+        return file => {
+          const mimeType = file.detectedMimeType || file.mimeType || '';
+          return values.some(pattern => minimatch(mimeType, pattern, globOptions));
+        };
+
+      case 'size': {
+        const min = this.parseSize(value.min, label);
+        const max = this.parseSize(value.max, label);
+        return file => (min === null || file.size >= min) && (max === null || file.size <= max);
+      }
+
+      case 'age': {
+        const { minDays = null, maxDays = null, field = 'modifiedTime' } = value;
+        return (file, now) => {
+          const time = new Date(file[field]).getTime();
+          if (isNaN(time)) return false;
+          const days = (now - time) / DAY_MS;
+          return (minDays === null || days >= minDays) && (maxDays === null || days <= maxDays);
+        };
+      }
+
+      case 'sourceDir': {
+        const directories = values.map(dir => path.resolve(this.expandPath(dir)));
+        return file => directories.some(dir => this.isInside(file.path, dir));
+      }
+
+      default:
+        throw new Error(`${label} 包含未知条件 "${key}"`);
+    }
+  }
+
+  /**
+   * 按顺序查找第一条命中的规则
+   * @param {Object} file - 文件信息
+   * @param {Date} now - 计算文件年龄的基准时间
+   * @returns {Object|null} 命中的规则
+   */
+  match(file, now = new Date()) {
+    const timestamp = now.getTime();
+    return this.rules.find(rule => rule.enabled && rule.test(file, timestamp)) || null;
+  }
+
+  /**
+   * 解析文件大小，支持数字（字节）或 "10MB" 这样的字符串
+   * @param {number|string|undefined} value - 大小
+   * @param {string} label - 错误信息中的规则标识
+   * @returns {number|null} 字节数，未设置时返回null
+   */
+  parseSize(value, label) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'number') return value;
+
+    const match = String(value).trim().toUpperCase().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)?$/);
+    if (!match) {
+      throw new Error(`${label} 的大小 "${value}" 无法识别`);
+    }
+    return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'B']);
+  }
+
+  /**
+   * 编译正则表达式，支持 "/pattern/flags" 写法，默认忽略大小写
+   * @param {string} pattern - 正则字符串
+   * @param {string} label - 错误信息中的规则标识
+   * @returns {RegExp} 正则对象
+   */
+  compileRegex(pattern, label) {
+    try {
+      const literal = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+      return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`${label} 的正则 "${pattern}" 无效: ${error.message}`);
+    }
+  }
+
+  /**
+   * 统一为正斜杠路径，便于 glob 匹配
+   * @param {string} filePath - 文件路径
+   * @returns {string} 正斜杠路径
+   */
+  toPosixPath(filePath) {
+    return (filePath || '').split(path.sep).join('/');
+  }
+
+  /**
+   * 判断文件是否位于指定目录下
+   * @param {string} filePath - 文件路径
+   * @param {string} directory - 目录
+   * @returns {boolean} 是否在目录下
+   */
+  isInside(filePath, directory) {
+    const relative = path.relative(directory, path.resolve(filePath));
+    return Boolean(relative) && !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+}
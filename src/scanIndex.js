@@ -0,0 +1,362 @@
+/**
+ * 扫描索引模块
+ * 以JSONL文件保存上次扫描到的文件和目录，用于增量扫描和变化对比
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { Logger } from './logger.js';
+
+/**
+ * 索引文件格式版本，格式不兼容时丢弃旧索引
+ */
+const INDEX_VERSION = 1;
+
+/**
+ * 扫描索引类
+ * 每行一条JSON记录：第一行为元信息，其余为目录（kind: dir）或文件（kind: file）
+ */
+export class ScanIndex {
+  constructor(indexFile = './output/index/scan-index.jsonl') {
+    this.indexFile = indexFile;
+    this.logger = new Logger();
+
+    // 上次扫描保存的记录
+    this.files = new Map();
+    this.directories = new Map();
+
+    // 本次扫描的记录
+    this.roots = [];
+    this.fullRescan = false;
+    this.seenFiles = new Map();
+    this.seenDirectories = new Map();
+    this.changes = { newFiles: [], changedFiles: [], deletedFiles: [], firstRun: true };
+  }
+
+  /**
+   * 读取索引文件，文件不存在或版本不符时视为空索引
+   */
+  async load() {
+    this.files.clear();
+    this.directories.clear();
+
+    if (!(await fs.pathExists(this.indexFile))) {
+      return;
+    }
+
+    const lines = (await fs.readFile(this.indexFile, 'utf8')).split('\n');
+    for (let index = 0; index < lines.length; index++) {
+      if (!lines[index].trim()) continue;
+
+      let record;
+      try {
+        record = JSON.parse(lines[index]);
+      } catch (error) {
+        await this.logger.logWarning(`扫描索引第 ${index + 1} 行无法解析，已跳过`, { indexFile: this.indexFile });
+        continue;
+      }
+
+      if (record.kind === 'meta') {
+        if (record.version !== INDEX_VERSION) {
+          await this.logger.logWarning(`扫描索引版本不符，将重新建立: ${this.indexFile}`);
+          return;
+        }
+      } else if (record.kind === 'dir') {
+        this.directories.set(record.path, record);
+      } else if (record.kind === 'file') {
+        this.files.set(record.path, record);
+      }
+    }
+
+    await this.logger.logDebug(`扫描索引已加载: ${this.indexFile}`, {
+      files: this.files.size,
+      directories: this.directories.size
+    });
+  }
+
+  /**
+   * 开始一次扫描
+   * @param {Array} roots - 本次扫描的根目录（已展开）
+   * @param {Object} options - 选项
+   * @param {boolean} options.fullRescan - 为true时不复用目录缓存，但仍对比变化并更新索引
+   */
+  beginScan(roots, options = {}) {
+    this.roots = roots.map(root => path.resolve(root));
+    this.fullRescan = Boolean(options.fullRescan);
+    this.seenFiles.clear();
+    this.seenDirectories.clear();
+    this.changes = {
+      newFiles: [],
+      changedFiles: [],
+      deletedFiles: [],
+      firstRun: !this.roots.some(root => this.directories.has(root))
+    };
+  }
+
+  /**
+   * 获取可以复用的目录记录：目录修改时间未变化时，其中的文件列表不会变化
+   * @param {string} directoryPath - 目录路径
+   * @param {Date|string} modifiedTime - 目录当前的修改时间
+   * @param {string} listing - 列出目录的选项标识，与记录不同（如隐藏文件或符号链接设置改变）时不可复用
+   * @returns {Object|null} 目录记录，不可复用时返回null
+   */
+  getReusableDirectory(directoryPath, modifiedTime, listing = null) {
+    if (this.fullRescan) return null;
+
+    const record = this.directories.get(path.resolve(directoryPath));
+    if (!record || record.mtimeMs !== this.toTimestamp(modifiedTime) || (record.listing ?? null) !== listing) {
+      return null;
+    }
+
+    // 索引不完整时重新列出目录
+    if (!record.files.every(filePath => this.files.has(filePath))) {
+      return null;
+    }
+
+    return record;
+  }
+
+  /**
+   * 将目录记录还原为 listDirectory() 格式的条目
+   * @param {Object} record - 目录记录
+   * @returns {Array} 目录内容
+   */
+  getDirectoryItems(record) {
+    // 跟随的符号链接（follow）按其目标记录为文件或目录，需要恢复链接标记
+    const linkTargets = new Map((record.followedLinks || []).map(link => [link.path, link.target]));
+    const withLink = item => (linkTargets.has(item.path)
+      ? { ...item, isSymbolicLink: true, linkTarget: linkTargets.get(item.path) }
+      : item);
+
+    return [
+      ...record.files.map(filePath => withLink(this.toFileInfo(this.files.get(filePath)))),
+      ...record.directories.map(dirPath => withLink({
+        path: dirPath,
+        name: path.basename(dirPath),
+        isDirectory: true,
+        isFile: false
+      })),
+      ...(record.symlinks || []).map(link => ({
+        path: link.path,
+        name: path.basename(link.path),
+        isDirectory: false,
+        isFile: false,
+        isSymbolicLink: true,
+        linkTarget: link.target
+      }))
+    ];
+  }
+
+  /**
+   * 记录本次扫描到的目录
+   * @param {string} directoryPath - 目录路径
+   * @param {Date|string} modifiedTime - 列出目录前读取的修改时间
+   * @param {Array} items - 目录内容
+   * @param {string} listing - 列出目录的选项标识
+   */
+  recordDirectory(directoryPath, modifiedTime, items, listing = null) {
+    const resolvedPath = path.resolve(directoryPath);
+    const record = {
+      kind: 'dir',
+      path: resolvedPath,
+      mtimeMs: this.toTimestamp(modifiedTime),
+      listing,
+      files: items.filter(item => item.isFile).map(item => path.resolve(item.path)),
+      directories: items.filter(item => item.isDirectory).map(item => path.resolve(item.path))
+    };
+
+    // 只列出不跟随的符号链接（report-only）也需要保存，复用目录时才能再次报告
+    const symlinks = items.filter(item => item.isSymbolicLink && !item.isFile && !item.isDirectory);
+    if (symlinks.length > 0) {
+      record.symlinks = symlinks.map(item => ({ path: path.resolve(item.path), target: item.linkTarget }));
+    }
+    const followedLinks = items.filter(item => item.isSymbolicLink && (item.isFile || item.isDirectory));
+    if (followedLinks.length > 0) {
+      record.followedLinks = followedLinks.map(item => ({ path: path.resolve(item.path), target: item.linkTarget }));
+    }
+
+    this.seenDirectories.set(resolvedPath, record);
+  }
+
+  /**
+   * 记录本次扫描到的文件，并与上次扫描对比
+   * @param {Object} fileInfo - 文件基本信息
+   * @returns {string} new | changed | unchanged
+   */
+  recordFile(fileInfo) {
+    const resolvedPath = path.resolve(fileInfo.path);
+    const previous = this.files.get(resolvedPath);
+    const record = {
+      kind: 'file',
+      path: resolvedPath,
+      size: fileInfo.size,
+      mtimeMs: this.toTimestamp(fileInfo.modifiedTime),
+      createdTime: fileInfo.createdTime,
+      accessedTime: fileInfo.accessedTime,
+      inode: fileInfo.inode ?? null,
+      hash: null
+    };
+
+    let status = 'new';
+    if (previous) {
+      status = this.isSameFile(previous, record) ? 'unchanged' : 'changed';
+      if (status === 'unchanged') {
+        record.hash = previous.hash;
+      }
+    }
+
+    if (!this.seenFiles.has(resolvedPath)) {
+      this.seenFiles.set(resolvedPath, record);
+      if (status === 'new' && !this.changes.firstRun) {
+        this.changes.newFiles.push(resolvedPath);
+      } else if (status === 'changed') {
+        this.changes.changedFiles.push(resolvedPath);
+      }
+    }
+
+    return status;
+  }
+
+  /**
+   * 判断文件自上次扫描后是否未变化（大小、修改时间和inode均相同）
+   * @param {Object} previous - 上次的文件记录
+   * @param {Object} current - 本次的文件记录
+   * @returns {boolean} 是否未变化
+   */
+  isSameFile(previous, current) {
+    if (previous.size !== current.size || previous.mtimeMs !== current.mtimeMs) {
+      return false;
+    }
+    // 远程MCP服务器不提供inode，此时只比较大小和修改时间
+    return previous.inode === null || current.inode === null || previous.inode === current.inode;
+  }
+
+  /**
+   * 获取文件未变化时缓存的内容哈希
+   * @param {Object} fileInfo - 文件信息
+   * @returns {string|null} 内容哈希
+   */
+  getCachedHash(fileInfo) {
+    return this.seenFiles.get(path.resolve(fileInfo.path))?.hash || null;
+  }
+
+  /**
+   * 把本次计算的内容哈希写入索引
+   * @param {Array} files - 文件列表
+   */
+  updateHashes(files) {
+    for (const file of files) {
+      const record = this.seenFiles.get(path.resolve(file.path));
+      if (record && file.hash) {
+        record.hash = file.hash;
+      }
+    }
+  }
+
+  /**
+   * 结束扫描：找出已删除的文件并保存索引
+   * @returns {Object} 变化 { newFiles, changedFiles, deletedFiles, firstRun }
+   */
+  async finishScan() {
+    for (const [filePath, record] of this.files) {
+      if (this.seenFiles.has(filePath) || !this.isUnderRoots(filePath)) {
+        continue;
+      }
+      // 未扫描到的文件可能只是被排除或无权限访问，确认不存在后才算删除
+      if (!(await fs.pathExists(filePath))) {
+        this.changes.deletedFiles.push({ path: filePath, size: record.size, modifiedTime: new Date(record.mtimeMs) });
+      }
+    }
+
+    await this.save();
+
+    await this.logger.logInfo('扫描索引已更新', {
+      indexFile: this.indexFile,
+      newFiles: this.changes.newFiles.length,
+      changedFiles: this.changes.changedFiles.length,
+      deletedFiles: this.changes.deletedFiles.length
+    });
+
+    return this.changes;
+  }
+
+  /**
+   * 保存索引：本次扫描的记录替换扫描根目录下的旧记录，其他目录的记录保留
+   */
+  async save() {
+    const lines = [JSON.stringify({ kind: 'meta', version: INDEX_VERSION, updatedAt: new Date().toISOString() })];
+
+    for (const [dirPath, record] of this.directories) {
+      if (!this.isUnderRoots(dirPath)) lines.push(JSON.stringify(record));
+    }
+    for (const [filePath, record] of this.files) {
+      if (!this.isUnderRoots(filePath)) lines.push(JSON.stringify(record));
+    }
+    for (const record of this.seenDirectories.values()) {
+      lines.push(JSON.stringify(record));
+    }
+    for (const record of this.seenFiles.values()) {
+      lines.push(JSON.stringify(record));
+    }
+
+    // 先写临时文件再替换，避免中断时留下不完整的索引
+    await fs.ensureDir(path.dirname(this.indexFile));
+    const tempFile = `${this.indexFile}.tmp`;
+    await fs.writeFile(tempFile, lines.join('\n') + '\n', 'utf8');
+    await fs.move(tempFile, this.indexFile, { overwrite: true });
+
+    this.directories = new Map([
+      ...[...this.directories].filter(([dirPath]) => !this.isUnderRoots(dirPath)),
+      ...this.seenDirectories
+    ]);
+    this.files = new Map([
+      ...[...this.files].filter(([filePath]) => !this.isUnderRoots(filePath)),
+      ...this.seenFiles
+    ]);
+  }
+
+  /**
+   * 将文件记录还原为 getFileInfo() 格式的文件信息
+   * @param {Object} record - 文件记录
+   * @returns {Object} 文件信息
+   */
+  toFileInfo(record) {
+    return {
+      path: record.path,
+      name: path.basename(record.path),
+      size: record.size,
+      isDirectory: false,
+      isFile: true,
+      createdTime: new Date(record.createdTime),
+      modifiedTime: new Date(record.mtimeMs),
+      accessedTime: new Date(record.accessedTime),
+      extension: path.extname(record.path).toLowerCase(),
+      inode: record.inode
+    };
+  }
+
+  /**
+   * 判断路径是否位于本次扫描的根目录下
+   * @param {string} targetPath - 路径
+   * @returns {boolean} 是否在根目录下
+   */
+  isUnderRoots(targetPath) {
+    return this.roots.some(root => {
+      const relative = path.relative(root, targetPath);
+      return !relative.startsWith('..') && !path.isAbsolute(relative);
+    });
+  }
+
+  /**
+   * 将时间转换为毫秒时间戳
+   * @param {Date|string|number} time - 时间
+   * @returns {number|null} 时间戳
+   */
+  toTimestamp(time) {
+    const timestamp = new Date(time).getTime();
+    return isNaN(timestamp) ? null : timestamp;
+  }
+}
@@ -0,0 +1,467 @@
+/**
+ * 定时任务模块
+ * 按配置中的 cron 表达式定时执行 scan / arrange 任务，用锁文件防止重复运行，并按数量和时间清理旧报告
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs-extra';
+import { Cron } from 'croner';
+import { Logger } from './logger.js';
+import { ConfigLoader } from './configLoader.js';
+import { ConfigManager } from './configManager.js';
+import { OperationJournal } from './operationJournal.js';
+
+/**
+ * 默认定时任务设置（配置文件中缺省时使用）
+ */
+const DEFAULT_SCHEDULE_SETTINGS = {
+  lockFile: './output/schedule.lock',
+  reportRetention: {
+    directory: './output/reports',
+    maxReports: 200,
+    maxAgeDays: 30
+  },
+  jobs: []
+};
+
+/**
+ * 本工具生成的报告文件名（名称前缀和扩展名），清理旧报告时只删除匹配的文件，
+ * 输出目录中的其他文件（例如 output 指向用户自己的目录时）不会被删除
+ */
+const REPORT_FILE_PATTERN = /^(文件整理报告|文件清单|扫描结果|文件变化记录|快照对比)_.+\.(xlsx|csv|html|json|ndjson|md)$/;
+
+/**
+ * 定时任务可以执行的命令
+ */
+const JOB_COMMANDS = ['scan', 'arrange'];
+
+/**
+ * 定时任务调度器类
+ */
+export class Scheduler {
+  /**
+   * @param {Object} components - 依赖
+   * @param {Function} components.runJob - 执行一个任务 async (job, { output }) => void，失败时抛出错误；
+   *   output 为任务的报告输出目录（已解析为绝对路径），任务结束后清理该目录中的旧报告
+   */
+  constructor({ runJob }) {
+    this.runJob = runJob;
+    this.logger = new Logger();
+    this.configLoader = new ConfigLoader();
+    this.config = null;
+    this.validateJobOptions = null;
+    this.configPromise = this.loadConfig();
+
+    this.settings = null;
+    this.crons = [];
+    this.running = new Set();
+    this.stats = { completed: 0, failed: 0, skipped: 0, prunedReports: 0 };
+
+    // 任务开始、结束、跳过和清理报告时的回调，供命令行输出进度
+    this.onEvent = null;
+  }
+
+  /**
+   * 加载分类配置
+   */
+  async loadConfig() {
+    try {
+      this.config = await this.configLoader.load('classification.json');
+      this.validateJobOptions = await this.createJobOptionsValidator();
+      return this.config;
+    } catch (error) {
+      await this.logger.logError('加载定时任务配置失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 按分类配置 schema 中 scheduleSettings.jobs[].options 的定义创建任务选项的校验函数。
+   * 配置文件各层合并后不经过 schema 校验，任务选项会直接传给 scan / arrange，需要在这里检查
+   * @returns {Function} ajv 校验函数
+   */
+  async createJobOptionsValidator() {
+    const manager = new ConfigManager();
+    const schema = await fs.readJson(manager.getPaths('classification').schemaPath);
+    const optionsSchema = schema.properties.scheduleSettings.properties.jobs.items.properties.options;
+    return manager.ajv.compile({ ...optionsSchema, definitions: schema.definitions });
+  }
+
+  /**
+   * 确保配置已加载
+   */
+  async ensureConfigLoaded() {
+    if (!this.config) {
+      await this.configPromise;
+    }
+  }
+
+  /**
+   * 获取定时任务设置，并检查任务定义
+   * @returns {Object} 定时任务设置
+   */
+  getScheduleSettings() {
+    const configured = this.config?.scheduleSettings || {};
+    const settings = {
+      ...DEFAULT_SCHEDULE_SETTINGS,
+      ...configured,
+      reportRetention: {
+        ...DEFAULT_SCHEDULE_SETTINGS.reportRetention,
+        ...(configured.reportRetention || {})
+      }
+    };
+
+    settings.lockFile = path.resolve(this.configLoader.expandPath(settings.lockFile));
+    settings.reportRetention.directory = path.resolve(this.configLoader.expandPath(settings.reportRetention.directory));
+
+    const names = new Set();
+    for (const job of settings.jobs) {
+      if (names.has(job.name)) {
+        throw new Error(`定时任务名称重复: ${job.name}`);
+      }
+      names.add(job.name);
+
+      if (!JOB_COMMANDS.includes(job.command)) {
+        throw new Error(`定时任务 ${job.name} 的命令无效: ${job.command}（可选: ${JOB_COMMANDS.join(', ')}）`);
+      }
+      if (job.options !== undefined && this.validateJobOptions && !this.validateJobOptions(job.options)) {
+        const details = this.validateJobOptions.errors
+          .map(error => {
+            const field = `options${error.instancePath.replace(/\//g, '.')}`;
+            const extra = error.params?.additionalProperty ? ` "${error.params.additionalProperty}"` : '';
+            return `${field} ${error.message}${extra}`;
+          })
+          .join('; ');
+        throw new Error(`定时任务 ${job.name} 的选项无效: ${details}`);
+      }
+      try {
+        new Cron(job.cron, { paused: true, timezone: job.timezone }).stop();
+      } catch (error) {
+        throw new Error(`定时任务 ${job.name} 的 cron 表达式无效: ${job.cron}（${error.message}）`);
+      }
+    }
+
+    return settings;
+  }
+
+  /**
+   * 列出启用的任务及接下来的执行时间
+   * @param {number} count - 列出几次执行时间
+   * @returns {Array} [{ job, nextRuns }]
+   */
+  async listJobs(count = 3) {
+    await this.ensureConfigLoaded();
+    const settings = this.getScheduleSettings();
+
+    return settings.jobs.map(job => {
+      const enabled = job.enabled !== false;
+      const cron = new Cron(job.cron, { paused: true, timezone: job.timezone });
+      const nextRuns = enabled ? cron.nextRuns(count) : [];
+      cron.stop();
+      return { job: { ...job, enabled }, nextRuns };
+    });
+  }
+
+  /**
+   * 按 cron 表达式启动所有启用的任务
+   * @returns {Array} 已启动的任务 [{ job, nextRun }]
+   */
+  async start() {
+    await this.ensureConfigLoaded();
+    this.settings = this.getScheduleSettings();
+    await this.logger.logTaskStart('定时任务', { jobs: this.settings.jobs.map(job => job.name) });
+
+    const started = [];
+    for (const job of this.settings.jobs.filter(item => item.enabled !== false)) {
+      const cron = new Cron(job.cron, {
+        name: job.name,
+        timezone: job.timezone,
+        // 同一进程内上一次执行未结束时跳过本次
+        protect: () => this.emit({ type: 'skipped', job, reason: '上一次执行尚未结束' })
+      }, () => this.trigger(job));
+
+      this.crons.push(cron);
+      started.push({ job, nextRun: cron.nextRun() });
+    }
+
+    return started;
+  }
+
+  /**
+   * 立即执行指定名称的任务一次（不需要启动调度）
+   * @param {string} name - 任务名称
+   * @returns {Object} 执行结果 { status, error }
+   */
+  async runOnce(name) {
+    await this.ensureConfigLoaded();
+    this.settings = this.getScheduleSettings();
+
+    const job = this.settings.jobs.find(item => item.name === name);
+    if (!job) {
+      throw new Error(`找不到定时任务: ${name}（已配置: ${this.settings.jobs.map(item => item.name).join(', ') || '无'}）`);
+    }
+    return this.trigger(job);
+  }
+
+  /**
+   * 执行一次任务：获取锁、运行、释放锁，然后清理旧报告
+   * @param {Object} job - 任务定义
+   * @returns {Object} 执行结果 { status, error }
+   */
+  async trigger(job) {
+    // 每次执行使用新的运行ID，任务内产生的日志、快照和操作日志都关联到该ID
+    const execution = Logger.runWithContext(OperationJournal.createRunId(), () => this.execute(job));
+    this.running.add(execution);
+    try {
+      return await execution;
+    } finally {
+      this.running.delete(execution);
+    }
+  }
+
+  /**
+   * 执行任务
+   * @param {Object} job - 任务定义
+   * @returns {Object} 执行结果 { status, error }
+   */
+  async execute(job) {
+    const holder = await this.acquireLock(job);
+    if (holder) {
+      this.stats.skipped++;
+      const reason = `任务 ${holder.job} 正在运行（进程 ${holder.pid}，开始于 ${new Date(holder.startedAt).toLocaleString('zh-CN')}）`;
+      await this.logger.logWarning(`跳过定时任务 ${job.name}: ${reason}`);
+      this.emit({ type: 'skipped', job, reason });
+      return { status: 'skipped', reason };
+    }
+
+    const output = this.getJobOutputDirectory(job);
+    const startedAt = Date.now();
+    let result;
+    try {
+      await this.logger.logInfo(`开始执行定时任务: ${job.name}`, { command: job.command, options: job.options });
+      this.emit({ type: 'started', job });
+
+      await this.runJob(job, { output });
+
+      this.stats.completed++;
+      result = { status: 'completed' };
+      await this.logger.logInfo(`定时任务完成: ${job.name}`, { durationMs: Date.now() - startedAt });
+      this.emit({ type: 'completed', job, durationMs: Date.now() - startedAt });
+    } catch (error) {
+      this.stats.failed++;
+      result = { status: 'failed', error };
+      await this.logger.logError(`定时任务失败: ${job.name}`, error);
+      this.emit({ type: 'failed', job, error, durationMs: Date.now() - startedAt });
+    } finally {
+      await this.releaseLock();
+    }
+
+    const removed = [];
+    for (const directory of new Set([this.settings.reportRetention.directory, output])) {
+      removed.push(...await this.pruneReports({ ...this.settings.reportRetention, directory }));
+    }
+    if (removed.length > 0) {
+      this.stats.prunedReports += removed.length;
+      this.emit({ type: 'pruned', job, removed });
+    }
+
+    return result;
+  }
+
+  /**
+   * 获取任务的报告输出目录：任务选项中指定的 output，未指定时为 reportRetention.directory，
+   * 与清理旧报告使用同一个基准目录（当前工作目录），避免报告写到不会被清理的位置
+   * @param {Object} job - 任务定义
+   * @returns {string} 绝对路径
+   */
+  getJobOutputDirectory(job) {
+    const output = job.options?.output;
+    return output
+      ? path.resolve(this.configLoader.expandPath(output))
+      : this.settings.reportRetention.directory;
+  }
+
+  /**
+   * 获取锁文件；锁由仍在运行的进程持有时返回持有者信息，过期的锁（进程已退出）会被清除
+   * @param {Object} job - 任务定义
+   * @returns {Object|null} 锁持有者 { pid, job, startedAt }，获取成功时返回null
+   */
+  async acquireLock(job) {
+    const { lockFile } = this.settings;
+    await fs.ensureDir(path.dirname(lockFile));
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        await fs.writeFile(lockFile, JSON.stringify({
+          pid: process.pid,
+          job: job.name,
+          startedAt: new Date().toISOString()
+        }), { flag: 'wx' });
+        return null;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const content = await fs.readFile(lockFile, 'utf8').catch(() => null);
+      if (content === null) {
+        // 锁在读取前已被释放，重新获取
+        continue;
+      }
+
+      const holder = this.parseLock(content);
+      if (holder && this.isProcessAlive(holder.pid)) {
+        return holder;
+      }
+
+      await this.removeStaleLock(lockFile, content, holder);
+    }
+
+    throw new Error(`无法获取定时任务锁: ${lockFile}`);
+  }
+
+  /**
+   * 解析锁文件内容
+   * @param {string} content - 锁文件内容
+   * @returns {Object|null} 锁持有者，内容无效时返回null
+   */
+  parseLock(content) {
+    try {
+      return JSON.parse(content);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * 清除过期的锁。多个进程可能同时发现同一个过期锁，直接删除会误删其他进程刚写入的新锁，
+   * 因此先把锁文件原子地重命名为本进程独有的名称，确认其内容仍是读到的过期锁后再删除；
+   * 内容不同说明取走的是其他进程的新锁，在锁文件不存在时放回原处
+   * @param {string} lockFile - 锁文件路径
+   * @param {string} staleContent - 读到的过期锁内容
+   * @param {Object|null} holder - 过期锁的持有者
+   */
+  async removeStaleLock(lockFile, staleContent, holder) {
+    const claimedFile = `${lockFile}.${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+    try {
+      await fs.rename(lockFile, claimedFile);
+    } catch (error) {
+      // 其他进程已经取走了这个锁
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const claimedContent = await fs.readFile(claimedFile, 'utf8').catch(() => null);
+    if (claimedContent === staleContent) {
+      await this.logger.logWarning(`清除过期的定时任务锁: ${lockFile}`, holder);
+      await fs.remove(claimedFile);
+      return;
+    }
+
+    try {
+      // link 在目标已存在时失败，不会覆盖其他进程随后写入的锁
+      await fs.link(claimedFile, lockFile);
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+      await this.logger.logWarning(`恢复定时任务锁时锁文件已被重新创建: ${lockFile}`, this.parseLock(claimedContent));
+    } finally {
+      await fs.remove(claimedFile);
+    }
+  }
+
+  /**
+   * 释放本进程持有的锁
+   */
+  async releaseLock() {
+    const { lockFile } = this.settings;
+    const holder = await fs.readJson(lockFile).catch(() => null);
+    if (holder && holder.pid === process.pid) {
+      await fs.remove(lockFile);
+    }
+  }
+
+  /**
+   * 判断进程是否仍在运行
+   * @param {number} pid - 进程ID
+   * @returns {boolean} 是否在运行
+   */
+  isProcessAlive(pid) {
+    if (!Number.isInteger(pid)) return false;
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      // EPERM 表示进程存在但属于其他用户
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * 清理报告目录中的旧报告：超过 maxAgeDays 天的报告，以及按修改时间排在 maxReports 之后的报告；
+   * 只处理文件名符合 REPORT_FILE_PATTERN 的文件
+   * @param {Object} retention - { directory, maxReports, maxAgeDays }，数量或天数为空时不按该条件清理
+   * @returns {Array} 已删除的文件
+   */
+  async pruneReports({ directory, maxReports, maxAgeDays }) {
+    const removed = [];
+    try {
+      if (!(await fs.pathExists(directory))) {
+        return removed;
+      }
+
+      const reports = [];
+      for (const name of await fs.readdir(directory)) {
+        if (!REPORT_FILE_PATTERN.test(name)) continue;
+
+        const filePath = path.join(directory, name);
+        const stats = await fs.stat(filePath);
+        if (stats.isFile()) {
+          reports.push({ filePath, mtimeMs: stats.mtimeMs });
+        }
+      }
+      reports.sort((a, b) => b.mtimeMs - a.mtimeMs);
+
+      const cutoff = maxAgeDays ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+      for (const [index, report] of reports.entries()) {
+        const tooMany = maxReports && index >= maxReports;
+        const tooOld = cutoff !== null && report.mtimeMs < cutoff;
+        if (tooMany || tooOld) {
+          await fs.remove(report.filePath);
+          removed.push(report.filePath);
+          await this.logger.logInfo(`清理旧报告: ${path.basename(report.filePath)}`);
+        }
+      }
+    } catch (error) {
+      await this.logger.logError('清理旧报告失败', error);
+    }
+    return removed;
+  }
+
+  /**
+   * 停止调度，等待正在执行的任务结束
+   * @returns {Object} 统计
+   */
+  async stop() {
+    for (const cron of this.crons) {
+      cron.stop();
+    }
+    this.crons = [];
+
+    await Promise.allSettled([...this.running]);
+    await this.logger.logTaskComplete('定时任务', this.stats);
+    return this.stats;
+  }
+
+  /**
+   * 通知命令行
+   * @param {Object} event - 事件
+   */
+  emit(event) {
+    if (this.onEvent) {
+      this.onEvent({ ...event, time: new Date() });
+    }
+  }
+}
@@ -0,0 +1,336 @@
+/**
+ * 扫描快照模块
+ * 每次扫描后保存文件清单快照，并对比两个快照找出新增、删除、修改、移动和重新分类的文件
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { Logger } from './logger.js';
+import { ConfigLoader } from './configLoader.js';
+import { OperationJournal } from './operationJournal.js';
+
+/**
+ * 快照文件格式版本
+ */
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * 默认快照设置（配置文件中缺省时使用）
+ */
+const DEFAULT_SNAPSHOT_SETTINGS = {
+  enabled: true,
+  directory: './output/snapshots',
+  maxSnapshots: 50,
+  hashFiles: false
+};
+
+/**
+ * 扫描快照存储类
+ */
+export class SnapshotStore {
+  constructor() {
+    this.logger = new Logger();
+    this.configLoader = new ConfigLoader();
+    this.config = null;
+    this.configPromise = this.loadConfig();
+  }
+
+  /**
+   * 加载分类配置
+   */
+  async loadConfig() {
+    try {
+      this.config = await this.configLoader.load('classification.json');
+      return this.config;
+    } catch (error) {
+      await this.logger.logError('加载快照配置失败', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 确保配置已加载
+   */
+  async ensureConfigLoaded() {
+    if (!this.config) {
+      await this.configPromise;
+    }
+  }
+
+  /**
+   * 获取快照设置
+   * @returns {Object} 快照设置
+   */
+  getSnapshotSettings() {
+    const settings = {
+      ...DEFAULT_SNAPSHOT_SETTINGS,
+      ...(this.config?.snapshotSettings || {})
+    };
+    settings.directory = path.resolve(this.configLoader.expandPath(settings.directory));
+    return settings;
+  }
+
+  /**
+   * 保存一次扫描的快照
+   * @param {Object} classificationResult - 分类结果
+   * @param {Object} scope - 扫描范围
+   * @param {Array} scope.scanPaths - 扫描路径（已展开）
+   * @param {number} scope.days - 扫描最近几天的文件
+   * @returns {Object|null} { id, snapshotPath }，快照被禁用时返回null
+   */
+  async save(classificationResult, scope) {
+    await this.ensureConfigLoaded();
+    const settings = this.getSnapshotSettings();
+    if (!settings.enabled) {
+      return null;
+    }
+
+    const createdAt = new Date();
+    const cutoff = new Date(createdAt);
+    cutoff.setDate(cutoff.getDate() - scope.days);
+
+    const files = [];
+    for (const [category, categoryFiles] of Object.entries(classificationResult.categories)) {
+      for (const file of categoryFiles) {
+        files.push({
+          path: path.resolve(file.path),
+          name: file.name,
+          size: file.size,
+          createdTime: file.createdTime,
+          modifiedTime: file.modifiedTime,
+          category,
+          hash: file.hash || null,
+          inode: file.inode ?? null
+        });
+      }
+    }
+
+    const snapshot = {
+      version: SNAPSHOT_VERSION,
+      id: Logger.getRunId() || OperationJournal.createRunId(),
+      createdAt: createdAt.toISOString(),
+      days: scope.days,
+      cutoff: cutoff.toISOString(),
+      scanPaths: scope.scanPaths.map(scanPath => path.resolve(scanPath)),
+      files
+    };
+
+    await fs.ensureDir(settings.directory);
+    const snapshotPath = path.join(settings.directory, `${snapshot.id}.json`);
+    await fs.writeJson(snapshotPath, snapshot);
+
+    await this.prune(settings);
+    await this.logger.logInfo('扫描快照已保存', { snapshotPath, fileCount: files.length });
+
+    return { id: snapshot.id, snapshotPath };
+  }
+
+  /**
+   * 删除超出保留数量的旧快照
+   * @param {Object} settings - 快照设置
+   */
+  async prune(settings) {
+    const snapshots = await this.list();
+    for (const snapshot of snapshots.slice(settings.maxSnapshots)) {
+      await fs.remove(snapshot.snapshotPath);
+      await this.logger.logDebug(`已删除旧快照: ${snapshot.snapshotPath}`);
+    }
+  }
+
+  /**
+   * 列出已保存的快照
+   * @returns {Array} 快照列表（最新的在前）[{ id, snapshotPath, createdAt, fileCount, days }]
+   */
+  async list() {
+    await this.ensureConfigLoaded();
+    const { directory } = this.getSnapshotSettings();
+    if (!(await fs.pathExists(directory))) {
+      return [];
+    }
+
+    const snapshots = [];
+    for (const fileName of (await fs.readdir(directory)).filter(name => name.endsWith('.json'))) {
+      const snapshotPath = path.join(directory, fileName);
+      try {
+        const snapshot = await fs.readJson(snapshotPath);
+        snapshots.push({
+          id: snapshot.id,
+          snapshotPath,
+          createdAt: snapshot.createdAt,
+          fileCount: snapshot.files.length,
+          days: snapshot.days
+        });
+      } catch (error) {
+        await this.logger.logWarning(`无法读取快照: ${snapshotPath}`, { message: error.message });
+      }
+    }
+
+    return snapshots.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  /**
+   * 读取快照
+   * @param {string} reference - 快照ID、ID前缀或快照文件路径
+   * @returns {Object} 快照内容
+   */
+  async load(reference) {
+    let snapshotPath = null;
+
+    if (reference.endsWith('.json') && (await fs.pathExists(reference))) {
+      snapshotPath = reference;
+    } else {
+      const matches = (await this.list()).filter(snapshot => snapshot.id.startsWith(reference));
+      if (matches.length === 0) {
+        throw new Error(`找不到快照: ${reference}`);
+      }
+      if (matches.length > 1 && !matches.some(snapshot => snapshot.id === reference)) {
+        throw new Error(`快照ID前缀不唯一: ${reference}（匹配 ${matches.map(snapshot => snapshot.id).join(', ')}）`);
+      }
+      snapshotPath = (matches.find(snapshot => snapshot.id === reference) || matches[0]).snapshotPath;
+    }
+
+    const snapshot = await fs.readJson(snapshotPath);
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`不支持的快照版本: ${snapshot.version}（${snapshotPath}）`);
+    }
+    return snapshot;
+  }
+
+  /**
+   * 获取默认对比的两个快照（倒数第二个和最新一个）
+   * @returns {Array} [较早的快照ID, 较新的快照ID]
+   */
+  async getLatestPair() {
+    const snapshots = await this.list();
+    if (snapshots.length < 2) {
+      throw new Error(`至少需要两个快照才能对比，当前有 ${snapshots.length} 个`);
+    }
+    return [snapshots[1].id, snapshots[0].id];
+  }
+
+  /**
+   * 对比两个快照
+   * 路径只在一侧出现的文件，若内容哈希相同（没有哈希时 inode 和大小相同）则视为移动或重命名；
+   * 只在一侧出现、但不在另一侧扫描范围（扫描路径或时间范围）内的文件单独列出，不算新增或删除
+   * @param {Object} before - 较早的快照
+   * @param {Object} after - 较新的快照
+   * @returns {Object} 对比结果
+   */
+  diff(before, after) {
+    const beforeFiles = new Map(before.files.map(file => [file.path, file]));
+    const afterFiles = new Map(after.files.map(file => [file.path, file]));
+
+    const result = {
+      before: { id: before.id, createdAt: before.createdAt, fileCount: before.files.length },
+      after: { id: after.id, createdAt: after.createdAt, fileCount: after.files.length },
+      added: [],
+      removed: [],
+      modified: [],
+      moved: [],
+      recategorized: [],
+      outOfScope: []
+    };
+
+    for (const [filePath, oldFile] of beforeFiles) {
+      const newFile = afterFiles.get(filePath);
+      if (!newFile) continue;
+
+      if (this.isModified(oldFile, newFile)) {
+        result.modified.push({ before: oldFile, after: newFile });
+      }
+      if (oldFile.category !== newFile.category) {
+        result.recategorized.push({ before: oldFile, after: newFile });
+      }
+    }
+
+    const removedCandidates = before.files.filter(file => !afterFiles.has(file.path));
+    const addedCandidates = after.files.filter(file => !beforeFiles.has(file.path));
+    const matchedAdded = new Set();
+
+    for (const oldFile of removedCandidates) {
+      const newFile = this.findMoveTarget(oldFile, addedCandidates, matchedAdded);
+      if (newFile) {
+        matchedAdded.add(newFile);
+        result.moved.push({
+          before: oldFile,
+          after: newFile,
+          renamed: path.dirname(oldFile.path) === path.dirname(newFile.path)
+        });
+        if (oldFile.category !== newFile.category) {
+          result.recategorized.push({ before: oldFile, after: newFile });
+        }
+      } else if (this.isInScope(oldFile, after)) {
+        result.removed.push(oldFile);
+      } else {
+        result.outOfScope.push({ file: oldFile, side: 'before' });
+      }
+    }
+
+    for (const newFile of addedCandidates) {
+      if (matchedAdded.has(newFile)) continue;
+
+      if (this.isInScope(newFile, before)) {
+        result.added.push(newFile);
+      } else {
+        result.outOfScope.push({ file: newFile, side: 'after' });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 判断同一路径的文件内容是否变化
+   * @param {Object} oldFile - 较早快照中的文件
+   * @param {Object} newFile - 较新快照中的文件
+   * @returns {boolean} 是否变化
+   */
+  isModified(oldFile, newFile) {
+    if (oldFile.hash && newFile.hash) {
+      return oldFile.hash !== newFile.hash;
+    }
+    return oldFile.size !== newFile.size ||
+      new Date(oldFile.modifiedTime).getTime() !== new Date(newFile.modifiedTime).getTime();
+  }
+
+  /**
+   * 为已消失的文件查找移动后的位置，同名文件优先
+   * @param {Object} oldFile - 较早快照中的文件
+   * @param {Array} candidates - 只在较新快照中出现的文件
+   * @param {Set} matched - 已匹配的文件
+   * @returns {Object|null} 移动后的文件
+   */
+  findMoveTarget(oldFile, candidates, matched) {
+    const sameContent = candidates.filter(newFile => {
+      if (matched.has(newFile) || newFile.size !== oldFile.size) return false;
+      if (oldFile.hash && newFile.hash) return oldFile.hash === newFile.hash;
+      // 没有内容哈希时，同一文件系统内的移动会保留 inode
+      if (oldFile.inode != null && newFile.inode != null) return oldFile.inode === newFile.inode;
+      // 远程MCP服务器不提供inode，此时按文件名、大小和修改时间匹配
+      return newFile.name === oldFile.name &&
+        new Date(oldFile.modifiedTime).getTime() === new Date(newFile.modifiedTime).getTime();
+    });
+
+    return sameContent.find(newFile => newFile.name === oldFile.name) || sameContent[0] || null;
+  }
+
+  /**
+   * 判断文件是否在快照的扫描范围内（位于扫描路径下，且创建或修改时间不早于截止时间）
+   * @param {Object} file - 文件
+   * @param {Object} snapshot - 快照
+   * @returns {boolean} 是否在范围内
+   */
+  isInScope(file, snapshot) {
+    const underScanPath = snapshot.scanPaths.some(scanPath => {
+      const relative = path.relative(scanPath, file.path);
+      return !relative.startsWith('..') && !path.isAbsolute(relative);
+    });
+    if (!underScanPath) return false;
+
+    const cutoff = new Date(snapshot.cutoff);
+    return new Date(file.createdTime) >= cutoff || new Date(file.modifiedTime) >= cutoff;
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * 并发任务池模块
+ * 以固定的并发数执行动态加入的异步任务，用于并行遍历目录和读取文件信息
+ *
+ * @author fileAutoArrange
+ * @version 1.0.0
+ */
+
+/**
+ * 并发任务池类
+ * 任务执行过程中可以继续加入新任务（如遍历时发现的子目录），
+ * 后加入的任务先执行，使遍历接近深度优先，待处理队列不会随目录树宽度迅速膨胀
+ */
+export class WorkerPool {
+  /**
+   * @param {number} concurrency - 同时执行的任务数
+   */
+  constructor(concurrency = 8) {
+    this.concurrency = Math.max(1, Math.floor(concurrency) || 1);
+    this.queue = [];
+    this.active = 0;
+    this.error = null;
+    this.idleWaiters = [];
+  }
+
+  /**
+   * 对数组中的每一项执行异步函数，最多同时执行 concurrency 个，结果顺序与输入一致
+   * @param {Array} items - 输入
+   * @param {number} concurrency - 并发数
+   * @param {Function} fn - async (item, index) => result
+   * @returns {Array} 结果
+   */
+  static async map(items, concurrency, fn) {
+    const results = new Array(items.length);
+    const pool = new WorkerPool(concurrency);
+    items.forEach((item, index) => pool.add(async () => {
+      results[index] = await fn(item, index);
+    }));
+    await pool.onIdle();
+    return results;
+  }
+
+  /**
+   * 加入任务
+   * @param {Function} task - async () => void
+   */
+  add(task) {
+    this.queue.push(task);
+    this.drain();
+  }
+
+  /**
+   * 在并发数允许的范围内启动等待中的任务
+   */
+  drain() {
+    while (this.active < this.concurrency && this.queue.length > 0 && !this.error) {
+      const task = this.queue.pop();
+      this.active++;
+      Promise.resolve()
+        .then(task)
+        .catch(error => {
+          // 任一任务失败后不再启动新任务，等待中的 onIdle() 以该错误拒绝
+          this.error = this.error || error;
+          this.queue = [];
+        })
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+
+    if (this.active === 0 && (this.queue.length === 0 || this.error)) {
+      const waiters = this.idleWaiters;
+      this.idleWaiters = [];
+      for (const { resolve, reject } of waiters) {
+        if (this.error) reject(this.error);
+        else resolve();
+      }
+    }
+  }
+
+  /**
+   * 等待所有任务（包括执行期间加入的任务）完成
+   * @returns {Promise<void>} 任一任务失败时以该错误拒绝
+   */
+  onIdle() {
+    return new Promise((resolve, reject) => {
+      this.idleWaiters.push({ resolve, reject });
+      this.drain();
+    });
+  }
+}